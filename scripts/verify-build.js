@@ -198,6 +198,14 @@ function checkBuildResources() {
     console.log('  Or temporarily remove the icon field from package.json for testing.');
   }
   
+  // OCR language data is optional, scanned PDFs just stay unreadable without it
+  const hasOcrData = checkFile('build/ocr/eng.traineddata', false);
+  
+  if (!hasOcrData) {
+    console.log('  Scanned PDF pages will not be recognised.');
+    console.log('  See build/README.md for where to get the OCR language data.');
+  }
+  
   return hasIcon;
 }
 
@@ -0,0 +1,309 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { app } = require('electron');
+const StudyDay = require('./StudyDay');
+
+/**
+ * @typedef {Object} AnswerRecord
+ * @property {string} questionId - ID of the answered question
+ * @property {string|null} sourceDocument - Path to the question's source document
+ * @property {string|null} concept - Key term the question tested
+ * @property {string|null} chosenAnswer - Option text the user picked, or the typed answer
+ * @property {boolean} correct - Whether the answer was correct
+ * @property {number|null} responseTimeMs - Time from question shown to answer, in milliseconds
+ * @property {string} answeredAt - ISO timestamp of the answer
+ */
+
+/**
+ * @typedef {Object} DocumentAccuracy
+ * @property {string} sourceDocument - Path to the source document
+ * @property {number} answered - Number of answers for questions from this document
+ * @property {number} correct - Number of correct answers
+ * @property {number} accuracy - Accuracy as percentage (0-100)
+ * @property {number|null} averageResponseTimeMs - Average response time, or null if unknown
+ */
+
+/**
+ * @typedef {Object} MissedConcept
+ * @property {string} concept - Key term the questions tested
+ * @property {number} missed - Number of incorrect answers
+ * @property {number} answered - Number of answers
+ * @property {number} accuracy - Accuracy as percentage (0-100)
+ * @property {string|null} sourceDocument - Document the concept was last asked from
+ */
+
+/**
+ * @typedef {Object} TrendPoint
+ * @property {string} date - Local date (YYYY-MM-DD)
+ * @property {number} answered - Number of answers on that day
+ * @property {number} correct - Number of correct answers on that day
+ * @property {number|null} accuracy - Accuracy as percentage (0-100), or null if nothing was answered
+ */
+
+/**
+ * Persists a log of individual answers and aggregates it for analytics
+ */
+class AnswerHistory {
+  /**
+   * @param {string} [historyPath] - Optional custom history file path
+   * @param {Object} [options] - Configuration options
+   * @param {number} [options.maxEntries] - Maximum answers to keep, oldest are dropped first (default: 5000)
+   */
+  constructor(historyPath = null, options = {}) {
+    this.historyPath = historyPath || this._getDefaultHistoryPath();
+    this.maxEntries = options.maxEntries || 5000;
+    this.answers = null;
+  }
+
+  /**
+   * Get the default history file path in user data directory
+   * @private
+   * @returns {string}
+   */
+  _getDefaultHistoryPath() {
+    const userDataPath = app ? app.getPath('userData') : './data';
+    return path.join(userDataPath, 'answers.json');
+  }
+
+  /**
+   * Load the answer log from disk
+   * Starts an empty log if the file doesn't exist
+   * @returns {Promise<AnswerRecord[]>}
+   */
+  async load() {
+    try {
+      const data = await fs.readFile(this.historyPath, 'utf8');
+      const parsed = JSON.parse(data);
+      this.answers = Array.isArray(parsed.answers) ? parsed.answers : [];
+      return this.answers;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.answers = [];
+        return this.answers;
+      }
+      throw new Error(`Failed to load answer history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Move an unreadable history file aside and start an empty log
+   * The old file is kept next to the new one so its answers can still be recovered by hand
+   * @returns {Promise<string|null>} - Path the old file was moved to, or null if there was none
+   */
+  async resetCorrupted() {
+    this.answers = [];
+    const backupPath = `${this.historyPath}.corrupt-${Date.now()}`;
+
+    try {
+      await fs.rename(this.historyPath, backupPath);
+      return backupPath;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw new Error(`Failed to move answer history aside: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save the answer log to disk
+   * @returns {Promise<void>}
+   */
+  async save() {
+    try {
+      const dir = path.dirname(this.historyPath);
+      await fs.mkdir(dir, { recursive: true });
+
+      await fs.writeFile(
+        this.historyPath,
+        JSON.stringify({ answers: this.answers || [] }, null, 2),
+        'utf8'
+      );
+    } catch (error) {
+      throw new Error(`Failed to save answer history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Append an answer to the log and save it
+   * @param {Object} answer - Answer details
+   * @param {string} answer.questionId - ID of the answered question
+   * @param {boolean} answer.correct - Whether the answer was correct
+   * @param {string} [answer.sourceDocument] - Path to the question's source document
+   * @param {string} [answer.concept] - Key term the question tested
+   * @param {string} [answer.chosenAnswer] - Option text the user picked, or the typed answer
+   * @param {number} [answer.responseTimeMs] - Time taken to answer, in milliseconds
+   * @param {string} [answer.answeredAt] - ISO timestamp (default: now)
+   * @returns {Promise<AnswerRecord>} - The recorded answer
+   */
+  async recordAnswer(answer) {
+    if (!answer || !answer.questionId) {
+      throw new Error('questionId is required to record an answer');
+    }
+
+    if (!this.answers) {
+      await this.load();
+    }
+
+    const record = {
+      questionId: answer.questionId,
+      sourceDocument: answer.sourceDocument || null,
+      concept: answer.concept || null,
+      chosenAnswer: answer.chosenAnswer !== undefined && answer.chosenAnswer !== null
+        ? String(answer.chosenAnswer)
+        : null,
+      correct: Boolean(answer.correct),
+      responseTimeMs: typeof answer.responseTimeMs === 'number' ? Math.round(answer.responseTimeMs) : null,
+      answeredAt: answer.answeredAt || new Date().toISOString()
+    };
+
+    this.answers.push(record);
+
+    if (this.answers.length > this.maxEntries) {
+      this.answers = this.answers.slice(this.answers.length - this.maxEntries);
+    }
+
+    await this.save();
+    return record;
+  }
+
+  /**
+   * Get logged answers, optionally limited to a time range
+   * @param {Object} [range] - Time range
+   * @param {Date|string} [range.from] - Earliest answer time (inclusive)
+   * @param {Date|string} [range.to] - Latest answer time (inclusive)
+   * @returns {AnswerRecord[]}
+   */
+  getAnswers(range = {}) {
+    if (!this.answers) {
+      throw new Error('Answer history not loaded. Call load() first.');
+    }
+
+    const from = range.from ? new Date(range.from).getTime() : -Infinity;
+    const to = range.to ? new Date(range.to).getTime() : Infinity;
+
+    return this.answers.filter(answer => {
+      const time = new Date(answer.answeredAt).getTime();
+      return time >= from && time <= to;
+    });
+  }
+
+  /**
+   * Get accuracy per source document, weakest first
+   * @returns {DocumentAccuracy[]}
+   */
+  getAccuracyByDocument() {
+    const byDocument = new Map();
+
+    this.getAnswers().forEach(answer => {
+      if (!answer.sourceDocument) {
+        return;
+      }
+
+      const stats = byDocument.get(answer.sourceDocument) || {
+        sourceDocument: answer.sourceDocument,
+        answered: 0,
+        correct: 0,
+        totalResponseTimeMs: 0,
+        timedAnswers: 0
+      };
+
+      stats.answered++;
+      if (answer.correct) {
+        stats.correct++;
+      }
+      if (typeof answer.responseTimeMs === 'number') {
+        stats.totalResponseTimeMs += answer.responseTimeMs;
+        stats.timedAnswers++;
+      }
+
+      byDocument.set(answer.sourceDocument, stats);
+    });
+
+    return Array.from(byDocument.values())
+      .map(stats => ({
+        sourceDocument: stats.sourceDocument,
+        answered: stats.answered,
+        correct: stats.correct,
+        accuracy: Math.round((stats.correct / stats.answered) * 100),
+        averageResponseTimeMs: stats.timedAnswers > 0
+          ? Math.round(stats.totalResponseTimeMs / stats.timedAnswers)
+          : null
+      }))
+      .sort((a, b) => a.accuracy - b.accuracy || b.answered - a.answered);
+  }
+
+  /**
+   * Get the concepts answered incorrectly most often
+   * Concepts are compared case-insensitively
+   * @param {number} [limit] - Maximum number of concepts to return (default: 5)
+   * @returns {MissedConcept[]}
+   */
+  getMostMissedConcepts(limit = 5) {
+    const byConcept = new Map();
+
+    this.getAnswers().forEach(answer => {
+      if (!answer.concept) {
+        return;
+      }
+
+      const key = answer.concept.toLowerCase();
+      const stats = byConcept.get(key) || {
+        concept: answer.concept,
+        missed: 0,
+        answered: 0,
+        sourceDocument: null
+      };
+
+      stats.answered++;
+      if (!answer.correct) {
+        stats.missed++;
+      }
+      stats.sourceDocument = answer.sourceDocument || stats.sourceDocument;
+
+      byConcept.set(key, stats);
+    });
+
+    return Array.from(byConcept.values())
+      .filter(stats => stats.missed > 0)
+      .map(stats => ({
+        ...stats,
+        accuracy: Math.round(((stats.answered - stats.missed) / stats.answered) * 100)
+      }))
+      .sort((a, b) => b.missed - a.missed || a.accuracy - b.accuracy)
+      .slice(0, limit);
+  }
+
+  /**
+   * Get answers and accuracy per day for the last few days, oldest first
+   * Days without answers are included with zero counts
+   * @param {number} [days] - Number of days including today (default: 14)
+   * @param {Date} [now] - Reference time (default: now)
+   * @returns {TrendPoint[]}
+   */
+  getDailyTrend(days = 14, now = new Date()) {
+    const points = new Map();
+
+    for (let offset = days - 1; offset >= 0; offset--) {
+      const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() - offset);
+      points.set(StudyDay.toDateKey(day), { date: StudyDay.toDateKey(day), answered: 0, correct: 0 });
+    }
+
+    this.getAnswers().forEach(answer => {
+      const point = points.get(StudyDay.toDateKey(new Date(answer.answeredAt)));
+      if (point) {
+        point.answered++;
+        if (answer.correct) {
+          point.correct++;
+        }
+      }
+    });
+
+    return Array.from(points.values()).map(point => ({
+      ...point,
+      accuracy: point.answered > 0 ? Math.round((point.correct / point.answered) * 100) : null
+    }));
+  }
+}
+
+module.exports = AnswerHistory;
@@ -0,0 +1,168 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Mock electron before importing AnswerHistory
+vi.mock('electron', () => ({
+  app: {
+    getPath: vi.fn(() => './test-data')
+  }
+}));
+
+const AnswerHistory = require('./AnswerHistory');
+
+describe('AnswerHistory', () => {
+  let answerHistory;
+  let testHistoryPath;
+
+  beforeEach(async () => {
+    testHistoryPath = path.join('./test-data', 'test-answers.json');
+
+    try {
+      await fs.unlink(testHistoryPath);
+    } catch (error) {
+      // File doesn't exist, that's okay
+    }
+
+    answerHistory = new AnswerHistory(testHistoryPath);
+  });
+
+  afterEach(async () => {
+    try {
+      await fs.unlink(testHistoryPath);
+    } catch (error) {
+      // File doesn't exist, that's okay
+    }
+  });
+
+  describe('load', () => {
+    it('should start an empty log when file does not exist', async () => {
+      const answers = await answerHistory.load();
+      expect(answers).toEqual([]);
+    });
+
+    it('should throw on corrupted history file', async () => {
+      await fs.mkdir(path.dirname(testHistoryPath), { recursive: true });
+      await fs.writeFile(testHistoryPath, '{ not json', 'utf8');
+
+      await expect(answerHistory.load()).rejects.toThrow('Failed to load answer history');
+    });
+  });
+
+  describe('resetCorrupted', () => {
+    it('should move the corrupted file aside and start an empty log', async () => {
+      await fs.mkdir(path.dirname(testHistoryPath), { recursive: true });
+      await fs.writeFile(testHistoryPath, '{ not json', 'utf8');
+
+      const backupPath = await answerHistory.resetCorrupted();
+
+      expect(answerHistory.answers).toEqual([]);
+      expect(await fs.readFile(backupPath, 'utf8')).toBe('{ not json');
+      await expect(fs.access(testHistoryPath)).rejects.toThrow();
+      expect(await answerHistory.load()).toEqual([]);
+
+      await fs.unlink(backupPath);
+    });
+
+    it('should return null when there is no history file', async () => {
+      expect(await answerHistory.resetCorrupted()).toBeNull();
+      expect(answerHistory.answers).toEqual([]);
+    });
+  });
+
+  describe('recordAnswer', () => {
+    it('should persist answers across instances', async () => {
+      await answerHistory.load();
+      await answerHistory.recordAnswer({
+        questionId: 'q1',
+        sourceDocument: '/docs/biology.pdf',
+        concept: 'mitochondria',
+        chosenAnswer: 'ribosome',
+        correct: false,
+        responseTimeMs: 4210.6
+      });
+
+      const reloaded = new AnswerHistory(testHistoryPath);
+      const answers = await reloaded.load();
+
+      expect(answers).toHaveLength(1);
+      expect(answers[0]).toMatchObject({
+        questionId: 'q1',
+        sourceDocument: '/docs/biology.pdf',
+        concept: 'mitochondria',
+        chosenAnswer: 'ribosome',
+        correct: false,
+        responseTimeMs: 4211
+      });
+      expect(answers[0].answeredAt).toBeDefined();
+    });
+
+    it('should require a question id', async () => {
+      await expect(answerHistory.recordAnswer({ correct: true })).rejects.toThrow('questionId is required');
+    });
+
+    it('should drop the oldest answers past maxEntries', async () => {
+      const small = new AnswerHistory(testHistoryPath, { maxEntries: 2 });
+      await small.load();
+
+      await small.recordAnswer({ questionId: 'q1', correct: true });
+      await small.recordAnswer({ questionId: 'q2', correct: true });
+      await small.recordAnswer({ questionId: 'q3', correct: true });
+
+      expect(small.getAnswers().map(answer => answer.questionId)).toEqual(['q2', 'q3']);
+    });
+  });
+
+  describe('analytics', () => {
+    beforeEach(async () => {
+      await answerHistory.load();
+      const record = (questionId, sourceDocument, concept, correct, answeredAt, responseTimeMs) =>
+        answerHistory.recordAnswer({ questionId, sourceDocument, concept, correct, answeredAt, responseTimeMs });
+
+      await record('q1', '/docs/a.pdf', 'Osmosis', false, '2025-11-10T10:00:00', 3000);
+      await record('q2', '/docs/a.pdf', 'osmosis', false, '2025-11-11T10:00:00', 5000);
+      await record('q3', '/docs/a.pdf', 'Diffusion', true, '2025-11-11T11:00:00');
+      await record('q4', '/docs/b.pdf', 'Enzyme', true, '2025-11-12T10:00:00', 2000);
+      await record('q5', '/docs/b.pdf', 'Enzyme', false, '2025-11-12T11:00:00', 4000);
+    });
+
+    it('should filter answers by time range', () => {
+      const answers = answerHistory.getAnswers({
+        from: '2025-11-11T00:00:00',
+        to: '2025-11-11T23:59:59'
+      });
+
+      expect(answers.map(answer => answer.questionId)).toEqual(['q2', 'q3']);
+    });
+
+    it('should report accuracy by document, weakest first', () => {
+      const documents = answerHistory.getAccuracyByDocument();
+
+      expect(documents).toEqual([
+        { sourceDocument: '/docs/a.pdf', answered: 3, correct: 1, accuracy: 33, averageResponseTimeMs: 4000 },
+        { sourceDocument: '/docs/b.pdf', answered: 2, correct: 1, accuracy: 50, averageResponseTimeMs: 3000 }
+      ]);
+    });
+
+    it('should rank most missed concepts case-insensitively', () => {
+      const concepts = answerHistory.getMostMissedConcepts();
+
+      expect(concepts.map(concept => concept.concept)).toEqual(['Osmosis', 'Enzyme']);
+      expect(concepts[0]).toMatchObject({ missed: 2, answered: 2, accuracy: 0 });
+    });
+
+    it('should limit the number of missed concepts', () => {
+      expect(answerHistory.getMostMissedConcepts(1)).toHaveLength(1);
+    });
+
+    it('should build a daily trend including empty days', () => {
+      const trend = answerHistory.getDailyTrend(4, new Date('2025-11-13T12:00:00'));
+
+      expect(trend).toEqual([
+        { date: '2025-11-10', answered: 1, correct: 0, accuracy: 0 },
+        { date: '2025-11-11', answered: 2, correct: 1, accuracy: 50 },
+        { date: '2025-11-12', answered: 2, correct: 1, accuracy: 50 },
+        { date: '2025-11-13', answered: 0, correct: 0, accuracy: null }
+      ]);
+    });
+  });
+});
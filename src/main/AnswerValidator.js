@@ -2,9 +2,9 @@
  * @typedef {Object} Question
  * @property {string} id - Unique question identifier
  * @property {string} text - The question text
- * @property {string} type - Question type ('multiple-choice')
- * @property {string[]} options - Array of answer options
- * @property {number} correctAnswer - Index of correct answer
+ * @property {'multiple-choice'|'text'} type - Question type
+ * @property {string[]} [options] - Array of answer options (multiple-choice only)
+ * @property {number|string} correctAnswer - Index of correct answer, or the answer text for text questions
  * @property {string} explanation - Explanation of the correct answer
  * @property {string} sourceDocument - Path to source document
  */
@@ -16,8 +16,21 @@
  * @property {string} correctAnswer - The correct answer text
  * @property {string} userAnswer - The user's answer text
  * @property {string} explanation - Explanation from the question
+ * @property {number} [similarity] - How close a typed answer was, from 0 to 1 (text questions only)
  */
 
+/**
+ * @typedef {Object} TextMatch
+ * @property {boolean} isMatch - Whether the typed answer is accepted
+ * @property {boolean} exact - Whether the answer matched without any typos
+ * @property {number} similarity - How close the answer was, from 0 (unrelated) to 1 (identical)
+ * @property {number} distance - Number of single-character edits between the normalized answers
+ * @property {boolean} empty - Whether nothing was typed
+ */
+
+// Words ignored at the start of a typed answer ("the mitochondria" === "mitochondria")
+const ARTICLES = new Set(['a', 'an', 'the']);
+
 /**
  * Validates answers and generates feedback for educational questions
  */
@@ -109,19 +122,206 @@ class AnswerValidator {
     };
   }
 
+  /**
+   * Normalize a typed answer for comparison
+   * Ignores case, accents, punctuation, leading articles and plural endings
+   * Letters and digits of any script are kept
+   * @param {string} answer - Raw answer text
+   * @param {boolean} [singularize] - Whether to reduce plural words to their singular (default: true)
+   * @returns {string} - Normalized answer
+   */
+  normalizeTextAnswer(answer, singularize = true) {
+    const words = String(answer === undefined || answer === null ? '' : answer)
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      // Marks stay, so scripts such as Japanese and Hindi keep their vowel and voicing signs
+      .replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' ')
+      .split(/\s+/)
+      .filter(word => word.length > 0);
+
+    while (words.length > 1 && ARTICLES.has(words[0])) {
+      words.shift();
+    }
+
+    return (singularize ? words.map(word => this._singularize(word)) : words).join(' ');
+  }
+
+  /**
+   * Reduce a plural English word to its singular form
+   * @param {string} word - Lowercase word
+   * @returns {string} - Singular form (unchanged if not recognised as plural)
+   * @private
+   */
+  _singularize(word) {
+    if (word.length <= 3) {
+      return word;
+    }
+    if (word.endsWith('ies')) {
+      return `${word.slice(0, -3)}y`;
+    }
+    if (/(ss|x|z|ch|sh)es$/.test(word)) {
+      return word.slice(0, -2);
+    }
+    if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) {
+      return word.slice(0, -1);
+    }
+    return word;
+  }
+
+  /**
+   * Count the single-character edits (insert, delete, substitute) between two strings
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @returns {number} - Levenshtein distance
+   */
+  levenshteinDistance(a, b) {
+    if (a === b) {
+      return 0;
+    }
+    if (a.length === 0) {
+      return b.length;
+    }
+    if (b.length === 0) {
+      return a.length;
+    }
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(current[j - 1] + 1, previous[j] + 1, previous[j - 1] + cost);
+      }
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  /**
+   * Compare a typed answer against the correct answer, tolerating small typos
+   * Allows one typo per five characters of the correct answer (none for very short answers)
+   * Answers are compared with and without plural endings, so a typo that happens to end in
+   * "s" (e.g. "glas" for "glass") is not pushed further away by singularizing it
+   * @param {string} userAnswer - The user's typed answer
+   * @param {string} correctAnswer - The correct answer text
+   * @returns {TextMatch} - Match result
+   */
+  matchTextAnswer(userAnswer, correctAnswer) {
+    const empty = String(userAnswer === undefined || userAnswer === null ? '' : userAnswer).trim().length === 0;
+    const submitted = this.normalizeTextAnswer(userAnswer);
+    const expected = this.normalizeTextAnswer(correctAnswer);
+
+    if (submitted.length === 0 || expected.length === 0) {
+      return { isMatch: false, exact: false, similarity: 0, distance: expected.length, empty };
+    }
+
+    // Both sides are compared the same way: both singularized, or both as typed
+    const literalSubmitted = this.normalizeTextAnswer(userAnswer, false);
+    const literalExpected = this.normalizeTextAnswer(correctAnswer, false);
+    const singularDistance = this.levenshteinDistance(submitted, expected);
+    const literalDistance = this.levenshteinDistance(literalSubmitted, literalExpected);
+    const [distance, length, expectedLength] = literalDistance < singularDistance
+      ? [literalDistance, Math.max(literalSubmitted.length, literalExpected.length), literalExpected.length]
+      : [singularDistance, Math.max(submitted.length, expected.length), expected.length];
+
+    const similarity = 1 - distance / length;
+    const allowedTypos = Math.min(Math.floor(expectedLength / 5), 3);
+
+    return {
+      isMatch: distance <= allowedTypos,
+      exact: distance === 0,
+      similarity: Math.round(similarity * 100) / 100,
+      distance,
+      empty
+    };
+  }
+
+  /**
+   * Describe how close a typed answer was, for feedback
+   * @param {TextMatch} match - Result from matchTextAnswer
+   * @returns {string} - Human readable closeness message
+   */
+  describeCloseness(match) {
+    if (match.exact) {
+      return 'Spot on!';
+    }
+
+    const percent = Math.round(match.similarity * 100);
+
+    if (match.isMatch) {
+      const typos = match.distance === 1 ? '1 typo' : `${match.distance} typos`;
+      return `Accepted with ${typos} - ${percent}% match.`;
+    }
+    if (match.similarity >= 0.6) {
+      return `So close! Your answer was a ${percent}% match.`;
+    }
+    if (match.empty) {
+      return 'No answer was given.';
+    }
+    return `Your answer was a ${percent}% match.`;
+  }
+
+  /**
+   * Validate a typed (free-text) answer
+   * @param {Question} question - The question being answered
+   * @param {string} userAnswer - The user's typed answer
+   * @returns {ValidationResult} - Validation result with feedback and similarity
+   */
+  validateText(question, userAnswer) {
+    if (!question) {
+      throw new Error('Question is required for validation');
+    }
+
+    if (question.type !== 'text') {
+      throw new Error(`Unsupported question type: ${question.type}`);
+    }
+
+    if (typeof question.correctAnswer !== 'string' || question.correctAnswer.trim().length === 0) {
+      throw new Error('Question must have a correctAnswer string');
+    }
+
+    if (typeof userAnswer !== 'string') {
+      throw new Error('User answer must be a string');
+    }
+
+    const match = this.matchTextAnswer(userAnswer, question.correctAnswer);
+    const userAnswerText = userAnswer.trim();
+
+    let feedback = this.generateFeedback(
+      match.isMatch,
+      question.correctAnswer,
+      userAnswerText,
+      question.explanation,
+      'You answered'
+    );
+    feedback += `\n\n${this.describeCloseness(match)}`;
+
+    return {
+      isCorrect: match.isMatch,
+      feedback,
+      correctAnswer: question.correctAnswer,
+      userAnswer: userAnswerText,
+      explanation: question.explanation || '',
+      similarity: match.similarity
+    };
+  }
+
   /**
    * Generate feedback message based on answer correctness
    * @param {boolean} isCorrect - Whether the answer is correct
    * @param {string} correctAnswer - The correct answer text
    * @param {string} userAnswer - The user's answer text
    * @param {string} explanation - Explanation from the question
+   * @param {string} [answerLabel] - Label for the user's answer (default: 'You selected')
    * @returns {string} - Formatted feedback message
    */
-  generateFeedback(isCorrect, correctAnswer, userAnswer, explanation) {
+  generateFeedback(isCorrect, correctAnswer, userAnswer, explanation, answerLabel) {
     if (isCorrect) {
       return this.generatePositiveFeedback(correctAnswer);
     } else {
-      return this.generateCorrectiveFeedback(correctAnswer, userAnswer, explanation);
+      return this.generateCorrectiveFeedback(correctAnswer, userAnswer, explanation, answerLabel);
     }
   }
 
@@ -143,16 +343,17 @@ class AnswerValidator {
    * @param {string} correctAnswer - The correct answer text
    * @param {string} userAnswer - The user's answer text
    * @param {string} explanation - Explanation from the question
+   * @param {string} [answerLabel] - Label for the user's answer (default: 'You selected')
    * @returns {string} - Corrective feedback message with explanation
    */
-  generateCorrectiveFeedback(correctAnswer, userAnswer, explanation) {
+  generateCorrectiveFeedback(correctAnswer, userAnswer, explanation, answerLabel = 'You selected') {
     // Select a random encouraging message
     const randomIndex = Math.floor(Math.random() * this.encouragingMessages.length);
     const encouragingMessage = this.encouragingMessages[randomIndex];
 
     // Build feedback message
     let feedback = `${encouragingMessage}\n\n`;
-    feedback += `You selected: "${userAnswer}"\n`;
+    feedback += `${answerLabel}: "${userAnswer}"\n`;
     feedback += `The correct answer is: "${correctAnswer}"\n\n`;
 
     // Add explanation if available
@@ -166,11 +367,22 @@ class AnswerValidator {
   /**
    * Validate answer and return simplified result (for IPC communication)
    * @param {Question} question - The question being answered
-   * @param {number} userAnswerIndex - Index of the user's selected answer
+   * @param {number|string} userAnswer - Selected answer index, or typed answer for text questions
    * @returns {Object} - Simplified validation result
    */
-  validate(question, userAnswerIndex) {
-    const result = this.validateMultipleChoice(question, userAnswerIndex);
+  validate(question, userAnswer) {
+    if (question && question.type === 'text') {
+      const result = this.validateText(question, userAnswer);
+
+      return {
+        isCorrect: result.isCorrect,
+        feedback: result.feedback,
+        correctAnswer: result.correctAnswer,
+        similarity: result.similarity
+      };
+    }
+
+    const result = this.validateMultipleChoice(question, userAnswer);
     
     return {
       isCorrect: result.isCorrect,
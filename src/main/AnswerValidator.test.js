@@ -325,6 +325,184 @@ describe('AnswerValidator', () => {
     });
   });
 
+  describe('Typed answers', () => {
+    let textQuestion;
+
+    beforeEach(() => {
+      textQuestion = {
+        id: 'test-q-text',
+        text: 'Fill in the blank: The ______ is the powerhouse of the cell.',
+        type: 'text',
+        correctAnswer: 'Mitochondria',
+        explanation: 'Mitochondria produce most of the cell\'s energy.',
+        sourceDocument: '/path/to/biology.pdf'
+      };
+    });
+
+    describe('normalizeTextAnswer', () => {
+      it('should ignore case, punctuation and surrounding whitespace', () => {
+        expect(validator.normalizeTextAnswer('  Mitochondria! ')).toBe('mitochondria');
+      });
+
+      it('should strip leading articles', () => {
+        expect(validator.normalizeTextAnswer('The nucleus')).toBe('nucleus');
+        expect(validator.normalizeTextAnswer('an enzyme')).toBe('enzyme');
+        expect(validator.normalizeTextAnswer('a cell')).toBe('cell');
+      });
+
+      it('should keep a lone article', () => {
+        expect(validator.normalizeTextAnswer('A')).toBe('a');
+      });
+
+      it('should reduce plurals to singular', () => {
+        expect(validator.normalizeTextAnswer('cells')).toBe('cell');
+        expect(validator.normalizeTextAnswer('enzymes')).toBe('enzyme');
+        expect(validator.normalizeTextAnswer('theories')).toBe('theory');
+        expect(validator.normalizeTextAnswer('boxes')).toBe('box');
+      });
+
+      it('should not strip endings that are not plurals', () => {
+        expect(validator.normalizeTextAnswer('process')).toBe('process');
+        expect(validator.normalizeTextAnswer('analysis')).toBe('analysis');
+        expect(validator.normalizeTextAnswer('virus')).toBe('virus');
+      });
+
+      it('should remove accents', () => {
+        expect(validator.normalizeTextAnswer('Café')).toBe('cafe');
+        expect(validator.normalizeTextAnswer('光合成。')).toBe('光合成');
+        expect(validator.normalizeTextAnswer('Митохондрия!')).toBe('митохондрия');
+      });
+
+      it('should handle empty input', () => {
+        expect(validator.normalizeTextAnswer('')).toBe('');
+        expect(validator.normalizeTextAnswer(null)).toBe('');
+        expect(validator.normalizeTextAnswer(undefined)).toBe('');
+      });
+    });
+
+    describe('levenshteinDistance', () => {
+      it('should count single-character edits', () => {
+        expect(validator.levenshteinDistance('kitten', 'sitting')).toBe(3);
+        expect(validator.levenshteinDistance('same', 'same')).toBe(0);
+        expect(validator.levenshteinDistance('', 'abc')).toBe(3);
+        expect(validator.levenshteinDistance('abc', '')).toBe(3);
+      });
+    });
+
+    describe('matchTextAnswer', () => {
+      it('should accept exact answers regardless of case', () => {
+        const match = validator.matchTextAnswer('mitochondria', 'Mitochondria');
+
+        expect(match.isMatch).toBe(true);
+        expect(match.exact).toBe(true);
+        expect(match.similarity).toBe(1);
+      });
+
+      it('should accept answers with small typos', () => {
+        const match = validator.matchTextAnswer('mitocondria', 'Mitochondria');
+
+        expect(match.isMatch).toBe(true);
+        expect(match.exact).toBe(false);
+        expect(match.distance).toBe(1);
+      });
+
+      it('should accept plurals and articles', () => {
+        expect(validator.matchTextAnswer('the enzymes', 'Enzyme').isMatch).toBe(true);
+        expect(validator.matchTextAnswer('a ribosome', 'Ribosomes').isMatch).toBe(true);
+      });
+
+      it('should reject answers with too many typos', () => {
+        const match = validator.matchTextAnswer('mitosis', 'Mitochondria');
+
+        expect(match.isMatch).toBe(false);
+        expect(match.similarity).toBeLessThan(1);
+      });
+
+      it('should match answers in non-Latin scripts', () => {
+        expect(validator.matchTextAnswer('光合成', '光合成')).toMatchObject({ isMatch: true, exact: true });
+        expect(validator.matchTextAnswer('μιτοχόνδριο', 'Μιτοχόνδριο').isMatch).toBe(true);
+        expect(validator.matchTextAnswer('がっこう', 'かっこう').isMatch).toBe(false);
+      });
+
+      it('should not let singularizing turn a one-letter typo into two', () => {
+        const match = validator.matchTextAnswer('glas', 'glass');
+
+        expect(match.isMatch).toBe(true);
+        expect(match.distance).toBe(1);
+      });
+
+      it('should not tolerate typos in very short answers', () => {
+        expect(validator.matchTextAnswer('cat', 'Car').isMatch).toBe(false);
+      });
+
+      it('should reject empty answers', () => {
+        const match = validator.matchTextAnswer('   ', 'Mitochondria');
+
+        expect(match.isMatch).toBe(false);
+        expect(match.similarity).toBe(0);
+      });
+    });
+
+    describe('describeCloseness', () => {
+      it('should describe exact and near matches', () => {
+        expect(validator.describeCloseness(validator.matchTextAnswer('Mitochondria', 'Mitochondria')))
+          .toBe('Spot on!');
+        expect(validator.describeCloseness(validator.matchTextAnswer('mitocondria', 'Mitochondria')))
+          .toContain('1 typo');
+      });
+
+      it('should report a percentage for wrong answers', () => {
+        const closeness = validator.describeCloseness(validator.matchTextAnswer('mitochondrial dna', 'Mitochondria'));
+
+        expect(closeness).toMatch(/\d+% match/);
+      });
+
+      it('should only say no answer was given for an empty answer', () => {
+        expect(validator.describeCloseness(validator.matchTextAnswer('  ', 'Mitochondria'))).toBe('No answer was given.');
+        expect(validator.describeCloseness(validator.matchTextAnswer('xyz', 'Mitochondria'))).toBe('Your answer was a 0% match.');
+        expect(validator.describeCloseness(validator.matchTextAnswer('?!', 'Mitochondria'))).toBe('Your answer was a 0% match.');
+      });
+    });
+
+    describe('validateText', () => {
+      it('should validate a correct typed answer', () => {
+        const result = validator.validateText(textQuestion, 'the mitochondria');
+
+        expect(result.isCorrect).toBe(true);
+        expect(result.correctAnswer).toBe('Mitochondria');
+        expect(result.userAnswer).toBe('the mitochondria');
+        expect(result.similarity).toBe(1);
+      });
+
+      it('should include the typed answer and closeness in corrective feedback', () => {
+        const result = validator.validateText(textQuestion, 'Chloroplast');
+
+        expect(result.isCorrect).toBe(false);
+        expect(result.feedback).toContain('You answered: "Chloroplast"');
+        expect(result.feedback).toContain('Mitochondria');
+        expect(result.feedback).toMatch(/\d+% match/);
+      });
+
+      it('should throw for invalid input', () => {
+        expect(() => validator.validateText(null, 'answer')).toThrow('Question is required');
+        expect(() => validator.validateText(sampleQuestion, 'answer')).toThrow('Unsupported question type');
+        expect(() => validator.validateText(textQuestion, 1)).toThrow('User answer must be a string');
+        expect(() => validator.validateText({ ...textQuestion, correctAnswer: '' }, 'answer'))
+          .toThrow('Question must have a correctAnswer string');
+      });
+    });
+
+    describe('validate', () => {
+      it('should dispatch text questions to validateText', () => {
+        const result = validator.validate(textQuestion, 'mitocondria');
+
+        expect(result.isCorrect).toBe(true);
+        expect(result.correctAnswer).toBe('Mitochondria');
+        expect(result.similarity).toBeGreaterThan(0.9);
+      });
+    });
+  });
+
   describe('getRandomPositiveMessage', () => {
     it('should return a positive message', () => {
       const message = validator.getRandomPositiveMessage();
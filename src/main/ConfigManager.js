@@ -6,9 +6,17 @@ const { app } = require('electron');
  * @typedef {Object} Config
  * @property {string} version - Configuration version
  * @property {number} interval - Time interval in minutes (5-120)
- * @property {string[]} documents - Array of document file paths
+ * @property {Array<string|DocumentEntry>} documents - Document file paths, or paths with the pages or sections to study
+ * @property {WatchedFolder[]} watchedFolders - Folders whose supported files are studied
  * @property {boolean} audioEnabled - Whether audio is enabled
  * @property {'easy'|'medium'|'hard'} difficulty - Question difficulty level
+ * @property {'multiple-choice'|'text'|'mixed'} questionMode - Which question types are generated
+ * @property {number} sessionBoundaryHour - Hour (0-23) at which a new study day starts
+ * @property {number} deckWeight - Percent chance (0-100) of asking a deck question over a generated one
+ * @property {boolean} pauseOnSleep - Pause the timer while the system is asleep
+ * @property {boolean} pauseOnLock - Pause the timer while the screen is locked
+ * @property {boolean} pauseOnIdle - Pause the timer while the user is idle
+ * @property {number} idleThresholdMinutes - Minutes without input (1-60) before the user counts as idle
  * @property {'halloween'|'dark'} theme - UI theme
  * @property {string} lastRun - ISO timestamp of last run
  */
@@ -45,8 +53,16 @@ class ConfigManager {
       version: '1.0.0',
       interval: 30,
       documents: [],
+      watchedFolders: [],
       audioEnabled: true,
       difficulty: 'medium',
+      questionMode: 'multiple-choice',
+      sessionBoundaryHour: 0,
+      deckWeight: 50,
+      pauseOnSleep: true,
+      pauseOnLock: true,
+      pauseOnIdle: true,
+      idleThresholdMinutes: 5,
       theme: 'halloween',
       lastRun: new Date().toISOString()
     };
@@ -169,6 +185,32 @@ class ConfigManager {
     if (!Array.isArray(config.documents)) {
       throw new Error('Documents must be an array');
     }
+    config.documents.forEach(entry => {
+      if (typeof entry !== 'string' && (!entry || typeof entry.path !== 'string')) {
+        throw new Error('Each document must be a file path or have a path');
+      }
+    });
+
+    // Validate watched folders (optional for configs saved before they existed)
+    if (config.watchedFolders !== undefined) {
+      if (!Array.isArray(config.watchedFolders)) {
+        throw new Error('watchedFolders must be an array');
+      }
+      config.watchedFolders.forEach(folder => {
+        if (!folder || typeof folder.path !== 'string' || !folder.path.trim()) {
+          throw new Error('Each watched folder must have a path');
+        }
+        if (folder.recursive !== undefined && typeof folder.recursive !== 'boolean') {
+          throw new Error('Watched folder recursive must be a boolean');
+        }
+        ['include', 'exclude'].forEach(key => {
+          if (folder[key] !== undefined &&
+              (!Array.isArray(folder[key]) || folder[key].some(pattern => typeof pattern !== 'string'))) {
+            throw new Error(`Watched folder ${key} must be an array of strings`);
+          }
+        });
+      });
+    }
 
     // Validate audioEnabled
     if (typeof config.audioEnabled !== 'boolean') {
@@ -181,6 +223,36 @@ class ConfigManager {
       throw new Error('difficulty must be one of: easy, medium, hard');
     }
 
+    // Validate question mode (optional for configs saved before it existed)
+    const validQuestionModes = ['multiple-choice', 'text', 'mixed'];
+    if (config.questionMode !== undefined && !validQuestionModes.includes(config.questionMode)) {
+      throw new Error('questionMode must be one of: multiple-choice, text, mixed');
+    }
+
+    // Validate session boundary (optional for configs saved before it existed)
+    if (config.sessionBoundaryHour !== undefined &&
+        (!Number.isInteger(config.sessionBoundaryHour) || config.sessionBoundaryHour < 0 || config.sessionBoundaryHour > 23)) {
+      throw new Error('sessionBoundaryHour must be an integer between 0 and 23');
+    }
+
+    // Validate deck weight (optional for configs saved before it existed)
+    if (config.deckWeight !== undefined &&
+        (!Number.isInteger(config.deckWeight) || config.deckWeight < 0 || config.deckWeight > 100)) {
+      throw new Error('deckWeight must be an integer between 0 and 100');
+    }
+
+    // Validate pause policies (optional for configs saved before they existed)
+    ['pauseOnSleep', 'pauseOnLock', 'pauseOnIdle'].forEach(key => {
+      if (config[key] !== undefined && typeof config[key] !== 'boolean') {
+        throw new Error(`${key} must be a boolean`);
+      }
+    });
+
+    if (config.idleThresholdMinutes !== undefined &&
+        (!Number.isInteger(config.idleThresholdMinutes) || config.idleThresholdMinutes < 1 || config.idleThresholdMinutes > 60)) {
+      throw new Error('idleThresholdMinutes must be an integer between 1 and 60');
+    }
+
     // Validate theme
     const validThemes = ['halloween', 'dark'];
     if (!validThemes.includes(config.theme)) {
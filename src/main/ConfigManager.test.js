@@ -341,6 +341,25 @@ describe('ConfigManager', () => {
       );
     });
 
+    it('should accept documents with a selection and reject entries without a path', async () => {
+      const config = {
+        version: '1.0.0',
+        interval: 30,
+        documents: ['/test/notes.md', { path: '/test/book.pdf', selection: { pages: '1-40, 55' } }],
+        audioEnabled: true,
+        difficulty: 'medium',
+        theme: 'halloween',
+        lastRun: new Date().toISOString()
+      };
+
+      await expect(configManager.save(config)).resolves.not.toThrow();
+
+      config.documents = [{ selection: { pages: '1-40' } }];
+      await expect(configManager.save(config)).rejects.toThrow(
+        'Each document must be a file path or have a path'
+      );
+    });
+
     it('should reject non-boolean audioEnabled', async () => {
       const config = {
         version: '1.0.0',
@@ -373,6 +392,62 @@ describe('ConfigManager', () => {
       );
     });
 
+    it('should reject session boundary outside the day', async () => {
+      const config = {
+        version: '1.0.0',
+        interval: 30,
+        documents: [],
+        audioEnabled: true,
+        difficulty: 'medium',
+        sessionBoundaryHour: 24,
+        theme: 'halloween',
+        lastRun: new Date().toISOString()
+      };
+      
+      await expect(configManager.save(config)).rejects.toThrow(
+        'sessionBoundaryHour must be an integer between 0 and 23'
+      );
+    });
+
+    it('should reject deck weight outside 0-100', async () => {
+      const config = {
+        version: '1.0.0',
+        interval: 30,
+        documents: [],
+        audioEnabled: true,
+        difficulty: 'medium',
+        deckWeight: 150,
+        theme: 'halloween',
+        lastRun: new Date().toISOString()
+      };
+      
+      await expect(configManager.save(config)).rejects.toThrow(
+        'deckWeight must be an integer between 0 and 100'
+      );
+    });
+
+    it('should reject watched folders without a path or with invalid patterns', async () => {
+      const config = {
+        version: '1.0.0',
+        interval: 30,
+        documents: [],
+        watchedFolders: [{ path: '/notes', include: '*.pdf' }],
+        audioEnabled: true,
+        difficulty: 'medium',
+        theme: 'halloween',
+        lastRun: new Date().toISOString()
+      };
+
+      await expect(configManager.save(config)).rejects.toThrow(
+        'Watched folder include must be an array of strings'
+      );
+
+      config.watchedFolders = [{ recursive: true }];
+      await expect(configManager.save(config)).rejects.toThrow(
+        'Each watched folder must have a path'
+      );
+    });
+
     it('should reject invalid theme', async () => {
       const config = {
         version: '1.0.0',
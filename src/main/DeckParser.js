@@ -0,0 +1,192 @@
+const QuestionSerializer = require('./QuestionSerializer');
+
+/**
+ * @typedef {Object} DeckParseResult
+ * @property {string|null} title - Deck title, if the deck declares one
+ * @property {Question[]} questions - Questions that passed validation, in deck order
+ * @property {{entry: number, error: string}[]} invalid - Rejected entries (1-based) and why
+ */
+
+// Markdown deck line prefixes (case-insensitive)
+const QUESTION_PREFIX = /^q:\s*/i;
+const ANSWER_PREFIX = /^a:\s*/i;
+const EXPLANATION_PREFIX = /^e:\s*/i;
+const DIFFICULTY_PREFIX = /^difficulty:\s*/i;
+const OPTION_LINE = /^[-*]\s+\[([ xX])\]\s+(.*)$/;
+
+/**
+ * Parses hand-authored question decks
+ *
+ * JSON decks are an array of questions, or an object with an optional `title` and a
+ * `questions` array, using the same question shape as question bank exports.
+ *
+ * Markdown decks use one block per question:
+ *
+ *     # Deck title
+ *
+ *     Q: Which organelle produces most of a cell's ATP?
+ *     - [ ] Ribosome
+ *     - [x] Mitochondrion
+ *     E: Mitochondria carry out cellular respiration.
+ *
+ *     Q: Name the molecule that carries genetic information.
+ *     A: DNA
+ *     Difficulty: easy
+ *
+ * Checked boxes mark the correct option; an `A:` line makes a typed-answer question.
+ */
+class DeckParser {
+  constructor() {
+    this.serializer = new QuestionSerializer();
+  }
+
+  /**
+   * Parse and validate a deck
+   * @param {string} content - File contents
+   * @param {'.deck.json'|'.deck.md'} format - Deck format
+   * @returns {DeckParseResult}
+   */
+  parse(content, format) {
+    const text = String(content || '').replace(/^\uFEFF/, '');
+
+    switch (format) {
+      case '.deck.json':
+        return this.fromJSON(text);
+      case '.deck.md':
+        return this.fromMarkdown(text);
+      default:
+        throw new Error(`Unsupported deck format: ${format}`);
+    }
+  }
+
+  /**
+   * Parse a JSON deck
+   * @param {string} content - JSON text
+   * @returns {DeckParseResult}
+   */
+  fromJSON(content) {
+    let parsed;
+    try {
+      parsed = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+
+    const entries = Array.isArray(parsed) ? parsed : parsed && parsed.questions;
+    if (!Array.isArray(entries)) {
+      throw new Error('JSON deck must be an array of questions or an object with a "questions" array');
+    }
+
+    const title = !Array.isArray(parsed) && typeof parsed.title === 'string' && parsed.title.trim()
+      ? parsed.title.trim()
+      : null;
+
+    return { title, ...this._validateAll(entries) };
+  }
+
+  /**
+   * Parse a Markdown deck
+   * Lines before the first question other than the title heading are ignored
+   * @param {string} content - Markdown text
+   * @returns {DeckParseResult}
+   */
+  fromMarkdown(content) {
+    let title = null;
+    const entries = [];
+    let current = null;
+
+    content.split(/\r?\n/).forEach(rawLine => {
+      const line = rawLine.trim();
+      if (!line) {
+        return;
+      }
+
+      if (QUESTION_PREFIX.test(line)) {
+        current = { text: line.replace(QUESTION_PREFIX, ''), options: [], correctOptions: [] };
+        entries.push(current);
+        return;
+      }
+
+      if (!current) {
+        const heading = line.match(/^#\s+(.*)$/);
+        if (heading && title === null) {
+          title = heading[1].trim();
+        }
+        return;
+      }
+
+      const option = line.match(OPTION_LINE);
+      if (option) {
+        if (option[1].toLowerCase() === 'x') {
+          current.correctOptions.push(current.options.length);
+        }
+        current.options.push(option[2].trim());
+      } else if (ANSWER_PREFIX.test(line)) {
+        current.answer = line.replace(ANSWER_PREFIX, '');
+      } else if (EXPLANATION_PREFIX.test(line)) {
+        current.explanation = line.replace(EXPLANATION_PREFIX, '');
+      } else if (DIFFICULTY_PREFIX.test(line)) {
+        current.difficulty = line.replace(DIFFICULTY_PREFIX, '').toLowerCase();
+      } else if (current.explanation !== undefined) {
+        current.explanation += ` ${line}`;
+      } else if (current.options.length === 0 && current.answer === undefined) {
+        // Question text can wrap onto following lines
+        current.text += ` ${line}`;
+      }
+    });
+
+    return { title, ...this._validateAll(entries, entry => this._fromMarkdownEntry(entry)) };
+  }
+
+  /**
+   * Build a candidate question from a parsed Markdown block
+   * @private
+   * @param {Object} entry - Parsed block
+   * @returns {Object} - Candidate question
+   * @throws {Error} If a multiple-choice block doesn't mark exactly one correct option
+   */
+  _fromMarkdownEntry(entry) {
+    const candidate = {
+      text: entry.text,
+      explanation: entry.explanation,
+      difficulty: entry.difficulty
+    };
+
+    if (entry.options.length > 0) {
+      if (entry.correctOptions.length !== 1) {
+        throw new Error('Mark exactly one option as correct with [x]');
+      }
+      candidate.type = 'multiple-choice';
+      candidate.options = entry.options;
+      candidate.correctAnswer = entry.correctOptions[0];
+    } else {
+      candidate.type = 'text';
+      candidate.correctAnswer = entry.answer;
+    }
+
+    return candidate;
+  }
+
+  /**
+   * Validate entries, collecting the valid questions and the reasons others were rejected
+   * @private
+   * @param {Object[]} entries - Deck entries
+   * @param {Function} [toCandidate] - Converts an entry into a candidate question
+   * @returns {{questions: Question[], invalid: {entry: number, error: string}[]}}
+   */
+  _validateAll(entries, toCandidate = entry => entry) {
+    const result = { questions: [], invalid: [] };
+
+    entries.forEach((entry, index) => {
+      try {
+        result.questions.push(this.serializer.validateQuestion(toCandidate(entry)));
+      } catch (error) {
+        result.invalid.push({ entry: index + 1, error: error.message });
+      }
+    });
+
+    return result;
+  }
+}
+
+module.exports = DeckParser;
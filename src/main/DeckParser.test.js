@@ -0,0 +1,105 @@
+const DeckParser = require('./DeckParser');
+
+describe('DeckParser', () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new DeckParser();
+  });
+
+  describe('fromMarkdown', () => {
+    it('should parse multiple-choice and typed-answer questions', () => {
+      const result = parser.parse([
+        '# Cell Biology',
+        '',
+        'Some notes about this deck.',
+        '',
+        'Q: Which organelle produces most of a cell\'s ATP?',
+        '- [ ] Ribosome',
+        '- [x] Mitochondrion',
+        '- [ ] Golgi apparatus',
+        'E: Mitochondria carry out cellular respiration.',
+        '',
+        'Q: Name the molecule that carries',
+        'genetic information.',
+        'A: DNA',
+        'Difficulty: Easy'
+      ].join('\n'), '.deck.md');
+
+      expect(result.title).toBe('Cell Biology');
+      expect(result.invalid).toEqual([]);
+      expect(result.questions).toHaveLength(2);
+      expect(result.questions[0]).toMatchObject({
+        text: 'Which organelle produces most of a cell\'s ATP?',
+        type: 'multiple-choice',
+        options: ['Ribosome', 'Mitochondrion', 'Golgi apparatus'],
+        correctAnswer: 1,
+        explanation: 'Mitochondria carry out cellular respiration.'
+      });
+      expect(result.questions[1]).toMatchObject({
+        text: 'Name the molecule that carries genetic information.',
+        type: 'text',
+        correctAnswer: 'DNA',
+        difficulty: 'easy'
+      });
+    });
+
+    it('should reject blocks without exactly one correct option', () => {
+      const result = parser.fromMarkdown([
+        'Q: Pick one',
+        '- [x] A',
+        '- [x] B',
+        '',
+        'Q: No answer here'
+      ].join('\n'));
+
+      expect(result.questions).toEqual([]);
+      expect(result.invalid).toEqual([
+        { entry: 1, error: 'Mark exactly one option as correct with [x]' },
+        { entry: 2, error: 'Typed-answer questions need a correct answer' }
+      ]);
+    });
+
+    it('should accept Windows line endings and a byte order mark', () => {
+      const result = parser.parse('\uFEFFQ: Capital of France?\r\nA: Paris\r\n', '.deck.md');
+
+      expect(result.questions[0]).toMatchObject({ text: 'Capital of France?', correctAnswer: 'Paris' });
+    });
+  });
+
+  describe('fromJSON', () => {
+    it('should read a titled deck', () => {
+      const result = parser.parse(JSON.stringify({
+        title: 'Capitals',
+        questions: [
+          { id: 'fr', text: 'Capital of France?', options: ['Paris', 'Lyon'], correctAnswer: 0 },
+          { text: 'Capital of Spain?', type: 'text', correctAnswer: 'Madrid' }
+        ]
+      }), '.deck.json');
+
+      expect(result.title).toBe('Capitals');
+      expect(result.questions.map(q => q.id)).toEqual(['fr', null]);
+      expect(result.questions[0].type).toBe('multiple-choice');
+    });
+
+    it('should read a plain array and report invalid entries', () => {
+      const result = parser.fromJSON(JSON.stringify([
+        { text: 'Capital of Italy?', correctAnswer: 'Rome' },
+        { text: 'Broken', options: ['A', 'B'], correctAnswer: 5 }
+      ]));
+
+      expect(result.title).toBeNull();
+      expect(result.questions).toHaveLength(1);
+      expect(result.invalid[0].entry).toBe(2);
+    });
+
+    it('should reject malformed JSON', () => {
+      expect(() => parser.fromJSON('{')).toThrow('Invalid JSON');
+      expect(() => parser.fromJSON('{"title": "x"}')).toThrow('"questions" array');
+    });
+  });
+
+  it('should reject unknown deck formats', () => {
+    expect(() => parser.parse('', '.deck.yaml')).toThrow('Unsupported deck format');
+  });
+});
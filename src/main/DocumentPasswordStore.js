@@ -0,0 +1,158 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { app, safeStorage } = require('electron');
+
+/**
+ * @typedef {Object} SafeStorage
+ * @property {function(): boolean} isEncryptionAvailable - Whether the OS keychain can encrypt
+ * @property {function(string): Buffer} encryptString - Encrypt a string with the OS keychain
+ * @property {function(Buffer): string} decryptString - Decrypt a string encrypted by encryptString
+ */
+
+/**
+ * Remembers the passwords of password-protected documents
+ *
+ * Passwords are encrypted with Electron safeStorage, which uses the OS keychain, and saved by
+ * document path. Where the OS cannot encrypt them, passwords are only kept in memory until the
+ * app quits, so they are never written to disk in plain text.
+ */
+class DocumentPasswordStore {
+  /**
+   * @param {string} [storePath] - Optional custom password file path
+   * @param {Object} [options] - Configuration options
+   * @param {SafeStorage} [options.safeStorage] - Encryption to use (default: Electron safeStorage)
+   */
+  constructor(storePath = null, options = {}) {
+    this.storePath = storePath || this._getDefaultStorePath();
+    this.safeStorage = options.safeStorage || safeStorage || null;
+    this.encrypted = null;
+    this.sessionPasswords = new Map();
+  }
+
+  /**
+   * Get the default password file path in user data directory
+   * @private
+   * @returns {string}
+   */
+  _getDefaultStorePath() {
+    const userDataPath = app ? app.getPath('userData') : './data';
+    return path.join(userDataPath, 'document-passwords.json');
+  }
+
+  /**
+   * Check whether passwords can be encrypted and saved between runs
+   * @returns {boolean}
+   */
+  canSave() {
+    try {
+      return Boolean(this.safeStorage && this.safeStorage.isEncryptionAvailable());
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Get the password of a document
+   * @param {string} documentPath - Path to the document
+   * @returns {Promise<string|null>} - The password, or null if none is known or it cannot be decrypted
+   */
+  async get(documentPath) {
+    const key = path.resolve(documentPath);
+    if (this.sessionPasswords.has(key)) {
+      return this.sessionPasswords.get(key);
+    }
+
+    const encrypted = (await this._load())[key];
+    if (!encrypted || !this.canSave()) {
+      return null;
+    }
+    try {
+      return this.safeStorage.decryptString(Buffer.from(encrypted, 'base64'));
+    } catch (error) {
+      // Encrypted under another OS account or keychain; the password is asked for again
+      console.warn('Failed to decrypt document password:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Remember the password of a document
+   * @param {string} documentPath - Path to the document
+   * @param {string} password - The document's password
+   * @returns {Promise<boolean>} - True if it was saved, false if it is only kept until the app quits
+   */
+  async set(documentPath, password) {
+    const key = path.resolve(documentPath);
+    const encrypted = await this._load();
+
+    if (!this.canSave()) {
+      this.sessionPasswords.set(key, password);
+      if (encrypted[key]) {
+        delete encrypted[key];
+        await this._save();
+      }
+      return false;
+    }
+
+    this.sessionPasswords.delete(key);
+    encrypted[key] = this.safeStorage.encryptString(password).toString('base64');
+    await this._save();
+    return true;
+  }
+
+  /**
+   * Forget the password of a document
+   * @param {string} documentPath - Path to the document
+   * @returns {Promise<boolean>} - True if a password was known
+   */
+  async remove(documentPath) {
+    const key = path.resolve(documentPath);
+    const encrypted = await this._load();
+    const known = this.sessionPasswords.delete(key) || Boolean(encrypted[key]);
+
+    if (encrypted[key]) {
+      delete encrypted[key];
+      await this._save();
+    }
+    return known;
+  }
+
+  /**
+   * Load the encrypted passwords from disk
+   * Starts empty if the file doesn't exist or cannot be read
+   * @private
+   * @returns {Promise<Object<string, string>>} - Base64-encoded encrypted passwords by document path
+   */
+  async _load() {
+    if (this.encrypted) {
+      return this.encrypted;
+    }
+
+    try {
+      const parsed = JSON.parse(await fs.readFile(this.storePath, 'utf8'));
+      this.encrypted = parsed.passwords && typeof parsed.passwords === 'object' ? parsed.passwords : {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('Failed to load document passwords:', error.message);
+      }
+      this.encrypted = {};
+    }
+    return this.encrypted;
+  }
+
+  /**
+   * Save the encrypted passwords to disk
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _save() {
+    try {
+      await fs.mkdir(path.dirname(this.storePath), { recursive: true });
+      await fs.writeFile(this.storePath, JSON.stringify({ passwords: this.encrypted }, null, 2), 'utf8');
+    } catch (error) {
+      throw new Error(`Failed to save document passwords: ${error.message}`);
+    }
+  }
+}
+
+module.exports = DocumentPasswordStore;
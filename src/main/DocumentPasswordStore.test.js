@@ -0,0 +1,69 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const DocumentPasswordStore = require('./DocumentPasswordStore');
+
+describe('DocumentPasswordStore', () => {
+  let tempDir;
+  let storePath;
+  let safeStorage;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'document-passwords-'));
+    storePath = path.join(tempDir, 'document-passwords.json');
+    safeStorage = {
+      isEncryptionAvailable: () => true,
+      encryptString: (text) => Buffer.from(text, 'utf8').reverse(),
+      decryptString: (buffer) => Buffer.from(buffer).reverse().toString('utf8')
+    };
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should save encrypted passwords between runs', async () => {
+    const store = new DocumentPasswordStore(storePath, { safeStorage });
+
+    expect(await store.get('/docs/biology.pdf')).toBeNull();
+    expect(await store.set('/docs/biology.pdf', 'mitochondria')).toBe(true);
+
+    const saved = await fs.readFile(storePath, 'utf8');
+    expect(saved).not.toContain('mitochondria');
+
+    const reloaded = new DocumentPasswordStore(storePath, { safeStorage });
+    expect(await reloaded.get('/docs/biology.pdf')).toBe('mitochondria');
+    expect(await reloaded.get('/docs/chemistry.pdf')).toBeNull();
+  });
+
+  it('should keep passwords in memory only when they cannot be encrypted', async () => {
+    safeStorage.isEncryptionAvailable = () => false;
+    const store = new DocumentPasswordStore(storePath, { safeStorage });
+
+    expect(store.canSave()).toBe(false);
+    expect(await store.set('/docs/biology.pdf', 'mitochondria')).toBe(false);
+    expect(await store.get('/docs/biology.pdf')).toBe('mitochondria');
+    await expect(fs.access(storePath)).rejects.toThrow();
+
+    const reloaded = new DocumentPasswordStore(storePath, { safeStorage });
+    expect(await reloaded.get('/docs/biology.pdf')).toBeNull();
+  });
+
+  it('should forget removed passwords', async () => {
+    const store = new DocumentPasswordStore(storePath, { safeStorage });
+    await store.set('/docs/biology.pdf', 'mitochondria');
+
+    expect(await store.remove('/docs/biology.pdf')).toBe(true);
+    expect(await store.remove('/docs/biology.pdf')).toBe(false);
+    expect(await new DocumentPasswordStore(storePath, { safeStorage }).get('/docs/biology.pdf')).toBeNull();
+  });
+
+  it('should ask again for passwords that cannot be decrypted', async () => {
+    await new DocumentPasswordStore(storePath, { safeStorage }).set('/docs/biology.pdf', 'mitochondria');
+    safeStorage.decryptString = () => { throw new Error('Error while decrypting the ciphertext provided to safeStorage.decryptString.'); };
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(await new DocumentPasswordStore(storePath, { safeStorage }).get('/docs/biology.pdf')).toBeNull();
+    warn.mockRestore();
+  });
+});
@@ -239,10 +239,11 @@ describe('DocumentProcessor - Integration Tests', () => {
       
       const result = await processor.processAllDocuments(filePaths);
 
-      // Empty file should still be processed (0 words)
-      expect(result.documents).toHaveLength(2);
-      expect(result.documents[0].metadata.wordCount).toBe(0);
-      expect(result.documents[1].metadata.wordCount).toBeGreaterThan(0);
+      // Empty files are reported, whether they were processed in a worker or not
+      expect(result.documents).toHaveLength(1);
+      expect(result.documents[0].metadata.wordCount).toBeGreaterThan(0);
+      expect(result.errors).toHaveLength(1);
+      expect(result.errors[0].userFriendlyError).toBe('File is empty and cannot be processed');
     });
 
     it('should include all document metadata', async () => {
@@ -1,11 +1,31 @@
 const fs = require('fs').promises;
 const path = require('path');
-const { Worker } = require('worker_threads');
-const { SUPPORTED_FORMATS } = require('../shared/constants');
-const pdfParse = require('pdf-parse');
+const { app } = require('electron');
+const { SUPPORTED_FORMATS, DECK_FORMATS, SUPPORTED_FORMATS_HINT } = require('../shared/constants');
 const mammoth = require('mammoth');
 const MarkdownIt = require('markdown-it');
 const ErrorLogger = require('./ErrorLogger');
+const DeckParser = require('./DeckParser');
+const EpubParser = require('./EpubParser');
+const SlideParser = require('./SlideParser');
+const HtmlParser = require('./HtmlParser');
+const NotebookParser = require('./NotebookParser');
+const LatexParser = require('./LatexParser');
+const SubtitleParser = require('./SubtitleParser');
+const GlossaryParser = require('./GlossaryParser');
+const PdfOcr = require('./PdfOcr');
+const DocumentSelection = require('./DocumentSelection');
+const TextEncoding = require('./TextEncoding');
+const PasswordProtection = require('./PasswordProtection');
+const WorkerPool = require('./WorkerPool');
+
+// Why a document was stopped in its worker, by WorkerPool error code
+const WORKER_STOP_MESSAGES = {
+  WORKER_TIMEOUT: 'This document took too long to process and was skipped. It may be very large or damaged.',
+  WORKER_OUT_OF_MEMORY: 'This document needed too much memory to process and was skipped. It may be very large or damaged.',
+  CANCELLED: 'Processing was cancelled.',
+  POOL_CLOSED: 'Processing stopped because the app is closing.'
+};
 
 /**
  * @typedef {Object} ValidationResult
@@ -25,8 +45,22 @@ const ErrorLogger = require('./ErrorLogger');
  * @property {Object} metadata - Document metadata
  * @property {string} metadata.title - Document title
  * @property {number} [metadata.pageCount] - Number of pages (for PDFs)
+ * @property {number[]} [metadata.ocrPages] - Scanned pages whose text was recognised by OCR (for PDFs)
+ * @property {{pages?: string, sections?: string[]}} [metadata.selection] - Page ranges or sections the content is limited to (for PDFs, DOCX and Markdown)
+ * @property {{title: string, offset: number, slide?: number}[]} [metadata.sections] - Chapters, slides or headings and where they start in the content (for EPUBs, presentations and web pages)
+ * @property {{level: number, text: string}[]} [metadata.headings] - Heading hierarchy (for Markdown, web pages, notebooks and LaTeX)
+ * @property {{cell: number, source: string}[]} [metadata.codeCells] - Code cells, kept out of the content (for notebooks)
+ * @property {string|null} [metadata.language] - Kernel language (for notebooks)
+ * @property {{kind: string, label: string, name: string|null, offset: number, text: string}[]} [metadata.keyBlocks] - Definitions and theorems in the content (for LaTeX)
+ * @property {{offset: number, seconds: number, time: string}[]} [metadata.timestamps] - Where in the recording each sentence starts (for subtitle transcripts)
+ * @property {{term: string, definition: string}[]} [metadata.glossary] - Term-definition pairs (for CSV/TSV glossaries and Markdown definition lists)
+ * @property {number} [metadata.slideCount] - Number of slides with text (for presentations)
+ * @property {{heading: string, items: string[], slide?: number}[]} [metadata.lists] - Bullet lists under a heading (for presentations)
  * @property {number} metadata.wordCount - Approximate word count
  * @property {string} metadata.format - File format
+ * @property {{name: string, confidence: number, bom: boolean}} [metadata.encoding] - Detected text encoding (for Markdown and plain text)
+ * @property {number} [metadata.questionCount] - Number of deck questions (for question decks)
+ * @property {Object[]} [questions] - Hand-authored questions to use verbatim (for question decks)
  */
 
 /**
@@ -38,15 +72,40 @@ class DocumentProcessor {
    * @param {number} [options.maxFileSize] - Maximum file size in bytes (default: 50MB)
    * @param {ErrorLogger} [options.errorLogger] - Error logger instance
    * @param {boolean} [options.useWorkerThreads] - Use worker threads for processing (default: true)
-   * @param {number} [options.maxConcurrentWorkers] - Maximum concurrent workers (default: 2)
+   * @param {number} [options.maxConcurrentWorkers] - Number of pooled worker threads; further documents wait for a free worker (default: 2)
+   * @param {number} [options.workerTimeout] - Milliseconds a document may go without progress in a worker before it is skipped (default: 120000)
+   * @param {Object} [options.workerResourceLimits] - Worker thread resourceLimits (default: 512MB old generation)
+   * @param {ExtractedTextStore} [options.textStore] - Store of previously extracted text, consulted before parsing (default: none)
+   * @param {DocumentPasswordStore} [options.passwordStore] - Passwords of password-protected PDFs and DOCX files (default: none)
+   * @param {string} [options.ocrCacheDir] - Directory for text recognised in scanned PDFs (default: ocr-cache in user data)
+   * @param {PdfOcr} [options.pdfOcr] - OCR for scanned PDF pages processed on the main thread
+   * @param {function(Object): void} [options.onOcrProgress] - Called with the file path, page, done and total pages while scanned pages are recognised
    */
   constructor(options = {}) {
     this.maxFileSize = options.maxFileSize || 50 * 1024 * 1024; // 50MB default
     this.supportedFormats = SUPPORTED_FORMATS;
+    this.deckFormats = DECK_FORMATS;
+    this.deckParser = new DeckParser();
+    this.epubParser = new EpubParser();
+    this.slideParser = new SlideParser();
+    this.htmlParser = new HtmlParser();
+    this.notebookParser = new NotebookParser();
+    this.latexParser = new LatexParser();
+    this.subtitleParser = new SubtitleParser();
+    this.glossaryParser = new GlossaryParser();
     this.errorLogger = options.errorLogger || new ErrorLogger();
     this.useWorkerThreads = options.useWorkerThreads !== false; // Default to true
     this.maxConcurrentWorkers = options.maxConcurrentWorkers || 2;
-    this.activeWorkers = 0;
+    this.workerTimeout = options.workerTimeout !== undefined ? options.workerTimeout : 120000;
+    this.workerResourceLimits = options.workerResourceLimits || { maxOldGenerationSizeMb: 512 };
+    this.workerPool = null;
+    this.activeBatches = new Set();
+    this.nextBatchId = 1;
+    this.ocrCacheDir = options.ocrCacheDir || path.join(app ? app.getPath('userData') : './data', 'ocr-cache');
+    this.pdfOcr = options.pdfOcr || new PdfOcr({ cacheDir: this.ocrCacheDir });
+    this.onOcrProgress = options.onOcrProgress || null;
+    this.textStore = options.textStore || null;
+    this.passwordStore = options.passwordStore || null;
   }
 
   /**
@@ -103,8 +162,8 @@ class DocumentProcessor {
       }
 
       // Check file format
-      const format = path.extname(absolutePath).toLowerCase();
-      if (!this.supportedFormats.includes(format)) {
+      const format = this._getDeckFormat(absolutePath) || path.extname(absolutePath).toLowerCase();
+      if (!this.supportedFormats.includes(format) && !this.deckFormats.includes(format)) {
         const error = `Unsupported format: ${format}. Supported formats: ${this.supportedFormats.join(', ')}`;
         await this.errorLogger.logWarning('DocumentValidation', error, { 
           filePath,
@@ -114,7 +173,7 @@ class DocumentProcessor {
         return {
           valid: false,
           error,
-          userFriendlyError: `Unsupported file type: ${format}. Please use PDF, DOCX, MD, or TXT files.`
+          userFriendlyError: `Unsupported file type: ${format}. ${SUPPORTED_FORMATS_HINT}`
         };
       }
 
@@ -205,10 +264,39 @@ class DocumentProcessor {
       return null;
     }
 
+    const deckFormat = this._getDeckFormat(filePath);
+    if (deckFormat) {
+      return deckFormat;
+    }
+
     const format = path.extname(filePath).toLowerCase();
     return this.supportedFormats.includes(format) ? format : null;
   }
 
+  /**
+   * Check whether a file is a hand-authored question deck
+   * @param {string} filePath - Path to the file
+   * @returns {boolean}
+   */
+  isDeck(filePath) {
+    return this._getDeckFormat(filePath) !== null;
+  }
+
+  /**
+   * Get the deck format of a file from its full suffix
+   * @private
+   * @param {string} filePath - Path to the file
+   * @returns {string|null} - Deck format or null if the file is not a deck
+   */
+  _getDeckFormat(filePath) {
+    if (!filePath || typeof filePath !== 'string') {
+      return null;
+    }
+
+    const lowerPath = filePath.toLowerCase();
+    return this.deckFormats.find(format => lowerPath.endsWith(format)) || null;
+  }
+
   /**
    * Get list of supported formats
    * @returns {string[]}
@@ -262,10 +350,11 @@ class DocumentProcessor {
   /**
    * Process a PDF document and extract text content
    * @param {string} filePath - Path to the PDF file
+   * @param {{pages?: string}} [selection] - Page ranges to extract (default: all pages)
    * @returns {Promise<DocumentContent>}
    * @throws {Error} If the PDF cannot be processed
    */
-  async processPDF(filePath) {
+  async processPDF(filePath, selection = null) {
     try {
       // Validate the document first
       const validation = await this.validateDocument(filePath);
@@ -296,16 +385,25 @@ class DocumentProcessor {
         throw error;
       }
 
-      // Parse the PDF
+      // Parse the PDF, keeping the text of each page
+      const password = await this._getPassword(filePath);
       let pdfData;
+      let pageTexts;
       try {
-        pdfData = await pdfParse(dataBuffer);
+        ({ pdfData, pageTexts } = await PdfOcr.parse(dataBuffer, password));
       } catch (parseError) {
+        // Password-protected PDFs ask for their password
+        const passwordError = PasswordProtection.fromPdfError(parseError);
+        if (PasswordProtection.isPasswordError(passwordError)) {
+          await this.errorLogger.logWarning('PDFProcessing', passwordError.message, { filePath });
+          throw passwordError;
+        }
+
         // Handle encrypted or corrupted PDFs
         let error;
         if (parseError.message.includes('encrypted') || parseError.message.includes('password')) {
           error = new Error('PDF is encrypted or password-protected');
-          error.userFriendly = 'This PDF is password-protected and cannot be processed.';
+          error.userFriendly = 'This PDF is encrypted in a way that cannot be opened.';
         } else if (parseError.message.includes('Invalid PDF') || parseError.message.includes('Invalid header')) {
           error = new Error('PDF file is corrupted or invalid');
           error.userFriendly = 'This PDF file appears to be corrupted or invalid.';
@@ -321,15 +419,50 @@ class DocumentProcessor {
         throw error;
       }
 
+      // Keep only the selected pages
+      const selectedPages = selection && selection.pages ? selection.pages : null;
+      const pageNumbers = selectedPages
+        ? DocumentSelection.selectPages(selectedPages, pageTexts.length)
+        : pageTexts.map((text, index) => index + 1);
+      if (pageNumbers.length === 0) {
+        const warning = `Selected pages ${selectedPages} are not in the PDF`;
+        await this.errorLogger.logWarning('PDFProcessing', warning, { filePath, pageCount: pageTexts.length });
+        const error = new Error(warning);
+        error.userFriendly = `None of the selected pages are in this PDF, which has ${pageTexts.length} pages.`;
+        throw error;
+      }
+      const joinSelectedPages = texts => PdfOcr.joinPages(pageNumbers.map(page => texts[page - 1]));
+
       // Extract text content
-      const content = pdfData.text || '';
+      let content = selectedPages ? joinSelectedPages(pageTexts) : pdfData.text || '';
+
+      // Recognise the text of selected scanned pages that have no text layer
+      let ocrPages = [];
+      const ocrAvailable = this.pdfOcr.isAvailable();
+      if (ocrAvailable && pageNumbers.some(page => pageTexts[page - 1].trim().length === 0)) {
+        try {
+          const recognized = await this.pdfOcr.recognizeScannedPages(
+            dataBuffer,
+            pageTexts,
+            progress => this._reportOcrProgress(validation.metadata.path, progress),
+            pageNumbers,
+            password
+          );
+          content = joinSelectedPages(recognized.pageTexts);
+          ocrPages = recognized.ocrPages;
+        } catch (ocrError) {
+          await this.errorLogger.logError('PDFProcessing', ocrError, { filePath, stage: 'ocr' });
+        }
+      }
 
       // Check if PDF has extractable text
       if (content.trim().length === 0) {
         const warning = 'PDF contains no extractable text (may be image-based)';
-        await this.errorLogger.logWarning('PDFProcessing', warning, { filePath });
+        await this.errorLogger.logWarning('PDFProcessing', warning, { filePath, ocrAvailable });
         const error = new Error(warning);
-        error.userFriendly = 'This PDF contains no text. It may be image-based or scanned.';
+        error.userFriendly = ocrAvailable
+          ? 'This PDF contains no text, and no text could be recognised in its scanned pages.'
+          : 'This PDF contains no text. It may be image-based or scanned.';
         throw error;
       }
 
@@ -343,7 +476,7 @@ class DocumentProcessor {
       
       const pageCount = pdfData.numpages || 0;
 
-      return {
+      const result = {
         filePath: validation.metadata.path,
         content: content,
         metadata: {
@@ -353,6 +486,16 @@ class DocumentProcessor {
           format: '.pdf'
         }
       };
+
+      if (ocrPages.length > 0) {
+        result.metadata.ocrPages = ocrPages;
+      }
+
+      if (selectedPages) {
+        result.metadata.selection = { pages: selectedPages };
+      }
+
+      return result;
     } catch (error) {
       // Log and re-throw with context
       if (!error.userFriendly) {
@@ -366,10 +509,11 @@ class DocumentProcessor {
   /**
    * Process a DOCX document and extract text content
    * @param {string} filePath - Path to the DOCX file
+   * @param {{sections?: string[]}} [selection] - Headings whose sections to extract (default: the whole document)
    * @returns {Promise<DocumentContent>}
    * @throws {Error} If the DOCX cannot be processed
    */
-  async processDOCX(filePath) {
+  async processDOCX(filePath, selection = null) {
     try {
       // Validate the document first
       const validation = await this.validateDocument(filePath);
@@ -386,11 +530,21 @@ class DocumentProcessor {
         throw error;
       }
 
-      // Extract text from DOCX
+      // Extract text from DOCX, or its HTML to find the headings of selected sections
+      // Password-protected documents are decrypted first
+      const sections = selection && selection.sections ? selection.sections : null;
       let result;
       try {
-        result = await mammoth.extractRawText({ path: filePath });
+        const data = await PasswordProtection.openDocx(await fs.readFile(filePath), await this._getPassword(filePath));
+        result = sections
+          ? await mammoth.convertToHtml({ buffer: data })
+          : await mammoth.extractRawText({ buffer: data });
       } catch (parseError) {
+        if (PasswordProtection.isPasswordError(parseError)) {
+          await this.errorLogger.logWarning('DOCXProcessing', parseError.message, { filePath });
+          throw parseError;
+        }
+
         // Handle corrupted DOCX files
         let error;
         if (parseError.message.includes('not a valid zip file') || 
@@ -413,7 +567,7 @@ class DocumentProcessor {
       }
 
       // Extract text content
-      const content = result.value || '';
+      const content = sections ? DocumentSelection.selectHtmlText(result.value || '', sections) : result.value || '';
 
       // Check for warnings (indicates potential issues)
       if (result.messages && result.messages.length > 0) {
@@ -426,6 +580,10 @@ class DocumentProcessor {
         }
       }
 
+      if (sections && content.trim().length === 0) {
+        await this._throwSectionsNotFound('DOCXProcessing', filePath, sections);
+      }
+
       // Check if DOCX has extractable text
       if (content.trim().length === 0) {
         const warning = 'DOCX contains no extractable text';
@@ -441,7 +599,7 @@ class DocumentProcessor {
       // Extract title from filename (DOCX doesn't have reliable metadata extraction)
       const title = path.basename(filePath, '.docx');
 
-      return {
+      const document = {
         filePath: validation.metadata.path,
         content: content,
         metadata: {
@@ -450,6 +608,12 @@ class DocumentProcessor {
           format: '.docx'
         }
       };
+
+      if (sections) {
+        document.metadata.selection = { sections };
+      }
+
+      return document;
     } catch (error) {
       // Log and re-throw with context
       if (!error.userFriendly) {
@@ -461,12 +625,12 @@ class DocumentProcessor {
   }
 
   /**
-   * Process a Markdown document and extract text content
-   * @param {string} filePath - Path to the Markdown file
+   * Process an EPUB e-book and extract text content chapter by chapter
+   * @param {string} filePath - Path to the EPUB file
    * @returns {Promise<DocumentContent>}
-   * @throws {Error} If the Markdown file cannot be processed
+   * @throws {Error} If the EPUB cannot be processed
    */
-  async processMarkdown(filePath) {
+  async processEPUB(filePath) {
     try {
       // Validate the document first
       const validation = await this.validateDocument(filePath);
@@ -477,99 +641,86 @@ class DocumentProcessor {
       }
 
       // Check format
-      if (validation.metadata.format !== '.md') {
-        const error = new Error(`Expected Markdown file, got ${validation.metadata.format}`);
-        await this.errorLogger.logError('MarkdownProcessing', error, { filePath });
+      if (validation.metadata.format !== '.epub') {
+        const error = new Error(`Expected EPUB file, got ${validation.metadata.format}`);
+        await this.errorLogger.logError('EPUBProcessing', error, { filePath });
         throw error;
       }
 
-      // Read the file with encoding handling
-      let content;
+      // Read the EPUB file
+      let dataBuffer;
       try {
-        // Try UTF-8 first (most common)
-        content = await fs.readFile(filePath, 'utf8');
+        dataBuffer = await fs.readFile(filePath);
       } catch (readError) {
-        // If UTF-8 fails, try with latin1 as fallback
-        try {
-          content = await fs.readFile(filePath, 'latin1');
-          await this.errorLogger.logWarning('MarkdownProcessing', 'Used latin1 encoding fallback', { filePath });
-        } catch (fallbackError) {
-          const error = new Error('Failed to read file with supported encodings');
-          error.userFriendly = 'Cannot read file. It may have an unsupported text encoding.';
-          await this.errorLogger.logError('MarkdownProcessing', fallbackError, { filePath });
-          throw error;
-        }
-      }
-
-      // Check if file has content
-      if (content.trim().length === 0) {
-        const warning = 'Markdown file is empty';
-        await this.errorLogger.logWarning('MarkdownProcessing', warning, { filePath });
-        const error = new Error(warning);
-        error.userFriendly = 'This Markdown file is empty.';
+        const error = new Error('Failed to read EPUB file');
+        error.userFriendly = 'Cannot read EPUB file. It may be in use by another program.';
+        await this.errorLogger.logError('EPUBProcessing', readError, {
+          filePath,
+          errorCode: readError.code
+        });
         throw error;
       }
 
-      // Initialize markdown-it parser
-      const md = new MarkdownIt();
+      // Unpack the container and extract the chapters
+      let book;
+      try {
+        book = await this.epubParser.parse(dataBuffer);
+      } catch (parseError) {
+        let error;
+        if (parseError.message.includes('DRM')) {
+          error = new Error('EPUB is DRM-protected');
+          error.userFriendly = 'This e-book is DRM-protected and cannot be processed.';
+        } else {
+          error = new Error(`Failed to parse EPUB: ${parseError.message}`);
+          error.userFriendly = 'This EPUB file appears to be corrupted or invalid.';
+        }
 
-      // Parse markdown to extract headings
-      const tokens = md.parse(content, {});
-      const headings = tokens
-        .filter(token => token.type === 'heading_open')
-        .map((token, index) => {
-          // Get the content of the heading (next token)
-          const contentToken = tokens[tokens.indexOf(token) + 1];
-          return {
-            level: parseInt(token.tag.substring(1)), // h1 -> 1, h2 -> 2, etc.
-            text: contentToken?.content || ''
-          };
+        await this.errorLogger.logError('EPUBProcessing', parseError, {
+          filePath,
+          parseErrorMessage: parseError.message
         });
+        throw error;
+      }
 
-      // Render to plain text (strips markdown formatting)
-      const plainText = md.render(content)
-        .replace(/<[^>]*>/g, '') // Remove HTML tags
-        .replace(/&nbsp;/g, ' ') // Replace HTML entities
-        .replace(/&lt;/g, '<')
-        .replace(/&gt;/g, '>')
-        .replace(/&amp;/g, '&')
-        .replace(/&quot;/g, '"')
-        .trim();
+      // Check if EPUB has extractable text
+      if (book.content.trim().length === 0) {
+        const warning = 'EPUB contains no extractable text';
+        await this.errorLogger.logWarning('EPUBProcessing', warning, { filePath });
+        const error = new Error(warning);
+        error.userFriendly = 'This e-book contains no text content.';
+        throw error;
+      }
 
       // Calculate word count
-      const wordCount = plainText.split(/\s+/).filter(word => word.length > 0).length;
-
-      // Extract title (first h1 heading or filename)
-      const firstH1 = headings.find(h => h.level === 1);
-      const title = firstH1?.text || path.basename(filePath, '.md');
+      const wordCount = book.content.trim().split(/\s+/).filter(word => word.length > 0).length;
 
       return {
         filePath: validation.metadata.path,
-        content: plainText,
+        content: book.content,
         metadata: {
-          title: title,
+          title: book.title || path.basename(filePath, '.epub'),
           wordCount: wordCount,
-          format: '.md',
-          headings: headings
+          format: '.epub',
+          sections: book.sections
         }
       };
     } catch (error) {
       // Log and re-throw with context
       if (!error.userFriendly) {
-        await this.errorLogger.logError('MarkdownProcessing', error, { filePath });
-        error.userFriendly = 'An unexpected error occurred while processing the Markdown file';
+        await this.errorLogger.logError('EPUBProcessing', error, { filePath });
+        error.userFriendly = 'An unexpected error occurred while processing the EPUB file';
       }
       throw error;
     }
   }
 
   /**
-   * Process a plain text document
-   * @param {string} filePath - Path to the text file
+   * Process a PowerPoint or Impress presentation and extract text content slide by slide
+   * @param {string} filePath - Path to the .pptx or .odp file
    * @returns {Promise<DocumentContent>}
-   * @throws {Error} If the text file cannot be processed
+   * @throws {Error} If the presentation cannot be processed
    */
-  async processText(filePath) {
+  async processSlides(filePath) {
     try {
       // Validate the document first
       const validation = await this.validateDocument(filePath);
@@ -580,153 +731,1134 @@ class DocumentProcessor {
       }
 
       // Check format
-      if (validation.metadata.format !== '.txt') {
-        const error = new Error(`Expected text file, got ${validation.metadata.format}`);
-        await this.errorLogger.logError('TextProcessing', error, { filePath });
+      const format = validation.metadata.format;
+      if (format !== '.pptx' && format !== '.odp') {
+        const error = new Error(`Expected presentation file, got ${format}`);
+        await this.errorLogger.logError('SlideProcessing', error, { filePath });
         throw error;
       }
 
-      // Read the file with encoding handling
-      let content;
+      // Read the presentation file
+      let dataBuffer;
       try {
-        // Try UTF-8 first (most common)
-        content = await fs.readFile(filePath, 'utf8');
+        dataBuffer = await fs.readFile(filePath);
       } catch (readError) {
-        // If UTF-8 fails, try with latin1 as fallback
-        try {
-          content = await fs.readFile(filePath, 'latin1');
-          await this.errorLogger.logWarning('TextProcessing', 'Used latin1 encoding fallback', { filePath });
-        } catch (fallbackError) {
-          const error = new Error('Failed to read file with supported encodings');
-          error.userFriendly = 'Cannot read file. It may have an unsupported text encoding.';
-          await this.errorLogger.logError('TextProcessing', fallbackError, { filePath });
-          throw error;
-        }
+        const error = new Error('Failed to read presentation file');
+        error.userFriendly = 'Cannot read presentation file. It may be in use by another program.';
+        await this.errorLogger.logError('SlideProcessing', readError, {
+          filePath,
+          errorCode: readError.code
+        });
+        throw error;
       }
 
-      // Check if file has content
-      if (content.trim().length === 0) {
-        const warning = 'Text file is empty';
-        await this.errorLogger.logWarning('TextProcessing', warning, { filePath });
+      // Unpack the archive and extract the slides
+      let presentation;
+      try {
+        presentation = await this.slideParser.parse(dataBuffer, format);
+      } catch (parseError) {
+        // Password-protected PowerPoint files are encrypted containers rather than ZIP archives
+        const error = new Error(`Failed to parse presentation: ${parseError.message}`);
+        error.userFriendly = 'This presentation appears to be corrupted, invalid or password-protected.';
+        await this.errorLogger.logError('SlideProcessing', parseError, {
+          filePath,
+          parseErrorMessage: parseError.message
+        });
+        throw error;
+      }
+
+      // Check if the slides have extractable text
+      if (presentation.content.trim().length === 0) {
+        const warning = 'Presentation contains no extractable text';
+        await this.errorLogger.logWarning('SlideProcessing', warning, { filePath });
         const error = new Error(warning);
-        error.userFriendly = 'This text file is empty.';
+        error.userFriendly = 'This presentation contains no text content.';
         throw error;
       }
 
       // Calculate word count
-      const wordCount = content.trim().split(/\s+/).filter(word => word.length > 0).length;
-
-      // Extract title from filename
-      const title = path.basename(filePath, '.txt');
+      const wordCount = presentation.content.trim().split(/\s+/).filter(word => word.length > 0).length;
 
       return {
         filePath: validation.metadata.path,
-        content: content,
+        content: presentation.content,
         metadata: {
-          title: title,
+          title: presentation.title || path.basename(filePath, format),
           wordCount: wordCount,
-          format: '.txt'
+          format: format,
+          slideCount: presentation.sections.length,
+          sections: presentation.sections,
+          lists: presentation.lists
         }
       };
     } catch (error) {
       // Log and re-throw with context
       if (!error.userFriendly) {
-        await this.errorLogger.logError('TextProcessing', error, { filePath });
-        error.userFriendly = 'An unexpected error occurred while processing the text file';
+        await this.errorLogger.logError('SlideProcessing', error, { filePath });
+        error.userFriendly = 'An unexpected error occurred while processing the presentation';
       }
       throw error;
     }
   }
 
   /**
-   * Process a document using worker thread
-   * @param {string} filePath - Path to the document
-   * @param {string} format - Document format
+   * Process a saved web page (HTML or MHTML) and extract the text of its main content
+   * @param {string} filePath - Path to the .html, .htm, .mhtml or .mht file
    * @returns {Promise<DocumentContent>}
-   * @private
+   * @throws {Error} If the page cannot be processed
    */
-  async _processDocumentInWorker(filePath, format) {
-    return new Promise((resolve, reject) => {
-      const workerPath = path.join(__dirname, 'DocumentWorker.js');
-      
-      const worker = new Worker(workerPath, {
-        workerData: { filePath, format }
-      });
+  async processHTML(filePath) {
+    try {
+      // Validate the document first
+      const validation = await this.validateDocument(filePath);
+      if (!validation.valid) {
+        const error = new Error(validation.userFriendlyError || validation.error);
+        error.userFriendly = validation.userFriendlyError;
+        throw error;
+      }
 
-      this.activeWorkers++;
+      // Check format
+      const format = validation.metadata.format;
+      if (!['.html', '.htm', '.mhtml', '.mht'].includes(format)) {
+        const error = new Error(`Expected HTML file, got ${format}`);
+        await this.errorLogger.logError('HTMLProcessing', error, { filePath });
+        throw error;
+      }
 
-      worker.on('message', (message) => {
-        this.activeWorkers--;
-        
-        if (message.success) {
-          resolve(message.data);
-        } else {
-          const error = new Error(message.error.message);
-          error.stack = message.error.stack;
-          reject(error);
-        }
-      });
+      // Read the page file
+      let dataBuffer;
+      try {
+        dataBuffer = await fs.readFile(filePath);
+      } catch (readError) {
+        const error = new Error('Failed to read HTML file');
+        error.userFriendly = 'Cannot read web page file. It may be in use by another program.';
+        await this.errorLogger.logError('HTMLProcessing', readError, {
+          filePath,
+          errorCode: readError.code
+        });
+        throw error;
+      }
 
-      worker.on('error', (error) => {
-        this.activeWorkers--;
-        reject(error);
-      });
+      // Extract the main content
+      let page;
+      try {
+        page = this.htmlParser.parse(dataBuffer, format);
+      } catch (parseError) {
+        const error = new Error(`Failed to parse web page: ${parseError.message}`);
+        error.userFriendly = 'This web page archive appears to be corrupted or invalid.';
+        await this.errorLogger.logError('HTMLProcessing', parseError, {
+          filePath,
+          parseErrorMessage: parseError.message
+        });
+        throw error;
+      }
+
+      // Check if the page has readable text
+      if (page.content.trim().length === 0) {
+        const warning = 'Web page contains no readable text';
+        await this.errorLogger.logWarning('HTMLProcessing', warning, { filePath });
+        const error = new Error(warning);
+        error.userFriendly = 'This web page contains no readable text.';
+        throw error;
+      }
+
+      // Calculate word count
+      const wordCount = page.content.trim().split(/\s+/).filter(word => word.length > 0).length;
 
-      worker.on('exit', (code) => {
-        if (code !== 0) {
-          this.activeWorkers--;
-          reject(new Error(`Worker stopped with exit code ${code}`));
+      return {
+        filePath: validation.metadata.path,
+        content: page.content,
+        metadata: {
+          title: page.title || path.basename(filePath, format),
+          wordCount: wordCount,
+          format: format,
+          headings: page.headings,
+          sections: page.sections
         }
-      });
-    });
+      };
+    } catch (error) {
+      // Log and re-throw with context
+      if (!error.userFriendly) {
+        await this.errorLogger.logError('HTMLProcessing', error, { filePath });
+        error.userFriendly = 'An unexpected error occurred while processing the web page';
+      }
+      throw error;
+    }
   }
 
   /**
-   * Process a document based on its format
-   * @param {string} filePath - Path to the document
-   * @param {boolean} [useWorker] - Force use of worker thread (default: auto)
+   * Process a Jupyter notebook, using its markdown cells as the content and keeping code cells separate
+   * @param {string} filePath - Path to the notebook file
    * @returns {Promise<DocumentContent>}
-   * @throws {Error} If the document cannot be processed
+   * @throws {Error} If the file cannot be processed
    */
-  async processDocument(filePath, useWorker = null) {
-    const format = this.detectFormat(filePath);
-    
-    if (!format) {
-      throw new Error(`Unsupported or invalid file format for: ${filePath}`);
-    }
+  async processNotebook(filePath) {
+    try {
+      // Validate the document first
+      const validation = await this.validateDocument(filePath);
+      if (!validation.valid) {
+        const error = new Error(validation.userFriendlyError || validation.error);
+        error.userFriendly = validation.userFriendlyError;
+        throw error;
+      }
 
-    // Determine whether to use worker thread
-    const shouldUseWorker = useWorker !== null ? useWorker : this.useWorkerThreads;
+      // Check format
+      if (validation.metadata.format !== '.ipynb') {
+        const error = new Error(`Expected Jupyter notebook, got ${validation.metadata.format}`);
+        await this.errorLogger.logError('NotebookProcessing', error, { filePath });
+        throw error;
+      }
 
-    // Use worker thread if enabled and not at max capacity
-    if (shouldUseWorker && this.activeWorkers < this.maxConcurrentWorkers) {
+      // Read the file
+      let source;
       try {
-        return await this._processDocumentInWorker(filePath, format);
-      } catch (error) {
-        // Fall back to main thread if worker fails
-        console.warn('Worker thread failed, falling back to main thread:', error.message);
+        source = await fs.readFile(filePath, 'utf8');
+      } catch (readError) {
+        const error = new Error('Failed to read notebook file');
+        error.userFriendly = 'Cannot read notebook file. It may be in use by another program.';
+        await this.errorLogger.logError('NotebookProcessing', readError, {
+          filePath,
+          errorCode: readError.code
+        });
+        throw error;
       }
-    }
 
-    // Process in main thread
-    switch (format) {
-      case '.pdf':
-        return await this.processPDF(filePath);
-      case '.docx':
-        return await this.processDOCX(filePath);
-      case '.md':
-        return await this.processMarkdown(filePath);
-      case '.txt':
-        return await this.processText(filePath);
-      default:
-        throw new Error(`Processing for ${format} format is not yet implemented`);
-    }
-  }
+      // Read the markdown and code cells
+      let parsed;
+      try {
+        parsed = this.notebookParser.parse(source);
+      } catch (parseError) {
+        const error = new Error(`Failed to parse notebook: ${parseError.message}`);
+        error.userFriendly = 'This notebook appears to be corrupted or invalid.';
+        await this.errorLogger.logError('NotebookProcessing', parseError, {
+          filePath,
+          parseErrorMessage: parseError.message
+        });
+        throw error;
+      }
 
-  /**
-   * Process all configured documents with progress tracking
-   * @param {string[]} filePaths - Array of document paths
+      // Check if there is any text
+      if (parsed.content.trim().length === 0) {
+        const warning = 'Notebook has no markdown text';
+        await this.errorLogger.logWarning('NotebookProcessing', warning, { filePath });
+        const error = new Error(warning);
+        error.userFriendly = 'This notebook has no markdown text to study from.';
+        throw error;
+      }
+
+      // Calculate word count
+      const wordCount = parsed.content.trim().split(/\s+/).filter(word => word.length > 0).length;
+
+      return {
+        filePath: validation.metadata.path,
+        content: parsed.content,
+        metadata: {
+          title: parsed.title || path.basename(filePath, '.ipynb'),
+          wordCount: wordCount,
+          format: '.ipynb',
+          headings: parsed.headings,
+          sections: parsed.sections,
+          codeCells: parsed.codeCells,
+          language: parsed.language
+        }
+      };
+    } catch (error) {
+      // Log and re-throw with context
+      if (!error.userFriendly) {
+        await this.errorLogger.logError('NotebookProcessing', error, { filePath });
+        error.userFriendly = 'An unexpected error occurred while processing the notebook';
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Process a LaTeX source file, flagging definitions and theorems as key blocks
+   * @param {string} filePath - Path to the LaTeX file
+   * @returns {Promise<DocumentContent>}
+   * @throws {Error} If the file cannot be processed
+   */
+  async processLaTeX(filePath) {
+    try {
+      // Validate the document first
+      const validation = await this.validateDocument(filePath);
+      if (!validation.valid) {
+        const error = new Error(validation.userFriendlyError || validation.error);
+        error.userFriendly = validation.userFriendlyError;
+        throw error;
+      }
+
+      // Check format
+      if (validation.metadata.format !== '.tex') {
+        const error = new Error(`Expected LaTeX file, got ${validation.metadata.format}`);
+        await this.errorLogger.logError('LaTeXProcessing', error, { filePath });
+        throw error;
+      }
+
+      // Read the file
+      let source;
+      try {
+        source = await fs.readFile(filePath, 'utf8');
+      } catch (readError) {
+        const error = new Error('Failed to read LaTeX file');
+        error.userFriendly = 'Cannot read LaTeX file. It may be in use by another program.';
+        await this.errorLogger.logError('LaTeXProcessing', readError, {
+          filePath,
+          errorCode: readError.code
+        });
+        throw error;
+      }
+
+      // Reduce the markup to text
+      const parsed = this.latexParser.parse(source);
+
+      // Check if there is any text
+      if (parsed.content.trim().length === 0) {
+        const warning = 'LaTeX file contains no text';
+        await this.errorLogger.logWarning('LaTeXProcessing', warning, { filePath });
+        const error = new Error(warning);
+        error.userFriendly = 'This LaTeX file contains no text content.';
+        throw error;
+      }
+
+      // Calculate word count
+      const wordCount = parsed.content.trim().split(/\s+/).filter(word => word.length > 0).length;
+
+      return {
+        filePath: validation.metadata.path,
+        content: parsed.content,
+        metadata: {
+          title: parsed.title || path.basename(filePath, '.tex'),
+          wordCount: wordCount,
+          format: '.tex',
+          headings: parsed.headings,
+          sections: parsed.sections,
+          keyBlocks: parsed.keyBlocks
+        }
+      };
+    } catch (error) {
+      // Log and re-throw with context
+      if (!error.userFriendly) {
+        await this.errorLogger.logError('LaTeXProcessing', error, { filePath });
+        error.userFriendly = 'An unexpected error occurred while processing the LaTeX file';
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Process an SRT or WebVTT caption file into a lecture transcript with a timestamp per sentence
+   * @param {string} filePath - Path to the caption file
+   * @returns {Promise<DocumentContent>}
+   * @throws {Error} If the file cannot be processed
+   */
+  async processSubtitles(filePath) {
+    try {
+      // Validate the document first
+      const validation = await this.validateDocument(filePath);
+      if (!validation.valid) {
+        const error = new Error(validation.userFriendlyError || validation.error);
+        error.userFriendly = validation.userFriendlyError;
+        throw error;
+      }
+
+      // Check format
+      const format = validation.metadata.format;
+      if (format !== '.srt' && format !== '.vtt') {
+        const error = new Error(`Expected subtitle file, got ${format}`);
+        await this.errorLogger.logError('SubtitleProcessing', error, { filePath });
+        throw error;
+      }
+
+      // Read the file
+      let source;
+      try {
+        source = await fs.readFile(filePath, 'utf8');
+      } catch (readError) {
+        const error = new Error('Failed to read subtitle file');
+        error.userFriendly = 'Cannot read subtitle file. It may be in use by another program.';
+        await this.errorLogger.logError('SubtitleProcessing', readError, {
+          filePath,
+          errorCode: readError.code
+        });
+        throw error;
+      }
+
+      // Join the captions into a transcript
+      let parsed;
+      try {
+        parsed = this.subtitleParser.parse(source, format);
+      } catch (parseError) {
+        const error = new Error(`Failed to parse subtitles: ${parseError.message}`);
+        error.userFriendly = 'This subtitle file contains no captions or is not a valid SRT or VTT file.';
+        await this.errorLogger.logError('SubtitleProcessing', parseError, {
+          filePath,
+          parseErrorMessage: parseError.message
+        });
+        throw error;
+      }
+
+      // Check if there is any text
+      if (parsed.content.trim().length === 0) {
+        const warning = 'Subtitle file has no caption text';
+        await this.errorLogger.logWarning('SubtitleProcessing', warning, { filePath });
+        const error = new Error(warning);
+        error.userFriendly = 'This subtitle file contains no spoken text.';
+        throw error;
+      }
+
+      // Calculate word count
+      const wordCount = parsed.content.trim().split(/\s+/).filter(word => word.length > 0).length;
+
+      return {
+        filePath: validation.metadata.path,
+        content: parsed.content,
+        metadata: {
+          title: parsed.title || path.basename(filePath, format),
+          wordCount: wordCount,
+          format: format,
+          timestamps: parsed.timestamps
+        }
+      };
+    } catch (error) {
+      // Log and re-throw with context
+      if (!error.userFriendly) {
+        await this.errorLogger.logError('SubtitleProcessing', error, { filePath });
+        error.userFriendly = 'An unexpected error occurred while processing the subtitle file';
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Process a CSV or TSV glossary of terms and their definitions
+   * @param {string} filePath - Path to the glossary file
+   * @returns {Promise<DocumentContent>}
+   * @throws {Error} If the file cannot be processed
+   */
+  async processGlossary(filePath) {
+    try {
+      // Validate the document first
+      const validation = await this.validateDocument(filePath);
+      if (!validation.valid) {
+        const error = new Error(validation.userFriendlyError || validation.error);
+        error.userFriendly = validation.userFriendlyError;
+        throw error;
+      }
+
+      // Check format
+      const format = validation.metadata.format;
+      if (format !== '.csv' && format !== '.tsv') {
+        const error = new Error(`Expected CSV or TSV glossary, got ${format}`);
+        await this.errorLogger.logError('GlossaryProcessing', error, { filePath });
+        throw error;
+      }
+
+      // Read the file
+      let source;
+      try {
+        source = await fs.readFile(filePath, 'utf8');
+      } catch (readError) {
+        const error = new Error('Failed to read glossary file');
+        error.userFriendly = 'Cannot read glossary file. It may be in use by another program.';
+        await this.errorLogger.logError('GlossaryProcessing', readError, {
+          filePath,
+          errorCode: readError.code
+        });
+        throw error;
+      }
+
+      // Read the term and definition columns
+      let glossary;
+      try {
+        glossary = this.glossaryParser.parseDelimited(source, format);
+      } catch (parseError) {
+        const error = new Error(`Failed to parse glossary: ${parseError.message}`);
+        error.userFriendly = 'This glossary has no terms with definitions. Put each term in the first column and its definition in the second.';
+        await this.errorLogger.logError('GlossaryProcessing', parseError, {
+          filePath,
+          parseErrorMessage: parseError.message
+        });
+        throw error;
+      }
+
+      const content = GlossaryParser.toContent(glossary);
+
+      // Calculate word count
+      const wordCount = content.trim().split(/\s+/).filter(word => word.length > 0).length;
+
+      return {
+        filePath: validation.metadata.path,
+        content: content,
+        metadata: {
+          title: path.basename(filePath, format),
+          wordCount: wordCount,
+          format: format,
+          glossary: glossary
+        }
+      };
+    } catch (error) {
+      // Log and re-throw with context
+      if (!error.userFriendly) {
+        await this.errorLogger.logError('GlossaryProcessing', error, { filePath });
+        error.userFriendly = 'An unexpected error occurred while processing the glossary';
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Process a Markdown document and extract text content
+   * @param {string} filePath - Path to the Markdown file
+   * @param {{sections?: string[]}} [selection] - Headings whose sections to extract (default: the whole document)
+   * @returns {Promise<DocumentContent>}
+   * @throws {Error} If the Markdown file cannot be processed
+   */
+  async processMarkdown(filePath, selection = null) {
+    try {
+      // Validate the document first
+      const validation = await this.validateDocument(filePath);
+      if (!validation.valid) {
+        const error = new Error(validation.userFriendlyError || validation.error);
+        error.userFriendly = validation.userFriendlyError;
+        throw error;
+      }
+
+      // Check format
+      if (validation.metadata.format !== '.md') {
+        const error = new Error(`Expected Markdown file, got ${validation.metadata.format}`);
+        await this.errorLogger.logError('MarkdownProcessing', error, { filePath });
+        throw error;
+      }
+
+      // Read the file, detecting its encoding
+      let content;
+      let encoding;
+      try {
+        ({ text: content, encoding } = TextEncoding.decode(await fs.readFile(filePath)));
+      } catch (readError) {
+        const error = new Error('Failed to read file');
+        error.userFriendly = 'Cannot read file. It may have an unsupported text encoding.';
+        await this.errorLogger.logError('MarkdownProcessing', readError, { filePath });
+        throw error;
+      }
+      await this._warnUncertainEncoding('MarkdownProcessing', filePath, encoding);
+
+      // Check if file has content
+      if (content.trim().length === 0) {
+        const warning = 'Markdown file is empty';
+        await this.errorLogger.logWarning('MarkdownProcessing', warning, { filePath });
+        const error = new Error(warning);
+        error.userFriendly = 'This Markdown file is empty.';
+        throw error;
+      }
+
+      // Initialize markdown-it parser
+      const md = new MarkdownIt();
+
+      // Keep only the selected sections
+      const sections = selection && selection.sections ? selection.sections : null;
+      if (sections) {
+        content = DocumentSelection.selectMarkdown(content, sections, md);
+        if (content.trim().length === 0) {
+          await this._throwSectionsNotFound('MarkdownProcessing', filePath, sections);
+        }
+      }
+
+      // Parse markdown to extract headings
+      const tokens = md.parse(content, {});
+      const headings = tokens
+        .filter(token => token.type === 'heading_open')
+        .map((token, index) => {
+          // Get the content of the heading (next token)
+          const contentToken = tokens[tokens.indexOf(token) + 1];
+          return {
+            level: parseInt(token.tag.substring(1)), // h1 -> 1, h2 -> 2, etc.
+            text: contentToken?.content || ''
+          };
+        });
+
+      // Render to plain text (strips markdown formatting)
+      const plainText = md.render(content)
+        .replace(/<[^>]*>/g, '') // Remove HTML tags
+        .replace(/&nbsp;/g, ' ') // Replace HTML entities
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&')
+        .replace(/&quot;/g, '"')
+        .trim();
+
+      // Calculate word count
+      const wordCount = plainText.split(/\s+/).filter(word => word.length > 0).length;
+
+      // Extract title (first h1 heading or filename)
+      const firstH1 = headings.find(h => h.level === 1);
+      const title = firstH1?.text || path.basename(filePath, '.md');
+
+      const result = {
+        filePath: validation.metadata.path,
+        content: plainText,
+        metadata: {
+          title: title,
+          wordCount: wordCount,
+          format: '.md',
+          headings: headings,
+          encoding: encoding
+        }
+      };
+
+      if (sections) {
+        result.metadata.selection = { sections };
+      }
+
+      // Definition lists become glossary entries
+      const glossary = this.glossaryParser.parseDefinitionLists(content);
+      if (glossary.length > 0) {
+        result.metadata.glossary = glossary;
+      }
+
+      return result;
+    } catch (error) {
+      // Log and re-throw with context
+      if (!error.userFriendly) {
+        await this.errorLogger.logError('MarkdownProcessing', error, { filePath });
+        error.userFriendly = 'An unexpected error occurred while processing the Markdown file';
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Process a plain text document
+   * @param {string} filePath - Path to the text file
+   * @returns {Promise<DocumentContent>}
+   * @throws {Error} If the text file cannot be processed
+   */
+  async processText(filePath) {
+    try {
+      // Validate the document first
+      const validation = await this.validateDocument(filePath);
+      if (!validation.valid) {
+        const error = new Error(validation.userFriendlyError || validation.error);
+        error.userFriendly = validation.userFriendlyError;
+        throw error;
+      }
+
+      // Check format
+      if (validation.metadata.format !== '.txt') {
+        const error = new Error(`Expected text file, got ${validation.metadata.format}`);
+        await this.errorLogger.logError('TextProcessing', error, { filePath });
+        throw error;
+      }
+
+      // Read the file, detecting its encoding
+      let content;
+      let encoding;
+      try {
+        ({ text: content, encoding } = TextEncoding.decode(await fs.readFile(filePath)));
+      } catch (readError) {
+        const error = new Error('Failed to read file');
+        error.userFriendly = 'Cannot read file. It may have an unsupported text encoding.';
+        await this.errorLogger.logError('TextProcessing', readError, { filePath });
+        throw error;
+      }
+      await this._warnUncertainEncoding('TextProcessing', filePath, encoding);
+
+      // Check if file has content
+      if (content.trim().length === 0) {
+        const warning = 'Text file is empty';
+        await this.errorLogger.logWarning('TextProcessing', warning, { filePath });
+        const error = new Error(warning);
+        error.userFriendly = 'This text file is empty.';
+        throw error;
+      }
+
+      // Calculate word count
+      const wordCount = content.trim().split(/\s+/).filter(word => word.length > 0).length;
+
+      // Extract title from filename
+      const title = path.basename(filePath, '.txt');
+
+      return {
+        filePath: validation.metadata.path,
+        content: content,
+        metadata: {
+          title: title,
+          wordCount: wordCount,
+          format: '.txt',
+          encoding: encoding
+        }
+      };
+    } catch (error) {
+      // Log and re-throw with context
+      if (!error.userFriendly) {
+        await this.errorLogger.logError('TextProcessing', error, { filePath });
+        error.userFriendly = 'An unexpected error occurred while processing the text file';
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get the saved password of a document
+   * @private
+   * @param {string} filePath - Path to the document
+   * @returns {Promise<string|null>} - The password, or null without a password store or saved password
+   */
+  async _getPassword(filePath) {
+    return this.passwordStore ? await this.passwordStore.get(filePath) : null;
+  }
+
+  /**
+   * Log a warning when a text file's encoding was only a weak guess, as its text may be garbled
+   * @private
+   * @param {string} category - Error log category
+   * @param {string} filePath - Path to the text file
+   * @param {{name: string, confidence: number, bom: boolean}} encoding - Encoding from TextEncoding.decode
+   * @returns {Promise<void>}
+   */
+  async _warnUncertainEncoding(category, filePath, encoding) {
+    if (TextEncoding.isUncertain(encoding)) {
+      await this.errorLogger.logWarning(category, `Text encoding is uncertain, read as ${encoding.name}`, {
+        filePath,
+        encoding: encoding.name,
+        confidence: encoding.confidence
+      });
+    }
+  }
+
+  /**
+   * Process a hand-authored question deck
+   * Questions are validated and passed through verbatim instead of running keyword extraction;
+   * invalid entries are skipped and logged
+   * @param {string} filePath - Path to the deck file
+   * @returns {Promise<DocumentContent>}
+   * @throws {Error} If the deck cannot be read or contains no valid questions
+   */
+  async processDeck(filePath) {
+    try {
+      // Validate the document first
+      const validation = await this.validateDocument(filePath);
+      if (!validation.valid) {
+        const error = new Error(validation.userFriendlyError || validation.error);
+        error.userFriendly = validation.userFriendlyError;
+        throw error;
+      }
+
+      // Check format
+      const format = validation.metadata.format;
+      if (!this.deckFormats.includes(format)) {
+        const error = new Error(`Expected question deck, got ${format}`);
+        await this.errorLogger.logError('DeckProcessing', error, { filePath });
+        throw error;
+      }
+
+      const content = await fs.readFile(filePath, 'utf8');
+
+      let deck;
+      try {
+        deck = this.deckParser.parse(content, format);
+      } catch (parseError) {
+        const error = new Error(parseError.message);
+        error.userFriendly = `Could not read question deck: ${parseError.message}`;
+        await this.errorLogger.logError('DeckProcessing', parseError, { filePath });
+        throw error;
+      }
+
+      if (deck.invalid.length > 0) {
+        await this.errorLogger.logWarning('DeckProcessing', `Skipped ${deck.invalid.length} invalid deck entries`, {
+          filePath,
+          invalid: deck.invalid
+        });
+      }
+
+      if (deck.questions.length === 0) {
+        const error = new Error('Question deck contains no valid questions');
+        error.userFriendly = deck.invalid.length > 0
+          ? `This question deck has no valid questions (entry ${deck.invalid[0].entry}: ${deck.invalid[0].error}).`
+          : 'This question deck has no questions.';
+        await this.errorLogger.logWarning('DeckProcessing', error.message, { filePath });
+        throw error;
+      }
+
+      // Deck questions always belong to the deck, so they follow it when it changes or is removed
+      const questions = deck.questions.map(question => ({
+        ...question,
+        sourceDocument: validation.metadata.path
+      }));
+      const text = questions.map(q => q.text).join('\n');
+
+      return {
+        filePath: validation.metadata.path,
+        content: text,
+        metadata: {
+          title: deck.title || path.basename(filePath).slice(0, -format.length),
+          wordCount: text.split(/\s+/).filter(word => word.length > 0).length,
+          format: format,
+          questionCount: questions.length
+        },
+        questions
+      };
+    } catch (error) {
+      // Log and re-throw with context
+      if (!error.userFriendly) {
+        await this.errorLogger.logError('DeckProcessing', error, { filePath });
+        error.userFriendly = 'An unexpected error occurred while processing the question deck';
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a password opens a PDF or DOCX document
+   * @param {string} filePath - Path to the document
+   * @param {string} password - Password to try
+   * @returns {Promise<boolean>} - True if the document opens with the password
+   * @throws {Error} If the document is invalid or is not a PDF or DOCX
+   */
+  async checkPassword(filePath, password) {
+    const validation = await this.validateDocument(filePath);
+    if (!validation.valid) {
+      const error = new Error(validation.userFriendlyError || validation.error);
+      error.userFriendly = validation.userFriendlyError;
+      throw error;
+    }
+
+    const format = validation.metadata.format;
+    if (format !== '.pdf' && format !== '.docx') {
+      const error = new Error(`${format} documents cannot have a password`);
+      error.userFriendly = 'Only PDF and Word documents can be opened with a password.';
+      throw error;
+    }
+
+    try {
+      const data = await fs.readFile(filePath);
+      if (format === '.pdf') {
+        await PdfOcr.countPages(data, password);
+      } else {
+        await PasswordProtection.openDocx(data, password);
+      }
+      return true;
+    } catch (error) {
+      if (PasswordProtection.isPasswordError(PasswordProtection.fromPdfError(error))) {
+        return false;
+      }
+      await this.errorLogger.logError('DocumentPassword', error, { filePath });
+      error.userFriendly = 'Unable to open this document to check its password.';
+      throw error;
+    }
+  }
+
+  /**
+   * Describe the parts of a document that can be selected for study
+   * PDFs report their page count, Markdown and DOCX documents their headings
+   * @param {string} filePath - Path to the document
+   * @returns {Promise<{format: string, pageCount?: number, sections?: {level: number, title: string}[]}>}
+   * @throws {Error} If the document is invalid or its format cannot be limited to parts
+   */
+  async getOutline(filePath) {
+    const validation = await this.validateDocument(filePath);
+    if (!validation.valid) {
+      const error = new Error(validation.userFriendlyError || validation.error);
+      error.userFriendly = validation.userFriendlyError;
+      throw error;
+    }
+
+    const format = this.detectFormat(filePath);
+    if (!DocumentSelection.isSelectable(format)) {
+      const error = new Error(`Parts of ${format} documents cannot be selected`);
+      error.userFriendly = 'Only PDFs can be limited to pages, and only Markdown and Word documents to sections.';
+      throw error;
+    }
+
+    try {
+      const password = await this._getPassword(filePath);
+      if (format === '.pdf') {
+        return { format, pageCount: await PdfOcr.countPages(await fs.readFile(filePath), password) };
+      }
+
+      const headings = format === '.docx'
+        ? DocumentSelection.htmlHeadings((await mammoth.convertToHtml({
+          buffer: await PasswordProtection.openDocx(await fs.readFile(filePath), password)
+        })).value).headings
+        : DocumentSelection.markdownHeadings(TextEncoding.decode(await fs.readFile(filePath)).text, new MarkdownIt());
+      return { format, sections: headings.map(({ level, title }) => ({ level, title })) };
+    } catch (error) {
+      const passwordError = PasswordProtection.fromPdfError(error);
+      if (PasswordProtection.isPasswordError(passwordError)) {
+        throw passwordError;
+      }
+      await this.errorLogger.logError('DocumentOutline', error, { filePath });
+      error.userFriendly = 'Unable to read the pages or headings of this document.';
+      throw error;
+    }
+  }
+
+  /**
+   * Report that none of the selected sections were found in a document
+   * @private
+   * @param {string} category - Error log category
+   * @param {string} filePath - Path to the document
+   * @param {string[]} sections - Selected heading titles
+   * @returns {Promise<never>}
+   * @throws {Error} Always, with a user-friendly message
+   */
+  async _throwSectionsNotFound(category, filePath, sections) {
+    const warning = `Selected sections not found: ${sections.join(', ')}`;
+    await this.errorLogger.logWarning(category, warning, { filePath });
+    const error = new Error(warning);
+    error.userFriendly = 'None of the selected sections were found in this document. Its headings may have been renamed.';
+    throw error;
+  }
+
+  /**
+   * Pass OCR progress on to the onOcrProgress callback
+   * @private
+   * @param {string} filePath - PDF being recognised
+   * @param {{page: number|null, done: number, total: number}} progress - Progress from PdfOcr
+   */
+  _reportOcrProgress(filePath, progress) {
+    if (typeof this.onOcrProgress === 'function') {
+      try {
+        this.onOcrProgress({ filePath, ...progress });
+      } catch (error) {
+        console.error('Error in OCR progress callback:', error);
+      }
+    }
+  }
+
+  /**
+   * Number of worker threads processing a document
+   * @returns {number}
+   */
+  get activeWorkers() {
+    return this.workerPool ? this.workerPool.getStatus().busy : 0;
+  }
+
+  /**
+   * Get the worker pool, starting it on first use
+   * @private
+   * @returns {WorkerPool}
+   */
+  _getWorkerPool() {
+    if (!this.workerPool) {
+      this.workerPool = new WorkerPool(path.join(__dirname, 'DocumentWorker.js'), {
+        size: this.maxConcurrentWorkers,
+        taskTimeout: this.workerTimeout,
+        resourceLimits: this.workerResourceLimits,
+        workerData: { ocrCacheDir: this.ocrCacheDir }
+      });
+    }
+    return this.workerPool;
+  }
+
+  /**
+   * Process a document using worker thread
+   * Waits for a free worker when every pooled worker is busy
+   * @param {string} filePath - Path to the document
+   * @param {string} format - Document format
+   * @param {{pages?: string, sections?: string[]}} [selection] - Pages or sections to extract
+   * @param {string} [batchId] - Batch the document belongs to, so it can be cancelled
+   * @returns {Promise<DocumentContent>}
+   * @private
+   */
+  async _processDocumentInWorker(filePath, format, selection = null, batchId = null) {
+    const password = await this._getPassword(filePath);
+    const document = await this._getWorkerPool().run({ filePath, format, selection, password }, {
+      batch: batchId,
+      onMessage: (message) => {
+        if (message.type === 'ocr-progress') {
+          this._reportOcrProgress(message.filePath, message.progress);
+        }
+      }
+    });
+
+    // Workers have no error logger, so uncertain encodings are logged here
+    if (document.metadata.encoding) {
+      const category = format === '.md' ? 'MarkdownProcessing' : 'TextProcessing';
+      await this._warnUncertainEncoding(category, filePath, document.metadata.encoding);
+    }
+    return document;
+  }
+
+  /**
+   * Cancel the documents being processed by processAllDocuments
+   * Queued documents are dropped and the workers processing them are stopped. Documents already
+   * being processed on the main thread finish, but no further documents are started.
+   * @returns {number} - Number of batches cancelled
+   */
+  cancelProcessing() {
+    this.activeBatches.forEach(batch => {
+      batch.cancelled = true;
+      if (this.workerPool) {
+        this.workerPool.cancel(batch.id);
+      }
+    });
+    return this.activeBatches.size;
+  }
+
+  /**
+   * Stop before starting a document whose batch was cancelled
+   * @private
+   * @param {{id: string, cancelled: boolean}|null} batch - Batch the document belongs to
+   * @throws {Error} With code CANCELLED if the batch was cancelled
+   */
+  _checkCancelled(batch) {
+    if (batch && batch.cancelled) {
+      const error = new Error('Processing was cancelled');
+      error.code = 'CANCELLED';
+      error.userFriendly = WORKER_STOP_MESSAGES.CANCELLED;
+      throw error;
+    }
+  }
+
+  /**
+   * Stop the worker threads
+   * @returns {Promise<void>}
+   */
+  async destroy() {
+    if (this.workerPool) {
+      await this.workerPool.destroy();
+      this.workerPool = null;
+    }
+  }
+
+  /**
+   * Process a document based on its format
+   * Unchanged documents extracted before come from the extracted-text store, if there is one
+   * @param {string} filePath - Path to the document
+   * @param {boolean} [useWorker] - Force use of worker thread (default: auto)
+   * @param {{pages?: string, sections?: string[]}} [selection] - Page ranges (PDFs) or sections (DOCX, Markdown) to extract
+   * @param {{id: string, cancelled: boolean}} [batch] - Batch from processAllDocuments the document belongs to
+   * @returns {Promise<DocumentContent>}
+   * @throws {Error} If the document cannot be processed, took too long or was cancelled
+   */
+  async processDocument(filePath, useWorker = null, selection = null, batch = null) {
+    const format = this.detectFormat(filePath);
+    
+    if (!format) {
+      throw new Error(`Unsupported or invalid file format for: ${filePath}`);
+    }
+
+    // Decks only need validating, so they skip the worker thread
+    if (this.deckFormats.includes(format)) {
+      return await this.processDeck(filePath);
+    }
+
+    this._checkCancelled(batch);
+
+    // Documents parsed before are read from the extracted-text store
+    const storeKey = await this._getStoreKey(filePath, format, selection);
+    if (storeKey) {
+      const stored = await this.textStore.get(storeKey, filePath);
+      if (stored) {
+        return stored;
+      }
+    }
+
+    const document = await this._extractDocument(filePath, format, selection, useWorker, batch);
+    if (storeKey) {
+      await this.textStore.put(storeKey, document);
+    }
+    return document;
+  }
+
+  /**
+   * Get the extracted-text store key of a document
+   * @private
+   * @param {string} filePath - Path to the document
+   * @param {string} format - Document format
+   * @param {{pages?: string, sections?: string[]}|null} selection - Pages or sections to extract
+   * @returns {Promise<string|null>} - Key, or null without a store, if the file cannot be read or if it is password-protected
+   */
+  async _getStoreKey(filePath, format, selection) {
+    // The store is not encrypted, so the text of password-protected documents is never kept
+    if (!this.textStore || await this._getPassword(filePath)) {
+      return null;
+    }
+    try {
+      return await this.textStore.keyFor(filePath, { format, selection });
+    } catch (error) {
+      // Parsing reports why the file cannot be read
+      return null;
+    }
+  }
+
+  /**
+   * Parse a document in a worker thread, or on the main thread if workers are off or fail
+   * @private
+   * @param {string} filePath - Path to the document
+   * @param {string} format - Document format
+   * @param {{pages?: string, sections?: string[]}|null} selection - Pages or sections to extract
+   * @param {boolean|null} useWorker - Force use of worker thread
+   * @param {{id: string, cancelled: boolean}|null} batch - Batch the document belongs to
+   * @returns {Promise<DocumentContent>}
+   */
+  async _extractDocument(filePath, format, selection, useWorker, batch) {
+    // Determine whether to use worker thread
+    const shouldUseWorker = useWorker !== null ? useWorker : this.useWorkerThreads;
+
+    // Use the worker pool if enabled, queueing behind other documents
+    if (shouldUseWorker && this.maxConcurrentWorkers > 0) {
+      try {
+        return await this._processDocumentInWorker(filePath, format, selection, batch ? batch.id : null);
+      } catch (error) {
+        // Documents that hung, ran out of memory or were cancelled would block the main thread
+        if (WORKER_STOP_MESSAGES[error.code]) {
+          error.userFriendly = WORKER_STOP_MESSAGES[error.code];
+          throw error;
+        }
+        // A missing or wrong password fails on the main thread too
+        if (PasswordProtection.isPasswordError(error)) {
+          throw PasswordProtection.error(error.code);
+        }
+        // Fall back to main thread if worker fails
+        console.warn('Worker thread failed, falling back to main thread:', error.message);
+      }
+    }
+
+    this._checkCancelled(batch);
+
+    // Process in main thread
+    switch (format) {
+      case '.pdf':
+        return await this.processPDF(filePath, selection);
+      case '.docx':
+        return await this.processDOCX(filePath, selection);
+      case '.epub':
+        return await this.processEPUB(filePath);
+      case '.pptx':
+      case '.odp':
+        return await this.processSlides(filePath);
+      case '.html':
+      case '.htm':
+      case '.mhtml':
+      case '.mht':
+        return await this.processHTML(filePath);
+      case '.ipynb':
+        return await this.processNotebook(filePath);
+      case '.tex':
+        return await this.processLaTeX(filePath);
+      case '.srt':
+      case '.vtt':
+        return await this.processSubtitles(filePath);
+      case '.csv':
+      case '.tsv':
+        return await this.processGlossary(filePath);
+      case '.md':
+        return await this.processMarkdown(filePath, selection);
+      case '.txt':
+        return await this.processText(filePath);
+      default:
+        throw new Error(`Processing for ${format} format is not yet implemented`);
+    }
+  }
+
+  /**
+   * Process all configured documents with progress tracking
+   * @param {string[]} filePaths - Array of document paths
    * @param {Function} [onProgress] - Optional callback for progress updates (processed, total, currentFile)
+   * @param {Object<string, {pages?: string, sections?: string[]}>} [selections] - Parts to extract, by resolved document path
    * @returns {Promise<ProcessingResult>}
    * 
    * @typedef {Object} ProcessingResult
@@ -745,8 +1877,9 @@ class DocumentProcessor {
    * @property {number} successful - Number of successfully processed documents
    * @property {number} failed - Number of failed documents
    * @property {number} totalWords - Total word count across all successful documents
+   * @property {boolean} cancelled - Whether the batch was cancelled; cancelled documents are neither results nor errors
    */
-  async processAllDocuments(filePaths, onProgress = null) {
+  async processAllDocuments(filePaths, onProgress = null, selections = null) {
     if (!Array.isArray(filePaths) || filePaths.length === 0) {
       return {
         documents: [],
@@ -755,7 +1888,8 @@ class DocumentProcessor {
           total: 0,
           successful: 0,
           failed: 0,
-          totalWords: 0
+          totalWords: 0,
+          cancelled: false
         }
       };
     }
@@ -763,6 +1897,8 @@ class DocumentProcessor {
     const results = [];
     const errors = [];
     let processedCount = 0;
+    const batch = { id: `batch-${this.nextBatchId++}`, cancelled: false };
+    this.activeBatches.add(batch);
 
     await this.errorLogger.logWarning('DocumentProcessing', `Starting batch processing of ${filePaths.length} documents`, {
       fileCount: filePaths.length
@@ -771,7 +1907,8 @@ class DocumentProcessor {
     // Process documents in parallel with progress tracking
     const processingPromises = filePaths.map(async (filePath) => {
       try {
-        const content = await this.processDocument(filePath);
+        const selection = selections ? selections[path.resolve(filePath)] || null : null;
+        const content = await this.processDocument(filePath, null, selection, batch);
         
         // Update progress
         processedCount++;
@@ -781,6 +1918,10 @@ class DocumentProcessor {
         
         return { success: true, content };
       } catch (error) {
+        if (batch.cancelled && error.code === 'CANCELLED') {
+          return { success: false, cancelled: true };
+        }
+
         // Update progress even on error
         processedCount++;
         if (onProgress && typeof onProgress === 'function') {
@@ -793,29 +1934,46 @@ class DocumentProcessor {
           batchProcessing: true
         });
         
-        return { 
+        const outcome = { 
           success: false, 
           filePath, 
           error: error.message,
           userFriendlyError: error.userFriendly || error.message,
           fileName: path.basename(filePath)
         };
+        // Documents that need a password are reported with the reason, so it can be asked for
+        if (PasswordProtection.isPasswordError(error)) {
+          outcome.code = error.code;
+        }
+        return outcome;
       }
     });
 
-    const outcomes = await Promise.all(processingPromises);
+    let outcomes;
+    try {
+      outcomes = await Promise.all(processingPromises);
+    } finally {
+      this.activeBatches.delete(batch);
+    }
 
     // Separate successful results from errors
     outcomes.forEach((outcome) => {
+      if (outcome.cancelled) {
+        return;
+      }
       if (outcome.success) {
         results.push(outcome.content);
       } else {
-        errors.push({
+        const entry = {
           filePath: outcome.filePath,
           error: outcome.error,
           userFriendlyError: outcome.userFriendlyError,
           fileName: outcome.fileName
-        });
+        };
+        if (outcome.code) {
+          entry.code = outcome.code;
+        }
+        errors.push(entry);
       }
     });
 
@@ -826,7 +1984,8 @@ class DocumentProcessor {
       total: filePaths.length,
       successful: results.length,
       failed: errors.length,
-      totalWords: totalWords
+      totalWords: totalWords,
+      cancelled: batch.cancelled
     };
 
     // Log summary
@@ -1,7 +1,10 @@
 const fs = require('fs').promises;
 const path = require('path');
 const DocumentProcessor = require('./DocumentProcessor');
+const PdfOcr = require('./PdfOcr');
+const ExtractedTextStore = require('./ExtractedTextStore');
 const PDFDocument = require('pdfkit');
+const JSZip = require('jszip');
 
 describe('DocumentProcessor', () => {
   let processor;
@@ -63,7 +66,7 @@ describe('DocumentProcessor', () => {
     });
 
     it('should have supported formats defined', () => {
-      expect(processor.supportedFormats).toEqual(['.pdf', '.docx', '.md', '.txt']);
+      expect(processor.supportedFormats).toEqual(['.pdf', '.docx', '.md', '.txt', '.epub', '.pptx', '.odp', '.html', '.htm', '.mhtml', '.mht', '.ipynb', '.tex', '.srt', '.vtt', '.csv', '.tsv']);
     });
   });
 
@@ -235,13 +238,13 @@ describe('DocumentProcessor', () => {
   describe('getSupportedFormats', () => {
     it('should return array of supported formats', () => {
       const formats = processor.getSupportedFormats();
-      expect(formats).toEqual(['.pdf', '.docx', '.md', '.txt']);
+      expect(formats).toEqual(['.pdf', '.docx', '.md', '.txt', '.epub', '.pptx', '.odp', '.html', '.htm', '.mhtml', '.mht', '.ipynb', '.tex', '.srt', '.vtt', '.csv', '.tsv']);
     });
 
     it('should return a copy of the array', () => {
       const formats = processor.getSupportedFormats();
       formats.push('.exe');
-      expect(processor.getSupportedFormats()).toEqual(['.pdf', '.docx', '.md', '.txt']);
+      expect(processor.getSupportedFormats()).toEqual(['.pdf', '.docx', '.md', '.txt', '.epub', '.pptx', '.odp', '.html', '.htm', '.mhtml', '.mht', '.ipynb', '.tex', '.srt', '.vtt', '.csv', '.tsv']);
     });
   });
 
@@ -509,6 +512,85 @@ describe('DocumentProcessor', () => {
           .rejects.toThrow(/exceeds maximum allowed size/i);
       });
     });
+
+    describe('scanned PDFs', () => {
+      // 120x120 greyscale PNG standing in for a scanned page
+      const SCAN_PNG = Buffer.from(
+        'iVBORw0KGgoAAAANSUhEUgAAAHgAAAB4CAAAAAAcD2kOAAAASklEQVR4nO3YwQkAAAgDMfdfWpcoFCS3QP43W2rAYDAYDAaDwWAwGAwGg8HgD7AkSZIkSZIUrPa5wGAwGAwGg8FgMBgMBoPB4FwHYkfUNMbG/nAAAAAASUVORK5CYII=',
+        'base64'
+      );
+      let scannedPdf;
+      let ocrCacheDir;
+
+      const createOcrProcessor = (text, progress = []) => new DocumentProcessor({
+        useWorkerThreads: false,
+        pdfOcr: new PdfOcr({
+          cacheDir: ocrCacheDir,
+          createRecognizer: async () => ({ recognize: async () => text, terminate: async () => {} })
+        }),
+        onOcrProgress: update => progress.push(update)
+      });
+
+      // Write a PDF whose last page is only a scanned image, optionally after a text page
+      const writeScannedPdf = (withTextPage) => new Promise((resolve, reject) => {
+        const doc = new PDFDocument();
+        const stream = require('fs').createWriteStream(scannedPdf);
+        stream.on('finish', resolve);
+        stream.on('error', reject);
+        doc.pipe(stream);
+        if (withTextPage) {
+          doc.text('Cell Biology');
+          doc.addPage();
+        }
+        doc.image(SCAN_PNG, 50, 50, { width: 400 });
+        doc.end();
+      });
+
+      beforeEach(async () => {
+        scannedPdf = path.join(testDir, 'scanned.pdf');
+        ocrCacheDir = path.join(testDir, 'ocr-cache');
+        await writeScannedPdf(true);
+      });
+
+      afterEach(async () => {
+        await fs.rm(scannedPdf, { force: true });
+        await fs.rm(ocrCacheDir, { recursive: true, force: true });
+      });
+
+      it('should add the recognised text of scanned pages to the content', async () => {
+        const progress = [];
+        const ocrProcessor = createOcrProcessor('Mitochondria produce energy for the cell.', progress);
+
+        const result = await ocrProcessor.processPDF(scannedPdf);
+
+        expect(result.content).toContain('Cell Biology');
+        expect(result.content).toContain('Mitochondria produce energy for the cell.');
+        expect(result.metadata.pageCount).toBe(2);
+        expect(result.metadata.ocrPages).toEqual([2]);
+        expect(progress[0]).toEqual({ filePath: path.resolve(scannedPdf), page: 2, done: 0, total: 1 });
+        expect(progress[progress.length - 1]).toMatchObject({ page: null, done: 1, total: 1 });
+      });
+
+      it('should explain when nothing could be recognised', async () => {
+        await writeScannedPdf(false);
+
+        await expect(createOcrProcessor('   ').processPDF(scannedPdf)).rejects.toMatchObject({
+          userFriendly: 'This PDF contains no text, and no text could be recognised in its scanned pages.'
+        });
+      });
+
+      it('should leave scanned pages empty when OCR is not installed', async () => {
+        const offlineProcessor = new DocumentProcessor({
+          useWorkerThreads: false,
+          pdfOcr: new PdfOcr({ cacheDir: ocrCacheDir, languageDir: path.join(testDir, 'no-ocr') })
+        });
+
+        const result = await offlineProcessor.processPDF(scannedPdf);
+
+        expect(result.content.trim()).toBe('Cell Biology');
+        expect(result.metadata.ocrPages).toBeUndefined();
+      });
+    });
   });
 
   describe('DOCX Processing', () => {
@@ -1207,6 +1289,1128 @@ describe('DocumentProcessor', () => {
     });
   });
 
+  describe('Question Deck Processing', () => {
+    let deckFiles;
+    let deckProcessor;
+
+    beforeEach(async () => {
+      deckProcessor = new DocumentProcessor({ useWorkerThreads: false });
+      const deckDir = path.join(__dirname, '../../test-data');
+      await fs.mkdir(deckDir, { recursive: true });
+
+      deckFiles = {
+        markdown: path.join(deckDir, 'cells.deck.md'),
+        json: path.join(deckDir, 'capitals.deck.json'),
+        invalid: path.join(deckDir, 'broken.deck.json')
+      };
+
+      await fs.writeFile(deckFiles.markdown, [
+        '# Cell Biology',
+        'Q: Which organelle produces most of a cell\'s ATP?',
+        '- [ ] Ribosome',
+        '- [x] Mitochondrion',
+        '',
+        'Q: Which one is wrong?',
+        '- [ ] A',
+        '- [ ] B'
+      ].join('\n'));
+      await fs.writeFile(deckFiles.json, JSON.stringify([
+        { id: 'fr', text: 'Capital of France?', type: 'text', correctAnswer: 'Paris', sourceDocument: '/elsewhere.pdf' }
+      ]));
+      await fs.writeFile(deckFiles.invalid, JSON.stringify([{ text: 'No answer' }]));
+    });
+
+    afterEach(async () => {
+      for (const file of Object.values(deckFiles)) {
+        try {
+          await fs.unlink(file);
+        } catch (error) {
+          // Ignore if file doesn't exist
+        }
+      }
+    });
+
+    it('should detect deck formats from the full suffix', () => {
+      expect(deckProcessor.detectFormat('notes/cells.deck.md')).toBe('.deck.md');
+      expect(deckProcessor.detectFormat('Capitals.DECK.JSON')).toBe('.deck.json');
+      expect(deckProcessor.detectFormat('notes/cells.md')).toBe('.md');
+      expect(deckProcessor.detectFormat('data.json')).toBe(null);
+      expect(deckProcessor.isDeck('cells.deck.md')).toBe(true);
+      expect(deckProcessor.isDeck('cells.md')).toBe(false);
+    });
+
+    it('should validate deck files', async () => {
+      const result = await deckProcessor.validateDocument(deckFiles.json);
+      expect(result.valid).toBe(true);
+      expect(result.metadata.format).toBe('.deck.json');
+    });
+
+    it('should pass Markdown deck questions through and skip invalid blocks', async () => {
+      const result = await deckProcessor.processDocument(deckFiles.markdown);
+
+      expect(result.metadata).toMatchObject({ title: 'Cell Biology', format: '.deck.md', questionCount: 1 });
+      expect(result.questions).toHaveLength(1);
+      expect(result.questions[0]).toMatchObject({
+        type: 'multiple-choice',
+        options: ['Ribosome', 'Mitochondrion'],
+        correctAnswer: 1,
+        sourceDocument: path.resolve(deckFiles.markdown)
+      });
+    });
+
+    it('should attribute JSON deck questions to the deck', async () => {
+      const result = await deckProcessor.processDocument(deckFiles.json);
+
+      expect(result.metadata.title).toBe('capitals');
+      expect(result.questions[0]).toMatchObject({
+        id: 'fr',
+        correctAnswer: 'Paris',
+        sourceDocument: path.resolve(deckFiles.json)
+      });
+    });
+
+    it('should reject decks without valid questions', async () => {
+      await expect(deckProcessor.processDeck(deckFiles.invalid)).rejects.toMatchObject({
+        userFriendly: expect.stringContaining('no valid questions')
+      });
+    });
+  });
+
+  describe('EPUB Processing', () => {
+    let epubFiles;
+    let epubProcessor;
+
+    const writeEpub = async (filePath, chapters) => {
+      const zip = new JSZip();
+      zip.file('META-INF/container.xml', '<container><rootfiles><rootfile full-path="content.opf"/></rootfiles></container>');
+      zip.file('content.opf', [
+        '<package><metadata><dc:title>Study Guide</dc:title></metadata><manifest>',
+        ...chapters.map((chapter, index) => `<item id="c${index}" href="c${index}.xhtml" media-type="application/xhtml+xml"/>`),
+        '</manifest><spine>',
+        ...chapters.map((chapter, index) => `<itemref idref="c${index}"/>`),
+        '</spine></package>'
+      ].join(''));
+      chapters.forEach((chapter, index) => {
+        zip.file(`c${index}.xhtml`, `<html><body><h1>${chapter.title}</h1><p>${chapter.text}</p></body></html>`);
+      });
+      await fs.writeFile(filePath, await zip.generateAsync({ type: 'nodebuffer' }));
+    };
+
+    beforeEach(async () => {
+      epubProcessor = new DocumentProcessor({ useWorkerThreads: false });
+      const epubDir = path.join(__dirname, '../../test-data');
+      await fs.mkdir(epubDir, { recursive: true });
+
+      epubFiles = {
+        book: path.join(epubDir, 'study-guide.epub'),
+        empty: path.join(epubDir, 'empty-book.epub'),
+        corrupt: path.join(epubDir, 'corrupt.epub')
+      };
+
+      await writeEpub(epubFiles.book, [
+        { title: 'Photosynthesis', text: 'Chlorophyll absorbs light energy in the chloroplast.' },
+        { title: 'Respiration', text: 'Mitochondria release energy from glucose molecules.' }
+      ]);
+      await writeEpub(epubFiles.empty, [{ title: '', text: '' }]);
+      await fs.writeFile(epubFiles.corrupt, 'This is not a zip archive');
+    });
+
+    afterEach(async () => {
+      for (const file of Object.values(epubFiles)) {
+        try {
+          await fs.unlink(file);
+        } catch (error) {
+          // Ignore if file doesn't exist
+        }
+      }
+    });
+
+    it('should extract chapters as sections', async () => {
+      const result = await epubProcessor.processDocument(epubFiles.book);
+
+      expect(result.filePath).toBe(path.resolve(epubFiles.book));
+      expect(result.content).toContain('Chlorophyll absorbs light energy');
+      expect(result.metadata).toMatchObject({ title: 'Study Guide', format: '.epub' });
+      expect(result.metadata.sections.map(section => section.title)).toEqual(['Photosynthesis', 'Respiration']);
+      expect(result.metadata.wordCount).toBeGreaterThan(10);
+    });
+
+    it('should produce the same result in a worker thread', async () => {
+      const inMainThread = await epubProcessor.processEPUB(epubFiles.book);
+      const inWorker = await epubProcessor._processDocumentInWorker(epubFiles.book, '.epub');
+
+      expect(inWorker).toEqual(inMainThread);
+    });
+
+    it('should reject books without text', async () => {
+      await expect(epubProcessor.processEPUB(epubFiles.empty)).rejects.toMatchObject({
+        userFriendly: 'This e-book contains no text content.'
+      });
+    });
+
+    it('should reject corrupted files', async () => {
+      await expect(epubProcessor.processEPUB(epubFiles.corrupt)).rejects.toMatchObject({
+        userFriendly: 'This EPUB file appears to be corrupted or invalid.'
+      });
+    });
+  });
+
+  describe('Slide Processing', () => {
+    let slideFiles;
+    let slideProcessor;
+
+    const writePptx = async (filePath, slides) => {
+      const zip = new JSZip();
+      zip.file('ppt/presentation.xml', `<p:presentation><p:sldIdLst>${
+        slides.map((slide, index) => `<p:sldId id="${256 + index}" r:id="rId${index + 1}"/>`).join('')
+      }</p:sldIdLst></p:presentation>`);
+      zip.file('ppt/_rels/presentation.xml.rels', `<Relationships>${
+        slides.map((slide, index) => `<Relationship Id="rId${index + 1}" Target="slides/slide${index + 1}.xml"/>`).join('')
+      }</Relationships>`);
+      slides.forEach((slide, index) => {
+        const title = slide.title ? `<p:sp><p:nvSpPr><p:nvPr><p:ph type="title"/></p:nvPr></p:nvSpPr><p:txBody><a:p><a:r><a:t>${slide.title}</a:t></a:r></a:p></p:txBody></p:sp>` : '';
+        const body = `<p:sp><p:nvSpPr><p:nvPr><p:ph idx="1"/></p:nvPr></p:nvSpPr><p:txBody>${
+          slide.bullets.map(bullet => `<a:p><a:r><a:t>${bullet}</a:t></a:r></a:p>`).join('')
+        }</p:txBody></p:sp>`;
+        zip.file(`ppt/slides/slide${index + 1}.xml`, `<p:sld><p:cSld><p:spTree>${title}${body}</p:spTree></p:cSld></p:sld>`);
+      });
+      await fs.writeFile(filePath, await zip.generateAsync({ type: 'nodebuffer' }));
+    };
+
+    beforeEach(async () => {
+      slideProcessor = new DocumentProcessor({ useWorkerThreads: false });
+      const slideDir = path.join(__dirname, '../../test-data');
+      await fs.mkdir(slideDir, { recursive: true });
+
+      slideFiles = {
+        deck: path.join(slideDir, 'lecture.pptx'),
+        empty: path.join(slideDir, 'empty-slides.pptx'),
+        corrupt: path.join(slideDir, 'corrupt.odp')
+      };
+
+      await writePptx(slideFiles.deck, [
+        { title: 'Photosynthesis', bullets: ['Chlorophyll absorbs light energy', 'Happens in the chloroplast'] },
+        { title: 'Respiration', bullets: ['Mitochondria release energy from glucose'] }
+      ]);
+      await writePptx(slideFiles.empty, [{ title: '', bullets: [] }]);
+      await fs.writeFile(slideFiles.corrupt, 'This is not a zip archive');
+    });
+
+    afterEach(async () => {
+      for (const file of Object.values(slideFiles)) {
+        try {
+          await fs.unlink(file);
+        } catch (error) {
+          // Ignore if file doesn't exist
+        }
+      }
+    });
+
+    it('should extract slides as numbered sections with their bullet lists', async () => {
+      const result = await slideProcessor.processDocument(slideFiles.deck);
+
+      expect(result.filePath).toBe(path.resolve(slideFiles.deck));
+      expect(result.content).toContain('Chlorophyll absorbs light energy.');
+      expect(result.metadata).toMatchObject({ title: 'lecture', format: '.pptx', slideCount: 2 });
+      expect(result.metadata.sections).toEqual([
+        expect.objectContaining({ title: 'Slide 1: Photosynthesis', slide: 1 }),
+        expect.objectContaining({ title: 'Slide 2: Respiration', slide: 2 })
+      ]);
+      expect(result.metadata.lists).toEqual([
+        { heading: 'Photosynthesis', items: ['Chlorophyll absorbs light energy', 'Happens in the chloroplast'], slide: 1 }
+      ]);
+    });
+
+    it('should produce the same result in a worker thread', async () => {
+      const inMainThread = await slideProcessor.processSlides(slideFiles.deck);
+      const inWorker = await slideProcessor._processDocumentInWorker(slideFiles.deck, '.pptx');
+
+      expect(inWorker).toEqual(inMainThread);
+    });
+
+    it('should reject presentations without text', async () => {
+      await expect(slideProcessor.processSlides(slideFiles.empty)).rejects.toMatchObject({
+        userFriendly: 'This presentation contains no text content.'
+      });
+    });
+
+    it('should reject corrupted files', async () => {
+      await expect(slideProcessor.processSlides(slideFiles.corrupt)).rejects.toMatchObject({
+        userFriendly: 'This presentation appears to be corrupted, invalid or password-protected.'
+      });
+    });
+  });
+
+  describe('Web Page Processing', () => {
+    let pageFiles;
+    let pageProcessor;
+
+    beforeEach(async () => {
+      pageProcessor = new DocumentProcessor({ useWorkerThreads: false });
+      const pageDir = path.join(__dirname, '../../test-data');
+      await fs.mkdir(pageDir, { recursive: true });
+
+      pageFiles = {
+        article: path.join(pageDir, 'saved-article.html'),
+        empty: path.join(pageDir, 'empty-page.htm'),
+        archive: path.join(pageDir, 'broken.mhtml')
+      };
+
+      await fs.writeFile(pageFiles.article, [
+        '<html><head><title>Energy in Cells</title></head><body>',
+        '<nav><a href="/">Home</a></nav>',
+        '<article><h1>Energy</h1><p>Mitochondria release energy from glucose molecules.</p>',
+        '<h2>Light</h2><p>Chlorophyll absorbs light energy in the chloroplast.</p></article>',
+        '<footer>Copyright notice</footer></body></html>'
+      ].join('\n'));
+      await fs.writeFile(pageFiles.empty, '<html><body><script>render()</script></body></html>');
+      await fs.writeFile(pageFiles.archive, 'Content-Type: multipart/related; boundary="b"\r\n\r\n--b\r\nContent-Type: image/png\r\n\r\nxx\r\n--b--\r\n');
+    });
+
+    afterEach(async () => {
+      for (const file of Object.values(pageFiles)) {
+        try {
+          await fs.unlink(file);
+        } catch (error) {
+          // Ignore if file doesn't exist
+        }
+      }
+    });
+
+    it('should extract the main content with its headings', async () => {
+      const result = await pageProcessor.processDocument(pageFiles.article);
+
+      expect(result.content).toBe([
+        'Energy',
+        'Mitochondria release energy from glucose molecules.',
+        'Light',
+        'Chlorophyll absorbs light energy in the chloroplast.'
+      ].join('\n'));
+      expect(result.metadata).toMatchObject({
+        title: 'Energy in Cells',
+        format: '.html',
+        headings: [{ level: 1, text: 'Energy' }, { level: 2, text: 'Light' }]
+      });
+      expect(result.metadata.sections.map(section => section.title)).toEqual(['Energy', 'Light']);
+    });
+
+    it('should produce the same result in a worker thread', async () => {
+      const inMainThread = await pageProcessor.processHTML(pageFiles.article);
+      const inWorker = await pageProcessor._processDocumentInWorker(pageFiles.article, '.html');
+
+      expect(inWorker).toEqual(inMainThread);
+    });
+
+    it('should reject pages without readable text', async () => {
+      await expect(pageProcessor.processHTML(pageFiles.empty)).rejects.toMatchObject({
+        userFriendly: 'This web page contains no readable text.'
+      });
+    });
+
+    it('should reject web archives without an HTML page', async () => {
+      await expect(pageProcessor.processHTML(pageFiles.archive)).rejects.toMatchObject({
+        userFriendly: 'This web page archive appears to be corrupted or invalid.'
+      });
+    });
+  });
+
+  describe('Notebook and LaTeX Processing', () => {
+    let stemFiles;
+    let stemProcessor;
+
+    beforeEach(async () => {
+      stemProcessor = new DocumentProcessor({ useWorkerThreads: false });
+      const stemDir = path.join(__dirname, '../../test-data');
+      await fs.mkdir(stemDir, { recursive: true });
+
+      stemFiles = {
+        notebook: path.join(stemDir, 'sorting.ipynb'),
+        codeOnly: path.join(stemDir, 'code-only.ipynb'),
+        brokenNotebook: path.join(stemDir, 'broken.ipynb'),
+        latex: path.join(stemDir, 'notes.tex')
+      };
+
+      await fs.writeFile(stemFiles.notebook, JSON.stringify({
+        metadata: { kernelspec: { language: 'python' } },
+        cells: [
+          { cell_type: 'markdown', source: ['# Sorting\n', 'Merge sort splits the list in half.'] },
+          { cell_type: 'code', source: ['sorted([3, 1, 2])'] }
+        ]
+      }));
+      await fs.writeFile(stemFiles.codeOnly, JSON.stringify({ cells: [{ cell_type: 'code', source: 'print(1)' }] }));
+      await fs.writeFile(stemFiles.brokenNotebook, '{"cells": [');
+      await fs.writeFile(stemFiles.latex, [
+        '\\documentclass{article}',
+        '\\title{Graph Notes}',
+        '\\begin{document}',
+        '\\section{Trees}',
+        'A \\emph{tree} is a connected graph.',
+        '\\begin{theorem}[Edges]',
+        'A tree with $n$ vertices has $n-1$ edges.',
+        '\\end{theorem}',
+        '\\end{document}'
+      ].join('\n'));
+    });
+
+    afterEach(async () => {
+      for (const file of Object.values(stemFiles)) {
+        try {
+          await fs.unlink(file);
+        } catch (error) {
+          // Ignore if file doesn't exist
+        }
+      }
+    });
+
+    it('should read notebook markdown cells and keep code cells separate', async () => {
+      const result = await stemProcessor.processDocument(stemFiles.notebook);
+
+      expect(result.content).toBe('Sorting\nMerge sort splits the list in half.');
+      expect(result.metadata).toMatchObject({
+        title: 'Sorting',
+        format: '.ipynb',
+        language: 'python',
+        codeCells: [{ cell: 2, source: 'sorted([3, 1, 2])' }]
+      });
+    });
+
+    it('should reject notebooks without markdown text or that are not valid JSON', async () => {
+      await expect(stemProcessor.processNotebook(stemFiles.codeOnly)).rejects.toMatchObject({
+        userFriendly: 'This notebook has no markdown text to study from.'
+      });
+      await expect(stemProcessor.processNotebook(stemFiles.brokenNotebook)).rejects.toMatchObject({
+        userFriendly: 'This notebook appears to be corrupted or invalid.'
+      });
+    });
+
+    it('should read LaTeX sections and flag theorems as key blocks', async () => {
+      const result = await stemProcessor.processDocument(stemFiles.latex);
+
+      expect(result.content).toBe('Trees\nA tree is a connected graph.\nTheorem (Edges): A tree with n vertices has n-1 edges.');
+      expect(result.metadata).toMatchObject({
+        title: 'Graph Notes',
+        format: '.tex',
+        headings: [{ level: 1, text: 'Trees' }],
+        keyBlocks: [expect.objectContaining({ kind: 'theorem', name: 'Edges' })]
+      });
+    });
+
+    it('should produce the same results in a worker thread', async () => {
+      for (const [file, format] of [[stemFiles.notebook, '.ipynb'], [stemFiles.latex, '.tex']]) {
+        const inMainThread = await stemProcessor.processDocument(file);
+        const inWorker = await stemProcessor._processDocumentInWorker(file, format);
+
+        expect(inWorker).toEqual(inMainThread);
+      }
+    });
+  });
+
+  describe('Subtitle Processing', () => {
+    let subtitleFiles;
+    let subtitleProcessor;
+
+    beforeEach(async () => {
+      subtitleProcessor = new DocumentProcessor({ useWorkerThreads: false });
+      const subtitleDir = path.join(__dirname, '../../test-data');
+      await fs.mkdir(subtitleDir, { recursive: true });
+
+      subtitleFiles = {
+        srt: path.join(subtitleDir, 'lecture.srt'),
+        vtt: path.join(subtitleDir, 'lecture.vtt'),
+        musicOnly: path.join(subtitleDir, 'music-only.srt'),
+        notVtt: path.join(subtitleDir, 'not-captions.vtt')
+      };
+
+      await fs.writeFile(subtitleFiles.srt, [
+        '1', '00:12:34,000 --> 00:12:36,000', 'Osmosis moves water',
+        '', '2', '00:12:36,000 --> 00:12:39,000', 'across a membrane. Diffusion moves solutes.', ''
+      ].join('\r\n'));
+      await fs.writeFile(subtitleFiles.vtt, 'WEBVTT\n\n00:05.000 --> 00:08.000\n<v Lecturer>Cells divide by mitosis.\n');
+      await fs.writeFile(subtitleFiles.musicOnly, '1\n00:00:01,000 --> 00:00:02,000\n[Music]\n');
+      await fs.writeFile(subtitleFiles.notVtt, 'Just a text file.');
+    });
+
+    afterEach(async () => {
+      for (const file of Object.values(subtitleFiles)) {
+        try {
+          await fs.unlink(file);
+        } catch (error) {
+          // Ignore if file doesn't exist
+        }
+      }
+    });
+
+    it('should turn SRT captions into sentences with timestamps', async () => {
+      const result = await subtitleProcessor.processDocument(subtitleFiles.srt);
+
+      expect(result.content).toBe('Osmosis moves water across a membrane.\nDiffusion moves solutes.');
+      expect(result.metadata).toMatchObject({
+        title: 'lecture',
+        format: '.srt',
+        wordCount: 9,
+        timestamps: [
+          { offset: 0, seconds: 754, time: '12:34' },
+          { offset: 39, seconds: 756, time: '12:36' }
+        ]
+      });
+    });
+
+    it('should read WebVTT captions without speaker tags', async () => {
+      const result = await subtitleProcessor.processDocument(subtitleFiles.vtt);
+
+      expect(result.content).toBe('Cells divide by mitosis.');
+      expect(result.metadata.format).toBe('.vtt');
+    });
+
+    it('should reject files without spoken captions', async () => {
+      await expect(subtitleProcessor.processSubtitles(subtitleFiles.musicOnly)).rejects.toMatchObject({
+        userFriendly: 'This subtitle file contains no captions or is not a valid SRT or VTT file.'
+      });
+      await expect(subtitleProcessor.processSubtitles(subtitleFiles.notVtt)).rejects.toMatchObject({
+        userFriendly: 'This subtitle file contains no captions or is not a valid SRT or VTT file.'
+      });
+    });
+
+    it('should produce the same results in a worker thread', async () => {
+      for (const [file, format] of [[subtitleFiles.srt, '.srt'], [subtitleFiles.vtt, '.vtt']]) {
+        const inMainThread = await subtitleProcessor.processDocument(file);
+        const inWorker = await subtitleProcessor._processDocumentInWorker(file, format);
+
+        expect(inWorker).toEqual(inMainThread);
+      }
+    });
+  });
+
+  describe('Glossary Processing', () => {
+    let glossaryFiles;
+    let glossaryProcessor;
+
+    beforeEach(async () => {
+      glossaryProcessor = new DocumentProcessor({ useWorkerThreads: false });
+      const glossaryDir = path.join(__dirname, '../../test-data');
+      await fs.mkdir(glossaryDir, { recursive: true });
+
+      glossaryFiles = {
+        csv: path.join(glossaryDir, 'terms.csv'),
+        tsv: path.join(glossaryDir, 'terms.tsv'),
+        markdown: path.join(glossaryDir, 'glossary-notes.md'),
+        oneColumn: path.join(glossaryDir, 'one-column.csv')
+      };
+
+      await fs.writeFile(glossaryFiles.csv, 'Term,Definition\r\nOsmosis,"Movement of water, across a membrane"\r\nDiffusion,Spreading of particles\r\n');
+      await fs.writeFile(glossaryFiles.tsv, 'Mitosis\tDivision into two cells\nMeiosis\tDivision into four sex cells\n');
+      await fs.writeFile(glossaryFiles.markdown, '# Cell Notes\n\nCells are small.\n\nRibosome\n: Builds **proteins**\n');
+      await fs.writeFile(glossaryFiles.oneColumn, 'Osmosis\nDiffusion\n');
+    });
+
+    afterEach(async () => {
+      for (const file of Object.values(glossaryFiles)) {
+        try {
+          await fs.unlink(file);
+        } catch (error) {
+          // Ignore if file doesn't exist
+        }
+      }
+    });
+
+    it('should read CSV glossaries into entries and one line per term', async () => {
+      const result = await glossaryProcessor.processDocument(glossaryFiles.csv);
+
+      expect(result.content).toBe('Osmosis: Movement of water, across a membrane\nDiffusion: Spreading of particles');
+      expect(result.metadata).toMatchObject({
+        title: 'terms',
+        format: '.csv',
+        glossary: [
+          { term: 'Osmosis', definition: 'Movement of water, across a membrane' },
+          { term: 'Diffusion', definition: 'Spreading of particles' }
+        ]
+      });
+    });
+
+    it('should read TSV glossaries', async () => {
+      const result = await glossaryProcessor.processDocument(glossaryFiles.tsv);
+
+      expect(result.metadata.format).toBe('.tsv');
+      expect(result.metadata.glossary).toEqual([
+        { term: 'Mitosis', definition: 'Division into two cells' },
+        { term: 'Meiosis', definition: 'Division into four sex cells' }
+      ]);
+    });
+
+    it('should pick up definition lists in Markdown files', async () => {
+      const result = await glossaryProcessor.processDocument(glossaryFiles.markdown);
+
+      expect(result.metadata.glossary).toEqual([{ term: 'Ribosome', definition: 'Builds proteins' }]);
+
+      const plain = await glossaryProcessor.processDocument(path.join(__dirname, '../../test-data/sample.md'));
+      expect(plain.metadata.glossary).toBeUndefined();
+    });
+
+    it('should reject files without term and definition columns', async () => {
+      await expect(glossaryProcessor.processGlossary(glossaryFiles.oneColumn)).rejects.toMatchObject({
+        userFriendly: 'This glossary has no terms with definitions. Put each term in the first column and its definition in the second.'
+      });
+    });
+
+    it('should produce the same results in a worker thread', async () => {
+      for (const [file, format] of [[glossaryFiles.csv, '.csv'], [glossaryFiles.tsv, '.tsv'], [glossaryFiles.markdown, '.md']]) {
+        const inMainThread = await glossaryProcessor.processDocument(file);
+        const inWorker = await glossaryProcessor._processDocumentInWorker(file, format);
+
+        expect(inWorker).toEqual(inMainThread);
+      }
+    });
+  });
+
+  describe('Page and Section Selection', () => {
+    let selectionFiles;
+    let selectionProcessor;
+
+    const writePdf = (filePath, pages) => new Promise((resolve, reject) => {
+      const doc = new PDFDocument();
+      const stream = require('fs').createWriteStream(filePath);
+      stream.on('finish', resolve);
+      stream.on('error', reject);
+      doc.pipe(stream);
+      pages.forEach((text, index) => {
+        if (index > 0) {
+          doc.addPage();
+        }
+        doc.text(text);
+      });
+      doc.end();
+    });
+
+    const writeDocx = async (filePath, paragraphs) => {
+      const zip = new JSZip();
+      zip.file('[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/></Types>');
+      zip.file('_rels/.rels', '<?xml version="1.0" encoding="UTF-8"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/></Relationships>');
+      const body = paragraphs.map(({ style, text }) => {
+        const properties = style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : '';
+        return `<w:p>${properties}<w:r><w:t>${text}</w:t></w:r></w:p>`;
+      }).join('');
+      zip.file('word/document.xml', '<?xml version="1.0" encoding="UTF-8"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+        `<w:body>${body}</w:body></w:document>`);
+      await fs.writeFile(filePath, await zip.generateAsync({ type: 'nodebuffer' }));
+    };
+
+    beforeEach(async () => {
+      selectionProcessor = new DocumentProcessor({ useWorkerThreads: false });
+      const selectionDir = path.join(__dirname, '../../test-data');
+      await fs.mkdir(selectionDir, { recursive: true });
+
+      selectionFiles = {
+        pdf: path.join(selectionDir, 'selection-chapters.pdf'),
+        markdown: path.join(selectionDir, 'selection-notes.md'),
+        docx: path.join(selectionDir, 'selection-notes.docx'),
+        text: path.join(selectionDir, 'selection-notes.txt')
+      };
+
+      await writePdf(selectionFiles.pdf, [
+        'Introduction to the course and its assessment.',
+        'Photosynthesis turns light into chemical energy.',
+        'Respiration releases energy stored in glucose.'
+      ]);
+      await fs.writeFile(selectionFiles.markdown, [
+        '# Biology',
+        '',
+        'Introduction to the course.',
+        '',
+        '## Cells',
+        '',
+        'Cells are the unit of life.',
+        '',
+        '### Organelles',
+        '',
+        'Mitochondria make ATP.',
+        '',
+        '## Genetics',
+        '',
+        'Genes carry traits from parents to offspring.'
+      ].join('\n'));
+      await writeDocx(selectionFiles.docx, [
+        { text: 'Course overview and reading list.' },
+        { style: 'Heading1', text: 'Cells' },
+        { text: 'Cells are the unit of life.' },
+        { style: 'Heading2', text: 'Organelles' },
+        { text: 'Mitochondria make ATP.' },
+        { style: 'Heading1', text: 'Genetics' },
+        { text: 'Genes carry traits from parents to offspring.' }
+      ]);
+      await fs.writeFile(selectionFiles.text, 'Plain notes without headings.');
+    });
+
+    afterEach(async () => {
+      for (const file of Object.values(selectionFiles)) {
+        try {
+          await fs.unlink(file);
+        } catch (error) {
+          // Ignore if file doesn't exist
+        }
+      }
+    });
+
+    it('should only extract the selected pages of a PDF', async () => {
+      const result = await selectionProcessor.processDocument(selectionFiles.pdf, null, { pages: '2-3' });
+
+      expect(result.content).toContain('Photosynthesis turns light');
+      expect(result.content).toContain('Respiration releases energy');
+      expect(result.content).not.toContain('Introduction');
+      expect(result.metadata.selection).toEqual({ pages: '2-3' });
+
+      const whole = await selectionProcessor.processDocument(selectionFiles.pdf);
+      expect(whole.content).toContain('Introduction');
+      expect(whole.metadata.selection).toBeUndefined();
+    });
+
+    it('should reject page ranges outside the PDF', async () => {
+      await expect(selectionProcessor.processPDF(selectionFiles.pdf, { pages: '10-20' })).rejects.toMatchObject({
+        userFriendly: 'None of the selected pages are in this PDF, which has 3 pages.'
+      });
+    });
+
+    it('should only extract the selected Markdown sections with their subsections', async () => {
+      const result = await selectionProcessor.processDocument(selectionFiles.markdown, null, { sections: ['Cells'] });
+
+      expect(result.content).toContain('Cells are the unit of life.');
+      expect(result.content).toContain('Mitochondria make ATP.');
+      expect(result.content).not.toContain('Introduction');
+      expect(result.content).not.toContain('Genes carry traits');
+      expect(result.metadata.selection).toEqual({ sections: ['Cells'] });
+    });
+
+    it('should only extract the selected Word document sections', async () => {
+      const result = await selectionProcessor.processDocument(selectionFiles.docx, null, { sections: ['Genetics'] });
+
+      expect(result.content).toBe('Genetics\nGenes carry traits from parents to offspring.');
+      expect(result.metadata.selection).toEqual({ sections: ['Genetics'] });
+    });
+
+    it('should reject sections that are not in the document', async () => {
+      const notFound = { userFriendly: 'None of the selected sections were found in this document. Its headings may have been renamed.' };
+
+      await expect(selectionProcessor.processMarkdown(selectionFiles.markdown, { sections: ['Ecology'] })).rejects.toMatchObject(notFound);
+      await expect(selectionProcessor.processDOCX(selectionFiles.docx, { sections: ['Ecology'] })).rejects.toMatchObject(notFound);
+    });
+
+    it('should produce the same results in a worker thread', async () => {
+      for (const [file, format, selection] of [
+        [selectionFiles.pdf, '.pdf', { pages: '2' }],
+        [selectionFiles.markdown, '.md', { sections: ['Genetics'] }],
+        [selectionFiles.docx, '.docx', { sections: ['Cells'] }]
+      ]) {
+        const inMainThread = await selectionProcessor.processDocument(file, null, selection);
+        const inWorker = await selectionProcessor._processDocumentInWorker(file, format, selection);
+
+        expect(inWorker).toEqual(inMainThread);
+      }
+    });
+
+    it('should pass selections to processAllDocuments by path', async () => {
+      const results = await selectionProcessor.processAllDocuments([selectionFiles.pdf, selectionFiles.markdown], null, {
+        [path.resolve(selectionFiles.pdf)]: { pages: '3' }
+      });
+
+      expect(results.summary.successful).toBe(2);
+      expect(results.documents[0].content).not.toContain('Photosynthesis');
+      expect(results.documents[1].metadata.selection).toBeUndefined();
+    });
+
+    it('should list the pages or headings that can be selected', async () => {
+      expect(await selectionProcessor.getOutline(selectionFiles.pdf)).toEqual({ format: '.pdf', pageCount: 3 });
+      expect(await selectionProcessor.getOutline(selectionFiles.markdown)).toEqual({
+        format: '.md',
+        sections: [
+          { level: 1, title: 'Biology' },
+          { level: 2, title: 'Cells' },
+          { level: 3, title: 'Organelles' },
+          { level: 2, title: 'Genetics' }
+        ]
+      });
+      expect(await selectionProcessor.getOutline(selectionFiles.docx)).toEqual({
+        format: '.docx',
+        sections: [
+          { level: 1, title: 'Cells' },
+          { level: 2, title: 'Organelles' },
+          { level: 1, title: 'Genetics' }
+        ]
+      });
+      await expect(selectionProcessor.getOutline(selectionFiles.text)).rejects.toMatchObject({
+        userFriendly: 'Only PDFs can be limited to pages, and only Markdown and Word documents to sections.'
+      });
+    });
+  });
+
+  describe('Worker Pool', () => {
+    let poolProcessor;
+    const sampleFiles = [
+      path.join(__dirname, '../../test-data/sample.txt'),
+      path.join(__dirname, '../../test-data/sample.md'),
+      path.join(__dirname, '../../test-data/sample.txt')
+    ];
+
+    afterEach(async () => {
+      await poolProcessor.destroy();
+    });
+
+    it('should queue documents for the workers instead of processing them on the main thread', async () => {
+      poolProcessor = new DocumentProcessor({ maxConcurrentWorkers: 1 });
+      const processText = vi.spyOn(poolProcessor, 'processText');
+      const processMarkdown = vi.spyOn(poolProcessor, 'processMarkdown');
+
+      const results = await poolProcessor.processAllDocuments(sampleFiles);
+
+      expect(results.summary).toMatchObject({ successful: 3, failed: 0, cancelled: false });
+      expect(processText).not.toHaveBeenCalled();
+      expect(processMarkdown).not.toHaveBeenCalled();
+      expect(poolProcessor.workerPool.getStatus()).toEqual({ workers: 1, busy: 0, queued: 0 });
+    });
+
+    it('should skip documents that take too long without blocking the main thread', async () => {
+      poolProcessor = new DocumentProcessor({ workerTimeout: 1 });
+      const processText = vi.spyOn(poolProcessor, 'processText');
+
+      await expect(poolProcessor.processDocument(sampleFiles[0])).rejects.toMatchObject({
+        code: 'WORKER_TIMEOUT',
+        userFriendly: 'This document took too long to process and was skipped. It may be very large or damaged.'
+      });
+      expect(processText).not.toHaveBeenCalled();
+    });
+
+    it('should cancel the rest of a batch', async () => {
+      poolProcessor = new DocumentProcessor({ maxConcurrentWorkers: 1 });
+      const progress = [];
+
+      const results = await poolProcessor.processAllDocuments(sampleFiles, (processed, total) => {
+        progress.push([processed, total]);
+        expect(poolProcessor.cancelProcessing()).toBe(1);
+      });
+
+      expect(results.summary).toMatchObject({ total: 3, successful: 1, failed: 0, cancelled: true });
+      expect(results.errors).toEqual([]);
+      expect(progress).toEqual([[1, 3]]);
+      expect(poolProcessor.cancelProcessing()).toBe(0);
+    });
+
+    it('should cancel on the main thread before starting further documents', async () => {
+      poolProcessor = new DocumentProcessor({ useWorkerThreads: false });
+
+      const processing = poolProcessor.processAllDocuments(sampleFiles);
+      poolProcessor.cancelProcessing();
+      const results = await processing;
+
+      expect(results.summary).toMatchObject({ successful: 0, failed: 0, cancelled: true });
+    });
+  });
+
+  describe('Extracted Text Store', () => {
+    let storeProcessor;
+    let storeDir;
+    let notesPath;
+    let chapterPath;
+
+    beforeEach(async () => {
+      const storeTestDir = path.join(__dirname, '../../test-data');
+      storeDir = path.join(storeTestDir, 'extracted-text-store');
+      notesPath = path.join(storeTestDir, 'stored-notes.txt');
+      chapterPath = path.join(storeTestDir, 'stored-chapters.md');
+      await fs.writeFile(notesPath, 'Photosynthesis turns light into chemical energy.');
+      await fs.writeFile(chapterPath, '# Cells\n\nCells are small.\n\n# Genetics\n\nGenes carry traits.');
+
+      storeProcessor = new DocumentProcessor({ useWorkerThreads: false, textStore: new ExtractedTextStore(storeDir) });
+    });
+
+    afterEach(async () => {
+      await fs.rm(storeDir, { recursive: true, force: true });
+      for (const file of [notesPath, chapterPath]) {
+        try {
+          await fs.unlink(file);
+        } catch (error) {
+          // Ignore if file doesn't exist
+        }
+      }
+    });
+
+    it('should only parse documents that are new or changed', async () => {
+      const processText = vi.spyOn(storeProcessor, 'processText');
+
+      const first = await storeProcessor.processDocument(notesPath);
+      const second = await storeProcessor.processDocument(notesPath);
+
+      expect(second).toEqual(first);
+      expect(processText).toHaveBeenCalledTimes(1);
+
+      await fs.writeFile(notesPath, 'Respiration releases energy stored in glucose.');
+      const edited = await storeProcessor.processDocument(notesPath);
+
+      expect(edited.content).toContain('Respiration');
+      expect(processText).toHaveBeenCalledTimes(2);
+    });
+
+    it('should store each selection of a document separately', async () => {
+      const processMarkdown = vi.spyOn(storeProcessor, 'processMarkdown');
+
+      const cells = await storeProcessor.processDocument(chapterPath, null, { sections: ['Cells'] });
+      const genetics = await storeProcessor.processDocument(chapterPath, null, { sections: ['Genetics'] });
+      const cellsAgain = await storeProcessor.processDocument(chapterPath, null, { sections: ['Cells'] });
+
+      expect(cells.content).not.toContain('Genes');
+      expect(genetics.content).toContain('Genes');
+      expect(cellsAgain).toEqual(cells);
+      expect(processMarkdown).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not store documents that fail to parse', async () => {
+      await fs.writeFile(notesPath, '   ');
+
+      await expect(storeProcessor.processDocument(notesPath)).rejects.toBeDefined();
+      expect((await storeProcessor.textStore.getStats()).entries).toBe(0);
+      await expect(storeProcessor.processDocument(path.join(storeDir, 'missing.txt'))).rejects.toBeDefined();
+    });
+  });
+
+  describe('Text Encoding', () => {
+    let encodingProcessor;
+    let encodingFiles;
+
+    // "これは日本語のノートです。" saved as Shift-JIS
+    const shiftJisNote = Buffer.from([
+      0x82, 0xb1, 0x82, 0xea, 0x82, 0xcd, 0x93, 0xfa, 0x96, 0x7b, 0x8c, 0xea,
+      0x82, 0xcc, 0x83, 0x6d, 0x81, 0x5b, 0x83, 0x67, 0x82, 0xc5, 0x82, 0xb7, 0x81, 0x42
+    ]);
+
+    beforeEach(async () => {
+      const encodingTestDir = path.join(__dirname, '../../test-data');
+      encodingFiles = {
+        windows1252: path.join(encodingTestDir, 'windows-1252-notes.txt'),
+        utf16: path.join(encodingTestDir, 'utf-16-notes.md'),
+        shiftJis: path.join(encodingTestDir, 'shift-jis-notes.txt'),
+        uncertain: path.join(encodingTestDir, 'uncertain-notes.txt')
+      };
+
+      await fs.writeFile(encodingFiles.windows1252, Buffer.from(
+        'The caf\xe9 owner\x92s r\xe9sum\xe9 listed a na\xefve \x93fa\xe7ade\x94 of French R\xe9volution facts.',
+        'latin1'
+      ));
+      await fs.writeFile(encodingFiles.utf16, Buffer.concat([
+        Buffer.from([0xFF, 0xFE]),
+        Buffer.from('# Vocabulary\n\nÜbung macht den Meister — 練習\n', 'utf16le')
+      ]));
+      await fs.writeFile(encodingFiles.shiftJis, shiftJisNote);
+      await fs.writeFile(encodingFiles.uncertain, Buffer.from([0xE9, 0xE8, 0xE0]));
+
+      encodingProcessor = new DocumentProcessor({ useWorkerThreads: false });
+    });
+
+    afterEach(async () => {
+      await encodingProcessor.destroy();
+      for (const file of Object.values(encodingFiles)) {
+        try {
+          await fs.unlink(file);
+        } catch (error) {
+          // Ignore if file doesn't exist
+        }
+      }
+    });
+
+    it('should decode Windows-1252 notes', async () => {
+      const result = await encodingProcessor.processText(encodingFiles.windows1252);
+
+      expect(result.content).toBe('The café owner’s résumé listed a naïve “façade” of French Révolution facts.');
+      expect(result.metadata.encoding).toMatchObject({ name: 'windows-1252', bom: false });
+    });
+
+    it('should decode UTF-16 notes with a byte-order mark', async () => {
+      const result = await encodingProcessor.processMarkdown(encodingFiles.utf16);
+
+      expect(result.metadata.title).toBe('Vocabulary');
+      expect(result.content).toContain('Übung macht den Meister — 練習');
+      expect(result.metadata.encoding).toEqual({ name: 'UTF-16LE', confidence: 100, bom: true });
+    });
+
+    it('should decode Shift-JIS notes', async () => {
+      const result = await encodingProcessor.processText(encodingFiles.shiftJis);
+
+      expect(result.content).toBe('これは日本語のノートです。');
+      expect(result.metadata.encoding.name).toBe('Shift_JIS');
+    });
+
+    it('should log a warning when the encoding is uncertain', async () => {
+      const logWarning = vi.spyOn(encodingProcessor.errorLogger, 'logWarning');
+
+      await encodingProcessor.processText(encodingFiles.windows1252);
+      expect(logWarning).not.toHaveBeenCalled();
+
+      const result = await encodingProcessor.processText(encodingFiles.uncertain);
+      expect(result.content).toBe('éèà');
+      expect(logWarning).toHaveBeenCalledWith('TextProcessing', 'Text encoding is uncertain, read as windows-1252', {
+        filePath: encodingFiles.uncertain,
+        encoding: 'windows-1252',
+        confidence: 0
+      });
+    });
+
+    it('should decode and warn the same way in worker threads', async () => {
+      const workerProcessor = new DocumentProcessor({ maxConcurrentWorkers: 1 });
+      const logWarning = vi.spyOn(workerProcessor.errorLogger, 'logWarning').mockResolvedValue();
+
+      try {
+        const shiftJis = await workerProcessor.processDocument(encodingFiles.shiftJis);
+        const uncertain = await workerProcessor.processDocument(encodingFiles.uncertain);
+
+        expect(shiftJis.content).toBe('これは日本語のノートです。');
+        expect(uncertain.content).toBe('éèà');
+        expect(logWarning).toHaveBeenCalledTimes(1);
+        expect(logWarning.mock.calls[0][1]).toBe('Text encoding is uncertain, read as windows-1252');
+      } finally {
+        await workerProcessor.destroy();
+      }
+    });
+  });
+
+  describe('Password-Protected Documents', () => {
+    let protectedFiles;
+    let passwords;
+    let protectedProcessor;
+
+    const passwordStore = { get: async (filePath) => passwords.get(filePath) || null };
+
+    const writeEncryptedPdf = (filePath, text) => new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ userPassword: 'photosynthesis', ownerPassword: 'owner', pdfVersion: '1.7ext3' });
+      const stream = require('fs').createWriteStream(filePath);
+      stream.on('finish', resolve);
+      stream.on('error', reject);
+      doc.pipe(stream);
+      doc.text(text);
+      doc.end();
+    });
+
+    const writeEncryptedDocx = async (filePath, text) => {
+      const zip = new JSZip();
+      zip.file('[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/></Types>');
+      zip.file('_rels/.rels', '<?xml version="1.0" encoding="UTF-8"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/></Relationships>');
+      zip.file('word/document.xml', '<?xml version="1.0" encoding="UTF-8"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+        `<w:body><w:p><w:r><w:t>${text}</w:t></w:r></w:p></w:body></w:document>`);
+      const docx = await zip.generateAsync({ type: 'nodebuffer' });
+      await fs.writeFile(filePath, require('officecrypto-tool').encrypt(docx, { password: 'mitochondria' }));
+    };
+
+    beforeAll(async () => {
+      const protectedDir = path.join(__dirname, '../../test-data');
+      await fs.mkdir(protectedDir, { recursive: true });
+      protectedFiles = {
+        pdf: path.join(protectedDir, 'protected-notes.pdf'),
+        docx: path.join(protectedDir, 'protected-notes.docx')
+      };
+
+      await writeEncryptedPdf(protectedFiles.pdf, 'Photosynthesis turns light into chemical energy.');
+      await writeEncryptedDocx(protectedFiles.docx, 'Mitochondria release energy from glucose.');
+    });
+
+    afterAll(async () => {
+      for (const file of Object.values(protectedFiles)) {
+        try {
+          await fs.unlink(file);
+        } catch (error) {
+          // Ignore if file doesn't exist
+        }
+      }
+    });
+
+    beforeEach(() => {
+      passwords = new Map();
+      protectedProcessor = new DocumentProcessor({ useWorkerThreads: false, passwordStore });
+      vi.spyOn(protectedProcessor.errorLogger, 'logWarning').mockResolvedValue();
+    });
+
+    afterEach(async () => {
+      await protectedProcessor.destroy();
+    });
+
+    it('should ask for the password of an encrypted PDF', async () => {
+      await expect(protectedProcessor.processDocument(protectedFiles.pdf)).rejects.toMatchObject({
+        code: 'PASSWORD_REQUIRED',
+        userFriendly: 'This document is password-protected. Enter its password to study it.'
+      });
+
+      passwords.set(protectedFiles.pdf, 'chlorophyll');
+      await expect(protectedProcessor.processDocument(protectedFiles.pdf)).rejects.toMatchObject({
+        code: 'PASSWORD_INCORRECT',
+        userFriendly: 'The password for this document is incorrect. Enter it again.'
+      });
+
+      passwords.set(protectedFiles.pdf, 'photosynthesis');
+      const result = await protectedProcessor.processDocument(protectedFiles.pdf);
+      expect(result.content).toContain('Photosynthesis turns light into chemical energy.');
+    });
+
+    it('should decrypt encrypted Word documents with their password', async () => {
+      await expect(protectedProcessor.processDocument(protectedFiles.docx)).rejects.toMatchObject({ code: 'PASSWORD_REQUIRED' });
+
+      passwords.set(protectedFiles.docx, 'chlorophyll');
+      await expect(protectedProcessor.processDocument(protectedFiles.docx)).rejects.toMatchObject({ code: 'PASSWORD_INCORRECT' });
+
+      passwords.set(protectedFiles.docx, 'mitochondria');
+      const result = await protectedProcessor.processDocument(protectedFiles.docx);
+      expect(result.content).toContain('Mitochondria release energy from glucose.');
+    });
+
+    it('should check passwords without processing the document', async () => {
+      expect(await protectedProcessor.checkPassword(protectedFiles.pdf, 'photosynthesis')).toBe(true);
+      expect(await protectedProcessor.checkPassword(protectedFiles.pdf, 'chlorophyll')).toBe(false);
+      expect(await protectedProcessor.checkPassword(protectedFiles.docx, 'mitochondria')).toBe(true);
+      expect(await protectedProcessor.checkPassword(protectedFiles.docx, 'chlorophyll')).toBe(false);
+      await expect(protectedProcessor.checkPassword(path.join(__dirname, '../../test-data/sample.txt'), 'anything')).rejects.toMatchObject({
+        userFriendly: 'Only PDF and Word documents can be opened with a password.'
+      });
+    });
+
+    it('should report which documents need a password', async () => {
+      const results = await protectedProcessor.processAllDocuments([protectedFiles.pdf, path.join(__dirname, '../../test-data/sample.txt')]);
+
+      expect(results.summary).toMatchObject({ successful: 1, failed: 1 });
+      expect(results.errors[0]).toMatchObject({ filePath: protectedFiles.pdf, code: 'PASSWORD_REQUIRED' });
+    });
+
+    it('should not keep the text of protected documents in the extracted text store', async () => {
+      const storeDir = path.join(__dirname, '../../test-data/protected-text-store');
+      const storeProcessor = new DocumentProcessor({ useWorkerThreads: false, passwordStore, textStore: new ExtractedTextStore(storeDir) });
+      passwords.set(protectedFiles.pdf, 'photosynthesis');
+
+      try {
+        await storeProcessor.processDocument(protectedFiles.pdf);
+        expect((await storeProcessor.textStore.getStats()).entries).toBe(0);
+      } finally {
+        await storeProcessor.destroy();
+        await fs.rm(storeDir, { recursive: true, force: true });
+      }
+    });
+
+    it('should open protected documents in worker threads', async () => {
+      const workerProcessor = new DocumentProcessor({ maxConcurrentWorkers: 1, passwordStore });
+      vi.spyOn(workerProcessor.errorLogger, 'logWarning').mockResolvedValue();
+
+      try {
+        await expect(workerProcessor.processDocument(protectedFiles.docx)).rejects.toMatchObject({
+          code: 'PASSWORD_REQUIRED',
+          userFriendly: 'This document is password-protected. Enter its password to study it.'
+        });
+
+        passwords.set(protectedFiles.pdf, 'photosynthesis');
+        const result = await workerProcessor.processDocument(protectedFiles.pdf);
+        expect(result.content).toContain('Photosynthesis turns light into chemical energy.');
+      } finally {
+        await workerProcessor.destroy();
+      }
+    });
+  });
+
   describe('processAllDocuments with MD and TXT', () => {
     const sampleMd = path.join(__dirname, '../../test-data/sample.md');
     const sampleTxt = path.join(__dirname, '../../test-data/sample.txt');
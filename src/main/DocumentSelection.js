@@ -0,0 +1,304 @@
+const path = require('path');
+const { DECK_FORMATS } = require('../shared/constants');
+const HtmlParser = require('./HtmlParser');
+
+/**
+ * @typedef {Object} Selection
+ * @property {string} [pages] - Page ranges to study, e.g. "1-40, 55" (PDFs)
+ * @property {string[]} [sections] - Headings whose sections to study (Markdown and DOCX)
+ */
+
+/**
+ * @typedef {Object} SelectedDocument
+ * @property {string} path - Path to the document
+ * @property {Selection} selection - Parts of the document to study
+ */
+
+/**
+ * @typedef {Object} SectionHeading
+ * @property {number} level - Heading level (1-6)
+ * @property {string} title - Heading text
+ * @property {number} start - Where the heading starts (line or block index)
+ */
+
+// Formats that can be limited to page ranges or heading sections
+const PAGE_FORMATS = ['.pdf'];
+const SECTION_FORMATS = ['.md', '.docx'];
+
+/**
+ * Restricts documents to the pages or sections being studied
+ *
+ * A configured document is either a plain path or a path with a selection. PDFs are limited to
+ * page ranges; Markdown and Word documents to the sections under chosen headings, where a
+ * section runs until the next heading of the same or a higher level, so choosing a chapter
+ * includes its subsections. Headings are matched by their text.
+ */
+class DocumentSelection {
+  /**
+   * Get the path of a configured document
+   * @param {string|SelectedDocument} entry - Document path, or path with a selection
+   * @returns {string}
+   */
+  static getPath(entry) {
+    return typeof entry === 'string' ? entry : entry.path;
+  }
+
+  /**
+   * Get the selection of a configured document
+   * @param {string|SelectedDocument} entry - Document path, or path with a selection
+   * @returns {Selection|null}
+   */
+  static getSelection(entry) {
+    return typeof entry === 'string' ? null : entry.selection || null;
+  }
+
+  /**
+   * Validate a configured document entry
+   * Entries without a selection are stored as plain paths
+   * @param {string|SelectedDocument} entry - Document path, or path with a selection
+   * @returns {string|SelectedDocument}
+   * @throws {Error} If the path or selection is invalid
+   */
+  static normalizeEntry(entry) {
+    if (typeof entry === 'string') {
+      return entry;
+    }
+    if (!entry || typeof entry.path !== 'string' || !entry.path.trim()) {
+      throw new Error('Each document must be a file path or have a path');
+    }
+
+    const selection = DocumentSelection.normalize(entry.selection, DocumentSelection._formatOf(entry.path));
+    return selection ? { path: entry.path, selection } : entry.path;
+  }
+
+  /**
+   * Validate a selection for a document format
+   * @param {Selection|null} selection - Pages or sections to study
+   * @param {string} format - Document format, e.g. '.pdf'
+   * @returns {Selection|null} - Tidied selection, or null to study the whole document
+   * @throws {Error} If the selection is invalid or the format cannot be limited that way
+   */
+  static normalize(selection, format) {
+    if (selection === null || selection === undefined) {
+      return null;
+    }
+    if (typeof selection !== 'object' || Array.isArray(selection)) {
+      throw new Error('Selection must be an object with pages or sections');
+    }
+
+    const pages = selection.pages === undefined || selection.pages === null ? '' : String(selection.pages).trim();
+    const sections = selection.sections === undefined || selection.sections === null ? [] : selection.sections;
+    if (!Array.isArray(sections) || sections.some(title => typeof title !== 'string')) {
+      throw new Error('Sections must be an array of heading titles');
+    }
+    const titles = [...new Set(sections.map(title => title.replace(/\s+/g, ' ').trim()).filter(Boolean))];
+
+    if (pages && titles.length > 0) {
+      throw new Error('Select either pages or sections, not both');
+    }
+
+    if (pages) {
+      if (!PAGE_FORMATS.includes(format)) {
+        throw new Error('Page ranges can only be selected in PDFs');
+      }
+      return { pages: DocumentSelection.formatPages(DocumentSelection.parsePages(pages)) };
+    }
+
+    if (titles.length > 0) {
+      if (!SECTION_FORMATS.includes(format)) {
+        throw new Error('Sections can only be selected in Markdown and Word documents');
+      }
+      return { sections: titles };
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether a format can be limited to pages or sections
+   * @param {string} format - Document format, e.g. '.pdf'
+   * @returns {boolean}
+   */
+  static isSelectable(format) {
+    return PAGE_FORMATS.includes(format) || SECTION_FORMATS.includes(format);
+  }
+
+  /**
+   * Parse page ranges such as "1-40, 55"
+   * Overlapping and adjacent ranges are merged
+   * @param {string} text - Comma-separated pages and ranges
+   * @returns {{from: number, to: number}[]} - Ranges in page order
+   * @throws {Error} If a part is not a page number or range
+   */
+  static parsePages(text) {
+    const ranges = text.split(/[,;]/)
+      .map(part => part.trim())
+      .filter(part => part.length > 0)
+      .map(part => {
+        const match = /^(\d+)\s*(?:[-–]\s*(\d+))?$/.exec(part);
+        if (!match) {
+          throw new Error(`"${part}" is not a page or page range. Use numbers and ranges like 1-40, 55`);
+        }
+        const from = parseInt(match[1], 10);
+        const to = match[2] ? parseInt(match[2], 10) : from;
+        if (from < 1 || to < from) {
+          throw new Error(`"${part}" is not a valid page range`);
+        }
+        return { from, to };
+      })
+      .sort((a, b) => a.from - b.from);
+
+    return ranges.reduce((merged, range) => {
+      const last = merged[merged.length - 1];
+      if (last && range.from <= last.to + 1) {
+        last.to = Math.max(last.to, range.to);
+      } else {
+        merged.push({ ...range });
+      }
+      return merged;
+    }, []);
+  }
+
+  /**
+   * Write page ranges the way they are stored in the config
+   * @param {{from: number, to: number}[]} ranges - Page ranges
+   * @returns {string}
+   */
+  static formatPages(ranges) {
+    return ranges.map(range => (range.from === range.to ? `${range.from}` : `${range.from}-${range.to}`)).join(', ');
+  }
+
+  /**
+   * Get the selected pages that exist in a document
+   * @param {string} pages - Page ranges, e.g. "1-40, 55"
+   * @param {number} pageCount - Number of pages in the document
+   * @returns {number[]} - Page numbers in order
+   */
+  static selectPages(pages, pageCount) {
+    const selected = [];
+    DocumentSelection.parsePages(pages).forEach(range => {
+      for (let page = range.from; page <= Math.min(range.to, pageCount); page++) {
+        selected.push(page);
+      }
+    });
+    return selected;
+  }
+
+  /**
+   * Find the parts of a document under the selected headings
+   * @param {SectionHeading[]} headings - Headings in document order
+   * @param {string[]} titles - Selected heading titles
+   * @param {number} end - Where the document ends
+   * @returns {{start: number, end: number}[]} - Selected ranges in document order, without overlaps
+   */
+  static sectionRanges(headings, titles, end) {
+    const wanted = new Set(titles.map(DocumentSelection._titleKey));
+    const ranges = [];
+
+    headings.forEach((heading, index) => {
+      if (!wanted.has(DocumentSelection._titleKey(heading.title))) {
+        return;
+      }
+      const next = headings.slice(index + 1).find(other => other.level <= heading.level);
+      const range = { start: heading.start, end: next ? next.start : end };
+
+      const last = ranges[ranges.length - 1];
+      if (last && range.start <= last.end) {
+        last.end = Math.max(last.end, range.end);
+      } else {
+        ranges.push(range);
+      }
+    });
+
+    return ranges;
+  }
+
+  /**
+   * Get the headings of a Markdown document with the line each starts on
+   * @param {string} markdown - Markdown source
+   * @param {Object} md - markdown-it instance
+   * @returns {SectionHeading[]}
+   */
+  static markdownHeadings(markdown, md) {
+    const tokens = md.parse(markdown, {});
+    return tokens
+      .map((token, index) => ({ token, inline: tokens[index + 1] }))
+      .filter(({ token }) => token.type === 'heading_open' && token.map)
+      .map(({ token, inline }) => ({
+        level: parseInt(token.tag.substring(1), 10),
+        title: (inline && inline.content || '').trim(),
+        start: token.map[0]
+      }));
+  }
+
+  /**
+   * Keep only the selected sections of a Markdown document
+   * @param {string} markdown - Markdown source
+   * @param {string[]} titles - Selected heading titles
+   * @param {Object} md - markdown-it instance
+   * @returns {string} - Markdown of the selected sections, empty if none were found
+   */
+  static selectMarkdown(markdown, titles, md) {
+    const lines = markdown.split(/\r?\n/);
+    return DocumentSelection.sectionRanges(DocumentSelection.markdownHeadings(markdown, md), titles, lines.length)
+      .map(range => lines.slice(range.start, range.end).join('\n'))
+      .join('\n\n');
+  }
+
+  /**
+   * Get the headings of a converted Word document
+   * Word documents convert to a flat run of headings, paragraphs, lists and tables
+   * @param {string} html - HTML from mammoth
+   * @returns {{blocks: Object[], headings: SectionHeading[]}} - Top-level elements, and the headings among them
+   */
+  static htmlHeadings(html) {
+    const blocks = HtmlParser.parseTree(html).children;
+    const headings = [];
+    blocks.forEach((block, index) => {
+      const heading = block.tag && /^h([1-6])$/.exec(block.tag);
+      const title = heading ? HtmlParser.textOf(block).replace(/\s+/g, ' ').trim() : '';
+      if (title) {
+        headings.push({ level: parseInt(heading[1], 10), title, start: index });
+      }
+    });
+    return { blocks, headings };
+  }
+
+  /**
+   * Get the plain text of the selected sections of a converted Word document
+   * @param {string} html - HTML from mammoth
+   * @param {string[]} titles - Selected heading titles
+   * @returns {string} - One line per block, empty if none of the sections were found
+   */
+  static selectHtmlText(html, titles) {
+    const { blocks, headings } = DocumentSelection.htmlHeadings(html);
+    const children = [];
+    DocumentSelection.sectionRanges(headings, titles, blocks.length).forEach(range => {
+      children.push(...blocks.slice(range.start, range.end));
+    });
+    return HtmlParser.toText({ tag: '#root', attrs: {}, children, parent: null }).content;
+  }
+
+  /**
+   * Get the format of a document from its path, telling question decks apart
+   * @private
+   * @param {string} filePath - Path to the document
+   * @returns {string}
+   */
+  static _formatOf(filePath) {
+    const lowerPath = filePath.toLowerCase();
+    return DECK_FORMATS.find(format => lowerPath.endsWith(format)) || path.extname(lowerPath);
+  }
+
+  /**
+   * Compare heading titles ignoring case and spacing
+   * @private
+   * @param {string} title - Heading title
+   * @returns {string}
+   */
+  static _titleKey(title) {
+    return title.replace(/\s+/g, ' ').trim().toLowerCase();
+  }
+}
+
+module.exports = DocumentSelection;
@@ -0,0 +1,103 @@
+const MarkdownIt = require('markdown-it');
+const DocumentSelection = require('./DocumentSelection');
+
+const MARKDOWN = [
+  '# Biology',
+  '',
+  'Introduction to the course.',
+  '',
+  '## Cells',
+  '',
+  'Cells are the unit of life.',
+  '',
+  '### Organelles',
+  '',
+  'Mitochondria make ATP.',
+  '',
+  '## Genetics',
+  '',
+  'Genes carry traits.',
+  '',
+  '## Ecology',
+  '',
+  'Ecosystems cycle energy.'
+].join('\n');
+
+describe('DocumentSelection', () => {
+  it('should parse, merge and format page ranges', () => {
+    expect(DocumentSelection.parsePages('55, 1-10,8-20 ; 21')).toEqual([
+      { from: 1, to: 21 },
+      { from: 55, to: 55 }
+    ]);
+    expect(DocumentSelection.formatPages(DocumentSelection.parsePages(' 3 – 5, 9'))).toBe('3-5, 9');
+    expect(() => DocumentSelection.parsePages('1-10, chapter 2')).toThrow('"chapter 2" is not a page or page range');
+    expect(() => DocumentSelection.parsePages('10-2')).toThrow('"10-2" is not a valid page range');
+  });
+
+  it('should only select pages that exist', () => {
+    expect(DocumentSelection.selectPages('2-3, 7-9', 8)).toEqual([2, 3, 7, 8]);
+    expect(DocumentSelection.selectPages('12-20', 8)).toEqual([]);
+  });
+
+  it('should validate selections for the document format', () => {
+    expect(DocumentSelection.normalize({ pages: ' 40, 1-39 ' }, '.pdf')).toEqual({ pages: '1-40' });
+    expect(DocumentSelection.normalize({ sections: [' Cells ', 'Cells', ''] }, '.md')).toEqual({ sections: ['Cells'] });
+    expect(DocumentSelection.normalize({ pages: '', sections: [] }, '.pdf')).toBeNull();
+    expect(DocumentSelection.normalize(null, '.pdf')).toBeNull();
+
+    expect(() => DocumentSelection.normalize({ pages: '1-4' }, '.md')).toThrow('Page ranges can only be selected in PDFs');
+    expect(() => DocumentSelection.normalize({ sections: ['Cells'] }, '.pdf')).toThrow('Sections can only be selected in Markdown and Word documents');
+    expect(() => DocumentSelection.normalize({ pages: '1', sections: ['Cells'] }, '.pdf')).toThrow('Select either pages or sections, not both');
+    expect(() => DocumentSelection.normalize({ sections: 'Cells' }, '.md')).toThrow('Sections must be an array of heading titles');
+  });
+
+  it('should store documents without a selection as plain paths', () => {
+    expect(DocumentSelection.normalizeEntry('/notes/a.pdf')).toBe('/notes/a.pdf');
+    expect(DocumentSelection.normalizeEntry({ path: '/notes/a.pdf', selection: { pages: '3, 1-2' } }))
+      .toEqual({ path: '/notes/a.pdf', selection: { pages: '1-3' } });
+    expect(DocumentSelection.normalizeEntry({ path: '/notes/a.pdf', selection: { pages: ' ' } })).toBe('/notes/a.pdf');
+    expect(() => DocumentSelection.normalizeEntry({ path: '/decks/a.deck.md', selection: { sections: ['Cells'] } }))
+      .toThrow('Sections can only be selected in Markdown and Word documents');
+    expect(() => DocumentSelection.normalizeEntry({ selection: { pages: '1' } })).toThrow('Each document must be a file path or have a path');
+
+    expect(DocumentSelection.getPath({ path: '/notes/a.pdf', selection: { pages: '1' } })).toBe('/notes/a.pdf');
+    expect(DocumentSelection.getSelection('/notes/a.pdf')).toBeNull();
+  });
+
+  it('should keep selected Markdown sections with their subsections', () => {
+    const md = new MarkdownIt();
+
+    const selected = DocumentSelection.selectMarkdown(MARKDOWN, ['cells', 'Ecology'], md);
+
+    expect(selected).toContain('## Cells');
+    expect(selected).toContain('Mitochondria make ATP.');
+    expect(selected).toContain('Ecosystems cycle energy.');
+    expect(selected).not.toContain('Introduction');
+    expect(selected).not.toContain('Genes carry traits.');
+    expect(DocumentSelection.selectMarkdown(MARKDOWN, ['Biology'], md)).toBe(MARKDOWN);
+    expect(DocumentSelection.selectMarkdown(MARKDOWN, ['Physics'], md)).toBe('');
+  });
+
+  it('should list Markdown headings with their lines', () => {
+    expect(DocumentSelection.markdownHeadings(MARKDOWN, new MarkdownIt())).toEqual([
+      { level: 1, title: 'Biology', start: 0 },
+      { level: 2, title: 'Cells', start: 4 },
+      { level: 3, title: 'Organelles', start: 8 },
+      { level: 2, title: 'Genetics', start: 12 },
+      { level: 2, title: 'Ecology', start: 16 }
+    ]);
+  });
+
+  it('should keep selected sections of converted Word documents', () => {
+    const html = '<p>Preface</p><h1>Cells</h1><p>Cells are small.</p><h2>Organelles</h2><ul><li>Nucleus</li></ul>' +
+      '<h1>Genetics</h1><p>Genes carry traits.</p>';
+
+    expect(DocumentSelection.htmlHeadings(html).headings).toEqual([
+      { level: 1, title: 'Cells', start: 1 },
+      { level: 2, title: 'Organelles', start: 3 },
+      { level: 1, title: 'Genetics', start: 5 }
+    ]);
+    expect(DocumentSelection.selectHtmlText(html, ['Cells'])).toBe('Cells\nCells are small.\nOrganelles\nNucleus');
+    expect(DocumentSelection.selectHtmlText(html, ['Organelles', 'Genetics'])).toBe('Organelles\nNucleus\nGenetics\nGenes carry traits.');
+  });
+});
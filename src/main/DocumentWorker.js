@@ -4,29 +4,70 @@ const path = require('path');
 
 /**
  * Worker thread for processing documents
- * This runs in a separate thread to avoid blocking the main process
+ * This runs in a separate thread to avoid blocking the main process. Workers are pooled by
+ * DocumentProcessor and process one document per message, answering with a 'result' message.
  */
 
 // Import document processing libraries
-const pdfParse = require('pdf-parse');
 const mammoth = require('mammoth');
 const MarkdownIt = require('markdown-it');
+const EpubParser = require('./EpubParser');
+const SlideParser = require('./SlideParser');
+const HtmlParser = require('./HtmlParser');
+const NotebookParser = require('./NotebookParser');
+const LatexParser = require('./LatexParser');
+const SubtitleParser = require('./SubtitleParser');
+const GlossaryParser = require('./GlossaryParser');
+const PdfOcr = require('./PdfOcr');
+const DocumentSelection = require('./DocumentSelection');
+const TextEncoding = require('./TextEncoding');
+const PasswordProtection = require('./PasswordProtection');
 
 /**
- * Process a PDF document
+ * Process a PDF document, recognising scanned pages that have no text layer
+ * OCR progress is posted to the main thread as 'ocr-progress' messages
  */
-async function processPDF(filePath) {
+async function processPDF(filePath, selection, password) {
   const dataBuffer = await fs.readFile(filePath);
-  const pdfData = await pdfParse(dataBuffer);
+  let parsed;
+  try {
+    parsed = await PdfOcr.parse(dataBuffer, password);
+  } catch (error) {
+    throw PasswordProtection.fromPdfError(error);
+  }
+  const { pdfData, pageTexts } = parsed;
+  
+  const selectedPages = selection && selection.pages ? selection.pages : null;
+  const pageNumbers = selectedPages
+    ? DocumentSelection.selectPages(selectedPages, pageTexts.length)
+    : pageTexts.map((text, index) => index + 1);
+  if (pageNumbers.length === 0) {
+    throw new Error(`Selected pages ${selectedPages} are not in the PDF`);
+  }
+  const joinSelectedPages = texts => PdfOcr.joinPages(pageNumbers.map(page => texts[page - 1]));
+  
+  let content = selectedPages ? joinSelectedPages(pageTexts) : pdfData.text || '';
+  let ocrPages = [];
+  const ocr = new PdfOcr({ cacheDir: workerData.ocrCacheDir });
+  if (ocr.isAvailable() && pageNumbers.some(page => pageTexts[page - 1].trim().length === 0)) {
+    try {
+      const recognized = await ocr.recognizeScannedPages(dataBuffer, pageTexts, progress => {
+        parentPort.postMessage({ type: 'ocr-progress', filePath: path.resolve(filePath), progress });
+      }, pageNumbers, password);
+      content = joinSelectedPages(recognized.pageTexts);
+      ocrPages = recognized.ocrPages;
+    } catch (error) {
+      console.warn('OCR of scanned pages failed:', error.message);
+    }
+  }
   
-  const content = pdfData.text || '';
   const wordCount = content.trim().split(/\s+/).filter(word => word.length > 0).length;
   
   const title = pdfData.info?.Title || 
                pdfData.metadata?._metadata?.['dc:title'] || 
                path.basename(filePath, '.pdf');
   
-  return {
+  const result = {
     filePath: path.resolve(filePath),
     content: content,
     metadata: {
@@ -36,18 +77,35 @@ async function processPDF(filePath) {
       format: '.pdf'
     }
   };
+  
+  if (ocrPages.length > 0) {
+    result.metadata.ocrPages = ocrPages;
+  }
+  
+  if (selectedPages) {
+    result.metadata.selection = { pages: selectedPages };
+  }
+  
+  return result;
 }
 
 /**
- * Process a DOCX document
+ * Process a DOCX document, keeping only the selected sections if there are any
  */
-async function processDOCX(filePath) {
-  const result = await mammoth.extractRawText({ path: filePath });
-  const content = result.value || '';
+async function processDOCX(filePath, selection, password) {
+  const sections = selection && selection.sections ? selection.sections : null;
+  const data = await PasswordProtection.openDocx(await fs.readFile(filePath), password);
+  const result = sections
+    ? await mammoth.convertToHtml({ buffer: data })
+    : await mammoth.extractRawText({ buffer: data });
+  const content = sections ? DocumentSelection.selectHtmlText(result.value || '', sections) : result.value || '';
+  if (sections && content.trim().length === 0) {
+    throw new Error(`Selected sections not found: ${sections.join(', ')}`);
+  }
   const wordCount = content.trim().split(/\s+/).filter(word => word.length > 0).length;
   const title = path.basename(filePath, '.docx');
   
-  return {
+  const document = {
     filePath: path.resolve(filePath),
     content: content,
     metadata: {
@@ -56,15 +114,220 @@ async function processDOCX(filePath) {
       format: '.docx'
     }
   };
+  
+  if (sections) {
+    document.metadata.selection = { sections };
+  }
+  
+  return document;
+}
+
+/**
+ * Process an EPUB e-book
+ */
+async function processEPUB(filePath) {
+  const dataBuffer = await fs.readFile(filePath);
+  const book = await new EpubParser().parse(dataBuffer);
+  
+  const content = book.content;
+  const wordCount = content.trim().split(/\s+/).filter(word => word.length > 0).length;
+  
+  if (content.trim().length === 0) {
+    throw new Error('EPUB contains no extractable text');
+  }
+  
+  return {
+    filePath: path.resolve(filePath),
+    content: content,
+    metadata: {
+      title: book.title || path.basename(filePath, '.epub'),
+      wordCount: wordCount,
+      format: '.epub',
+      sections: book.sections
+    }
+  };
 }
 
 /**
- * Process a Markdown document
+ * Process a PowerPoint or Impress presentation
  */
-async function processMarkdown(filePath) {
-  let content = await fs.readFile(filePath, 'utf8');
+async function processSlides(filePath, format) {
+  const dataBuffer = await fs.readFile(filePath);
+  const presentation = await new SlideParser().parse(dataBuffer, format);
+  
+  const content = presentation.content;
+  const wordCount = content.trim().split(/\s+/).filter(word => word.length > 0).length;
+  
+  if (content.trim().length === 0) {
+    throw new Error('Presentation contains no extractable text');
+  }
+  
+  return {
+    filePath: path.resolve(filePath),
+    content: content,
+    metadata: {
+      title: presentation.title || path.basename(filePath, format),
+      wordCount: wordCount,
+      format: format,
+      slideCount: presentation.sections.length,
+      sections: presentation.sections,
+      lists: presentation.lists
+    }
+  };
+}
+
+/**
+ * Process a saved web page (HTML or MHTML)
+ */
+async function processHTML(filePath, format) {
+  const dataBuffer = await fs.readFile(filePath);
+  const page = new HtmlParser().parse(dataBuffer, format);
+  
+  const content = page.content;
+  const wordCount = content.trim().split(/\s+/).filter(word => word.length > 0).length;
+  
+  if (content.trim().length === 0) {
+    throw new Error('Web page contains no readable text');
+  }
+  
+  return {
+    filePath: path.resolve(filePath),
+    content: content,
+    metadata: {
+      title: page.title || path.basename(filePath, format),
+      wordCount: wordCount,
+      format: format,
+      headings: page.headings,
+      sections: page.sections
+    }
+  };
+}
+
+/**
+ * Process a Jupyter notebook
+ */
+async function processNotebook(filePath) {
+  const source = await fs.readFile(filePath, 'utf8');
+  const notebook = new NotebookParser().parse(source);
+  
+  const content = notebook.content;
+  const wordCount = content.trim().split(/\s+/).filter(word => word.length > 0).length;
+  
+  if (content.trim().length === 0) {
+    throw new Error('Notebook has no markdown text');
+  }
+  
+  return {
+    filePath: path.resolve(filePath),
+    content: content,
+    metadata: {
+      title: notebook.title || path.basename(filePath, '.ipynb'),
+      wordCount: wordCount,
+      format: '.ipynb',
+      headings: notebook.headings,
+      sections: notebook.sections,
+      codeCells: notebook.codeCells,
+      language: notebook.language
+    }
+  };
+}
+
+/**
+ * Process a LaTeX source file
+ */
+async function processLaTeX(filePath) {
+  const source = await fs.readFile(filePath, 'utf8');
+  const latex = new LatexParser().parse(source);
+  
+  const content = latex.content;
+  const wordCount = content.trim().split(/\s+/).filter(word => word.length > 0).length;
+  
+  if (content.trim().length === 0) {
+    throw new Error('LaTeX file contains no text');
+  }
+  
+  return {
+    filePath: path.resolve(filePath),
+    content: content,
+    metadata: {
+      title: latex.title || path.basename(filePath, '.tex'),
+      wordCount: wordCount,
+      format: '.tex',
+      headings: latex.headings,
+      sections: latex.sections,
+      keyBlocks: latex.keyBlocks
+    }
+  };
+}
+
+/**
+ * Process an SRT or WebVTT caption file
+ */
+async function processSubtitles(filePath, format) {
+  const source = await fs.readFile(filePath, 'utf8');
+  const transcript = new SubtitleParser().parse(source, format);
+  
+  const content = transcript.content;
+  const wordCount = content.trim().split(/\s+/).filter(word => word.length > 0).length;
+  
+  if (content.trim().length === 0) {
+    throw new Error('Subtitle file has no caption text');
+  }
+  
+  return {
+    filePath: path.resolve(filePath),
+    content: content,
+    metadata: {
+      title: transcript.title || path.basename(filePath, format),
+      wordCount: wordCount,
+      format: format,
+      timestamps: transcript.timestamps
+    }
+  };
+}
+
+/**
+ * Process a CSV or TSV glossary
+ */
+async function processGlossary(filePath, format) {
+  const source = await fs.readFile(filePath, 'utf8');
+  const glossary = new GlossaryParser().parseDelimited(source, format);
+  
+  const content = GlossaryParser.toContent(glossary);
+  const wordCount = content.trim().split(/\s+/).filter(word => word.length > 0).length;
+  
+  return {
+    filePath: path.resolve(filePath),
+    content: content,
+    metadata: {
+      title: path.basename(filePath, format),
+      wordCount: wordCount,
+      format: format,
+      glossary: glossary
+    }
+  };
+}
+
+/**
+ * Process a Markdown document, keeping only the selected sections if there are any
+ * The detected encoding is returned so the main thread can warn about uncertain guesses
+ */
+async function processMarkdown(filePath, selection) {
+  let { text: content, encoding } = TextEncoding.decode(await fs.readFile(filePath));
+  // Empty files are errors, as on the main thread
+  if (content.trim().length === 0) {
+    throw new Error('Markdown file is empty');
+  }
   
   const md = new MarkdownIt();
+  const sections = selection && selection.sections ? selection.sections : null;
+  if (sections) {
+    content = DocumentSelection.selectMarkdown(content, sections, md);
+    if (content.trim().length === 0) {
+      throw new Error(`Selected sections not found: ${sections.join(', ')}`);
+    }
+  }
+  
   const tokens = md.parse(content, {});
   
   const headings = tokens
@@ -90,23 +353,39 @@ async function processMarkdown(filePath) {
   const firstH1 = headings.find(h => h.level === 1);
   const title = firstH1?.text || path.basename(filePath, '.md');
   
-  return {
+  const result = {
     filePath: path.resolve(filePath),
     content: plainText,
     metadata: {
       title: title,
       wordCount: wordCount,
       format: '.md',
-      headings: headings
+      headings: headings,
+      encoding: encoding
     }
   };
+  
+  if (sections) {
+    result.metadata.selection = { sections };
+  }
+  
+  const glossary = new GlossaryParser().parseDefinitionLists(content);
+  if (glossary.length > 0) {
+    result.metadata.glossary = glossary;
+  }
+  
+  return result;
 }
 
 /**
  * Process a plain text document
  */
 async function processText(filePath) {
-  const content = await fs.readFile(filePath, 'utf8');
+  const { text: content, encoding } = TextEncoding.decode(await fs.readFile(filePath));
+  // Empty files are errors, as on the main thread
+  if (content.trim().length === 0) {
+    throw new Error('Text file is empty');
+  }
   const wordCount = content.trim().split(/\s+/).filter(word => word.length > 0).length;
   const title = path.basename(filePath, '.txt');
   
@@ -116,7 +395,8 @@ async function processText(filePath) {
     metadata: {
       title: title,
       wordCount: wordCount,
-      format: '.txt'
+      format: '.txt',
+      encoding: encoding
     }
   };
 }
@@ -124,14 +404,34 @@ async function processText(filePath) {
 /**
  * Process a document based on its format
  */
-async function processDocument(filePath, format) {
+async function processDocument(filePath, format, selection, password) {
   switch (format) {
     case '.pdf':
-      return await processPDF(filePath);
+      return await processPDF(filePath, selection, password);
     case '.docx':
-      return await processDOCX(filePath);
+      return await processDOCX(filePath, selection, password);
+    case '.epub':
+      return await processEPUB(filePath);
+    case '.pptx':
+    case '.odp':
+      return await processSlides(filePath, format);
+    case '.html':
+    case '.htm':
+    case '.mhtml':
+    case '.mht':
+      return await processHTML(filePath, format);
+    case '.ipynb':
+      return await processNotebook(filePath);
+    case '.tex':
+      return await processLaTeX(filePath);
+    case '.srt':
+    case '.vtt':
+      return await processSubtitles(filePath, format);
+    case '.csv':
+    case '.tsv':
+      return await processGlossary(filePath, format);
     case '.md':
-      return await processMarkdown(filePath);
+      return await processMarkdown(filePath, selection);
     case '.txt':
       return await processText(filePath);
     default:
@@ -139,27 +439,32 @@ async function processDocument(filePath, format) {
   }
 }
 
-// Main worker logic
-(async () => {
+// Each message is a document to process; the worker stays alive for the next one
+parentPort.on('message', async (task) => {
   try {
-    const { filePath, format } = workerData;
+    const { filePath, format, selection, password } = task;
     
     // Process the document
-    const result = await processDocument(filePath, format);
+    const result = await processDocument(filePath, format, selection, password);
     
     // Send result back to main thread
     parentPort.postMessage({
+      type: 'result',
+      id: task.id,
       success: true,
       data: result
     });
   } catch (error) {
     // Send error back to main thread
     parentPort.postMessage({
+      type: 'result',
+      id: task.id,
       success: false,
       error: {
         message: error.message,
-        stack: error.stack
+        stack: error.stack,
+        code: error.code
       }
     });
   }
-})();
+});
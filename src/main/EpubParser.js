@@ -0,0 +1,335 @@
+const path = require('path');
+const JSZip = require('jszip');
+
+/**
+ * @typedef {Object} DocumentSection
+ * @property {string} title - Section (chapter) title
+ * @property {number} offset - Character offset in the document content where the section starts
+ */
+
+/**
+ * @typedef {Object} EpubParseResult
+ * @property {string|null} title - Book title from the package metadata
+ * @property {string} content - Plain text of every chapter in reading order
+ * @property {DocumentSection[]} sections - Chapters with their position in the content
+ */
+
+// Block-level XHTML elements that end a line of text
+const BLOCK_TAGS = /<\/?(?:p|div|h[1-6]|li|ul|ol|dt|dd|tr|table|section|article|aside|blockquote|pre|figure|figcaption|header|footer|nav)\b[^>]*>|<br\s*\/?>/gi;
+
+// Encryption algorithm used for font obfuscation, which doesn't hide any text
+const FONT_OBFUSCATION = /idpf\.org\/2008\/embedding|ns\.adobe\.com\/pdf\/enc#RC/i;
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\'',
+  nbsp: ' ',
+  shy: '',
+  mdash: '—',
+  ndash: '–',
+  hellip: '…',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”'
+};
+
+/**
+ * Extracts the text of EPUB e-books chapter by chapter
+ *
+ * Reads the package document (OPF) named in META-INF/container.xml, follows its spine
+ * for the reading order and strips each XHTML file to text. Chapter titles come from the
+ * table of contents (EPUB 3 nav document or EPUB 2 NCX), falling back to the first heading
+ * of the file. Spine files without a title continue the previous chapter, so chapters
+ * split across several files stay together.
+ */
+class EpubParser {
+  /**
+   * Parse an EPUB file
+   * @param {Buffer} data - Contents of the .epub file
+   * @returns {Promise<EpubParseResult>}
+   * @throws {Error} If the file is not a readable, DRM-free EPUB
+   */
+  async parse(data) {
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(data);
+    } catch (error) {
+      throw new Error(`Not a valid EPUB archive: ${error.message}`);
+    }
+
+    await this._checkEncryption(zip);
+
+    const container = await this._readText(zip, 'META-INF/container.xml');
+    const rootfile = container.match(/<rootfile\b[^>]*>/i);
+    const opfPath = rootfile && EpubParser._attr(rootfile[0], 'full-path');
+    if (!opfPath) {
+      throw new Error('EPUB container does not name a package document');
+    }
+
+    const opf = await this._readText(zip, opfPath);
+    const opfDir = path.posix.dirname(opfPath);
+    const manifest = this._parseManifest(opf, opfDir);
+    const spine = this._parseSpine(opf);
+    const tocTitles = await this._readTableOfContents(zip, opf, manifest);
+
+    const titleMatch = opf.match(/<dc:title\b[^>]*>([\s\S]*?)<\/dc:title>/i);
+    const title = titleMatch ? EpubParser.decodeEntities(titleMatch[1].replace(/<[^>]*>/g, '')).trim() || null : null;
+
+    const sections = [];
+    const parts = [];
+    let offset = 0;
+
+    for (const idref of spine) {
+      const item = manifest.get(idref);
+      if (!item || !/x?html/i.test(item.mediaType)) {
+        continue;
+      }
+
+      const file = zip.file(item.href);
+      if (!file) {
+        continue;
+      }
+
+      const xhtml = await file.async('string');
+      const text = EpubParser.htmlToText(xhtml);
+      if (!text) {
+        continue;
+      }
+
+      const sectionTitle = tocTitles.get(item.href) || EpubParser._firstHeading(xhtml);
+      if (sectionTitle || sections.length === 0) {
+        sections.push({ title: sectionTitle || title || path.posix.basename(item.href), offset });
+      }
+
+      parts.push(text);
+      offset += text.length + 2;
+    }
+
+    return { title, content: parts.join('\n\n'), sections };
+  }
+
+  /**
+   * Reject e-books whose text is encrypted
+   * @private
+   * @param {JSZip} zip - Opened archive
+   * @returns {Promise<void>}
+   * @throws {Error} If content documents are encrypted
+   */
+  async _checkEncryption(zip) {
+    const encryptionFile = zip.file('META-INF/encryption.xml');
+    if (!encryptionFile) {
+      return;
+    }
+
+    const encryption = await encryptionFile.async('string');
+    const encryptedData = encryption.match(/<(?:\w+:)?EncryptedData\b[\s\S]*?<\/(?:\w+:)?EncryptedData>/gi) || [];
+    const encryptsText = encryptedData.some(block => {
+      const method = block.match(/<(?:\w+:)?EncryptionMethod\b[^>]*>/i);
+      return !(method && FONT_OBFUSCATION.test(EpubParser._attr(method[0], 'Algorithm') || ''));
+    });
+
+    if (encryptsText) {
+      throw new Error('EPUB is DRM-protected');
+    }
+  }
+
+  /**
+   * Read a text file from the archive
+   * @private
+   * @param {JSZip} zip - Opened archive
+   * @param {string} filePath - Path inside the archive
+   * @returns {Promise<string>}
+   * @throws {Error} If the file is missing
+   */
+  async _readText(zip, filePath) {
+    const file = zip.file(filePath);
+    if (!file) {
+      throw new Error(`EPUB is missing ${filePath}`);
+    }
+    return file.async('string');
+  }
+
+  /**
+   * Map manifest item IDs to their archive paths and media types
+   * @private
+   * @param {string} opf - Package document
+   * @param {string} opfDir - Directory of the package document, hrefs are relative to it
+   * @returns {Map<string, {href: string, mediaType: string, properties: string}>}
+   */
+  _parseManifest(opf, opfDir) {
+    const manifest = new Map();
+
+    (opf.match(/<item\b[^>]*>/gi) || []).forEach(tag => {
+      const id = EpubParser._attr(tag, 'id');
+      const href = EpubParser._attr(tag, 'href');
+      if (id && href) {
+        manifest.set(id, {
+          href: EpubParser._resolveHref(opfDir, href),
+          mediaType: EpubParser._attr(tag, 'media-type') || '',
+          properties: EpubParser._attr(tag, 'properties') || ''
+        });
+      }
+    });
+
+    return manifest;
+  }
+
+  /**
+   * Get the manifest IDs of the spine in reading order
+   * @private
+   * @param {string} opf - Package document
+   * @returns {string[]}
+   */
+  _parseSpine(opf) {
+    const spine = opf.match(/<spine\b[\s\S]*?<\/spine>/i);
+    if (!spine) {
+      throw new Error('EPUB package document has no spine');
+    }
+
+    return (spine[0].match(/<itemref\b[^>]*>/gi) || [])
+      .map(tag => EpubParser._attr(tag, 'idref'))
+      .filter(Boolean);
+  }
+
+  /**
+   * Read chapter titles from the table of contents
+   * Prefers the EPUB 3 nav document and falls back to the EPUB 2 NCX
+   * @private
+   * @param {JSZip} zip - Opened archive
+   * @param {string} opf - Package document
+   * @param {Map<string, Object>} manifest - Parsed manifest
+   * @returns {Promise<Map<string, string>>} - Archive path of each chapter file to its title
+   */
+  async _readTableOfContents(zip, opf, manifest) {
+    const titles = new Map();
+    const addTitle = (baseDir, href, label) => {
+      const target = EpubParser._resolveHref(baseDir, href.split('#')[0]);
+      const text = EpubParser.decodeEntities(label.replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim();
+      // The first entry pointing into a file names it; later entries are sub-sections
+      if (text && !titles.has(target)) {
+        titles.set(target, text);
+      }
+    };
+
+    const nav = Array.from(manifest.values()).find(item => /\bnav\b/.test(item.properties));
+    if (nav && zip.file(nav.href)) {
+      const xhtml = await zip.file(nav.href).async('string');
+      const tocNav = xhtml.match(/<nav\b[^>]*epub:type="[^"]*\btoc\b[^"]*"[^>]*>[\s\S]*?<\/nav>/i);
+      const links = (tocNav ? tocNav[0] : xhtml).match(/<a\b[^>]*href="[^"]*"[^>]*>[\s\S]*?<\/a>/gi) || [];
+      links.forEach(link => {
+        const match = link.match(/<a\b([^>]*)>([\s\S]*?)<\/a>/i);
+        addTitle(path.posix.dirname(nav.href), EpubParser._attr(`<a ${match[1]}>`, 'href'), match[2]);
+      });
+      if (titles.size > 0) {
+        return titles;
+      }
+    }
+
+    const spine = opf.match(/<spine\b[^>]*>/i);
+    const ncxId = spine && EpubParser._attr(spine[0], 'toc');
+    const ncx = ncxId && manifest.get(ncxId);
+    if (ncx && zip.file(ncx.href)) {
+      const xml = await zip.file(ncx.href).async('string');
+      const navPoints = xml.match(/<navLabel\b[\s\S]*?<\/navLabel>\s*<content\b[^>]*>/gi) || [];
+      navPoints.forEach(point => {
+        const label = point.match(/<text\b[^>]*>([\s\S]*?)<\/text>/i);
+        const content = point.match(/<content\b[^>]*>/i);
+        const src = content && EpubParser._attr(content[0], 'src');
+        if (label && src) {
+          addTitle(path.posix.dirname(ncx.href), src, label[1]);
+        }
+      });
+    }
+
+    return titles;
+  }
+
+  /**
+   * Strip an XHTML document to plain text, one line per block element
+   * @param {string} xhtml - XHTML markup
+   * @returns {string}
+   */
+  static htmlToText(xhtml) {
+    const body = xhtml.match(/<body\b[^>]*>([\s\S]*)<\/body>/i);
+
+    const text = (body ? body[1] : xhtml)
+      .replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, '')
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(BLOCK_TAGS, '\n')
+      .replace(/<[^>]*>/g, '');
+
+    return EpubParser.decodeEntities(text)
+      .split('\n')
+      .map(line => line.replace(/\s+/g, ' ').trim())
+      .filter(line => line.length > 0)
+      .join('\n');
+  }
+
+  /**
+   * Decode XML character references and common HTML entities
+   * @param {string} text - Text with entities
+   * @returns {string}
+   */
+  static decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+      if (code[0] === '#') {
+        const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return Number.isFinite(point) && point <= 0x10FFFF ? String.fromCodePoint(point) : entity;
+      }
+      const named = NAMED_ENTITIES[code.toLowerCase()];
+      return named !== undefined ? named : entity;
+    });
+  }
+
+  /**
+   * Get the text of the first heading in an XHTML document
+   * @private
+   * @param {string} xhtml - XHTML markup
+   * @returns {string|null}
+   */
+  static _firstHeading(xhtml) {
+    const heading = xhtml.match(/<h[1-3]\b[^>]*>([\s\S]*?)<\/h[1-3]>/i);
+    if (!heading) {
+      return null;
+    }
+    return EpubParser.decodeEntities(heading[1].replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim() || null;
+  }
+
+  /**
+   * Read an attribute value from a start tag
+   * @private
+   * @param {string} tag - Start tag markup
+   * @param {string} name - Attribute name
+   * @returns {string|null}
+   */
+  static _attr(tag, name) {
+    const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)')`, 'i'));
+    if (!match) {
+      return null;
+    }
+    return EpubParser.decodeEntities(match[2] !== undefined ? match[2] : match[3]);
+  }
+
+  /**
+   * Resolve an href relative to a directory inside the archive
+   * @private
+   * @param {string} baseDir - Directory the href is relative to
+   * @param {string} href - Relative, URL-encoded href
+   * @returns {string}
+   */
+  static _resolveHref(baseDir, href) {
+    let decoded = href;
+    try {
+      decoded = decodeURIComponent(href);
+    } catch (error) {
+      // Keep malformed escapes as they are
+    }
+    return path.posix.normalize(path.posix.join(baseDir, decoded)).replace(/^\.\//, '');
+  }
+}
+
+module.exports = EpubParser;
@@ -0,0 +1,153 @@
+const JSZip = require('jszip');
+const EpubParser = require('./EpubParser');
+
+/**
+ * Build an EPUB in memory
+ * @param {Object} [options]
+ * @param {'nav'|'ncx'|null} [options.toc] - Kind of table of contents to include
+ * @param {string} [options.encryption] - Contents of META-INF/encryption.xml
+ * @returns {Promise<Buffer>}
+ */
+async function buildEpub({ toc = 'nav', encryption } = {}) {
+  const zip = new JSZip();
+  zip.file('mimetype', 'application/epub+zip');
+  zip.file('META-INF/container.xml', `<?xml version="1.0"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>`);
+
+  if (encryption) {
+    zip.file('META-INF/encryption.xml', encryption);
+  }
+
+  zip.file('OEBPS/content.opf', `<?xml version="1.0"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:title>Biology &amp; You</dc:title>
+  </metadata>
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+    <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
+    <item id="ch1" href="text/chapter%201.xhtml" media-type="application/xhtml+xml"/>
+    <item id="ch1b" href="text/chapter1-part2.xhtml" media-type="application/xhtml+xml"/>
+    <item id="ch2" href="text/chapter2.xhtml" media-type="application/xhtml+xml"/>
+    <item id="cover" href="images/cover.jpg" media-type="image/jpeg"/>
+  </manifest>
+  <spine toc="ncx">
+    <itemref idref="ch1"/>
+    <itemref idref="cover"/>
+    <itemref idref="ch1b"/>
+    <itemref idref="ch2"/>
+  </spine>
+</package>`);
+
+  if (toc === 'nav') {
+    zip.file('OEBPS/nav.xhtml', `<html xmlns:epub="http://www.idpf.org/2007/ops"><body>
+  <nav epub:type="toc"><ol>
+    <li><a href="text/chapter%201.xhtml">Chapter 1: <em>Cells</em></a>
+      <ol><li><a href="text/chapter%201.xhtml#membrane">The Membrane</a></li></ol>
+    </li>
+    <li><a href="text/chapter2.xhtml">Chapter 2: Genetics</a></li>
+  </ol></nav>
+</body></html>`);
+  } else if (toc === 'ncx') {
+    zip.file('OEBPS/toc.ncx', `<ncx><navMap>
+  <navPoint id="p1"><navLabel><text>Cells (NCX)</text></navLabel><content src="text/chapter%201.xhtml"/></navPoint>
+  <navPoint id="p2"><navLabel><text>Genetics (NCX)</text></navLabel><content src="text/chapter2.xhtml#start"/></navPoint>
+</navMap></ncx>`);
+  }
+
+  zip.file('OEBPS/text/chapter 1.xhtml', `<html><head><title>ch1</title><style>p { color: red; }</style></head><body>
+  <h1>Cells</h1>
+  <p>The mitochondrion produces&nbsp;ATP for the cell.</p>
+  <p>Ribosomes build proteins &#x2014; and they are <b>tiny</b>.</p>
+</body></html>`);
+  zip.file('OEBPS/text/chapter1-part2.xhtml', `<html><body>
+  <p>The cell membrane controls what enters the cell.</p>
+</body></html>`);
+  zip.file('OEBPS/text/chapter2.xhtml', `<html><body>
+  <h2>Genes</h2>
+  <p>DNA carries genetic information.</p>
+</body></html>`);
+
+  return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+describe('EpubParser', () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new EpubParser();
+  });
+
+  it('should extract chapters in spine order with titles from the nav document', async () => {
+    const result = await parser.parse(await buildEpub());
+
+    expect(result.title).toBe('Biology & You');
+    expect(result.content).toBe([
+      'Cells',
+      'The mitochondrion produces ATP for the cell.',
+      'Ribosomes build proteins — and they are tiny.',
+      '',
+      'The cell membrane controls what enters the cell.',
+      '',
+      'Genes',
+      'DNA carries genetic information.'
+    ].join('\n'));
+    expect(result.sections.map(section => section.title)).toEqual(['Chapter 1: Cells', 'Chapter 2: Genetics']);
+  });
+
+  it('should record where each chapter starts in the content', async () => {
+    const result = await parser.parse(await buildEpub());
+
+    expect(result.sections[0].offset).toBe(0);
+    expect(result.content.slice(result.sections[1].offset)).toMatch(/^Genes\n/);
+  });
+
+  it('should fall back to the NCX table of contents', async () => {
+    const result = await parser.parse(await buildEpub({ toc: 'ncx' }));
+
+    expect(result.sections.map(section => section.title)).toEqual(['Cells (NCX)', 'Genetics (NCX)']);
+  });
+
+  it('should fall back to the first heading without a table of contents', async () => {
+    const result = await parser.parse(await buildEpub({ toc: null }));
+
+    expect(result.sections.map(section => section.title)).toEqual(['Cells', 'Genes']);
+  });
+
+  it('should reject DRM-protected books but allow font obfuscation', async () => {
+    const encryptedBlock = algorithm => `<encryption><EncryptedData>
+  <EncryptionMethod Algorithm="${algorithm}"/>
+  <CipherData><CipherReference URI="OEBPS/text/chapter2.xhtml"/></CipherData>
+</EncryptedData></encryption>`;
+
+    await expect(parser.parse(await buildEpub({
+      encryption: encryptedBlock('http://www.w3.org/2001/04/xmlenc#aes128-cbc')
+    }))).rejects.toThrow('DRM-protected');
+
+    const result = await parser.parse(await buildEpub({
+      encryption: encryptedBlock('http://www.idpf.org/2008/embedding')
+    }));
+    expect(result.sections).toHaveLength(2);
+  });
+
+  it('should reject files that are not EPUB archives', async () => {
+    await expect(parser.parse(Buffer.from('not a zip'))).rejects.toThrow('Not a valid EPUB archive');
+
+    const zip = new JSZip();
+    zip.file('mimetype', 'application/epub+zip');
+    await expect(parser.parse(await zip.generateAsync({ type: 'nodebuffer' })))
+      .rejects.toThrow('EPUB is missing META-INF/container.xml');
+  });
+
+  describe('htmlToText', () => {
+    it('should put block elements on their own lines and drop scripts', () => {
+      const text = EpubParser.htmlToText('<body><h1>Title</h1><script>alert(1)</script><p>One<br/>Two</p><!-- note --></body>');
+
+      expect(text).toBe('Title\nOne\nTwo');
+    });
+  });
+});
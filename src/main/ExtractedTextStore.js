@@ -0,0 +1,229 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { app } = require('electron');
+
+/**
+ * @typedef {Object} StoreStats
+ * @property {number} entries - Number of documents in the store
+ * @property {number} size - Total size of the stored entries in bytes
+ * @property {number} maxSize - Size the store is kept under, in bytes
+ */
+
+/**
+ * @typedef {Object} StoreVariant
+ * @property {string} format - Document format the text was extracted as
+ * @property {{pages?: string, sections?: string[]}|null} [selection] - Pages or sections the text is limited to
+ */
+
+// Bump when extraction changes, so text extracted by older versions is parsed again
+const EXTRACTION_VERSION = 2;
+
+/**
+ * Keeps the text and metadata extracted from documents so unchanged files are not parsed again
+ *
+ * Entries are content-addressed: the key is a hash of the file's contents together with its name,
+ * format and selected parts, so an edited file or a changed selection is parsed again while a
+ * moved file is still found. Each entry is a JSON file in the store directory. Reading an entry
+ * marks it as recently used, and once the store grows past its size cap the least recently used
+ * entries are evicted. The store is only a shortcut: when it cannot be read or written the
+ * document is simply parsed.
+ */
+class ExtractedTextStore {
+  /**
+   * @param {string} [storeDir] - Optional custom store directory
+   * @param {Object} [options] - Configuration options
+   * @param {number} [options.maxSize] - Total size of stored entries in bytes before old ones are evicted (default: 100MB)
+   */
+  constructor(storeDir = null, options = {}) {
+    this.storeDir = storeDir || this._getDefaultStoreDir();
+    this.maxSize = options.maxSize || 100 * 1024 * 1024;
+  }
+
+  /**
+   * Get the default store directory in user data directory
+   * @private
+   * @returns {string}
+   */
+  _getDefaultStoreDir() {
+    const userDataPath = app ? app.getPath('userData') : './data';
+    return path.join(userDataPath, 'extracted-text');
+  }
+
+  /**
+   * Compute the store key of a document
+   * @param {string} filePath - Path to the document
+   * @param {StoreVariant} variant - How the text is extracted
+   * @returns {Promise<string>} - Hex-encoded key
+   * @throws {Error} If the file cannot be read
+   */
+  async keyFor(filePath, variant) {
+    const contentHash = await ExtractedTextStore.hashFile(filePath);
+    return crypto.createHash('sha256').update(JSON.stringify({
+      version: EXTRACTION_VERSION,
+      content: contentHash,
+      name: path.basename(filePath),
+      format: variant.format,
+      selection: variant.selection || null
+    })).digest('hex');
+  }
+
+  /**
+   * Get previously extracted text
+   * @param {string} key - Store key from keyFor
+   * @param {string} filePath - Path the document is at now
+   * @returns {Promise<Object|null>} - The extracted DocumentContent, or null if it is not stored
+   */
+  async get(key, filePath) {
+    const entryPath = this._entryPath(key);
+    try {
+      const entry = JSON.parse(await fs.promises.readFile(entryPath, 'utf8'));
+      if (!entry.document || typeof entry.document.content !== 'string') {
+        return null;
+      }
+
+      const now = new Date();
+      await fs.promises.utimes(entryPath, now, now).catch(() => {
+        // Only affects which entries are evicted first
+      });
+      return { ...entry.document, filePath: path.resolve(filePath) };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Store extracted text, evicting the least recently used entries if the store is full
+   * A failed write only means the document is parsed again next time
+   * @param {string} key - Store key from keyFor
+   * @param {Object} document - Extracted DocumentContent
+   * @returns {Promise<void>}
+   */
+  async put(key, document) {
+    const entryPath = this._entryPath(key);
+    const tempPath = `${entryPath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    try {
+      await fs.promises.mkdir(this.storeDir, { recursive: true });
+      await fs.promises.writeFile(tempPath, JSON.stringify({ storedAt: new Date().toISOString(), document }), 'utf8');
+      await fs.promises.rename(tempPath, entryPath);
+      await this._evict(entryPath);
+    } catch (error) {
+      console.warn('Failed to store extracted text:', error.message);
+      await fs.promises.unlink(tempPath).catch(() => {
+        // Nothing was written
+      });
+    }
+  }
+
+  /**
+   * Get how many documents are stored and how much space they take
+   * @returns {Promise<StoreStats>}
+   */
+  async getStats() {
+    const entries = await this._listEntries();
+    return {
+      entries: entries.length,
+      size: entries.reduce((sum, entry) => sum + entry.size, 0),
+      maxSize: this.maxSize
+    };
+  }
+
+  /**
+   * Remove every stored entry, so all documents are parsed again
+   * @returns {Promise<number>} - Number of entries removed
+   */
+  async clear() {
+    const entries = await this._listEntries();
+    await Promise.all(entries.map(entry => this._remove(entry.path)));
+    return entries.length;
+  }
+
+  /**
+   * Compute the SHA-256 hash of a file's contents
+   * @param {string} filePath - Path to the file
+   * @returns {Promise<string>} - Hex-encoded hash
+   */
+  static hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      const stream = fs.createReadStream(filePath);
+      stream.on('data', chunk => hash.update(chunk));
+      stream.on('error', reject);
+      stream.on('end', () => resolve(hash.digest('hex')));
+    });
+  }
+
+  /**
+   * Get the file of an entry
+   * @private
+   * @param {string} key - Store key
+   * @returns {string}
+   */
+  _entryPath(key) {
+    return path.join(this.storeDir, `${key}.json`);
+  }
+
+  /**
+   * List the stored entries, least recently used first
+   * @private
+   * @returns {Promise<{path: string, size: number, usedAt: number}[]>}
+   */
+  async _listEntries() {
+    let names;
+    try {
+      names = await fs.promises.readdir(this.storeDir);
+    } catch (error) {
+      return [];
+    }
+
+    const entries = await Promise.all(names.filter(name => name.endsWith('.json')).map(async name => {
+      const entryPath = path.join(this.storeDir, name);
+      try {
+        const stats = await fs.promises.stat(entryPath);
+        return { path: entryPath, size: stats.size, usedAt: stats.mtimeMs };
+      } catch (error) {
+        return null;
+      }
+    }));
+    return entries.filter(Boolean).sort((a, b) => a.usedAt - b.usedAt);
+  }
+
+  /**
+   * Remove the least recently used entries until the store fits its size cap
+   * @private
+   * @param {string} keepPath - Entry that was just stored, which is kept
+   * @returns {Promise<void>}
+   */
+  async _evict(keepPath) {
+    const entries = await this._listEntries();
+    let size = entries.reduce((sum, entry) => sum + entry.size, 0);
+
+    for (const entry of entries) {
+      if (size <= this.maxSize) {
+        break;
+      }
+      if (entry.path !== keepPath) {
+        await this._remove(entry.path);
+        size -= entry.size;
+      }
+    }
+  }
+
+  /**
+   * Remove an entry that may already be gone
+   * @private
+   * @param {string} entryPath - Entry file
+   * @returns {Promise<void>}
+   */
+  async _remove(entryPath) {
+    try {
+      await fs.promises.unlink(entryPath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = ExtractedTextStore;
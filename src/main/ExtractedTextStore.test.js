@@ -0,0 +1,104 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const ExtractedTextStore = require('./ExtractedTextStore');
+
+describe('ExtractedTextStore', () => {
+  let tempDir;
+  let storeDir;
+  let notesPath;
+  let store;
+
+  const makeDocument = (filePath, content) => ({
+    filePath,
+    content,
+    metadata: { title: 'notes', wordCount: content.split(/\s+/).length, format: '.txt' }
+  });
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'extracted-text-'));
+    storeDir = path.join(tempDir, 'store');
+    notesPath = path.join(tempDir, 'notes.txt');
+    await fs.writeFile(notesPath, 'Mitochondria release energy from glucose.');
+    store = new ExtractedTextStore(storeDir);
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should return stored text for the same file contents', async () => {
+    const key = await store.keyFor(notesPath, { format: '.txt' });
+
+    expect(await store.get(key, notesPath)).toBeNull();
+    await store.put(key, makeDocument(notesPath, 'Mitochondria release energy from glucose.'));
+
+    const stored = await store.get(await store.keyFor(notesPath, { format: '.txt' }), notesPath);
+    expect(stored.content).toBe('Mitochondria release energy from glucose.');
+    expect(stored.filePath).toBe(path.resolve(notesPath));
+  });
+
+  it('should key entries by contents, name, format and selection', async () => {
+    const key = await store.keyFor(notesPath, { format: '.txt' });
+
+    // Moving a file keeps its key
+    const movedDir = path.join(tempDir, 'moved');
+    await fs.mkdir(movedDir);
+    const movedPath = path.join(movedDir, 'notes.txt');
+    await fs.copyFile(notesPath, movedPath);
+    expect(await store.keyFor(movedPath, { format: '.txt' })).toBe(key);
+
+    expect(await store.keyFor(notesPath, { format: '.md' })).not.toBe(key);
+    expect(await store.keyFor(notesPath, { format: '.txt', selection: { pages: '1-2' } })).not.toBe(key);
+
+    const renamedPath = path.join(tempDir, 'renamed.txt');
+    await fs.copyFile(notesPath, renamedPath);
+    expect(await store.keyFor(renamedPath, { format: '.txt' })).not.toBe(key);
+
+    await fs.writeFile(notesPath, 'Chloroplasts capture light.');
+    expect(await store.keyFor(notesPath, { format: '.txt' })).not.toBe(key);
+  });
+
+  it('should evict the least recently used entries past the size cap', async () => {
+    const content = 'x'.repeat(400);
+    const keys = ['a', 'b', 'c'].map(letter => letter.repeat(64));
+    await store.put(keys[0], makeDocument(notesPath, content));
+    await store.put(keys[1], makeDocument(notesPath, content));
+    const entrySize = (await store.getStats()).size / 2;
+
+    // Reading the first entry makes the second the least recently used
+    const past = new Date(Date.now() - 60000);
+    await fs.utimes(path.join(storeDir, `${keys[0]}.json`), past, past);
+    await fs.utimes(path.join(storeDir, `${keys[1]}.json`), new Date(Date.now() - 30000), new Date(Date.now() - 30000));
+    await store.get(keys[0], notesPath);
+
+    store.maxSize = entrySize * 2.5;
+    await store.put(keys[2], makeDocument(notesPath, content));
+
+    expect(await store.get(keys[0], notesPath)).not.toBeNull();
+    expect(await store.get(keys[1], notesPath)).toBeNull();
+    expect(await store.get(keys[2], notesPath)).not.toBeNull();
+    expect((await store.getStats()).entries).toBe(2);
+  });
+
+  it('should report and clear the stored entries', async () => {
+    expect(await store.getStats()).toEqual({ entries: 0, size: 0, maxSize: 100 * 1024 * 1024 });
+
+    await store.put('a'.repeat(64), makeDocument(notesPath, 'First'));
+    await store.put('b'.repeat(64), makeDocument(notesPath, 'Second'));
+    expect((await store.getStats()).entries).toBe(2);
+
+    expect(await store.clear()).toBe(2);
+    expect((await store.getStats()).entries).toBe(0);
+    expect(await store.clear()).toBe(0);
+  });
+
+  it('should treat unreadable entries as missing', async () => {
+    const key = 'd'.repeat(64);
+    await fs.mkdir(storeDir, { recursive: true });
+    await fs.writeFile(path.join(storeDir, `${key}.json`), '{ not json');
+
+    expect(await store.get(key, notesPath)).toBeNull();
+    await expect(store.keyFor(path.join(tempDir, 'missing.txt'), { format: '.txt' })).rejects.toThrow();
+  });
+});
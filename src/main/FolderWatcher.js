@@ -0,0 +1,434 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { SUPPORTED_FORMATS, DECK_FORMATS } = require('../shared/constants');
+
+/**
+ * @typedef {Object} WatchedFolder
+ * @property {string} path - Absolute path of the folder
+ * @property {boolean} recursive - Whether subfolders are included
+ * @property {string[]} include - Glob patterns a file must match (empty: every supported file)
+ * @property {string[]} exclude - Glob patterns that leave a file out
+ */
+
+/**
+ * @typedef {Object} FolderSummary
+ * @property {string} path - Absolute path of the folder
+ * @property {boolean} recursive - Whether subfolders are included
+ * @property {string[]} include - Include patterns
+ * @property {string[]} exclude - Exclude patterns
+ * @property {number} fileCount - Number of supported files found
+ * @property {string|null} error - Why the folder could not be scanned or watched, if it couldn't
+ */
+
+/**
+ * @typedef {Object} FolderChange
+ * @property {string} folder - Path of the folder that changed
+ * @property {string[]} added - Files that appeared
+ * @property {string[]} removed - Files that disappeared
+ * @property {string[]} modified - Files whose contents may have changed
+ */
+
+/**
+ * Finds supported documents in study folders and watches the folders for changes
+ * Emits 'change' with a FolderChange once file events have settled
+ *
+ * Glob patterns are matched case-insensitively against the path relative to the folder,
+ * using `/` as separator. `*` matches within one path segment, `**` across segments and
+ * `?` a single character. Patterns without a `/` are also matched against the file name,
+ * so `*.pdf` picks up PDFs in subfolders too. Hidden folders (starting with `.`) are skipped.
+ */
+class FolderWatcher extends EventEmitter {
+  /**
+   * @param {Object} [options] - Configuration options
+   * @param {string[]} [options.formats] - File formats to pick up (default: documents and question decks)
+   * @param {number} [options.debounceMs] - How long file events must settle before a rescan (default: 1000)
+   * @param {Function} [options.watch] - fs.watch implementation, for testing
+   */
+  constructor(options = {}) {
+    super();
+    this.formats = options.formats || [...SUPPORTED_FORMATS, ...DECK_FORMATS];
+    this.debounceMs = options.debounceMs !== undefined ? options.debounceMs : 1000;
+    this.watch = options.watch || fs.watch;
+
+    /** @type {Map<string, {folder: WatchedFolder, files: string[], watchers: fs.FSWatcher[], error: string|null, modified: Set<string>, timer: NodeJS.Timeout|null}>} */
+    this.entries = new Map();
+  }
+
+  /**
+   * Replace the set of watched folders
+   * New folders and folders whose options changed are scanned; removed folders stop being watched
+   * @param {Object[]} folders - Folder settings (see normalizeFolder)
+   * @returns {Promise<FolderSummary[]>}
+   */
+  async setFolders(folders) {
+    const wanted = new Map(
+      (folders || []).map(folder => FolderWatcher.normalizeFolder(folder)).map(folder => [folder.path, folder])
+    );
+
+    for (const [folderPath, entry] of this.entries) {
+      const next = wanted.get(folderPath);
+      if (!next || JSON.stringify(next) !== JSON.stringify(entry.folder)) {
+        this._closeEntry(entry);
+        this.entries.delete(folderPath);
+      }
+    }
+
+    for (const [folderPath, folder] of wanted) {
+      if (!this.entries.has(folderPath)) {
+        const entry = { folder, files: [], watchers: [], error: null, modified: new Set(), timer: null };
+        this.entries.set(folderPath, entry);
+        await this._scanEntry(entry);
+        this._watchEntry(entry);
+      }
+    }
+
+    return this.getFolderSummaries();
+  }
+
+  /**
+   * Get every supported file found in the watched folders
+   * @returns {string[]} - Absolute file paths, without duplicates
+   */
+  getFiles() {
+    const files = new Set();
+    this.entries.forEach(entry => entry.files.forEach(file => files.add(file)));
+    return Array.from(files);
+  }
+
+  /**
+   * Get the watched folders with their file counts
+   * @returns {FolderSummary[]}
+   */
+  getFolderSummaries() {
+    return Array.from(this.entries.values()).map(entry => ({
+      ...entry.folder,
+      fileCount: entry.files.length,
+      error: entry.error
+    }));
+  }
+
+  /**
+   * Find the supported files in a folder
+   * @param {WatchedFolder} folder - Folder settings
+   * @returns {Promise<{files: string[], directories: string[]}>} - Matching files and every directory visited
+   */
+  async scanFolder(folder) {
+    const files = [];
+    const directories = [];
+    const include = folder.include.map(pattern => FolderWatcher.globToRegExp(pattern));
+    const exclude = folder.exclude.map(pattern => FolderWatcher.globToRegExp(pattern));
+
+    const walk = async (directory) => {
+      directories.push(directory);
+      const dirents = await fs.promises.readdir(directory, { withFileTypes: true });
+
+      for (const dirent of dirents) {
+        const fullPath = path.join(directory, dirent.name);
+
+        if (dirent.isDirectory()) {
+          if (folder.recursive && !dirent.name.startsWith('.')) {
+            await walk(fullPath);
+          }
+        } else if (dirent.isFile() && this._isSupported(fullPath)) {
+          const relativePath = path.relative(folder.path, fullPath).split(path.sep).join('/');
+          const matches = patterns => patterns.some(pattern => FolderWatcher._matchesGlob(pattern, relativePath));
+
+          if ((include.length === 0 || matches(include)) && !matches(exclude)) {
+            files.push(fullPath);
+          }
+        }
+      }
+    };
+
+    await walk(folder.path);
+    return { files: files.sort(), directories };
+  }
+
+  /**
+   * Stop watching every folder
+   */
+  close() {
+    this.entries.forEach(entry => this._closeEntry(entry));
+    this.entries.clear();
+  }
+
+  /**
+   * Scan a folder entry, recording an error instead of throwing
+   * @private
+   * @param {Object} entry - Folder entry
+   * @returns {Promise<string[]>} - Directories visited
+   */
+  async _scanEntry(entry) {
+    try {
+      const { files, directories } = await this.scanFolder(entry.folder);
+      entry.files = files;
+      entry.error = null;
+      return directories;
+    } catch (error) {
+      console.error(`Error scanning watched folder ${entry.folder.path}:`, error);
+      entry.files = [];
+      entry.error = error.code === 'ENOENT' ? 'Folder not found' : error.message;
+      return [];
+    }
+  }
+
+  /**
+   * Start watching a folder entry
+   * Falls back to one watcher per directory where recursive watching is unavailable (e.g. Linux)
+   * @private
+   * @param {Object} entry - Folder entry
+   */
+  _watchEntry(entry) {
+    if (entry.error) {
+      return;
+    }
+
+    const listener = (eventType, filename) => this._onFileEvent(entry, filename);
+
+    try {
+      const watcher = this.watch(entry.folder.path, { recursive: entry.folder.recursive }, listener);
+      watcher.on('error', error => this._onWatcherError(entry, watcher, entry.folder.path, error));
+      entry.watchers.push(watcher);
+    } catch (error) {
+      if (!entry.folder.recursive || error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+        console.error(`Error watching folder ${entry.folder.path}:`, error);
+        entry.error = error.message;
+        return;
+      }
+
+      this._watchDirectories(entry, [entry.folder.path]);
+      this._rescanDirectories(entry);
+    }
+  }
+
+  /**
+   * Watch each directory of a folder separately
+   * @private
+   * @param {Object} entry - Folder entry
+   * @param {string[]} directories - Directories to watch
+   */
+  _watchDirectories(entry, directories) {
+    entry.watchedDirectories = entry.watchedDirectories || new Set();
+
+    directories
+      .filter(directory => !entry.watchedDirectories.has(directory))
+      .forEach(directory => {
+        try {
+          const watcher = this.watch(directory, {}, (eventType, filename) => {
+            this._onFileEvent(entry, filename ? path.relative(entry.folder.path, path.join(directory, filename)) : null);
+          });
+          watcher.on('error', error => this._onWatcherError(entry, watcher, directory, error));
+          entry.watchers.push(watcher);
+          entry.watchedDirectories.add(directory);
+        } catch (error) {
+          console.error(`Error watching directory ${directory}:`, error);
+        }
+      });
+  }
+
+  /**
+   * Pick up the subdirectories of a folder watched one directory at a time
+   * @private
+   * @param {Object} entry - Folder entry
+   * @returns {Promise<void>}
+   */
+  async _rescanDirectories(entry) {
+    try {
+      const { directories } = await this.scanFolder(entry.folder);
+      this._watchDirectories(entry, directories);
+    } catch (error) {
+      console.error(`Error scanning watched folder ${entry.folder.path}:`, error);
+    }
+  }
+
+  /**
+   * Handle a watcher that failed, e.g. because its directory was deleted, renamed or unmounted
+   * The watcher is closed and the folder rescanned, which reports the lost files and watches
+   * the folder again if it is still there
+   * @private
+   * @param {Object} entry - Folder entry
+   * @param {fs.FSWatcher} watcher - Watcher that failed
+   * @param {string} directory - Directory the watcher was watching
+   * @param {Error} error - Watcher error
+   */
+  _onWatcherError(entry, watcher, directory, error) {
+    console.error(`Error watching directory ${directory}:`, error);
+    watcher.close();
+    entry.watchers = entry.watchers.filter(other => other !== watcher);
+    if (entry.watchedDirectories) {
+      entry.watchedDirectories.delete(directory);
+    }
+    entry.error = error.code === 'ENOENT' ? 'Folder not found' : error.message;
+
+    this._onFileEvent(entry, null);
+  }
+
+  /**
+   * Record a file event and schedule a rescan once events settle
+   * @private
+   * @param {Object} entry - Folder entry
+   * @param {string|null} filename - Changed path relative to the folder, if known
+   */
+  _onFileEvent(entry, filename) {
+    if (filename) {
+      const fullPath = path.join(entry.folder.path, filename.toString());
+      if (this._isSupported(fullPath)) {
+        entry.modified.add(fullPath);
+      }
+    }
+
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => {
+      entry.timer = null;
+      this._onFolderSettled(entry).catch(error => {
+        console.error(`Error updating watched folder ${entry.folder.path}:`, error);
+      });
+    }, this.debounceMs);
+  }
+
+  /**
+   * Rescan a folder after file events settled and emit what changed
+   * @private
+   * @param {Object} entry - Folder entry
+   * @returns {Promise<void>}
+   */
+  async _onFolderSettled(entry) {
+    // The folder may have been removed while events were settling
+    if (this.entries.get(entry.folder.path) !== entry) {
+      return;
+    }
+
+    const previous = new Set(entry.files);
+    const directories = await this._scanEntry(entry);
+    if (entry.watchedDirectories) {
+      this._watchDirectories(entry, directories);
+    } else if (entry.watchers.length === 0) {
+      // The watcher failed earlier; watch the folder again if it could be scanned
+      this._watchEntry(entry);
+    }
+
+    const current = new Set(entry.files);
+    const change = {
+      folder: entry.folder.path,
+      added: entry.files.filter(file => !previous.has(file)),
+      removed: Array.from(previous).filter(file => !current.has(file)),
+      modified: Array.from(entry.modified).filter(file => previous.has(file) && current.has(file))
+    };
+    entry.modified.clear();
+
+    if (change.added.length > 0 || change.removed.length > 0 || change.modified.length > 0) {
+      this.emit('change', change);
+    }
+  }
+
+  /**
+   * Stop watching a folder entry
+   * @private
+   * @param {Object} entry - Folder entry
+   */
+  _closeEntry(entry) {
+    clearTimeout(entry.timer);
+    entry.timer = null;
+    entry.watchers.forEach(watcher => watcher.close());
+    entry.watchers = [];
+  }
+
+  /**
+   * Check whether a file has a supported format
+   * @private
+   * @param {string} filePath - Path to check
+   * @returns {boolean}
+   */
+  _isSupported(filePath) {
+    const lowerPath = filePath.toLowerCase();
+    return this.formats.some(format => lowerPath.endsWith(format));
+  }
+
+  /**
+   * Validate folder settings and fill in defaults
+   * @param {Object|string} folder - Folder settings, or just a folder path
+   * @returns {WatchedFolder}
+   * @throws {Error} If the settings are invalid
+   */
+  static normalizeFolder(folder) {
+    const settings = typeof folder === 'string' ? { path: folder } : folder;
+
+    if (!settings || typeof settings.path !== 'string' || !settings.path.trim()) {
+      throw new Error('Watched folder path must be a non-empty string');
+    }
+
+    const patterns = (value, name) => {
+      if (value === undefined || value === null) {
+        return [];
+      }
+      if (!Array.isArray(value) || value.some(pattern => typeof pattern !== 'string')) {
+        throw new Error(`${name} must be an array of glob patterns`);
+      }
+      return value.map(pattern => pattern.trim()).filter(pattern => pattern.length > 0);
+    };
+
+    if (settings.recursive !== undefined && typeof settings.recursive !== 'boolean') {
+      throw new Error('recursive must be a boolean');
+    }
+
+    return {
+      path: path.resolve(settings.path.trim()),
+      recursive: settings.recursive !== false,
+      include: patterns(settings.include, 'include'),
+      exclude: patterns(settings.exclude, 'exclude')
+    };
+  }
+
+  /**
+   * Convert a glob pattern into a regular expression
+   * @param {string} pattern - Glob pattern
+   * @returns {{regExp: RegExp, matchBaseName: boolean}}
+   */
+  static globToRegExp(pattern) {
+    const normalized = pattern.replace(/\\/g, '/').replace(/^\.\//, '');
+    let source = '';
+
+    for (let i = 0; i < normalized.length; i++) {
+      const char = normalized[i];
+
+      if (char === '*' && normalized[i + 1] === '*') {
+        // `**/` also matches no directories at all
+        if (normalized[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else if (char === '*') {
+        source += '[^/]*';
+      } else if (char === '?') {
+        source += '[^/]';
+      } else {
+        source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      }
+    }
+
+    return {
+      regExp: new RegExp(`^${source}$`, 'i'),
+      matchBaseName: !normalized.includes('/')
+    };
+  }
+
+  /**
+   * Match a relative path against a converted glob pattern
+   * @private
+   * @param {{regExp: RegExp, matchBaseName: boolean}} pattern - Converted pattern
+   * @param {string} relativePath - Path relative to the folder, with `/` separators
+   * @returns {boolean}
+   */
+  static _matchesGlob(pattern, relativePath) {
+    if (pattern.regExp.test(relativePath)) {
+      return true;
+    }
+    return pattern.matchBaseName && pattern.regExp.test(relativePath.split('/').pop());
+  }
+}
+
+module.exports = FolderWatcher;
@@ -0,0 +1,230 @@
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const FolderWatcher = require('./FolderWatcher');
+
+describe('FolderWatcher', () => {
+  const testFolder = path.resolve('./test-data/watched-folder');
+  let watcher;
+  let fakeWatchers;
+
+  // Stands in for fs.watch so tests can fire file events directly
+  const fakeWatch = vi.fn((folderPath, options, listener) => {
+    const fakeWatcher = new EventEmitter();
+    fakeWatcher.path = folderPath;
+    fakeWatcher.options = options;
+    fakeWatcher.fire = (filename) => listener('change', filename);
+    fakeWatcher.close = vi.fn();
+    fakeWatchers.push(fakeWatcher);
+    return fakeWatcher;
+  });
+
+  const writeFile = async (relativePath, content = 'Study notes') => {
+    const filePath = path.join(testFolder, relativePath);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, content, 'utf8');
+    return filePath;
+  };
+
+  beforeEach(async () => {
+    fakeWatchers = [];
+    fakeWatch.mockClear();
+    await fs.rm(testFolder, { recursive: true, force: true });
+    await writeFile('biology.md');
+    await writeFile('chemistry.pdf');
+    await writeFile('image.png');
+    await writeFile('cards.deck.json', '[]');
+    await writeFile('drafts/old.txt');
+    await writeFile('chapters/one/cells.txt');
+    await writeFile('.git/notes.md');
+
+    watcher = new FolderWatcher({ watch: fakeWatch, debounceMs: 10 });
+  });
+
+  afterEach(async () => {
+    watcher.close();
+    await fs.rm(testFolder, { recursive: true, force: true });
+  });
+
+  const relativeFiles = () => watcher.getFiles().map(file => path.relative(testFolder, file).split(path.sep).join('/')).sort();
+
+  describe('scanning', () => {
+    it('should find supported files in subfolders, skipping hidden folders', async () => {
+      await watcher.setFolders([{ path: testFolder }]);
+
+      expect(relativeFiles()).toEqual([
+        'biology.md',
+        'cards.deck.json',
+        'chapters/one/cells.txt',
+        'chemistry.pdf',
+        'drafts/old.txt'
+      ]);
+    });
+
+    it('should only look at the top level when not recursive', async () => {
+      await watcher.setFolders([{ path: testFolder, recursive: false }]);
+
+      expect(relativeFiles()).toEqual(['biology.md', 'cards.deck.json', 'chemistry.pdf']);
+    });
+
+    it('should apply include and exclude patterns', async () => {
+      await watcher.setFolders([{ path: testFolder, include: ['*.txt', '*.MD'], exclude: ['drafts/**'] }]);
+
+      expect(relativeFiles()).toEqual(['biology.md', 'chapters/one/cells.txt']);
+    });
+
+    it('should match patterns with a directory against the relative path', async () => {
+      await watcher.setFolders([{ path: testFolder, include: ['chapters/**/*.txt'] }]);
+
+      expect(relativeFiles()).toEqual(['chapters/one/cells.txt']);
+    });
+
+    it('should report file counts and missing folders', async () => {
+      const missingFolder = path.join(testFolder, 'missing');
+      const summaries = await watcher.setFolders([testFolder, { path: missingFolder }]);
+
+      expect(summaries).toEqual([
+        { path: testFolder, recursive: true, include: [], exclude: [], fileCount: 5, error: null },
+        { path: missingFolder, recursive: true, include: [], exclude: [], fileCount: 0, error: 'Folder not found' }
+      ]);
+      expect(fakeWatchers).toHaveLength(1);
+    });
+  });
+
+  describe('setFolders', () => {
+    it('should keep unchanged folders and close removed ones', async () => {
+      await watcher.setFolders([{ path: testFolder }]);
+      await watcher.setFolders([{ path: testFolder }]);
+      expect(fakeWatch).toHaveBeenCalledTimes(1);
+
+      await watcher.setFolders([]);
+      expect(fakeWatchers[0].close).toHaveBeenCalled();
+      expect(watcher.getFiles()).toEqual([]);
+    });
+
+    it('should rescan a folder whose patterns changed', async () => {
+      await watcher.setFolders([{ path: testFolder }]);
+      await watcher.setFolders([{ path: testFolder, include: ['*.pdf'] }]);
+
+      expect(relativeFiles()).toEqual(['chemistry.pdf']);
+      expect(fakeWatchers[0].close).toHaveBeenCalled();
+    });
+
+    it('should watch each directory when recursive watching is unavailable', async () => {
+      const unavailable = Object.assign(new Error('recursive watch unavailable'), { code: 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM' });
+      const watch = vi.fn((folderPath, options, listener) => {
+        if (options.recursive) {
+          throw unavailable;
+        }
+        return fakeWatch(folderPath, options, listener);
+      });
+      watcher = new FolderWatcher({ watch, debounceMs: 10 });
+
+      await watcher.setFolders([{ path: testFolder }]);
+      await vi.waitFor(() => expect(fakeWatchers.length).toBeGreaterThan(1));
+
+      const watched = fakeWatchers.map(w => path.relative(testFolder, w.path).split(path.sep).join('/')).sort();
+      expect(watched).toEqual(['', 'chapters', 'chapters/one', 'drafts']);
+      expect(watcher.getFolderSummaries()[0].error).toBeNull();
+    });
+  });
+
+  describe('change events', () => {
+    it('should report added, modified and removed files once events settle', async () => {
+      await watcher.setFolders([{ path: testFolder }]);
+      const onChange = vi.fn();
+      watcher.on('change', onChange);
+
+      const added = await writeFile('physics.txt');
+      await fs.rm(path.join(testFolder, 'chemistry.pdf'));
+      fakeWatchers[0].fire('physics.txt');
+      fakeWatchers[0].fire('chemistry.pdf');
+      fakeWatchers[0].fire('biology.md');
+
+      await vi.waitFor(() => expect(onChange).toHaveBeenCalled());
+      expect(onChange).toHaveBeenCalledTimes(1);
+      expect(onChange).toHaveBeenCalledWith({
+        folder: testFolder,
+        added: [added],
+        removed: [path.join(testFolder, 'chemistry.pdf')],
+        modified: [path.join(testFolder, 'biology.md')]
+      });
+      expect(watcher.getFolderSummaries()[0].fileCount).toBe(5);
+    });
+
+    it('should close a failed watcher and report the files of a deleted folder as removed', async () => {
+      await watcher.setFolders([{ path: testFolder }]);
+      const onChange = vi.fn();
+      watcher.on('change', onChange);
+
+      await fs.rm(testFolder, { recursive: true, force: true });
+      const failed = fakeWatchers[0];
+      failed.emit('error', Object.assign(new Error('watch ENOENT'), { code: 'ENOENT' }));
+
+      expect(failed.close).toHaveBeenCalled();
+      await vi.waitFor(() => expect(onChange).toHaveBeenCalled());
+      expect(onChange.mock.calls[0][0].removed).toHaveLength(5);
+      expect(watcher.getFolderSummaries()[0]).toMatchObject({ fileCount: 0, error: 'Folder not found' });
+      expect(fakeWatchers).toHaveLength(1);
+    });
+
+    it('should watch the folder again when it is still there after a watcher error', async () => {
+      await watcher.setFolders([{ path: testFolder }]);
+
+      fakeWatchers[0].emit('error', Object.assign(new Error('watch EPERM'), { code: 'EPERM' }));
+      expect(watcher.getFolderSummaries()[0].error).toBe('watch EPERM');
+
+      await vi.waitFor(() => expect(fakeWatchers).toHaveLength(2));
+      expect(fakeWatchers[1].path).toBe(testFolder);
+      expect(watcher.getFolderSummaries()[0]).toMatchObject({ fileCount: 5, error: null });
+    });
+
+    it('should ignore events for unsupported files', async () => {
+      await watcher.setFolders([{ path: testFolder }]);
+      const onChange = vi.fn();
+      watcher.on('change', onChange);
+
+      await writeFile('image.png', 'changed');
+      fakeWatchers[0].fire('image.png');
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      expect(onChange).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('normalizeFolder', () => {
+    it('should fill in defaults and trim patterns', () => {
+      expect(FolderWatcher.normalizeFolder({ path: testFolder, include: [' *.pdf ', ''] })).toEqual({
+        path: testFolder,
+        recursive: true,
+        include: ['*.pdf'],
+        exclude: []
+      });
+    });
+
+    it('should reject invalid settings', () => {
+      expect(() => FolderWatcher.normalizeFolder({ path: '' })).toThrow('non-empty string');
+      expect(() => FolderWatcher.normalizeFolder({ path: testFolder, recursive: 'yes' })).toThrow('recursive must be a boolean');
+      expect(() => FolderWatcher.normalizeFolder({ path: testFolder, exclude: '*.txt' })).toThrow('exclude must be an array');
+    });
+  });
+
+  describe('globToRegExp', () => {
+    it('should translate wildcards', () => {
+      const { regExp, matchBaseName } = FolderWatcher.globToRegExp('notes/**/ch?.md');
+
+      expect(matchBaseName).toBe(false);
+      expect(regExp.test('notes/ch1.md')).toBe(true);
+      expect(regExp.test('notes/a/b/ch2.md')).toBe(true);
+      expect(regExp.test('notes/ch10.md')).toBe(false);
+      expect(regExp.test('other/ch1.md')).toBe(false);
+    });
+
+    it('should keep single stars within one path segment', () => {
+      const { regExp } = FolderWatcher.globToRegExp('drafts/*.txt');
+
+      expect(regExp.test('drafts/old.txt')).toBe(true);
+      expect(regExp.test('drafts/sub/old.txt')).toBe(false);
+    });
+  });
+});
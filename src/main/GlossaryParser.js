@@ -0,0 +1,232 @@
+const MarkdownIt = require('markdown-it');
+
+/**
+ * @typedef {Object} GlossaryEntry
+ * @property {string} term - The term being defined
+ * @property {string} definition - What the term means
+ */
+
+// Header names recognised for the term and definition columns of CSV/TSV glossaries
+const TERM_HEADERS = ['term', 'terms', 'word', 'words', 'concept', 'keyword', 'vocabulary', 'name', 'front'];
+const DEFINITION_HEADERS = ['definition', 'definitions', 'meaning', 'description', 'explanation', 'back'];
+
+/**
+ * Reads term-definition pairs from CSV/TSV vocabulary lists and Markdown definition lists
+ *
+ * Delimited files use the first two columns unless a header row names the term and definition
+ * columns. Markdown definition lists follow the common extension syntax: a term on its own line
+ * followed by one or more lines starting with ": ". Repeated terms keep their first definition.
+ */
+class GlossaryParser {
+  constructor() {
+    this.md = new MarkdownIt();
+  }
+
+  /**
+   * Parse a CSV or TSV vocabulary list
+   * @param {string} source - Contents of the file
+   * @param {'.csv'|'.tsv'} format - File format
+   * @returns {GlossaryEntry[]}
+   * @throws {Error} If the file has a broken quoted field or no term-definition rows
+   */
+  parseDelimited(source, format) {
+    const text = source.replace(/^\uFEFF/, '');
+    const rows = GlossaryParser.splitRows(text, format === '.tsv' ? '\t' : ',')
+      .filter(row => row.some(cell => cell.trim() !== ''));
+
+    let termColumn = 0;
+    let definitionColumn = 1;
+    if (rows.length > 0) {
+      const header = rows[0].map(cell => cell.trim().toLowerCase());
+      const headerTerm = header.findIndex(cell => TERM_HEADERS.includes(cell));
+      const headerDefinition = header.findIndex(cell => DEFINITION_HEADERS.includes(cell));
+      if (headerTerm !== -1 && headerDefinition !== -1) {
+        termColumn = headerTerm;
+        definitionColumn = headerDefinition;
+        rows.shift();
+      }
+    }
+
+    const entries = GlossaryParser.unique(rows.map(row => ({
+      term: GlossaryParser.clean(row[termColumn]),
+      definition: GlossaryParser.clean(row[definitionColumn])
+    })));
+
+    if (entries.length === 0) {
+      throw new Error('Glossary has no term-definition rows');
+    }
+
+    return entries;
+  }
+
+  /**
+   * Find the definition lists in a Markdown document
+   * Inline formatting is removed so terms and definitions match the rendered text
+   * @param {string} markdown - Markdown source
+   * @returns {GlossaryEntry[]} - Entries in document order, empty if there are none
+   */
+  parseDefinitionLists(markdown) {
+    const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+    const entries = [];
+    let current = null;
+    // Last plain line, which becomes the term if definitions follow it (after at most one blank line)
+    let termLine = null;
+    let blankLines = 0;
+    let inFence = false;
+
+    lines.forEach(line => {
+      if (/^\s*(```|~~~)/.test(line)) {
+        inFence = !inFence;
+        current = null;
+        termLine = null;
+        return;
+      }
+      if (inFence) {
+        return;
+      }
+
+      const definition = /^:[ \t]+(.+)$/.exec(line);
+      if (definition) {
+        if (termLine !== null && blankLines <= 1) {
+          current = { term: termLine, definitions: [definition[1]] };
+          entries.push(current);
+        } else if (current && blankLines <= 1) {
+          current.definitions.push(definition[1]);
+        }
+        termLine = null;
+        blankLines = 0;
+        return;
+      }
+
+      if (line.trim() === '') {
+        blankLines++;
+        return;
+      }
+
+      if (current && termLine === null && blankLines === 0 && /^\s+\S/.test(line)) {
+        // Indented lines continue the last definition
+        current.definitions[current.definitions.length - 1] += ` ${line.trim()}`;
+        return;
+      }
+
+      current = null;
+      termLine = /^\s*(#|[-*+>]\s|\d+\.\s)/.test(line) ? null : line;
+      blankLines = 0;
+    });
+
+    return GlossaryParser.unique(entries.map(entry => ({
+      term: this._renderInline(entry.term),
+      definition: entry.definitions.map(text => this._renderInline(text)).join('; ')
+    })));
+  }
+
+  /**
+   * Turn glossary entries into study text, one "term: definition" line per entry
+   * @param {GlossaryEntry[]} entries - Glossary entries
+   * @returns {string}
+   */
+  static toContent(entries) {
+    return entries.map(entry => `${entry.term}: ${entry.definition}`).join('\n');
+  }
+
+  /**
+   * Split delimited text into rows of fields
+   * Handles quoted fields containing delimiters, quotes and line breaks
+   * @param {string} text - CSV or TSV text
+   * @param {string} delimiter - Field delimiter
+   * @returns {string[][]}
+   * @throws {Error} If a quoted field is never closed
+   */
+  static splitRows(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"' && field.trim() === '') {
+        inQuotes = true;
+        field = '';
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') {
+          i++;
+        }
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (inQuotes) {
+      throw new Error('Glossary has an unterminated quoted field');
+    }
+
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Collapse whitespace in a field
+   * @param {string} [value] - Field value
+   * @returns {string}
+   */
+  static clean(value) {
+    return typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '';
+  }
+
+  /**
+   * Drop entries missing a term or definition, and repeats of a term
+   * @param {GlossaryEntry[]} entries - Candidate entries
+   * @returns {GlossaryEntry[]}
+   */
+  static unique(entries) {
+    const seen = new Set();
+    return entries.filter(entry => {
+      const key = entry.term.toLowerCase();
+      if (!entry.term || !entry.definition || seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * Render inline Markdown to plain text
+   * @private
+   * @param {string} text - Inline Markdown
+   * @returns {string}
+   */
+  _renderInline(text) {
+    return GlossaryParser.clean(this.md.renderInline(text.trim())
+      .replace(/<[^>]*>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&amp;/g, '&'));
+  }
+}
+
+module.exports = GlossaryParser;
@@ -0,0 +1,77 @@
+const GlossaryParser = require('./GlossaryParser');
+
+describe('GlossaryParser', () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new GlossaryParser();
+  });
+
+  it('should read the first two CSV columns as term and definition', () => {
+    const csv = '\uFEFFOsmosis,"Movement of water across a membrane"\r\n' +
+      'Mitosis,"Cell division that makes two identical cells, each with a full set of chromosomes"\r\n' +
+      '\r\n' +
+      'Orphan,\r\n' +
+      'osmosis,A repeated term\r\n';
+
+    expect(parser.parseDelimited(csv, '.csv')).toEqual([
+      { term: 'Osmosis', definition: 'Movement of water across a membrane' },
+      { term: 'Mitosis', definition: 'Cell division that makes two identical cells, each with a full set of chromosomes' }
+    ]);
+  });
+
+  it('should use the columns named in a header row', () => {
+    const tsv = 'Chapter\tDefinition\tTerm\n3\tThe powerhouse of the cell\tMitochondrion\n3\t"Site of ""photosynthesis"""\tChloroplast\n';
+
+    expect(parser.parseDelimited(tsv, '.tsv')).toEqual([
+      { term: 'Mitochondrion', definition: 'The powerhouse of the cell' },
+      { term: 'Chloroplast', definition: 'Site of "photosynthesis"' }
+    ]);
+  });
+
+  it('should reject delimited files without term-definition rows', () => {
+    expect(() => parser.parseDelimited('just one column\nanother\n', '.csv')).toThrow('Glossary has no term-definition rows');
+    expect(() => parser.parseDelimited('Term,"never closed\n', '.csv')).toThrow('Glossary has an unterminated quoted field');
+  });
+
+  it('should read Markdown definition lists', () => {
+    const markdown = [
+      '# Cell Biology',
+      '',
+      'Some prose about cells.',
+      '',
+      '**Ribosome**',
+      ': Builds proteins from',
+      '  amino acids',
+      '',
+      'Lysosome',
+      '',
+      ': Breaks down waste',
+      ': Contains *digestive* enzymes',
+      '',
+      '```',
+      'Not a term',
+      ': not a definition',
+      '```',
+      '',
+      '- List item',
+      ': not a definition either'
+    ].join('\n');
+
+    expect(parser.parseDefinitionLists(markdown)).toEqual([
+      { term: 'Ribosome', definition: 'Builds proteins from amino acids' },
+      { term: 'Lysosome', definition: 'Breaks down waste; Contains digestive enzymes' }
+    ]);
+  });
+
+  it('should find nothing in Markdown without definition lists', () => {
+    expect(parser.parseDefinitionLists('# Notes\n\nA paragraph: with a colon.\n')).toEqual([]);
+  });
+
+  it('should turn entries into one line per term', () => {
+    expect(GlossaryParser.toContent([
+      { term: 'Osmosis', definition: 'Movement of water' },
+      { term: 'Mitosis', definition: 'Cell division' }
+    ])).toBe('Osmosis: Movement of water\nMitosis: Cell division');
+  });
+});
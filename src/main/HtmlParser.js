@@ -0,0 +1,541 @@
+/**
+ * @typedef {Object} HtmlNode
+ * @property {string} tag - Lower-case tag name ('#root' for the document)
+ * @property {Object<string, string>} attrs - Attributes with lower-case names
+ * @property {Array<HtmlNode|{text: string}>} children - Child elements and text
+ * @property {HtmlNode|null} parent - Parent element
+ */
+
+/**
+ * @typedef {Object} HtmlParseResult
+ * @property {string|null} title - Page title from og:title, <title> or the first h1
+ * @property {string} content - Plain text of the main content, one line per block
+ * @property {{level: number, text: string}[]} headings - Headings of the main content in order
+ * @property {{title: string, offset: number}[]} sections - h1-h3 headings and where they start in the content
+ */
+
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+
+// Elements whose content is not markup
+const RAW_TEXT_TAGS = new Set(['script', 'style', 'textarea', 'title', 'noscript', 'xmp']);
+
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'body', 'dd', 'details', 'div', 'dl', 'dt', 'fieldset',
+  'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'html',
+  'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'tbody', 'td', 'tfoot', 'th',
+  'thead', 'tr', 'ul'
+]);
+
+// Never part of the readable text
+const DROPPED_TAGS = new Set([
+  'script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'object', 'embed', 'button',
+  'select', 'textarea', 'input', 'title', 'head', 'nav', 'aside', 'footer', 'dialog', 'menu'
+]);
+
+const DROPPED_ROLES = new Set(['navigation', 'banner', 'contentinfo', 'complementary', 'search', 'dialog', 'alert']);
+
+// class/id words that mark page furniture, unless the element also looks like the content
+const UNLIKELY_CANDIDATE = /(?:^|[\s_-])(?:nav|navbar|menu|footer|sidebar|comments?|share|sharing|social|cookies?|banner|advert|ads?|sponsor(?:ed)?|promo|related|breadcrumbs?|subscribe|newsletter|popup|modal|masthead|skip|toolbar|pagination)(?:[\s_-]|$)/i;
+const MAYBE_CANDIDATE = /article|content|main|body|post|entry|story|text/i;
+
+// Opening one of these closes an open element of the key tag, as browsers do
+const IMPLIED_END = {
+  p: BLOCK_TAGS,
+  li: new Set(['li']),
+  dt: new Set(['dt', 'dd']),
+  dd: new Set(['dt', 'dd']),
+  td: new Set(['td', 'th', 'tr']),
+  th: new Set(['td', 'th', 'tr']),
+  tr: new Set(['tr']),
+  option: new Set(['option'])
+};
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ', shy: '',
+  copy: '©', reg: '®', trade: '™', deg: '°', plusmn: '±', times: '×', divide: '÷', micro: 'µ',
+  middot: '·', para: '¶', sect: '§', laquo: '«', raquo: '»', iexcl: '¡', iquest: '¿', cent: '¢',
+  pound: '£', euro: '€', yen: '¥', frac12: '½', frac14: '¼', frac34: '¾', sup2: '²', sup3: '³',
+  mdash: '—', ndash: '–', hellip: '…', bull: '•', prime: '′', Prime: '″',
+  lsquo: '‘', rsquo: '’', sbquo: '‚', ldquo: '“', rdquo: '”', bdquo: '„',
+  larr: '←', rarr: '→', uarr: '↑', darr: '↓', harr: '↔', le: '≤', ge: '≥', ne: '≠', asymp: '≈',
+  infin: '∞', minus: '−', radic: '√', sum: '∑', prod: '∏', part: '∂', int: '∫',
+  alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ε', theta: 'θ', lambda: 'λ', mu: 'μ',
+  pi: 'π', sigma: 'σ', tau: 'τ', phi: 'φ', omega: 'ω', Delta: 'Δ', Sigma: 'Σ', Omega: 'Ω',
+  agrave: 'à', aacute: 'á', acirc: 'â', atilde: 'ã', auml: 'ä', aring: 'å', aelig: 'æ', ccedil: 'ç',
+  egrave: 'è', eacute: 'é', ecirc: 'ê', euml: 'ë', igrave: 'ì', iacute: 'í', icirc: 'î', iuml: 'ï',
+  ntilde: 'ñ', ograve: 'ò', oacute: 'ó', ocirc: 'ô', otilde: 'õ', ouml: 'ö', oslash: 'ø', szlig: 'ß',
+  ugrave: 'ù', uacute: 'ú', ucirc: 'û', uuml: 'ü', yacute: 'ý', yuml: 'ÿ',
+  Agrave: 'À', Aacute: 'Á', Acirc: 'Â', Auml: 'Ä', Aring: 'Å', AElig: 'Æ', Ccedil: 'Ç', Eacute: 'É',
+  Egrave: 'È', Ntilde: 'Ñ', Ouml: 'Ö', Oslash: 'Ø', Uuml: 'Ü'
+};
+
+/**
+ * Extracts the readable text of saved web pages and articles
+ *
+ * Works on local files only: nothing referenced by the page is fetched. Boilerplate such as
+ * navigation, headers, footers, sidebars and scripts is dropped, then the main content is picked
+ * the way reader modes do: an explicit <main>, a single <article>, or otherwise the element whose
+ * paragraphs carry the most text. MHTML archives are unpacked to their HTML part first.
+ */
+class HtmlParser {
+  /**
+   * Parse a saved web page
+   * @param {Buffer} data - Contents of the file
+   * @param {'.html'|'.htm'|'.mhtml'|'.mht'} format - File format
+   * @returns {HtmlParseResult}
+   * @throws {Error} If an MHTML archive has no HTML part
+   */
+  parse(data, format) {
+    const html = format === '.mhtml' || format === '.mht'
+      ? HtmlParser.extractHtmlFromMhtml(data)
+      : HtmlParser.decode(data, HtmlParser.sniffCharset(data));
+
+    const root = HtmlParser.parseTree(html);
+    const title = HtmlParser._findTitle(root);
+
+    const body = HtmlParser._find(root, node => node.tag === 'body') || root;
+    HtmlParser._prune(body, false);
+    const main = HtmlParser.findMainContent(body);
+
+    return { title, ...HtmlParser.toText(main) };
+  }
+
+  /**
+   * Build an element tree from HTML, tolerating unclosed and stray tags
+   * @param {string} html - HTML markup
+   * @returns {HtmlNode} - Document root
+   */
+  static parseTree(html) {
+    const root = { tag: '#root', attrs: {}, children: [], parent: null };
+    const pattern = /<!--[\s\S]*?(?:-->|$)|<![^>]*>|<\?[^>]*>|<\/([a-zA-Z][\w:-]*)[^>]*>|<([a-zA-Z][\w:-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>/g;
+    let current = root;
+    let position = 0;
+    let match;
+
+    const addText = text => {
+      if (text) {
+        current.children.push({ text: HtmlParser.decodeEntities(text) });
+      }
+    };
+
+    while ((match = pattern.exec(html)) !== null) {
+      addText(html.slice(position, match.index));
+      position = pattern.lastIndex;
+
+      if (match[1]) {
+        // Closing tag: close up to the matching open element, ignore it if there is none
+        const tag = match[1].toLowerCase();
+        let node = current;
+        while (node && node.tag !== tag) {
+          node = node.parent;
+        }
+        if (node && node !== root) {
+          current = node.parent;
+        }
+        continue;
+      }
+
+      if (!match[2]) {
+        continue; // Comment, doctype or processing instruction
+      }
+
+      const tag = match[2].toLowerCase();
+      while (IMPLIED_END[current.tag] && IMPLIED_END[current.tag].has(tag)) {
+        current = current.parent;
+      }
+
+      const node = { tag, attrs: HtmlParser._parseAttributes(match[3]), children: [], parent: current };
+      current.children.push(node);
+
+      if (RAW_TEXT_TAGS.has(tag)) {
+        const end = html.toLowerCase().indexOf(`</${tag}`, position);
+        const stop = end === -1 ? html.length : end;
+        node.children.push({ text: tag === 'title' ? HtmlParser.decodeEntities(html.slice(position, stop)) : html.slice(position, stop) });
+        const close = html.indexOf('>', stop);
+        position = close === -1 ? html.length : close + 1;
+        pattern.lastIndex = position;
+      } else if (!VOID_TAGS.has(tag) && !match[4]) {
+        current = node;
+      }
+    }
+
+    addText(html.slice(position));
+    return root;
+  }
+
+  /**
+   * Pick the element holding the main content
+   * @param {HtmlNode} body - Pruned document body
+   * @returns {HtmlNode}
+   */
+  static findMainContent(body) {
+    const mains = HtmlParser._findAll(body, node => node.tag === 'main' || node.attrs.role === 'main');
+    const articles = HtmlParser._findAll(body, node => node.tag === 'article');
+    const longest = nodes => nodes.reduce((best, node) =>
+      (HtmlParser.textOf(node).length > HtmlParser.textOf(best).length ? node : best));
+
+    if (mains.length > 0) {
+      return longest(mains);
+    }
+    if (articles.length === 1) {
+      return articles[0];
+    }
+
+    // Score containers by the paragraphs they hold: parents get the full score, grandparents half
+    const scores = new Map();
+    HtmlParser._findAll(body, node => ['p', 'pre', 'blockquote'].includes(node.tag)).forEach(paragraph => {
+      const text = HtmlParser.textOf(paragraph).replace(/\s+/g, ' ').trim();
+      if (text.length < 25) {
+        return;
+      }
+
+      const commas = text.split(',').length - 1;
+      const score = 1 + commas + Math.min(Math.floor(text.length / 100), 3);
+      const parent = paragraph.parent;
+      if (parent) {
+        scores.set(parent, (scores.get(parent) || 0) + score);
+        if (parent.parent) {
+          scores.set(parent.parent, (scores.get(parent.parent) || 0) + score / 2);
+        }
+      }
+    });
+
+    let best = null;
+    let bestScore = 0;
+    scores.forEach((score, node) => {
+      const adjusted = score * (1 - HtmlParser._linkDensity(node));
+      if (adjusted > bestScore) {
+        best = node;
+        bestScore = adjusted;
+      }
+    });
+
+    return best || body;
+  }
+
+  /**
+   * Lay out an element as plain text, one line per block, keeping its headings
+   * @param {HtmlNode} node - Element to lay out
+   * @returns {{content: string, headings: {level: number, text: string}[], sections: {title: string, offset: number}[]}}
+   */
+  static toText(node) {
+    const blocks = [];
+    let inline = '';
+
+    const flush = () => {
+      const text = inline.replace(/\s+/g, ' ').trim();
+      if (text) {
+        blocks.push({ text });
+      }
+      inline = '';
+    };
+
+    const walk = current => {
+      if (current.text !== undefined) {
+        inline += current.text;
+        return;
+      }
+      if (current.tag === 'br') {
+        flush();
+        return;
+      }
+
+      const heading = /^h([1-6])$/.exec(current.tag);
+      if (heading) {
+        flush();
+        const text = HtmlParser.textOf(current).replace(/\s+/g, ' ').trim();
+        if (text) {
+          blocks.push({ text, level: parseInt(heading[1], 10) });
+        }
+        return;
+      }
+
+      const block = BLOCK_TAGS.has(current.tag);
+      if (block) {
+        flush();
+      }
+      current.children.forEach(walk);
+      if (block) {
+        flush();
+      } else if (current.tag === 'img' && current.attrs.alt) {
+        inline += ` ${current.attrs.alt} `;
+      }
+    };
+
+    walk(node);
+    flush();
+
+    const headings = [];
+    const sections = [];
+    let offset = 0;
+    blocks.forEach(block => {
+      if (block.level) {
+        headings.push({ level: block.level, text: block.text });
+        if (block.level <= 3) {
+          sections.push({ title: block.text, offset });
+        }
+      }
+      offset += block.text.length + 1;
+    });
+
+    return { content: blocks.map(block => block.text).join('\n'), headings, sections };
+  }
+
+  /**
+   * Get the HTML of an MHTML (web archive) file
+   * @param {Buffer} data - Contents of the .mhtml file
+   * @returns {string}
+   * @throws {Error} If the archive has no HTML part
+   */
+  static extractHtmlFromMhtml(data) {
+    const raw = data.toString('latin1');
+    const { headers, body } = HtmlParser._splitMimePart(raw);
+    const boundary = /boundary\s*=\s*(?:"([^"]+)"|([^\s;]+))/i.exec(headers['content-type'] || '');
+
+    const parts = boundary
+      ? body.split(`--${boundary[1] || boundary[2]}`).slice(1).map(part => HtmlParser._splitMimePart(part.replace(/^\r?\n/, '')))
+      : [{ headers, body }];
+
+    const htmlPart = parts.find(part => /^text\/html\b/i.test(part.headers['content-type'] || ''));
+    if (!htmlPart) {
+      throw new Error('MHTML archive has no HTML part');
+    }
+
+    const encoding = (htmlPart.headers['content-transfer-encoding'] || '').trim().toLowerCase();
+    let bytes;
+    if (encoding === 'base64') {
+      bytes = Buffer.from(htmlPart.body.replace(/\s+/g, ''), 'base64');
+    } else if (encoding === 'quoted-printable') {
+      bytes = Buffer.from(
+        htmlPart.body
+          .replace(/=\r?\n/g, '')
+          .replace(/=([0-9A-F]{2})/gi, (escape, hex) => String.fromCharCode(parseInt(hex, 16))),
+        'latin1'
+      );
+    } else {
+      bytes = Buffer.from(htmlPart.body, 'latin1');
+    }
+
+    const charset = /charset\s*=\s*"?([\w.:-]+)/i.exec(htmlPart.headers['content-type']);
+    return HtmlParser.decode(bytes, charset ? charset[1] : HtmlParser.sniffCharset(bytes));
+  }
+
+  /**
+   * Find the character set a page declares with a byte order mark or <meta> tag
+   * @param {Buffer} data - Raw page bytes
+   * @returns {string} - Charset label, 'utf-8' if none is declared
+   */
+  static sniffCharset(data) {
+    if (data[0] === 0xEF && data[1] === 0xBB && data[2] === 0xBF) {
+      return 'utf-8';
+    }
+    if (data[0] === 0xFF && data[1] === 0xFE) {
+      return 'utf-16le';
+    }
+    if (data[0] === 0xFE && data[1] === 0xFF) {
+      return 'utf-16be';
+    }
+
+    const head = data.subarray(0, 2048).toString('latin1');
+    const meta = /<meta\b[^>]*charset\s*=\s*["']?([\w.:-]+)/i.exec(head);
+    return meta ? meta[1] : 'utf-8';
+  }
+
+  /**
+   * Decode page bytes, falling back to UTF-8 for unknown charsets
+   * @param {Buffer} data - Raw bytes
+   * @param {string} charset - Charset label
+   * @returns {string}
+   */
+  static decode(data, charset) {
+    let decoder;
+    try {
+      decoder = new TextDecoder(charset);
+    } catch (error) {
+      decoder = new TextDecoder('utf-8');
+    }
+    return decoder.decode(data);
+  }
+
+  /**
+   * Get the text inside an element
+   * @param {HtmlNode|{text: string}} node - Element or text node
+   * @returns {string}
+   */
+  static textOf(node) {
+    if (node.text !== undefined) {
+      return node.text;
+    }
+    return node.children.map(child => HtmlParser.textOf(child)).join(BLOCK_TAGS.has(node.tag) ? ' ' : '');
+  }
+
+  /**
+   * Decode HTML character references
+   * @param {string} text - Text with entities
+   * @returns {string}
+   */
+  static decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (entity, code) => {
+      if (code[0] === '#') {
+        const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return Number.isFinite(point) && point > 0 && point <= 0x10FFFF ? String.fromCodePoint(point) : entity;
+      }
+      const named = NAMED_ENTITIES[code] !== undefined ? NAMED_ENTITIES[code] : NAMED_ENTITIES[code.toLowerCase()];
+      return named !== undefined ? named : entity;
+    });
+  }
+
+  /**
+   * Remove boilerplate and hidden elements in place
+   * Page headers are only kept inside an article, where they hold its title
+   * @private
+   * @param {HtmlNode} node - Element to prune
+   * @param {boolean} inArticle - Whether the element is inside an <article> or <main>
+   */
+  static _prune(node, inArticle) {
+    node.children = node.children.filter(child => {
+      if (child.text !== undefined) {
+        return true;
+      }
+
+      const attrs = child.attrs;
+      const classAndId = `${attrs.class || ''} ${attrs.id || ''}`;
+      const structural = ['html', 'body', 'article', 'main'].includes(child.tag);
+
+      if (DROPPED_TAGS.has(child.tag) ||
+          (child.tag === 'header' && !inArticle) ||
+          DROPPED_ROLES.has((attrs.role || '').toLowerCase()) ||
+          attrs.hidden !== undefined ||
+          attrs['aria-hidden'] === 'true' ||
+          /display\s*:\s*none|visibility\s*:\s*hidden/i.test(attrs.style || '') ||
+          (!structural && UNLIKELY_CANDIDATE.test(classAndId) && !MAYBE_CANDIDATE.test(classAndId))) {
+        return false;
+      }
+
+      HtmlParser._prune(child, inArticle || child.tag === 'article' || child.tag === 'main');
+      return true;
+    });
+  }
+
+  /**
+   * Share of an element's text that is link text
+   * @private
+   * @param {HtmlNode} node - Element to measure
+   * @returns {number} - Between 0 and 1
+   */
+  static _linkDensity(node) {
+    const length = HtmlParser.textOf(node).length;
+    if (length === 0) {
+      return 0;
+    }
+    const linkLength = HtmlParser._findAll(node, child => child.tag === 'a')
+      .reduce((total, link) => total + HtmlParser.textOf(link).length, 0);
+    return Math.min(linkLength / length, 1);
+  }
+
+  /**
+   * Find the page title, preferring og:title since <title> often carries the site name
+   * @private
+   * @param {HtmlNode} root - Document root
+   * @returns {string|null}
+   */
+  static _findTitle(root) {
+    const clean = text => (text ? text.replace(/\s+/g, ' ').trim() : '') || null;
+
+    const ogTitle = HtmlParser._find(root, node => node.tag === 'meta' &&
+      (node.attrs.property || node.attrs.name || '').toLowerCase() === 'og:title');
+    const titleTag = HtmlParser._find(root, node => node.tag === 'title');
+    const heading = HtmlParser._find(root, node => node.tag === 'h1');
+
+    return clean(ogTitle && ogTitle.attrs.content) ||
+      clean(titleTag && HtmlParser.textOf(titleTag)) ||
+      clean(heading && HtmlParser.textOf(heading));
+  }
+
+  /**
+   * Find the first element matching a predicate, depth first
+   * @private
+   * @param {HtmlNode} node - Element to search
+   * @param {Function} predicate - Test for each element
+   * @returns {HtmlNode|null}
+   */
+  static _find(node, predicate) {
+    for (const child of node.children) {
+      if (child.text !== undefined) {
+        continue;
+      }
+      if (predicate(child)) {
+        return child;
+      }
+      const found = HtmlParser._find(child, predicate);
+      if (found) {
+        return found;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find every element matching a predicate, depth first
+   * @private
+   * @param {HtmlNode} node - Element to search
+   * @param {Function} predicate - Test for each element
+   * @returns {HtmlNode[]}
+   */
+  static _findAll(node, predicate) {
+    const found = [];
+    const visit = current => {
+      current.children.forEach(child => {
+        if (child.text === undefined) {
+          if (predicate(child)) {
+            found.push(child);
+          }
+          visit(child);
+        }
+      });
+    };
+    visit(node);
+    return found;
+  }
+
+  /**
+   * Parse the attributes of a start tag
+   * @private
+   * @param {string} source - Attribute markup
+   * @returns {Object<string, string>}
+   */
+  static _parseAttributes(source) {
+    const attrs = {};
+    const pattern = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+    let match;
+    while ((match = pattern.exec(source || '')) !== null) {
+      const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+      attrs[match[1].toLowerCase()] = value === undefined ? '' : HtmlParser.decodeEntities(value);
+    }
+    return attrs;
+  }
+
+  /**
+   * Split a MIME part into lower-cased headers and its body
+   * @private
+   * @param {string} part - MIME part
+   * @returns {{headers: Object<string, string>, body: string}}
+   */
+  static _splitMimePart(part) {
+    const separator = /\r?\n\r?\n/.exec(part);
+    const head = separator ? part.slice(0, separator.index) : part;
+    const body = separator ? part.slice(separator.index + separator[0].length) : '';
+
+    const headers = {};
+    head.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(line => {
+      const colon = line.indexOf(':');
+      if (colon > 0) {
+        headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+      }
+    });
+
+    return { headers, body };
+  }
+}
+
+module.exports = HtmlParser;
@@ -0,0 +1,159 @@
+const HtmlParser = require('./HtmlParser');
+
+const ARTICLE_PAGE = `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Cell Energy | Biology Daily</title>
+  <meta property="og:title" content="Cell Energy &amp; You">
+  <style>body { color: red; }</style>
+  <script>var tracking = '<p>not text</p>';</script>
+</head>
+<body>
+  <header class="site-header"><h1>Biology Daily</h1><a href="/">Home</a></header>
+  <nav><ul><li><a href="/news">News</a></li><li><a href="/about">About</a></li></ul></nav>
+  <div class="cookie-banner">We use cookies to improve your experience, please accept them.</div>
+  <article>
+    <header><h1>Cell Energy</h1><p class="byline">By A. Writer</p></header>
+    <p>Mitochondria produce ATP through cellular respiration, the main energy pathway.
+    <p>Glucose is broken down in several stages:</p>
+    <ul><li>Glycolysis<li>Krebs cycle</ul>
+    <h2>The Krebs Cycle</h2>
+    <p>The Krebs cycle runs in the mitochondrial matrix&nbsp;&mdash; it releases CO<sub>2</sub>.</p>
+    <div class="share-buttons">Share on social media</div>
+    <h3 hidden>Hidden heading</h3>
+  </article>
+  <aside><p>Related: ten facts about plants that will surprise you.</p></aside>
+  <footer><p>Copyright 2024 Biology Daily, all rights reserved.</p></footer>
+</body>
+</html>`;
+
+describe('HtmlParser', () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new HtmlParser();
+  });
+
+  it('should extract the article text without boilerplate', () => {
+    const result = parser.parse(Buffer.from(ARTICLE_PAGE), '.html');
+
+    expect(result.content).toBe([
+      'Cell Energy',
+      'By A. Writer',
+      'Mitochondria produce ATP through cellular respiration, the main energy pathway.',
+      'Glucose is broken down in several stages:',
+      'Glycolysis',
+      'Krebs cycle',
+      'The Krebs Cycle',
+      'The Krebs cycle runs in the mitochondrial matrix — it releases CO2.'
+    ].join('\n'));
+  });
+
+  it('should keep the heading hierarchy and record where sections start', () => {
+    const result = parser.parse(Buffer.from(ARTICLE_PAGE), '.html');
+
+    expect(result.headings).toEqual([
+      { level: 1, text: 'Cell Energy' },
+      { level: 2, text: 'The Krebs Cycle' }
+    ]);
+    expect(result.sections.map(section => section.title)).toEqual(['Cell Energy', 'The Krebs Cycle']);
+    expect(result.content.slice(result.sections[1].offset)).toMatch(/^The Krebs Cycle\n/);
+  });
+
+  it('should take the title from og:title, then <title>', () => {
+    expect(parser.parse(Buffer.from(ARTICLE_PAGE), '.html').title).toBe('Cell Energy & You');
+
+    const withoutOg = ARTICLE_PAGE.replace(/<meta property="og:title"[^>]*>/, '');
+    expect(parser.parse(Buffer.from(withoutOg), '.html').title).toBe('Cell Energy | Biology Daily');
+  });
+
+  it('should pick the densest block of paragraphs when there is no article element', () => {
+    const html = `<html><body>
+      <div id="menu"><a href="/a">Link one</a> <a href="/b">Link two</a></div>
+      <div class="links"><p><a href="/c">A paragraph that is entirely made of a long link text</a></p></div>
+      <div id="story">
+        <p>Photosynthesis converts light energy, water and carbon dioxide into glucose.</p>
+        <p>It happens in the chloroplasts, which contain the pigment chlorophyll.</p>
+      </div>
+    </body></html>`;
+
+    const result = parser.parse(Buffer.from(html), '.htm');
+
+    expect(result.content).toBe([
+      'Photosynthesis converts light energy, water and carbon dioxide into glucose.',
+      'It happens in the chloroplasts, which contain the pigment chlorophyll.'
+    ].join('\n'));
+  });
+
+  it('should decode pages in the charset they declare', () => {
+    const html = Buffer.concat([
+      Buffer.from('<html><head><meta http-equiv="Content-Type" content="text/html; charset=windows-1252"></head><body><p>Caf'),
+      Buffer.from([0xE9]),
+      Buffer.from(' au lait</p></body></html>')
+    ]);
+
+    expect(parser.parse(html, '.html').content).toBe('Café au lait');
+  });
+
+  describe('MHTML', () => {
+    const mhtml = (encoding, body) => Buffer.from([
+      'From: <Saved by Blink>',
+      'Snapshot-Content-Location: https://example.com/cells',
+      'Subject: Cells',
+      'MIME-Version: 1.0',
+      'Content-Type: multipart/related;',
+      '\ttype="text/html";',
+      '\tboundary="----MultipartBoundary--abc123"',
+      '',
+      '',
+      '------MultipartBoundary--abc123',
+      'Content-Type: text/html',
+      'Content-ID: <frame-1@mhtml.blink>',
+      `Content-Transfer-Encoding: ${encoding}`,
+      'Content-Location: https://example.com/cells',
+      '',
+      body,
+      '',
+      '------MultipartBoundary--abc123',
+      'Content-Type: image/png',
+      'Content-Transfer-Encoding: base64',
+      'Content-Location: https://example.com/cell.png',
+      '',
+      'iVBORw0KGgo=',
+      '',
+      '------MultipartBoundary--abc123--',
+      ''
+    ].join('\r\n'), 'latin1');
+
+    it('should read quoted-printable HTML parts', () => {
+      const body = '<html><head><meta charset=3D"utf-8"><title>Cells</title></head><body><main><p>The nucleu=\r\ns stores DNA =E2=80=94 the genetic code.</p></main></body></html>';
+
+      const result = parser.parse(mhtml('quoted-printable', body), '.mhtml');
+
+      expect(result.title).toBe('Cells');
+      expect(result.content).toBe('The nucleus stores DNA — the genetic code.');
+    });
+
+    it('should read base64 HTML parts', () => {
+      const body = Buffer.from('<html><body><article><p>Ribosomes build proteins.</p></article></body></html>').toString('base64');
+
+      expect(parser.parse(mhtml('base64', body), '.mht').content).toBe('Ribosomes build proteins.');
+    });
+
+    it('should reject archives without an HTML part', () => {
+      const archive = Buffer.from('Content-Type: multipart/related; boundary="b"\r\n\r\n--b\r\nContent-Type: image/png\r\n\r\nxx\r\n--b--\r\n');
+
+      expect(() => parser.parse(archive, '.mhtml')).toThrow('MHTML archive has no HTML part');
+    });
+  });
+
+  describe('parseTree', () => {
+    it('should close implied paragraphs and ignore stray closing tags', () => {
+      const root = HtmlParser.parseTree('<p>One<p>Two</span></p><div>Three</div>');
+
+      expect(root.children.map(node => node.tag)).toEqual(['p', 'p', 'div']);
+      expect(root.children.map(node => HtmlParser.textOf(node))).toEqual(['One', 'Two', 'Three']);
+    });
+  });
+});
@@ -0,0 +1,365 @@
+/**
+ * @typedef {Object} KeyBlock
+ * @property {'definition'|'theorem'} kind - Whether the block defines a term or states a result
+ * @property {string} label - Name the document gives the environment, e.g. "Lemma"
+ * @property {string|null} name - Optional name of the block, e.g. "Pythagoras"
+ * @property {number} offset - Character offset in the content where the block starts
+ * @property {string} text - Text of the block as it appears in the content
+ */
+
+/**
+ * @typedef {Object} LatexParseResult
+ * @property {string|null} title - Document title from \title
+ * @property {string} content - Plain text, one line per paragraph
+ * @property {{level: number, text: string}[]} headings - Sectioning commands in order
+ * @property {{title: string, offset: number}[]} sections - Headings and where they start in the content
+ * @property {KeyBlock[]} keyBlocks - Definition and theorem-like environments
+ */
+
+const SECTION_LEVELS = { part: 0, chapter: 1, section: 2, subsection: 3, subsubsection: 4 };
+
+// Environments a document can use without declaring them with \newtheorem (amsthm, beamer)
+const DEFAULT_KEY_ENVIRONMENTS = {
+  definition: 'Definition',
+  defn: 'Definition',
+  theorem: 'Theorem',
+  thm: 'Theorem',
+  lemma: 'Lemma',
+  proposition: 'Proposition',
+  prop: 'Proposition',
+  corollary: 'Corollary',
+  axiom: 'Axiom'
+};
+
+// Code and display maths carry no prose
+const DROPPED_ENVIRONMENTS = new Set([
+  'verbatim', 'lstlisting', 'minted', 'comment', 'tikzpicture', 'picture', 'thebibliography',
+  'equation', 'align', 'gather', 'multline', 'flalign', 'eqnarray', 'displaymath', 'math'
+]);
+
+// Commands whose arguments are not text
+const DROPPED_COMMANDS = new Set([
+  'label', 'ref', 'eqref', 'pageref', 'autoref', 'cref', 'Cref', 'cite', 'citep', 'citet', 'nocite',
+  'includegraphics', 'input', 'include', 'vspace', 'hspace', 'setlength', 'setcounter', 'addtocounter',
+  'newcommand', 'renewcommand', 'providecommand', 'newenvironment', 'renewenvironment', 'newtheorem',
+  'usepackage', 'documentclass', 'bibliography', 'bibliographystyle', 'index', 'footnote', 'url',
+  'hypersetup', 'graphicspath', 'pagestyle', 'thispagestyle', 'color', 'definecolor', 'tag', 'href',
+  'title', 'author', 'date', 'thanks'
+]);
+
+// Escaped characters that would otherwise be read as groups or maths, kept out of the way while parsing
+const ESCAPES = { '{': '\uE000', '}': '\uE001', '$': '\uE002' };
+
+const MATH_SYMBOLS = {
+  alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ε', varepsilon: 'ε', zeta: 'ζ', eta: 'η',
+  theta: 'θ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π', rho: 'ρ',
+  sigma: 'σ', tau: 'τ', phi: 'φ', varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+  Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Pi: 'Π', Sigma: 'Σ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω',
+  cdot: '·', times: '×', div: '÷', pm: '±', leq: '≤', le: '≤', geq: '≥', ge: '≥', neq: '≠', ne: '≠',
+  approx: '≈', equiv: '≡', infty: '∞', in: '∈', notin: '∉', subset: '⊂', subseteq: '⊆', cup: '∪',
+  cap: '∩', emptyset: '∅', forall: '∀', exists: '∃', neg: '¬', land: '∧', lor: '∨', to: '→',
+  rightarrow: '→', leftarrow: '←', Rightarrow: '⇒', iff: '⇔', mapsto: '↦', sum: 'Σ', prod: 'Π',
+  int: '∫', partial: '∂', nabla: '∇', sqrt: '√', ldots: '…', cdots: '…', dots: '…',
+  sin: 'sin', cos: 'cos', tan: 'tan', log: 'log', ln: 'ln', exp: 'exp', lim: 'lim', max: 'max',
+  min: 'min', det: 'det', gcd: 'gcd', mod: 'mod'
+};
+
+/**
+ * Extracts readable text from LaTeX sources
+ *
+ * Only the document body is read. Sectioning commands become headings, definition and
+ * theorem-like environments (including ones declared with \newtheorem) are recorded as key
+ * blocks, and inline formatting is reduced to its text. Macros never reach the content:
+ * inline maths is rewritten with symbols, display maths and code listings are dropped.
+ */
+class LatexParser {
+  /**
+   * Parse a LaTeX source file
+   * @param {string} source - LaTeX source
+   * @returns {LatexParseResult}
+   */
+  parse(source) {
+    const text = LatexParser.stripComments(source);
+
+    const begin = text.indexOf('\\begin{document}');
+    const end = text.indexOf('\\end{document}');
+    const body = begin === -1 ? text : text.slice(begin + '\\begin{document}'.length, end === -1 ? undefined : end);
+
+    let title = null;
+    const titleCommand = /\\title\b/.exec(text);
+    if (titleCommand) {
+      const group = LatexParser._readGroup(text, LatexParser._skipOptional(text, titleCommand.index + titleCommand[0].length));
+      title = group ? LatexParser.inlineToText(group.value).replace(/\s+/g, ' ').trim() || null : null;
+    }
+
+    const keyEnvironments = { ...DEFAULT_KEY_ENVIRONMENTS, ...LatexParser._readTheoremDeclarations(text) };
+    return { title, ...this._convert(body, keyEnvironments) };
+  }
+
+  /**
+   * Walk the document body, collecting paragraphs, headings and key blocks
+   * @private
+   * @param {string} body - Document body
+   * @param {Object<string, string>} keyEnvironments - Environment names to their labels
+   * @returns {{content: string, headings: Object[], sections: Object[], keyBlocks: KeyBlock[]}}
+   */
+  _convert(body, keyEnvironments) {
+    const blocks = [];
+    const pattern = /\\(part|chapter|section|subsection|subsubsection)\b\*?|\\begin\s*\{([^}]+)\}|\\end\s*\{([^}]+)\}|(?<!\\)\\\[|(?<!\\)\$\$/g;
+    let pending = '';
+    let openBlock = null;
+    let position = 0;
+    let match;
+
+    const flush = () => {
+      LatexParser.inlineToText(pending)
+        .split(/\n\s*\n/)
+        .map(paragraph => paragraph.replace(/\s+/g, ' ').replace(/ ([.,;:])/g, '$1').trim())
+        .filter(paragraph => paragraph.length > 0)
+        .forEach(paragraph => (openBlock ? openBlock.paragraphs.push(paragraph) : blocks.push({ text: paragraph })));
+      pending = '';
+    };
+
+    while ((match = pattern.exec(body)) !== null) {
+      pending += body.slice(position, match.index);
+      position = pattern.lastIndex;
+
+      if (match[1]) {
+        // Sectioning command, with an optional short title before the title
+        flush();
+        let index = LatexParser._skipOptional(body, position);
+        const group = LatexParser._readGroup(body, index);
+        if (group) {
+          const text = LatexParser.inlineToText(group.value).replace(/\s+/g, ' ').trim();
+          if (text) {
+            blocks.push({ text, level: SECTION_LEVELS[match[1]] });
+          }
+          index = group.end;
+        }
+        position = pattern.lastIndex = index;
+      } else if (match[0] === '\\[' || match[0] === '$$') {
+        // Display maths
+        const close = body.indexOf(match[0] === '\\[' ? '\\]' : '$$', position);
+        position = pattern.lastIndex = close === -1 ? body.length : close + 2;
+        pending += '\n\n';
+      } else if (match[2]) {
+        const environment = match[2].trim();
+        const name = environment.replace(/\*$/, '');
+
+        if (DROPPED_ENVIRONMENTS.has(name)) {
+          const close = body.indexOf(`\\end{${environment}}`, position);
+          position = pattern.lastIndex = close === -1 ? body.length : close + `\\end{${environment}}`.length;
+          pending += '\n\n';
+        } else if (keyEnvironments[name] && !openBlock) {
+          flush();
+          const optional = /^\s*\[([^\]]*)\]/.exec(body.slice(position));
+          const label = keyEnvironments[name];
+          openBlock = {
+            environment,
+            kind: /definition/i.test(label) ? 'definition' : 'theorem',
+            label,
+            name: optional ? LatexParser.inlineToText(optional[1]).replace(/\s+/g, ' ').trim() || null : null,
+            paragraphs: []
+          };
+          if (optional) {
+            position = pattern.lastIndex = position + optional[0].length;
+          }
+        } else {
+          pending += '\n\n';
+        }
+      } else if (match[3]) {
+        if (openBlock && match[3].trim() === openBlock.environment) {
+          flush();
+          if (openBlock.paragraphs.length > 0) {
+            const heading = openBlock.name ? `${openBlock.label} (${openBlock.name})` : openBlock.label;
+            blocks.push({
+              text: `${heading}: ${openBlock.paragraphs.join(' ')}`,
+              keyBlock: { kind: openBlock.kind, label: openBlock.label, name: openBlock.name }
+            });
+          }
+          openBlock = null;
+        } else {
+          pending += '\n\n';
+        }
+      }
+    }
+
+    pending += body.slice(position);
+    flush();
+
+    // Number heading levels from 1, whatever the top sectioning level is
+    const levels = blocks.filter(block => block.level !== undefined).map(block => block.level);
+    const shift = levels.length > 0 ? Math.min(...levels) - 1 : 0;
+
+    const headings = [];
+    const sections = [];
+    const keyBlocks = [];
+    let offset = 0;
+    blocks.forEach(block => {
+      if (block.level !== undefined) {
+        headings.push({ level: block.level - shift, text: block.text });
+        sections.push({ title: block.text, offset });
+      } else if (block.keyBlock) {
+        keyBlocks.push({ ...block.keyBlock, offset, text: block.text });
+      }
+      offset += block.text.length + 1;
+    });
+
+    return { content: blocks.map(block => block.text).join('\n'), headings, sections, keyBlocks };
+  }
+
+  /**
+   * Reduce inline LaTeX to plain text
+   * Formatting commands keep their text, references and layout commands are dropped
+   * and inline maths is rewritten with symbols
+   * @param {string} text - LaTeX markup without environments or sectioning
+   * @returns {string}
+   */
+  static inlineToText(text) {
+    const protectedText = text.replace(/\\([{}$])/g, (escape, character) => ESCAPES[character]);
+
+    const result = LatexParser._dropCommands(
+      protectedText
+        .replace(/\\\(([\s\S]*?)\\\)/g, (math, expression) => LatexParser.mathToText(expression))
+        .replace(/\$([^$]+)\$/g, (math, expression) => LatexParser.mathToText(expression))
+        .replace(/\\item\s*(?:\[([^\]]*)\])?/g, (item, label) => `\n\n${label ? `${label} ` : ''}`)
+        .replace(/\\\\(?:\[[^\]]*\])?/g, '\n')
+    );
+
+    return result
+      .replace(/\\([&%#_])/g, '$1')
+      .replace(/\\[a-zA-Z]+\*?(?:\[[^\]]*\])?/g, '')
+      .replace(/\\./g, '')
+      .replace(/[{}]/g, '')
+      .replace(/---/g, '—')
+      .replace(/--/g, '–')
+      .replace(/``|''/g, '"')
+      .replace(/~/g, ' ')
+      .replace(/[\uE000-\uE002]/g, character => Object.keys(ESCAPES).find(key => ESCAPES[key] === character));
+  }
+
+  /**
+   * Rewrite a maths expression as readable text
+   * @param {string} expression - LaTeX maths
+   * @returns {string}
+   */
+  static mathToText(expression) {
+    return expression
+      .replace(/\\frac\s*\{([^{}]*)\}\s*\{([^{}]*)\}/g, '$1/$2')
+      .replace(/\\(?:left|right|big|Big|bigg|Bigg)\b/g, '')
+      .replace(/\\(?:mathrm|mathbf|mathit|mathsf|mathtt|mathbb|mathcal|mathfrak|text|textrm|operatorname)\b\s*/g, '')
+      .replace(/\\([a-zA-Z]+)/g, (command, name) => (MATH_SYMBOLS[name] !== undefined ? MATH_SYMBOLS[name] : ' '))
+      .replace(/\\./g, ' ')
+      .replace(/[{}]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Remove commands whose arguments are not text, together with their arguments
+   * \newcommand and friends lose their definition too
+   * @private
+   * @param {string} text - LaTeX markup
+   * @returns {string}
+   */
+  static _dropCommands(text) {
+    const pattern = /\\([a-zA-Z]+)\*?/g;
+    let result = '';
+    let position = 0;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+      if (!DROPPED_COMMANDS.has(match[1])) {
+        continue;
+      }
+
+      result += text.slice(position, match.index);
+      let end = pattern.lastIndex;
+      const argumentCount = /^(?:re)?new|^provide/.test(match[1]) ? 2 : 1;
+      for (let i = 0; i < argumentCount; i++) {
+        const group = LatexParser._readGroup(text, LatexParser._skipOptional(text, end));
+        if (!group) {
+          break;
+        }
+        end = group.end;
+      }
+      position = pattern.lastIndex = end;
+    }
+
+    return result + text.slice(position);
+  }
+
+  /**
+   * Remove % comments, keeping escaped \%
+   * @param {string} source - LaTeX source
+   * @returns {string}
+   */
+  static stripComments(source) {
+    return source.replace(/(^|[^\\])%.*$/gm, '$1');
+  }
+
+  /**
+   * Read \newtheorem declarations
+   * @private
+   * @param {string} source - LaTeX source
+   * @returns {Object<string, string>} - Environment names to their labels
+   */
+  static _readTheoremDeclarations(source) {
+    const environments = {};
+    const pattern = /\\newtheorem\*?\s*\{([^}]+)\}\s*(?:\[[^\]]*\])?\s*\{([^}]+)\}/g;
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+      const label = match[2].trim();
+      if (/definition|theorem|lemma|proposition|corollary|axiom|law|principle|conjecture/i.test(label)) {
+        environments[match[1].trim()] = label;
+      }
+    }
+    return environments;
+  }
+
+  /**
+   * Skip whitespace and an optional [argument]
+   * @private
+   * @param {string} text - Source text
+   * @param {number} index - Position after a command
+   * @returns {number} - Position after the optional argument
+   */
+  static _skipOptional(text, index) {
+    const optional = /^\s*\[[^\]]*\]/.exec(text.slice(index, index + 500));
+    return optional ? index + optional[0].length : index;
+  }
+
+  /**
+   * Read a balanced {group} starting at or after whitespace from an index
+   * @private
+   * @param {string} text - Source text
+   * @param {number} index - Position to start reading
+   * @returns {{value: string, end: number}|null} - Group contents and position after it
+   */
+  static _readGroup(text, index) {
+    let start = index;
+    while (start < text.length && /\s/.test(text[start])) {
+      start++;
+    }
+    if (text[start] !== '{') {
+      return null;
+    }
+
+    let depth = 0;
+    for (let i = start; i < text.length; i++) {
+      if (text[i] === '\\') {
+        i++;
+      } else if (text[i] === '{') {
+        depth++;
+      } else if (text[i] === '}') {
+        depth--;
+        if (depth === 0) {
+          return { value: text.slice(start + 1, i), end: i + 1 };
+        }
+      }
+    }
+    return { value: text.slice(start + 1), end: text.length };
+  }
+}
+
+module.exports = LatexParser;
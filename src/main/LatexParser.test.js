@@ -0,0 +1,105 @@
+const LatexParser = require('./LatexParser');
+
+const NOTES = String.raw`\documentclass{article}
+\usepackage{amsthm}
+\newtheorem{thm}{Theorem}[section]
+\newtheorem{defi}[thm]{Definition}
+\newcommand{\R}{\mathbb{R}}
+\title{Number Theory \\ Lecture Notes}
+\author{A. Lecturer}
+
+\begin{document}
+\maketitle
+
+\section{Primes}\label{sec:primes}
+Primes are the \emph{building blocks} of the integers. % the key idea
+See Section~\ref{sec:more} and \cite{hardy}.
+
+\begin{defi}[Prime number]
+A natural number $p > 1$ is \textbf{prime} if its only divisors are $1$ and $p$.
+\end{defi}
+
+\begin{thm}[Euclid]
+There are infinitely many primes.
+\end{thm}
+
+\begin{proof}
+Suppose $p_1, \ldots, p_n$ are all the primes and consider
+\[ N = p_1 p_2 \cdots p_n + 1. \]
+Then $N$ has a prime factor not in the list.
+\end{proof}
+
+\subsection*{Costs}
+A course costs \$20 and covers 50\% of the \{basics\} --- roughly.
+
+\begin{verbatim}
+def is_prime(n): return all(n % d for d in range(2, n))
+\end{verbatim}
+
+\begin{itemize}
+  \item Two is the only even prime.
+  \item[Note] One is not prime.
+\end{itemize}
+\end{document}`;
+
+describe('LatexParser', () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new LatexParser();
+  });
+
+  it('should reduce the body to plain text without macros', () => {
+    const result = parser.parse(NOTES);
+
+    expect(result.title).toBe('Number Theory Lecture Notes');
+    expect(result.content).toBe([
+      'Primes',
+      'Primes are the building blocks of the integers. See Section and.',
+      'Definition (Prime number): A natural number p > 1 is prime if its only divisors are 1 and p.',
+      'Theorem (Euclid): There are infinitely many primes.',
+      'Suppose p_1, …, p_n are all the primes and consider',
+      'Then N has a prime factor not in the list.',
+      'Costs',
+      'A course costs $20 and covers 50% of the {basics} — roughly.',
+      'Two is the only even prime.',
+      'Note One is not prime.'
+    ].join('\n'));
+    expect(result.content).not.toMatch(/\\|textbf|emph|mathbb|is_prime/);
+  });
+
+  it('should record sectioning as headings and sections', () => {
+    const result = parser.parse(NOTES);
+
+    expect(result.headings).toEqual([
+      { level: 1, text: 'Primes' },
+      { level: 2, text: 'Costs' }
+    ]);
+    expect(result.content.slice(result.sections[1].offset)).toMatch(/^Costs\n/);
+  });
+
+  it('should flag definitions and theorem-like environments declared with \\newtheorem', () => {
+    const result = parser.parse(NOTES);
+
+    expect(result.keyBlocks).toEqual([
+      expect.objectContaining({ kind: 'definition', label: 'Definition', name: 'Prime number' }),
+      expect.objectContaining({ kind: 'theorem', label: 'Theorem', name: 'Euclid' })
+    ]);
+    result.keyBlocks.forEach(block => {
+      expect(result.content.slice(block.offset, block.offset + block.text.length)).toBe(block.text);
+    });
+  });
+
+  it('should read fragments without a document environment', () => {
+    const result = parser.parse(String.raw`\begin{lemma}Every tree with $n$ vertices has $n - 1$ edges.\end{lemma}`);
+
+    expect(result.content).toBe('Lemma: Every tree with n vertices has n - 1 edges.');
+    expect(result.keyBlocks).toEqual([expect.objectContaining({ kind: 'theorem', label: 'Lemma', name: null, offset: 0 })]);
+  });
+
+  describe('mathToText', () => {
+    it('should rewrite maths with symbols and drop the macros', () => {
+      expect(LatexParser.mathToText(String.raw`\frac{a}{b} \leq \alpha \cdot \mathbb{R}^{2}`)).toBe('a/b ≤ α · R^2');
+    });
+  });
+});
@@ -0,0 +1,193 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { app } = require('electron');
+
+// Longest part of a note's first line used in its file name
+const MAX_NAME_LENGTH = 50;
+
+// Characters that file names cannot contain on Windows, macOS or Linux
+const UNSAFE_FILE_NAME_CHARACTERS = /[<>:"/\\|?*\x00-\x1F]/g;
+
+// Device names Windows reserves, also before a dot or trailing spaces (e.g. "con.txt" or "COM1 ")
+const RESERVED_FILE_NAME = /^(?:con|prn|aux|nul|com[1-9]|lpt[1-9])\s*(?:\..*)?$/i;
+
+/**
+ * Keeps quick-capture notes as text documents in the user data directory
+ *
+ * Each note is a .txt file named after its first line, so DocumentProcessor studies it like any
+ * other text document. Only files in the notes directory count as notes; documents added from
+ * elsewhere are never edited or deleted here.
+ */
+class NoteStore {
+  /**
+   * @param {string} [notesDir] - Optional custom notes directory
+   */
+  constructor(notesDir = null) {
+    this.notesDir = notesDir || this._getDefaultNotesDir();
+  }
+
+  /**
+   * Get the default notes directory in user data directory
+   * @private
+   * @returns {string}
+   */
+  _getDefaultNotesDir() {
+    const userDataPath = app ? app.getPath('userData') : './data';
+    return path.join(userDataPath, 'notes');
+  }
+
+  /**
+   * Check whether a document is a note kept by this store
+   * @param {string} filePath - Path to the document
+   * @returns {boolean}
+   */
+  isNote(filePath) {
+    return typeof filePath === 'string' &&
+      path.extname(filePath).toLowerCase() === '.txt' &&
+      path.dirname(path.resolve(filePath)) === path.resolve(this.notesDir);
+  }
+
+  /**
+   * List the notes
+   * @returns {Promise<string[]>} - Paths of the notes, or none if no note was saved yet
+   */
+  async list() {
+    try {
+      const entries = await fs.readdir(this.notesDir, { withFileTypes: true });
+      return entries
+        .filter(entry => entry.isFile() && path.extname(entry.name).toLowerCase() === '.txt')
+        .map(entry => path.join(this.notesDir, entry.name));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Save text as a new note
+   * @param {string} text - Text of the note
+   * @returns {Promise<string>} - Path of the new note
+   * @throws {Error} If the text is empty or the note cannot be written
+   */
+  async create(text) {
+    const content = this._checkText(text);
+    const name = this._nameFor(content);
+
+    await fs.mkdir(this.notesDir, { recursive: true });
+    // Notes with the same first line are numbered; 'wx' fails instead of overwriting a note
+    for (let number = 1; ; number++) {
+      const notePath = path.join(this.notesDir, number === 1 ? `${name}.txt` : `${name} (${number}).txt`);
+      try {
+        await fs.writeFile(notePath, content, { encoding: 'utf8', flag: 'wx' });
+        return notePath;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw new Error(`Failed to save note: ${error.message}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Read the text of a note
+   * @param {string} notePath - Path of the note
+   * @returns {Promise<string>}
+   * @throws {Error} If the path is not a note or the note cannot be read
+   */
+  async read(notePath) {
+    this._checkNote(notePath);
+    return fs.readFile(notePath, 'utf8');
+  }
+
+  /**
+   * Replace the text of a note
+   * The note keeps its file name, so questions and statistics stay linked to it
+   * @param {string} notePath - Path of the note
+   * @param {string} text - New text of the note
+   * @returns {Promise<void>}
+   * @throws {Error} If the path is not a note, the text is empty or the note cannot be written
+   */
+  async update(notePath, text) {
+    this._checkNote(notePath);
+    const content = this._checkText(text);
+
+    try {
+      await fs.access(notePath);
+      await fs.writeFile(notePath, content, 'utf8');
+    } catch (error) {
+      throw new Error(`Failed to save note: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a note
+   * @param {string} notePath - Path of the note
+   * @returns {Promise<boolean>} - True if the note existed
+   * @throws {Error} If the path is not a note
+   */
+  async remove(notePath) {
+    this._checkNote(notePath);
+
+    try {
+      await fs.unlink(notePath);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Check that a path is a note, so documents outside the notes directory are never changed
+   * @private
+   * @param {string} notePath - Path to check
+   * @throws {Error} If the path is not a note
+   */
+  _checkNote(notePath) {
+    if (!this.isNote(notePath)) {
+      throw new Error('Only notes can be edited or deleted');
+    }
+  }
+
+  /**
+   * Check and tidy the text of a note
+   * @private
+   * @param {string} text - Text of the note
+   * @returns {string} - Text with Unix line endings, trimmed and ending in a newline
+   * @throws {Error} If the text is empty
+   */
+  _checkText(text) {
+    const content = typeof text === 'string' ? text.replace(/\r\n?/g, '\n').trim() : '';
+    if (!content) {
+      throw new Error('A note needs some text');
+    }
+    return `${content}\n`;
+  }
+
+  /**
+   * Name a note after its first line
+   * Windows device names such as "CON" get a "Note " prefix, and names never end in a dot or
+   * space, so every note can be saved on Windows
+   * @private
+   * @param {string} content - Text of the note
+   * @returns {string} - File name without extension
+   */
+  _nameFor(content) {
+    const name = content.split('\n')[0]
+      .replace(/^#+\s*/, '')
+      .replace(UNSAFE_FILE_NAME_CHARACTERS, ' ')
+      .replace(/\s+/g, ' ')
+      .slice(0, MAX_NAME_LENGTH)
+      .replace(/^[\s.]+|[\s.]+$/g, '');
+    if (!name) {
+      return 'Note';
+    }
+    return RESERVED_FILE_NAME.test(name) ? `Note ${name}` : name;
+  }
+}
+
+module.exports = NoteStore;
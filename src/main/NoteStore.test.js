@@ -0,0 +1,81 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const NoteStore = require('./NoteStore');
+const DocumentProcessor = require('./DocumentProcessor');
+
+describe('NoteStore', () => {
+  let tempDir;
+  let notesDir;
+  let store;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'notes-'));
+    notesDir = path.join(tempDir, 'notes');
+    store = new NoteStore(notesDir);
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should save notes as text documents named after their first line', async () => {
+    expect(await store.list()).toEqual([]);
+
+    const notePath = await store.create('  Krebs cycle: what the lecturer said\r\nIt runs in the mitochondrial matrix.\r\n');
+    const againPath = await store.create('Krebs cycle: what the lecturer said\nIt produces NADH.');
+
+    expect(path.basename(notePath)).toBe('Krebs cycle what the lecturer said.txt');
+    expect(path.basename(againPath)).toBe('Krebs cycle what the lecturer said (2).txt');
+    expect(await fs.readFile(notePath, 'utf8')).toBe('Krebs cycle: what the lecturer said\nIt runs in the mitochondrial matrix.\n');
+    expect((await store.list()).sort()).toEqual([notePath, againPath].sort());
+    expect(store.isNote(notePath)).toBe(true);
+  });
+
+  it('should name notes without a usable first line "Note"', async () => {
+    expect(path.basename(await store.create('...\nGlycolysis splits glucose.'))).toBe('Note.txt');
+    expect(path.basename(await store.create('# ../../Osmosis?'))).toBe('Osmosis.txt');
+  });
+
+  it('should give notes named after Windows device names a prefix', async () => {
+    expect(path.basename(await store.create('CON\nConsole notes.'))).toBe('Note CON.txt');
+    expect(path.basename(await store.create('lpt1.'))).toBe('Note lpt1.txt');
+    expect(path.basename(await store.create('Aux. Verbs\nHave, be and do.'))).toBe('Note Aux. Verbs.txt');
+    expect(path.basename(await store.create('Nul ... \nNothing.'))).toBe('Note Nul.txt');
+    expect(path.basename(await store.create('Console'))).toBe('Console.txt');
+    expect(path.basename(await store.create('COM10'))).toBe('COM10.txt');
+  });
+
+  it('should edit and delete notes', async () => {
+    const notePath = await store.create('Osmosis\nWater moves across a membrane.');
+
+    await store.update(notePath, 'Osmosis\nWater moves to the side with more solute.');
+    expect(await store.read(notePath)).toBe('Osmosis\nWater moves to the side with more solute.\n');
+
+    expect(await store.remove(notePath)).toBe(true);
+    expect(await store.remove(notePath)).toBe(false);
+    await expect(store.update(notePath, 'Osmosis')).rejects.toThrow('Failed to save note');
+  });
+
+  it('should reject empty notes and files outside the notes directory', async () => {
+    const otherPath = path.join(tempDir, 'lecture.txt');
+    await fs.writeFile(otherPath, 'Lecture notes');
+
+    await expect(store.create('  \n ')).rejects.toThrow('A note needs some text');
+    expect(store.isNote(otherPath)).toBe(false);
+    await expect(store.update(otherPath, 'Overwritten')).rejects.toThrow('Only notes can be edited or deleted');
+    await expect(store.remove(otherPath)).rejects.toThrow('Only notes can be edited or deleted');
+    expect(await fs.readFile(otherPath, 'utf8')).toBe('Lecture notes');
+  });
+
+  it('should save notes that are processed like any text document', async () => {
+    const processor = new DocumentProcessor({ useWorkerThreads: false });
+    const notePath = await store.create('Photosynthesis\nChlorophyll absorbs light to make glucose.');
+
+    const result = await processor.processDocument(notePath);
+
+    expect(result.content).toContain('Chlorophyll absorbs light to make glucose.');
+    expect(result.metadata.format).toBe('.txt');
+    await processor.destroy();
+  });
+});
@@ -0,0 +1,165 @@
+const MarkdownIt = require('markdown-it');
+const LatexParser = require('./LatexParser');
+
+/**
+ * @typedef {Object} CodeCell
+ * @property {number} cell - 1-based position of the cell in the notebook
+ * @property {string} source - Source code of the cell
+ */
+
+/**
+ * @typedef {Object} NotebookParseResult
+ * @property {string|null} title - Notebook title from its metadata or the first h1
+ * @property {string} content - Plain text of the markdown cells in order
+ * @property {{level: number, text: string}[]} headings - Markdown headings in order
+ * @property {{title: string, offset: number}[]} sections - h1-h3 headings and where they start in the content
+ * @property {CodeCell[]} codeCells - Code cells, kept out of the content
+ * @property {string|null} language - Kernel language, e.g. "python"
+ */
+
+/**
+ * Extracts the prose of Jupyter notebooks
+ *
+ * Markdown cells are rendered to plain text and make up the content; their maths is rewritten
+ * with symbols so LaTeX macros don't turn into keywords. Code cells are returned separately
+ * rather than mixed into the prose, and outputs are ignored. Reads nbformat 4 and the older
+ * nbformat 3 worksheet layout.
+ */
+class NotebookParser {
+  constructor() {
+    this.md = new MarkdownIt();
+  }
+
+  /**
+   * Parse a notebook
+   * @param {string} source - Contents of the .ipynb file
+   * @returns {NotebookParseResult}
+   * @throws {Error} If the file is not a notebook
+   */
+  parse(source) {
+    let notebook;
+    try {
+      notebook = JSON.parse(source);
+    } catch (error) {
+      throw new Error(`Not a valid Jupyter notebook: ${error.message}`);
+    }
+
+    const cells = notebook && (Array.isArray(notebook.cells)
+      ? notebook.cells
+      : notebook.worksheets && notebook.worksheets[0] && notebook.worksheets[0].cells);
+    if (!Array.isArray(cells)) {
+      throw new Error('Jupyter notebook has no cells');
+    }
+
+    const parts = [];
+    const headings = [];
+    const sections = [];
+    const codeCells = [];
+    let offset = 0;
+
+    cells.forEach((cell, index) => {
+      const text = NotebookParser._cellSource(cell);
+      if (!text.trim()) {
+        return;
+      }
+
+      if (cell.cell_type === 'code') {
+        codeCells.push({ cell: index + 1, source: text });
+        return;
+      }
+      if (cell.cell_type !== 'markdown') {
+        return;
+      }
+
+      const rendered = this._renderMarkdown(text);
+      if (!rendered.text) {
+        return;
+      }
+
+      // Find each heading's line to record where its section starts
+      const lines = rendered.text.split('\n');
+      let lineOffset = offset;
+      let nextHeading = 0;
+      lines.forEach(line => {
+        const heading = rendered.headings[nextHeading];
+        if (heading && line === heading.text) {
+          headings.push(heading);
+          if (heading.level <= 3) {
+            sections.push({ title: heading.text, offset: lineOffset });
+          }
+          nextHeading++;
+        }
+        lineOffset += line.length + 1;
+      });
+
+      parts.push(rendered.text);
+      offset += rendered.text.length + 2;
+    });
+
+    const metadata = notebook.metadata || {};
+    const firstH1 = headings.find(heading => heading.level === 1);
+    const title = (typeof metadata.title === 'string' && metadata.title.trim()) || (firstH1 && firstH1.text) || null;
+    const language = (metadata.kernelspec && metadata.kernelspec.language) ||
+      (metadata.language_info && metadata.language_info.name) || null;
+
+    return { title, content: parts.join('\n\n'), headings, sections, codeCells, language };
+  }
+
+  /**
+   * Render a markdown cell to plain text, one line per block
+   * @private
+   * @param {string} markdown - Cell source
+   * @returns {{text: string, headings: {level: number, text: string}[]}}
+   */
+  _renderMarkdown(markdown) {
+    const withoutMath = markdown
+      .replace(/\$\$[\s\S]*?\$\$/g, '\n\n')
+      .replace(/(^|[^\\])\$([^$\n]+)\$/g, (math, before, expression) => `${before}${LatexParser.mathToText(expression)}`);
+
+    const headings = [];
+    const tokens = this.md.parse(withoutMath, {});
+    tokens.forEach((token, index) => {
+      if (token.type === 'heading_open') {
+        const inline = tokens[index + 1];
+        const text = (inline && inline.children ? inline.children : [])
+          .filter(child => child.type === 'text' || child.type === 'code_inline')
+          .map(child => child.content)
+          .join('')
+          .replace(/\s+/g, ' ')
+          .trim();
+        if (text) {
+          headings.push({ level: parseInt(token.tag.substring(1), 10), text });
+        }
+      }
+    });
+
+    const text = this.md.render(withoutMath)
+      .replace(/<[^>]*>/g, '')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&amp;/g, '&')
+      .split('\n')
+      .map(line => line.replace(/\s+/g, ' ').trim())
+      .filter(line => line.length > 0)
+      .join('\n');
+
+    return { text, headings };
+  }
+
+  /**
+   * Get the source of a cell, which notebooks store as a string or an array of lines
+   * @private
+   * @param {Object} cell - Notebook cell
+   * @returns {string}
+   */
+  static _cellSource(cell) {
+    const source = cell && (cell.source !== undefined ? cell.source : cell.input);
+    if (Array.isArray(source)) {
+      return source.join('');
+    }
+    return typeof source === 'string' ? source : '';
+  }
+}
+
+module.exports = NotebookParser;
@@ -0,0 +1,72 @@
+const NotebookParser = require('./NotebookParser');
+
+const NOTEBOOK = JSON.stringify({
+  nbformat: 4,
+  nbformat_minor: 5,
+  metadata: { kernelspec: { name: 'python3', language: 'python' } },
+  cells: [
+    { cell_type: 'markdown', metadata: {}, source: ['# Sorting Algorithms\n', '\n', 'Sorting puts items in **order** & keeps them there.'] },
+    { cell_type: 'code', metadata: {}, execution_count: 1, outputs: [{ output_type: 'stream', text: ['[1, 2, 3]'] }], source: ['def sort(items):\n', '    return sorted(items)'] },
+    { cell_type: 'markdown', metadata: {}, source: '## Merge sort\n\nMerge sort runs in $O(n \\log n)$ time.\n\n$$T(n) = 2T(n/2) + \\Theta(n)$$' },
+    { cell_type: 'raw', metadata: {}, source: 'raw text is ignored' },
+    { cell_type: 'markdown', metadata: {}, source: [] }
+  ]
+});
+
+describe('NotebookParser', () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new NotebookParser();
+  });
+
+  it('should read markdown cells as the content', () => {
+    const result = parser.parse(NOTEBOOK);
+
+    expect(result.title).toBe('Sorting Algorithms');
+    expect(result.content).toBe([
+      'Sorting Algorithms',
+      'Sorting puts items in order & keeps them there.',
+      '',
+      'Merge sort',
+      'Merge sort runs in O(n log n) time.'
+    ].join('\n'));
+    expect(result.content).not.toContain('\\log');
+  });
+
+  it('should keep code cells separate from the prose', () => {
+    const result = parser.parse(NOTEBOOK);
+
+    expect(result.codeCells).toEqual([{ cell: 2, source: 'def sort(items):\n    return sorted(items)' }]);
+    expect(result.language).toBe('python');
+    expect(result.content).not.toContain('sorted(items)');
+  });
+
+  it('should record headings and where their sections start', () => {
+    const result = parser.parse(NOTEBOOK);
+
+    expect(result.headings).toEqual([
+      { level: 1, text: 'Sorting Algorithms' },
+      { level: 2, text: 'Merge sort' }
+    ]);
+    expect(result.content.slice(result.sections[1].offset)).toMatch(/^Merge sort\n/);
+  });
+
+  it('should read nbformat 3 worksheets', () => {
+    const result = parser.parse(JSON.stringify({
+      nbformat: 3,
+      worksheets: [{ cells: [
+        { cell_type: 'markdown', source: ['Binary search halves the range each step.'] },
+        { cell_type: 'code', input: ['bisect(items, 3)'] }
+      ] }]
+    }));
+
+    expect(result.content).toBe('Binary search halves the range each step.');
+    expect(result.codeCells).toEqual([{ cell: 2, source: 'bisect(items, 3)' }]);
+  });
+
+  it('should reject files that are not notebooks', () => {
+    expect(() => parser.parse('{not json')).toThrow('Not a valid Jupyter notebook');
+    expect(() => parser.parse('{"metadata": {}}')).toThrow('Jupyter notebook has no cells');
+  });
+});
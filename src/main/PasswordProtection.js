@@ -0,0 +1,106 @@
+const officeCrypto = require('officecrypto-tool');
+
+// Why a password-protected document could not be opened, by error code
+const PASSWORD_MESSAGES = {
+  PASSWORD_REQUIRED: 'This document is password-protected. Enter its password to study it.',
+  PASSWORD_INCORRECT: 'The password for this document is incorrect. Enter it again.'
+};
+
+// pdf.js PasswordResponses
+const PDF_INCORRECT_PASSWORD = 2;
+
+// Encrypted Word documents are OLE compound files rather than ZIP archives
+const COMPOUND_FILE_SIGNATURE = Buffer.from([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]);
+
+/**
+ * Opens password-protected PDFs and Word documents
+ *
+ * A document that needs a password fails with a structured error: its code is PASSWORD_REQUIRED
+ * when no password was given and PASSWORD_INCORRECT when the given one is wrong, and its
+ * userFriendly message asks for the password. Encrypted PDFs are opened by pdf.js with the
+ * password; encrypted DOCX files are decrypted back into a normal DOCX first.
+ */
+class PasswordProtection {
+  /**
+   * Create the error for a document whose password is missing or wrong
+   * @param {string} code - PASSWORD_REQUIRED or PASSWORD_INCORRECT
+   * @returns {Error} - Error with code and userFriendly set
+   */
+  static error(code) {
+    const error = new Error(code === 'PASSWORD_INCORRECT' ? 'Document password is incorrect' : 'Document is password-protected');
+    error.code = code;
+    error.userFriendly = PASSWORD_MESSAGES[code];
+    return error;
+  }
+
+  /**
+   * Check whether an error means a document needs a (different) password
+   * @param {{code?: string}} error - Error, or an error entry from DocumentProcessor.processAllDocuments
+   * @returns {boolean}
+   */
+  static isPasswordError(error) {
+    return Boolean(error && PASSWORD_MESSAGES[error.code]);
+  }
+
+  /**
+   * Turn a pdf.js password exception into a password error
+   * @param {Error} error - Error thrown while opening a PDF
+   * @returns {Error} - A password error, or the error itself if it is not about the password
+   */
+  static fromPdfError(error) {
+    if (!error || error.name !== 'PasswordException') {
+      return error;
+    }
+    return PasswordProtection.error(error.code === PDF_INCORRECT_PASSWORD ? 'PASSWORD_INCORRECT' : 'PASSWORD_REQUIRED');
+  }
+
+  /**
+   * Check whether a Word document is encrypted
+   * @param {Buffer} data - DOCX file contents
+   * @returns {boolean}
+   */
+  static isEncryptedDocx(data) {
+    if (data.length < COMPOUND_FILE_SIGNATURE.length || !data.subarray(0, COMPOUND_FILE_SIGNATURE.length).equals(COMPOUND_FILE_SIGNATURE)) {
+      return false;
+    }
+    try {
+      return officeCrypto.isEncrypted(data);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Decrypt an encrypted Word document
+   * @param {Buffer} data - Encrypted DOCX file contents
+   * @param {string|null} password - The document's password
+   * @returns {Promise<Buffer>} - The decrypted DOCX
+   * @throws {Error} A password error if the password is missing or wrong
+   */
+  static async decryptDocx(data, password) {
+    if (!password) {
+      throw PasswordProtection.error('PASSWORD_REQUIRED');
+    }
+    try {
+      return await officeCrypto.decrypt(data, { password });
+    } catch (error) {
+      if (/password is incorrect/i.test(error.message)) {
+        throw PasswordProtection.error('PASSWORD_INCORRECT');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Read a Word document for mammoth, decrypting it if it is encrypted
+   * @param {Buffer} data - DOCX file contents
+   * @param {string|null} password - The document's password, if it has one
+   * @returns {Promise<Buffer>} - Plain DOCX contents
+   * @throws {Error} A password error if the document is encrypted and the password is missing or wrong
+   */
+  static async openDocx(data, password) {
+    return PasswordProtection.isEncryptedDocx(data) ? await PasswordProtection.decryptDocx(data, password) : data;
+  }
+}
+
+module.exports = PasswordProtection;
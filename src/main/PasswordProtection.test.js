@@ -0,0 +1,50 @@
+const officeCrypto = require('officecrypto-tool');
+const JSZip = require('jszip');
+const PasswordProtection = require('./PasswordProtection');
+
+describe('PasswordProtection', () => {
+  let docx;
+  let encryptedDocx;
+
+  beforeAll(async () => {
+    const zip = new JSZip();
+    zip.file('word/document.xml', '<w:document/>');
+    docx = await zip.generateAsync({ type: 'nodebuffer' });
+    encryptedDocx = officeCrypto.encrypt(docx, { password: 'mitochondria' });
+  });
+
+  it('should create password errors with a message for the user', () => {
+    const required = PasswordProtection.error('PASSWORD_REQUIRED');
+    const incorrect = PasswordProtection.error('PASSWORD_INCORRECT');
+
+    expect(required).toMatchObject({ code: 'PASSWORD_REQUIRED', userFriendly: 'This document is password-protected. Enter its password to study it.' });
+    expect(incorrect).toMatchObject({ code: 'PASSWORD_INCORRECT', userFriendly: 'The password for this document is incorrect. Enter it again.' });
+    expect(PasswordProtection.isPasswordError(required)).toBe(true);
+    expect(PasswordProtection.isPasswordError({ code: 'PASSWORD_INCORRECT' })).toBe(true);
+    expect(PasswordProtection.isPasswordError(new Error('Invalid PDF structure'))).toBe(false);
+  });
+
+  it('should turn pdf.js password exceptions into password errors', () => {
+    const needPassword = Object.assign(new Error('No password given'), { name: 'PasswordException', code: 1 });
+    const incorrectPassword = Object.assign(new Error('Incorrect Password'), { name: 'PasswordException', code: 2 });
+    const other = new Error('Invalid PDF structure');
+
+    expect(PasswordProtection.fromPdfError(needPassword).code).toBe('PASSWORD_REQUIRED');
+    expect(PasswordProtection.fromPdfError(incorrectPassword).code).toBe('PASSWORD_INCORRECT');
+    expect(PasswordProtection.fromPdfError(other)).toBe(other);
+  });
+
+  it('should only decrypt Word documents that are encrypted', async () => {
+    expect(PasswordProtection.isEncryptedDocx(docx)).toBe(false);
+    expect(PasswordProtection.isEncryptedDocx(encryptedDocx)).toBe(true);
+    expect(PasswordProtection.isEncryptedDocx(Buffer.alloc(0))).toBe(false);
+
+    expect(await PasswordProtection.openDocx(docx, null)).toBe(docx);
+    expect((await PasswordProtection.openDocx(encryptedDocx, 'mitochondria')).equals(docx)).toBe(true);
+  });
+
+  it('should reject missing and wrong Word document passwords', async () => {
+    await expect(PasswordProtection.openDocx(encryptedDocx, null)).rejects.toMatchObject({ code: 'PASSWORD_REQUIRED' });
+    await expect(PasswordProtection.openDocx(encryptedDocx, 'chlorophyll')).rejects.toMatchObject({ code: 'PASSWORD_INCORRECT' });
+  });
+});
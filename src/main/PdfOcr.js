@@ -0,0 +1,394 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const pdfParse = require('pdf-parse');
+const PDFJS = require('pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js');
+
+PDFJS.disableWorker = true;
+
+// Folder of @tesseract.js-data/eng with the integer LSTM model, the smallest one it ships
+const LANGUAGE_DATA_VERSION = '4.0.0_best_int';
+
+/**
+ * @typedef {Object} PdfPages
+ * @property {Object} pdfData - Result of pdf-parse (info, metadata, numpages, text)
+ * @property {string[]} pageTexts - Text layer of each page, in page order
+ */
+
+/**
+ * @typedef {Object} OcrProgress
+ * @property {number} page - Page being recognised (1-based)
+ * @property {number} done - Number of pages recognised so far
+ * @property {number} total - Number of pages to recognise
+ */
+
+/**
+ * @typedef {Object} OcrResult
+ * @property {Object<number, string>} pages - Recognised text by page number
+ * @property {boolean} fromCache - Whether the text came from the OCR cache
+ */
+
+/**
+ * @typedef {Object} Recognizer
+ * @property {function(Buffer): Promise<string>} recognize - Recognise the text in an image
+ * @property {function(): Promise<void>} terminate - Release the engine
+ */
+
+// pdf.js image kinds of decoded images
+const IMAGE_KIND = { GRAYSCALE_1BPP: 1, RGB_24BPP: 2, RGBA_32BPP: 3 };
+
+// Images smaller than this on both sides are logos or bullets, not scanned pages
+const MIN_IMAGE_SIZE = 100;
+
+/**
+ * Recognises the text of scanned PDF pages offline
+ *
+ * Pages without a text layer are found while the PDF is parsed; their page image is decoded with
+ * the pdf.js build bundled in pdf-parse and read by tesseract.js using the language data shipped
+ * with the app, so nothing is downloaded. Recognised text is cached by the file's content hash, so
+ * each file is only recognised once. tesseract.js is loaded on first use; without it OCR is
+ * reported as unavailable and scanned pages stay empty.
+ */
+class PdfOcr {
+  /**
+   * @param {Object} [options] - Configuration options
+   * @param {string} [options.cacheDir] - Directory for cached OCR text (default: ocr-cache in ./data)
+   * @param {string} [options.languageDir] - Directory with the gzipped .traineddata files (default: the bundled ocr resources)
+   * @param {string} [options.language] - Tesseract language code (default: 'eng')
+   * @param {function(): Promise<Recognizer>} [options.createRecognizer] - Creates the OCR engine (default: tesseract.js)
+   */
+  constructor(options = {}) {
+    this.cacheDir = options.cacheDir || path.join('./data', 'ocr-cache');
+    this.languageDir = options.languageDir || PdfOcr.defaultLanguageDir();
+    this.language = options.language || 'eng';
+    this.hasCustomRecognizer = typeof options.createRecognizer === 'function';
+    this.createRecognizer = options.createRecognizer || (() => this._createTesseractRecognizer());
+  }
+
+  /**
+   * Find the bundled language data, in the packaged app's resources or the @tesseract.js-data/eng package
+   * @returns {string}
+   */
+  static defaultLanguageDir() {
+    if (process.resourcesPath) {
+      const packaged = path.join(process.resourcesPath, 'ocr');
+      if (fs.existsSync(packaged)) {
+        return packaged;
+      }
+    }
+    // The build copies this folder to the packaged app's ocr resources
+    return path.join(path.dirname(require.resolve('@tesseract.js-data/eng/package.json')), LANGUAGE_DATA_VERSION);
+  }
+
+  /**
+   * Check whether OCR can run: tesseract.js is installed and the language data is present
+   * @returns {boolean}
+   */
+  isAvailable() {
+    if (this.hasCustomRecognizer) {
+      return true;
+    }
+    try {
+      require.resolve('tesseract.js');
+    } catch (error) {
+      return false;
+    }
+    return fs.existsSync(path.join(this.languageDir, `${this.language}.traineddata.gz`));
+  }
+
+  /**
+   * Parse a PDF with pdf-parse, keeping the text layer of each page
+   * The combined text matches what pdf-parse returns on its own
+   * @param {Buffer} data - PDF file contents
+   * @param {string|null} [password] - Password of an encrypted PDF
+   * @returns {Promise<PdfPages>}
+   * @throws {Error} A pdf.js PasswordException if the password is missing or wrong
+   */
+  static async parse(data, password = null) {
+    const pageTexts = [];
+    const pdfData = await pdfParse(PdfOcr._source(data, password), {
+      pagerender: async pageData => {
+        const text = PdfOcr.renderPageText(await pageData.getTextContent({
+          normalizeWhitespace: false,
+          disableCombineTextItems: false
+        }));
+        pageTexts[pageData.pageIndex] = text;
+        return text;
+      }
+    });
+
+    return { pdfData, pageTexts: Array.from(pageTexts, text => text || '') };
+  }
+
+  /**
+   * Count the pages of a PDF without extracting its text
+   * @param {Buffer} data - PDF file contents
+   * @param {string|null} [password] - Password of an encrypted PDF
+   * @returns {Promise<number>}
+   * @throws {Error} A pdf.js PasswordException if the password is missing or wrong
+   */
+  static async countPages(data, password = null) {
+    const pdf = await PDFJS.getDocument(PdfOcr._source(data, password));
+    try {
+      return pdf.numPages;
+    } finally {
+      await pdf.destroy();
+    }
+  }
+
+  /**
+   * Get the pdf.js document source for a PDF
+   * @private
+   * @param {Buffer} data - PDF file contents
+   * @param {string|null} password - Password of an encrypted PDF
+   * @param {Object} [options] - Further pdf.js options
+   * @returns {Object}
+   */
+  static _source(data, password, options = {}) {
+    // A copy with its own ArrayBuffer, as pdf.js ignores the offset of pooled Buffers
+    const source = { ...options, data: new Uint8Array(data) };
+    if (password) {
+      source.password = password;
+    }
+    return source;
+  }
+
+  /**
+   * Join the text items of a page, starting a new line when the baseline changes
+   * @param {{items: {str: string, transform: number[]}[]}} textContent - pdf.js text content
+   * @returns {string}
+   */
+  static renderPageText(textContent) {
+    let lastY;
+    let text = '';
+    textContent.items.forEach(item => {
+      text += lastY === item.transform[5] || !lastY ? item.str : `\n${item.str}`;
+      lastY = item.transform[5];
+    });
+    return text;
+  }
+
+  /**
+   * Join page texts the way pdf-parse does
+   * @param {string[]} pageTexts - Text of each page
+   * @returns {string}
+   */
+  static joinPages(pageTexts) {
+    return pageTexts.map(text => `\n\n${text}`).join('');
+  }
+
+  /**
+   * Fill in the pages that have no text layer with their recognised text
+   * @param {Buffer} data - PDF file contents
+   * @param {string[]} pageTexts - Text layer of each page
+   * @param {function(OcrProgress): void} [onProgress] - Called before each page is recognised
+   * @param {number[]} [pageNumbers] - Only consider these pages (default: all)
+   * @param {string|null} [password] - Password of an encrypted PDF
+   * @returns {Promise<{pageTexts: string[], ocrPages: number[]}>} - Page texts, and the pages whose text was recognised
+   * @throws {Error} If the OCR engine cannot be started
+   */
+  async recognizeScannedPages(data, pageTexts, onProgress = null, pageNumbers = null, password = null) {
+    const scannedPages = (pageNumbers || pageTexts.map((text, index) => index + 1))
+      .filter(page => !(pageTexts[page - 1] || '').trim());
+    if (scannedPages.length === 0) {
+      return { pageTexts, ocrPages: [] };
+    }
+
+    const { pages } = await this.recognizePages(data, scannedPages, onProgress, password);
+    return {
+      pageTexts: pageTexts.map((text, index) => pages[index + 1] || text),
+      ocrPages: scannedPages.filter(page => pages[page])
+    };
+  }
+
+  /**
+   * Recognise the text of the given pages, using the cache when the file was recognised before
+   * The text of encrypted PDFs is not cached, as the cache is not encrypted
+   * @param {Buffer} data - PDF file contents
+   * @param {number[]} pageNumbers - Pages without a text layer (1-based)
+   * @param {function(OcrProgress): void} [onProgress] - Called before each page is recognised
+   * @param {string|null} [password] - Password of an encrypted PDF
+   * @returns {Promise<OcrResult>}
+   * @throws {Error} If the OCR engine cannot be started
+   */
+  async recognizePages(data, pageNumbers, onProgress = null, password = null) {
+    const hash = password ? null : crypto.createHash('sha256').update(data).digest('hex');
+    const cached = hash ? await this._readCache(hash) : null;
+    if (cached && pageNumbers.every(page => typeof cached[page] === 'string')) {
+      return { pages: cached, fromCache: true };
+    }
+
+    const pages = {};
+    const pdf = await PDFJS.getDocument(PdfOcr._source(data, password, { nativeImageDecoderSupport: 'none' }));
+    let recognizer = null;
+
+    try {
+      for (let index = 0; index < pageNumbers.length; index++) {
+        const pageNumber = pageNumbers[index];
+        if (onProgress) {
+          onProgress({ page: pageNumber, done: index, total: pageNumbers.length });
+        }
+
+        const image = await PdfOcr.extractPageImage(await pdf.getPage(pageNumber));
+        if (!image) {
+          pages[pageNumber] = '';
+          continue;
+        }
+
+        if (!recognizer) {
+          recognizer = await this.createRecognizer();
+        }
+        pages[pageNumber] = PdfOcr.cleanText(await recognizer.recognize(PdfOcr.toPGM(image)));
+      }
+    } finally {
+      if (recognizer) {
+        await recognizer.terminate();
+      }
+      await pdf.destroy();
+    }
+
+    if (onProgress) {
+      onProgress({ page: null, done: pageNumbers.length, total: pageNumbers.length });
+    }
+
+    if (hash) {
+      await this._writeCache(hash, { ...(cached || {}), ...pages });
+    }
+    return { pages, fromCache: false };
+  }
+
+  /**
+   * Decode the largest image drawn on a page, which for a scanned page is the scan itself
+   * @param {Object} page - pdf.js page
+   * @returns {Promise<{width: number, height: number, kind: number, data: Uint8Array}|null>}
+   */
+  static async extractPageImage(page) {
+    const operatorList = await page.getOperatorList();
+    let largest = null;
+
+    operatorList.fnArray.forEach((fn, index) => {
+      if (fn !== PDFJS.OPS.paintImageXObject && fn !== PDFJS.OPS.paintJpegXObject) {
+        return;
+      }
+      const [name, width, height] = operatorList.argsArray[index];
+      if ((width >= MIN_IMAGE_SIZE || height >= MIN_IMAGE_SIZE) && (!largest || width * height > largest.width * largest.height)) {
+        largest = { name, width, height };
+      }
+    });
+
+    if (!largest || !page.objs.isResolved(largest.name)) {
+      return null;
+    }
+
+    const image = page.objs.get(largest.name);
+    return image && image.data ? image : null;
+  }
+
+  /**
+   * Encode a decoded pdf.js image as a binary greyscale PGM, which Tesseract reads directly
+   * @param {{width: number, height: number, kind: number, data: Uint8Array}} image - Decoded image
+   * @returns {Buffer}
+   * @throws {Error} If the image kind is unknown
+   */
+  static toPGM(image) {
+    const { width, height, kind, data } = image;
+    const pixels = Buffer.alloc(width * height);
+
+    if (kind === IMAGE_KIND.GRAYSCALE_1BPP) {
+      // Rows are packed 8 pixels per byte, set bits are white
+      const rowBytes = Math.ceil(width / 8);
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const bit = data[y * rowBytes + (x >> 3)] & (128 >> (x & 7));
+          pixels[y * width + x] = bit ? 255 : 0;
+        }
+      }
+    } else if (kind === IMAGE_KIND.RGB_24BPP || kind === IMAGE_KIND.RGBA_32BPP) {
+      const step = kind === IMAGE_KIND.RGB_24BPP ? 3 : 4;
+      for (let i = 0; i < width * height; i++) {
+        const offset = i * step;
+        pixels[i] = Math.round(data[offset] * 0.299 + data[offset + 1] * 0.587 + data[offset + 2] * 0.114);
+      }
+    } else {
+      throw new Error(`Unsupported image kind: ${kind}`);
+    }
+
+    return Buffer.concat([Buffer.from(`P5\n${width} ${height}\n255\n`, 'ascii'), pixels]);
+  }
+
+  /**
+   * Tidy OCR output: join hyphenated line breaks and drop blank runs
+   * @param {string} text - Recognised text
+   * @returns {string}
+   */
+  static cleanText(text) {
+    return String(text || '')
+      .replace(/(\w)-\n(\w)/g, '$1$2')
+      .replace(/[ \t]+\n/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  /**
+   * Start a tesseract.js worker with the bundled language data
+   * @private
+   * @returns {Promise<Recognizer>}
+   * @throws {Error} If tesseract.js or the language data is missing
+   */
+  async _createTesseractRecognizer() {
+    if (!this.isAvailable()) {
+      throw new Error('OCR engine or language data is not installed');
+    }
+
+    const { createWorker } = require('tesseract.js');
+    // Read the local, gzipped language data and never cache or download it
+    const worker = await createWorker(this.language, 1, {
+      langPath: this.languageDir,
+      gzip: true,
+      cacheMethod: 'none'
+    });
+
+    return {
+      recognize: async image => (await worker.recognize(image)).data.text,
+      terminate: () => worker.terminate()
+    };
+  }
+
+  /**
+   * Read the cached page texts of a file
+   * @private
+   * @param {string} hash - Content hash of the file
+   * @returns {Promise<Object<number, string>|null>}
+   */
+  async _readCache(hash) {
+    try {
+      const cached = JSON.parse(await fs.promises.readFile(path.join(this.cacheDir, `${hash}.json`), 'utf8'));
+      return cached.language === this.language && cached.pages ? cached.pages : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Cache the page texts of a file
+   * A failed write only means the file is recognised again next time
+   * @private
+   * @param {string} hash - Content hash of the file
+   * @param {Object<number, string>} pages - Recognised text by page number
+   * @returns {Promise<void>}
+   */
+  async _writeCache(hash, pages) {
+    try {
+      await fs.promises.mkdir(this.cacheDir, { recursive: true });
+      await fs.promises.writeFile(
+        path.join(this.cacheDir, `${hash}.json`),
+        JSON.stringify({ language: this.language, pages }),
+        'utf8'
+      );
+    } catch (error) {
+      console.warn('Failed to cache OCR text:', error.message);
+    }
+  }
+}
+
+module.exports = PdfOcr;
@@ -0,0 +1,162 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const PDFDocument = require('pdfkit');
+const PdfOcr = require('./PdfOcr');
+
+/**
+ * Build an 8-bit greyscale PNG with a dark band across the middle
+ */
+function createPng(width, height) {
+  const crcTable = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+  });
+  const crc = buffer => {
+    let c = 0xffffffff;
+    for (const byte of buffer) {
+      c = crcTable[(c ^ byte) & 0xff] ^ (c >>> 8);
+    }
+    return (c ^ 0xffffffff) >>> 0;
+  };
+  const chunk = (type, data) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const checksum = Buffer.alloc(4);
+    checksum.writeUInt32BE(crc(body));
+    return Buffer.concat([length, body, checksum]);
+  };
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 0; // greyscale
+
+  const rows = [];
+  for (let y = 0; y < height; y++) {
+    const row = Buffer.alloc(width + 1, y > height / 3 && y < (height * 2) / 3 ? 0 : 255);
+    row[0] = 0; // no filter
+    rows.push(row);
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(Buffer.concat(rows))),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * Build a PDF with a text page followed by a page that is only an image
+ */
+function createScannedPdf() {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument();
+    const chunks = [];
+    doc.on('data', data => chunks.push(data));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.text('Photosynthesis turns light into chemical energy.');
+    doc.addPage();
+    doc.image(createPng(200, 120), 50, 50, { width: 400 });
+    doc.end();
+  });
+}
+
+describe('PdfOcr', () => {
+  let cacheDir;
+  let pdf;
+  let recognized;
+
+  const fakeRecognizer = () => async () => ({
+    recognize: async image => {
+      recognized.push(image);
+      return 'Chlorophyll absorbs red and blue light-\nwaves.\n\n\n\nGreen is reflected.  \n';
+    },
+    terminate: async () => {}
+  });
+
+  beforeEach(async () => {
+    cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pdf-ocr-'));
+    pdf = await createScannedPdf();
+    recognized = [];
+  });
+
+  afterEach(async () => {
+    await fs.rm(cacheDir, { recursive: true, force: true });
+  });
+
+  it('should keep the text of each page and join it like pdf-parse', async () => {
+    const { pdfData, pageTexts } = await PdfOcr.parse(pdf);
+
+    expect(pdfData.numpages).toBe(2);
+    expect(pageTexts).toEqual(['Photosynthesis turns light into chemical energy.', '']);
+    expect(PdfOcr.joinPages(pageTexts)).toBe(pdfData.text);
+  });
+
+  it('should recognise only the pages without text and report progress', async () => {
+    const ocr = new PdfOcr({ cacheDir, createRecognizer: fakeRecognizer() });
+    const { pageTexts } = await PdfOcr.parse(pdf);
+    const progress = [];
+
+    const result = await ocr.recognizeScannedPages(pdf, pageTexts, update => progress.push(update));
+
+    expect(result.ocrPages).toEqual([2]);
+    expect(result.pageTexts).toEqual([
+      'Photosynthesis turns light into chemical energy.',
+      'Chlorophyll absorbs red and blue lightwaves.\n\nGreen is reflected.'
+    ]);
+    expect(progress).toEqual([{ page: 2, done: 0, total: 1 }, { page: null, done: 1, total: 1 }]);
+    expect(recognized).toHaveLength(1);
+    expect(recognized[0].toString('ascii', 0, 2)).toBe('P5');
+  });
+
+  it('should reuse cached text instead of recognising the file again', async () => {
+    const ocr = new PdfOcr({ cacheDir, createRecognizer: fakeRecognizer() });
+
+    const first = await ocr.recognizePages(pdf, [2]);
+    const second = await ocr.recognizePages(pdf, [2]);
+
+    expect(first.fromCache).toBe(false);
+    expect(second).toEqual({ pages: first.pages, fromCache: true });
+    expect(recognized).toHaveLength(1);
+
+    // Text recognised for another language is not reused
+    const french = new PdfOcr({ cacheDir, language: 'fra', createRecognizer: fakeRecognizer() });
+    expect((await french.recognizePages(pdf, [2])).fromCache).toBe(false);
+  });
+
+  it('should report OCR as unavailable without the engine or language data', () => {
+    const ocr = new PdfOcr({ cacheDir, languageDir: path.join(cacheDir, 'missing') });
+
+    expect(ocr.isAvailable()).toBe(false);
+    expect(new PdfOcr({ createRecognizer: fakeRecognizer() }).isAvailable()).toBe(true);
+  });
+
+  it('should find the English language data shipped as a dependency', async () => {
+    const ocr = new PdfOcr({ cacheDir });
+
+    await expect(fs.access(path.join(ocr.languageDir, 'eng.traineddata.gz'))).resolves.toBeUndefined();
+    expect(ocr.isAvailable()).toBe(true);
+  });
+
+  it('should convert decoded images to greyscale PGM', () => {
+    const header = Buffer.from('P5\n2 1\n255\n', 'ascii');
+
+    expect(PdfOcr.toPGM({ width: 2, height: 1, kind: 1, data: new Uint8Array([0b10000000]) }))
+      .toEqual(Buffer.concat([header, Buffer.from([255, 0])]));
+    expect(PdfOcr.toPGM({ width: 2, height: 1, kind: 2, data: new Uint8Array([255, 255, 255, 0, 0, 0]) }))
+      .toEqual(Buffer.concat([header, Buffer.from([255, 0])]));
+    expect(PdfOcr.toPGM({ width: 2, height: 1, kind: 3, data: new Uint8Array([255, 0, 0, 255, 0, 0, 255, 255]) }))
+      .toEqual(Buffer.concat([header, Buffer.from([76, 29])]));
+    expect(() => PdfOcr.toPGM({ width: 1, height: 1, kind: 9, data: new Uint8Array(1) })).toThrow('Unsupported image kind');
+  });
+});
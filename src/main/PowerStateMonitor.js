@@ -0,0 +1,172 @@
+const { powerMonitor } = require('electron');
+
+/**
+ * @typedef {Object} PausePolicies
+ * @property {boolean} pauseOnSleep - Pause while the system is suspended
+ * @property {boolean} pauseOnLock - Pause while the screen is locked
+ * @property {boolean} pauseOnIdle - Pause while the user is idle
+ * @property {number} idleThresholdMinutes - Minutes without input before the user counts as idle
+ */
+
+/**
+ * Pauses and resumes the study timer when the system sleeps, locks or goes idle
+ * Listens to Electron's powerMonitor for suspend/resume and lock/unlock, and polls
+ * the system idle time since there is no cross-platform idle event
+ */
+class PowerStateMonitor {
+  /**
+   * @param {TimerManager} timerManager - Timer to pause and resume
+   * @param {Object} [options] - Configuration options
+   * @param {Object} [options.powerMonitor] - powerMonitor implementation (default: Electron's)
+   * @param {Partial<PausePolicies>} [options.policies] - Pause policies (default: all enabled, 5 idle minutes)
+   * @param {number} [options.idlePollIntervalMs] - How often to check the idle time (default: 15 seconds)
+   */
+  constructor(timerManager, options = {}) {
+    if (!timerManager) {
+      throw new Error('TimerManager is required');
+    }
+
+    this.timerManager = timerManager;
+    this.powerMonitor = options.powerMonitor || powerMonitor;
+    this.idlePollIntervalMs = options.idlePollIntervalMs || 15000;
+    this.policies = {
+      pauseOnSleep: true,
+      pauseOnLock: true,
+      pauseOnIdle: true,
+      idleThresholdMinutes: 5
+    };
+    this.idlePollId = null;
+    this.isStarted = false;
+
+    this.setPolicies(options.policies || {});
+
+    this._onSuspend = () => this._setPaused('sleep', this.policies.pauseOnSleep);
+    this._onResume = () => this._setPaused('sleep', false);
+    this._onLock = () => this._setPaused('lock', this.policies.pauseOnLock);
+    this._onUnlock = () => this._setPaused('lock', false);
+  }
+
+  /**
+   * Start listening for power and idle changes
+   * Does nothing if powerMonitor is unavailable (e.g. outside Electron)
+   */
+  start() {
+    if (this.isStarted || !this.powerMonitor) {
+      return;
+    }
+
+    this.powerMonitor.on('suspend', this._onSuspend);
+    this.powerMonitor.on('resume', this._onResume);
+    this.powerMonitor.on('lock-screen', this._onLock);
+    this.powerMonitor.on('unlock-screen', this._onUnlock);
+
+    this.idlePollId = setInterval(() => this.checkIdle(), this.idlePollIntervalMs);
+    this.isStarted = true;
+  }
+
+  /**
+   * Stop listening and lift any pauses this monitor applied
+   */
+  stop() {
+    if (!this.isStarted) {
+      return;
+    }
+
+    this.powerMonitor.removeListener('suspend', this._onSuspend);
+    this.powerMonitor.removeListener('resume', this._onResume);
+    this.powerMonitor.removeListener('lock-screen', this._onLock);
+    this.powerMonitor.removeListener('unlock-screen', this._onUnlock);
+
+    clearInterval(this.idlePollId);
+    this.idlePollId = null;
+    this.isStarted = false;
+
+    ['sleep', 'lock', 'idle'].forEach(reason => this.timerManager.resume(reason));
+  }
+
+  /**
+   * Update the pause policies
+   * Turning a policy off lifts the pause it applied
+   * @param {Partial<PausePolicies>} policies - Policies to change
+   * @throws {Error} If a policy has an invalid value
+   */
+  setPolicies(policies) {
+    ['pauseOnSleep', 'pauseOnLock', 'pauseOnIdle'].forEach(key => {
+      if (policies[key] !== undefined && typeof policies[key] !== 'boolean') {
+        throw new Error(`${key} must be a boolean`);
+      }
+    });
+
+    if (policies.idleThresholdMinutes !== undefined &&
+        !PowerStateMonitor.isValidIdleThreshold(policies.idleThresholdMinutes)) {
+      throw new Error('idleThresholdMinutes must be an integer between 1 and 60');
+    }
+
+    Object.keys(this.policies).forEach(key => {
+      if (policies[key] !== undefined) {
+        this.policies[key] = policies[key];
+      }
+    });
+
+    if (!this.policies.pauseOnSleep) {
+      this.timerManager.resume('sleep');
+    }
+    if (!this.policies.pauseOnLock) {
+      this.timerManager.resume('lock');
+    }
+    if (this.isStarted) {
+      this.checkIdle();
+    }
+  }
+
+  /**
+   * Get the active pause policies
+   * @returns {PausePolicies}
+   */
+  getPolicies() {
+    return { ...this.policies };
+  }
+
+  /**
+   * Pause or resume the timer depending on how long the user has been idle
+   */
+  checkIdle() {
+    let idleSeconds = 0;
+    try {
+      idleSeconds = this.powerMonitor.getSystemIdleTime();
+    } catch (error) {
+      console.error('Error reading system idle time:', error);
+      return;
+    }
+
+    const isIdle = idleSeconds >= this.policies.idleThresholdMinutes * 60;
+    this._setPaused('idle', this.policies.pauseOnIdle && isIdle);
+  }
+
+  /**
+   * Apply or lift a pause reason on the timer
+   * @private
+   * @param {string} reason - Pause reason
+   * @param {boolean} paused - Whether the reason applies
+   */
+  _setPaused(reason, paused) {
+    if (paused) {
+      if (this.timerManager.pause(reason)) {
+        console.log(`Study timer paused (${reason})`);
+      }
+    } else if (this.timerManager.resume(reason)) {
+      console.log(`Study timer resumed (${reason})`);
+    }
+  }
+
+  /**
+   * Check whether a value is a valid idle threshold
+   * @param {*} minutes - Value to check
+   * @returns {boolean}
+   */
+  static isValidIdleThreshold(minutes) {
+    return Number.isInteger(minutes) && minutes >= 1 && minutes <= 60;
+  }
+}
+
+module.exports = PowerStateMonitor;
@@ -0,0 +1,114 @@
+const EventEmitter = require('events');
+
+vi.mock('electron', () => ({
+  app: {
+    getPath: vi.fn(() => './test-data')
+  },
+  powerMonitor: null
+}));
+
+const PowerStateMonitor = require('./PowerStateMonitor');
+
+describe('PowerStateMonitor', () => {
+  let timerManager;
+  let powerMonitor;
+  let monitor;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+
+    const reasons = new Set();
+    timerManager = {
+      pause: vi.fn(reason => {
+        const wasPaused = reasons.size > 0;
+        reasons.add(reason);
+        return !wasPaused;
+      }),
+      resume: vi.fn(reason => reasons.delete(reason) && reasons.size === 0),
+      isPaused: () => reasons.size > 0
+    };
+
+    powerMonitor = new EventEmitter();
+    powerMonitor.getSystemIdleTime = vi.fn(() => 0);
+
+    monitor = new PowerStateMonitor(timerManager, { powerMonitor, idlePollIntervalMs: 1000 });
+    monitor.start();
+  });
+
+  afterEach(() => {
+    monitor.stop();
+    vi.useRealTimers();
+  });
+
+  it('should require a TimerManager', () => {
+    expect(() => new PowerStateMonitor(null)).toThrow('TimerManager is required');
+  });
+
+  it('should pause while the system is asleep', () => {
+    powerMonitor.emit('suspend');
+    expect(timerManager.isPaused()).toBe(true);
+
+    powerMonitor.emit('resume');
+    expect(timerManager.isPaused()).toBe(false);
+  });
+
+  it('should pause while the screen is locked', () => {
+    powerMonitor.emit('lock-screen');
+    expect(timerManager.pause).toHaveBeenCalledWith('lock');
+
+    powerMonitor.emit('unlock-screen');
+    expect(timerManager.isPaused()).toBe(false);
+  });
+
+  it('should pause once the idle threshold is reached', () => {
+    powerMonitor.getSystemIdleTime.mockReturnValue(4 * 60);
+    vi.advanceTimersByTime(1000);
+    expect(timerManager.isPaused()).toBe(false);
+
+    powerMonitor.getSystemIdleTime.mockReturnValue(5 * 60);
+    vi.advanceTimersByTime(1000);
+    expect(timerManager.pause).toHaveBeenCalledWith('idle');
+
+    powerMonitor.getSystemIdleTime.mockReturnValue(0);
+    vi.advanceTimersByTime(1000);
+    expect(timerManager.isPaused()).toBe(false);
+  });
+
+  it('should ignore events for disabled policies', () => {
+    monitor.setPolicies({ pauseOnLock: false, pauseOnIdle: false });
+
+    powerMonitor.emit('lock-screen');
+    powerMonitor.getSystemIdleTime.mockReturnValue(60 * 60);
+    vi.advanceTimersByTime(1000);
+
+    expect(timerManager.isPaused()).toBe(false);
+  });
+
+  it('should lift a pause when its policy is turned off', () => {
+    powerMonitor.emit('lock-screen');
+    monitor.setPolicies({ pauseOnLock: false });
+
+    expect(timerManager.isPaused()).toBe(false);
+  });
+
+  it('should apply a new idle threshold immediately', () => {
+    powerMonitor.getSystemIdleTime.mockReturnValue(2 * 60);
+    monitor.setPolicies({ idleThresholdMinutes: 1 });
+
+    expect(timerManager.isPaused()).toBe(true);
+    expect(monitor.getPolicies().idleThresholdMinutes).toBe(1);
+  });
+
+  it('should reject invalid policies', () => {
+    expect(() => monitor.setPolicies({ pauseOnIdle: 'yes' })).toThrow('pauseOnIdle must be a boolean');
+    expect(() => monitor.setPolicies({ idleThresholdMinutes: 0 })).toThrow('idleThresholdMinutes must be an integer between 1 and 60');
+  });
+
+  it('should stop listening and lift its pauses when stopped', () => {
+    powerMonitor.emit('suspend');
+    monitor.stop();
+
+    expect(timerManager.isPaused()).toBe(false);
+    expect(powerMonitor.listenerCount('suspend')).toBe(0);
+  });
+});
@@ -167,6 +167,24 @@ describe('QuestionGenerator - Cache and Session Management', () => {
       expect(fs.existsSync(deepPath)).toBe(true);
     });
 
+    it('should save the difficulty the questions were generated for', async () => {
+      generator.setDifficulty('easy');
+      await generator.saveCache([], []);
+
+      const savedData = JSON.parse(fs.readFileSync(tempCachePath, 'utf8'));
+      expect(savedData.difficulty).toBe('easy');
+      expect(generator.cacheMetadata.difficulty).toBe('easy');
+    });
+
+    it('should save the question mode the questions were generated for', async () => {
+      generator.setQuestionMode('mixed');
+      await generator.saveCache([], []);
+
+      const savedData = JSON.parse(fs.readFileSync(tempCachePath, 'utf8'));
+      expect(savedData.questionMode).toBe('mixed');
+      expect(generator.cacheMetadata.questionMode).toBe('mixed');
+    });
+
     it('should update in-memory cache after saving', async () => {
       const questions = [
         { id: 'q1', text: 'Question 1?' },
@@ -190,47 +208,47 @@ describe('QuestionGenerator - Cache and Session Management', () => {
       ];
     });
 
-    it('should return a random unused question', () => {
-      const question = generator.getNextQuestion();
+    it('should return a random unused question', async () => {
+      const question = await generator.getNextQuestion();
 
       expect(question).toBeTruthy();
       expect(['q1', 'q2', 'q3']).toContain(question.id);
     });
 
-    it('should not return used questions', () => {
+    it('should not return used questions', async () => {
       generator.markQuestionUsed('q1');
       generator.markQuestionUsed('q2');
 
-      const question = generator.getNextQuestion();
+      const question = await generator.getNextQuestion();
 
       expect(question).toBeTruthy();
       expect(question.id).toBe('q3');
     });
 
-    it('should return null when all questions are used', () => {
+    it('should return null when all questions are used', async () => {
       generator.markQuestionUsed('q1');
       generator.markQuestionUsed('q2');
       generator.markQuestionUsed('q3');
 
-      const question = generator.getNextQuestion();
+      const question = await generator.getNextQuestion();
 
       expect(question).toBeNull();
     });
 
-    it('should return null when cache is empty', () => {
+    it('should return null when cache is empty', async () => {
       generator.cachedQuestions = [];
 
-      const question = generator.getNextQuestion();
+      const question = await generator.getNextQuestion();
 
       expect(question).toBeNull();
     });
 
-    it('should guarantee uniqueness across multiple calls', () => {
+    it('should guarantee uniqueness across multiple calls', async () => {
       const usedIds = new Set();
 
       // Get all questions
       for (let i = 0; i < 3; i++) {
-        const question = generator.getNextQuestion();
+        const question = await generator.getNextQuestion();
         expect(question).toBeTruthy();
         expect(usedIds.has(question.id)).toBe(false);
         
@@ -239,7 +257,334 @@ describe('QuestionGenerator - Cache and Session Management', () => {
       }
 
       // Fourth call should return null
-      expect(generator.getNextQuestion()).toBeNull();
+      expect(await generator.getNextQuestion()).toBeNull();
+    });
+  });
+
+  describe('spaced repetition', () => {
+    const questions = [
+      { id: 'q1', text: 'Question 1?', type: 'text', correctAnswer: 'One', sourceDocument: '/doc.pdf' },
+      { id: 'q2', text: 'Question 2?', type: 'text', correctAnswer: 'Two', sourceDocument: '/doc.pdf' },
+      { id: 'q3', text: 'Question 3?', type: 'text', correctAnswer: 'Three', sourceDocument: '/doc.pdf' }
+    ];
+
+    beforeEach(async () => {
+      await generator.saveCache(questions.map(q => ({ ...q })), []);
+    });
+
+    const makeDue = (questionId) => {
+      const question = generator.cachedQuestions.find(q => q.id === questionId);
+      const entry = generator.reviewScheduler.getEntry(generator.getReviewKey(question));
+      entry.due = new Date(Date.now() - 1000).toISOString();
+    };
+
+    it('should record answers in the schedule', async () => {
+      const entry = await generator.recordAnswer('q1', true);
+
+      expect(entry.repetitions).toBe(1);
+      expect(entry.interval).toBe(1);
+    });
+
+    it('should ignore answers for unknown questions', async () => {
+      expect(await generator.recordAnswer('missing', true)).toBeNull();
+    });
+
+    it('should serve due questions before new ones', async () => {
+      await generator.recordAnswer('q2', false);
+      makeDue('q2');
+
+      const question = await generator.getNextQuestion();
+
+      expect(question.id).toBe('q2');
+    });
+
+    it('should serve wrong answers again once due, even if used this session', async () => {
+      generator.markQuestionUsed('q1');
+      generator.markQuestionUsed('q2');
+      generator.markQuestionUsed('q3');
+      await generator.recordAnswer('q1', false);
+
+      expect(await generator.getNextQuestion()).toBeNull();
+      expect(generator.hasUnusedQuestions()).toBe(false);
+
+      makeDue('q1');
+
+      expect(generator.hasUnusedQuestions()).toBe(true);
+      expect((await generator.getNextQuestion()).id).toBe('q1');
+    });
+
+    it('should serve questions that are not yet due after new ones, soonest first', async () => {
+      await generator.recordAnswer('q1', true);
+      await generator.recordAnswer('q1', true);
+      await generator.recordAnswer('q2', true);
+      generator.markQuestionUsed('q3');
+
+      // q2 is due in 1 day, q1 (mastering) in 6 days
+      expect((await generator.getNextQuestion()).id).toBe('q2');
+    });
+
+    it('should persist the schedule with the question cache', async () => {
+      await generator.recordAnswer('q1', false);
+
+      const reloaded = new QuestionGenerator({ cachePath: tempCachePath });
+      await reloaded.loadCache();
+
+      const key = reloaded.getReviewKey(reloaded.cachedQuestions[0]);
+      expect(reloaded.reviewScheduler.getEntry(key).lapses).toBe(1);
+    });
+
+    it('should keep the schedule when questions are regenerated with new IDs', async () => {
+      await generator.recordAnswer('q1', false);
+
+      await generator.saveCache(questions.map(q => ({ ...q, id: `new_${q.id}` })), []);
+
+      const key = generator.getReviewKey(generator.cachedQuestions[0]);
+      expect(generator.reviewScheduler.getEntry(key)).toBeTruthy();
+    });
+
+    it('should drop the schedule of questions no longer cached', async () => {
+      await generator.recordAnswer('q1', false);
+      const key = generator.getReviewKey(generator.cachedQuestions[0]);
+
+      await generator.saveCache([questions[1]], []);
+
+      expect(generator.reviewScheduler.getEntry(key)).toBeNull();
+    });
+
+    it('should report due and mastered questions in session stats', async () => {
+      await generator.recordAnswer('q1', false);
+      makeDue('q1');
+
+      const stats = generator.getSessionStats();
+
+      expect(stats.dueQuestions).toBe(1);
+      expect(stats.masteredQuestions).toBe(0);
+    });
+  });
+
+  describe('cache limit', () => {
+    const makeQuestions = (count, prefix, fromDeck) => Array.from({ length: count }, (_, i) => ({
+      id: `${prefix}${i}`,
+      text: `${prefix} question ${i}?`,
+      type: 'text',
+      correctAnswer: `answer ${i}`,
+      explanation: '',
+      sourceDocument: fromDeck ? '/docs/big.deck.json' : '/docs/notes.md',
+      ...(fromDeck ? { fromDeck: true } : {})
+    }));
+
+    it('should keep generated questions when a large deck fills the cache', async () => {
+      const limited = new QuestionGenerator({ cachePath: tempCachePath, maxCachedQuestions: 10 });
+      await limited.saveCache([...makeQuestions(30, 'deck', true), ...makeQuestions(10, 'gen', false)]);
+
+      const deck = limited.cachedQuestions.filter(q => q.fromDeck);
+      const generated = limited.cachedQuestions.filter(q => !q.fromDeck);
+      expect(limited.cachedQuestions).toHaveLength(10);
+      expect(deck.map(q => q.id)).toEqual(['deck0', 'deck1', 'deck2', 'deck3', 'deck4', 'deck5', 'deck6', 'deck7']);
+      expect(generated.map(q => q.id)).toEqual(['gen0', 'gen1']);
+
+      const reloaded = new QuestionGenerator({ cachePath: tempCachePath, maxCachedQuestions: 5 });
+      await reloaded.loadCache();
+      expect(reloaded.cachedQuestions.filter(q => !q.fromDeck)).toHaveLength(1);
+      expect(reloaded.cachedQuestions).toHaveLength(5);
+    });
+
+    it('should keep one generated question even when the deck alone exceeds the limit', async () => {
+      const limited = new QuestionGenerator({ cachePath: tempCachePath, maxCachedQuestions: 10 });
+      await limited.saveCache([...makeQuestions(200, 'deck', true), ...makeQuestions(1, 'gen', false)]);
+
+      expect(limited.cachedQuestions).toHaveLength(10);
+      expect(limited.cachedQuestions.filter(q => !q.fromDeck).map(q => q.id)).toEqual(['gen0']);
+    });
+  });
+
+  describe('importQuestions', () => {
+    const cached = {
+      id: 'q1',
+      text: 'What is the capital of France?',
+      type: 'multiple-choice',
+      options: ['Paris', 'London', 'Berlin'],
+      correctAnswer: 0,
+      explanation: 'Paris is the capital of France.',
+      sourceDocument: '/docs/geo.pdf'
+    };
+
+    beforeEach(async () => {
+      await generator.saveCache([cached]);
+    });
+
+    it('should merge new questions and persist them', async () => {
+      const result = await generator.importQuestions([
+        { id: 'q2', text: 'Powerhouse of the cell?', type: 'text', correctAnswer: 'mitochondria', explanation: '', sourceDocument: null }
+      ]);
+
+      expect(result).toEqual({ imported: 1, duplicates: 0, dropped: 0 });
+
+      const reloaded = new QuestionGenerator({ cachePath: tempCachePath });
+      await reloaded.loadCache();
+      expect(reloaded.cachedQuestions.map(q => q.id)).toEqual(['q1', 'q2']);
+    });
+
+    it('should skip questions with the same text and answer', async () => {
+      const result = await generator.importQuestions([
+        { ...cached, id: 'other', text: '  what is the capital of  FRANCE? ', options: ['Madrid', 'Paris'], correctAnswer: 1, sourceDocument: 'geo.pdf' }
+      ]);
+
+      expect(result.duplicates).toBe(1);
+      expect(result.imported).toBe(0);
+      expect(generator.cachedQuestions).toHaveLength(1);
+    });
+
+    it('should give clashing IDs a new ID', async () => {
+      await generator.importQuestions([
+        { id: 'q1', text: 'Largest planet?', type: 'text', correctAnswer: 'Jupiter', explanation: '', sourceDocument: null }
+      ]);
+
+      const ids = generator.cachedQuestions.map(q => q.id);
+      expect(new Set(ids).size).toBe(2);
+      expect(generator.cachedQuestions[1].text).toBe('Largest planet?');
+    });
+
+    it('should report questions over the cache limit', async () => {
+      const limited = new QuestionGenerator({ cachePath: tempCachePath, maxCachedQuestions: 2 });
+      await limited.loadCache();
+
+      const result = await limited.importQuestions([
+        { id: 'a', text: 'One?', type: 'text', correctAnswer: 'one' },
+        { id: 'b', text: 'Two?', type: 'text', correctAnswer: 'two' }
+      ]);
+
+      expect(result).toEqual({ imported: 1, duplicates: 0, dropped: 1 });
+      expect(limited.cachedQuestions).toHaveLength(2);
+    });
+
+    it('should keep imported questions when questions are regenerated', async () => {
+      await generator.importQuestions([
+        { id: 'q2', text: 'Powerhouse of the cell?', type: 'text', correctAnswer: 'mitochondria', explanation: '', sourceDocument: '/elsewhere/bio.pdf' }
+      ]);
+
+      await generator.saveCache([{ ...cached, id: 'q3', text: 'What is the capital of Spain?' }], ['/docs/geo.pdf']);
+
+      const texts = generator.cachedQuestions.map(q => q.text);
+      expect(texts).toContain('Powerhouse of the cell?');
+      expect(texts).toContain('What is the capital of Spain?');
+      expect(texts).not.toContain(cached.text);
+      expect(generator.cachedQuestions.find(q => q.id === 'q2').imported).toBe(true);
+    });
+  });
+
+  describe('question review and editing', () => {
+    const generated = () => [
+      {
+        id: `q_${Math.random()}`,
+        text: 'What organelle is the powerhouse of the cell?',
+        type: 'multiple-choice',
+        options: ['ribosome', 'mitochondria', 'nucleus'],
+        correctAnswer: 1,
+        explanation: 'From the source material.',
+        sourceDocument: '/docs/bio.pdf'
+      },
+      {
+        id: `q_${Math.random()}`,
+        text: 'Fill in the blank: Plants use _____ to make food.',
+        type: 'text',
+        correctAnswer: 'photosynthesis',
+        explanation: '',
+        sourceDocument: '/docs/plants.md'
+      }
+    ];
+
+    let first;
+
+    beforeEach(async () => {
+      await generator.saveCache(generated(), ['/docs/bio.pdf', '/docs/plants.md']);
+      first = generator.cachedQuestions[0];
+    });
+
+    it('should group questions by source document', async () => {
+      const groups = await generator.getQuestionsByDocument();
+
+      expect(groups.map(g => g.sourceDocument)).toEqual(['/docs/bio.pdf', '/docs/plants.md']);
+      expect(groups[0].questions).toHaveLength(1);
+    });
+
+    it('should edit a question and persist the edit', async () => {
+      const updated = await generator.updateQuestion(first.id, {
+        text: 'Which organelle produces ATP?',
+        options: ['ribosome', 'mitochondria', 'golgi apparatus'],
+        correctAnswer: 1
+      });
+
+      expect(updated).toMatchObject({ text: 'Which organelle produces ATP?', edited: true });
+      expect(updated.options[2]).toBe('golgi apparatus');
+
+      const reloaded = new QuestionGenerator({ cachePath: tempCachePath });
+      await reloaded.loadCache();
+      expect(reloaded.cachedQuestions[0].text).toBe('Which organelle produces ATP?');
+    });
+
+    it('should reject invalid edits', async () => {
+      await expect(generator.updateQuestion(first.id, { correctAnswer: 7 })).rejects.toThrow('correctAnswer');
+      await expect(generator.updateQuestion('missing', { text: 'x' })).rejects.toThrow('Question not found');
+      expect(generator.cachedQuestions[0].correctAnswer).toBe(1);
+    });
+
+    it('should re-apply edits when the question is generated again', async () => {
+      await generator.updateQuestion(first.id, { text: 'Which organelle produces ATP?', explanation: 'Edited.' });
+
+      await generator.saveCache(generated(), ['/docs/bio.pdf', '/docs/plants.md']);
+
+      expect(generator.cachedQuestions).toHaveLength(2);
+      const regenerated = generator.cachedQuestions.find(q => q.sourceDocument === '/docs/bio.pdf');
+      expect(regenerated).toMatchObject({ text: 'Which organelle produces ATP?', explanation: 'Edited.', edited: true });
+    });
+
+    it('should carry over edited and pinned questions that were not generated again', async () => {
+      await generator.updateQuestion(first.id, { explanation: 'Edited.' });
+      await generator.updateQuestion(generator.cachedQuestions[1].id, { pinned: true });
+
+      await generator.saveCache([], ['/docs/bio.pdf', '/docs/plants.md']);
+
+      expect(generator.cachedQuestions.map(q => q.sourceDocument).sort()).toEqual(['/docs/bio.pdf', '/docs/plants.md']);
+    });
+
+    it('should not carry over questions from removed documents', async () => {
+      await generator.updateQuestion(first.id, { pinned: true });
+
+      await generator.saveCache([], ['/docs/plants.md']);
+
+      expect(generator.cachedQuestions).toEqual([]);
+    });
+
+    it('should keep the review schedule when a question is edited', async () => {
+      await generator.recordAnswer(first.id, false);
+      const key = generator.getReviewKey(first);
+
+      const updated = await generator.updateQuestion(first.id, { text: 'Which organelle produces ATP?' });
+
+      expect(generator.getReviewKey(updated)).toBe(key);
+      expect(generator.reviewScheduler.getEntry(key)).toBeTruthy();
+    });
+
+    it('should skip disabled questions', async () => {
+      await generator.updateQuestion(generator.cachedQuestions[1].id, { disabled: true });
+
+      for (let i = 0; i < 5; i++) {
+        expect((await generator.getNextQuestion()).id).toBe(first.id);
+      }
+
+      generator.markQuestionUsed(first.id);
+      expect(generator.hasUnusedQuestions()).toBe(false);
+    });
+
+    it('should keep deleted questions out after regeneration', async () => {
+      expect(await generator.deleteQuestion(first.id)).toBe(true);
+      expect(generator.cachedQuestions).toHaveLength(1);
+
+      await generator.saveCache(generated(), ['/docs/bio.pdf', '/docs/plants.md']);
+
+      expect(generator.cachedQuestions.map(q => q.sourceDocument)).toEqual(['/docs/plants.md']);
+      expect(await generator.deleteQuestion('missing')).toBe(false);
     });
   });
 
@@ -281,7 +626,7 @@ describe('QuestionGenerator - Cache and Session Management', () => {
   });
 
   describe('resetSession', () => {
-    it('should clear all used questions', () => {
+    it('should clear all used questions', async () => {
       generator.cachedQuestions = [
         { id: 'q1', text: 'Question 1?' },
         { id: 'q2', text: 'Question 2?' }
@@ -295,7 +640,7 @@ describe('QuestionGenerator - Cache and Session Management', () => {
       generator.resetSession();
 
       expect(generator.usedQuestionIds.size).toBe(0);
-      expect(generator.getNextQuestion()).toBeTruthy();
+      expect(await generator.getNextQuestion()).toBeTruthy();
     });
 
     it('should not affect cached questions', () => {
@@ -391,6 +736,183 @@ describe('QuestionGenerator - Cache and Session Management', () => {
 
       expect(result).toBe(false);
     });
+
+    it('should return true when difficulty has changed', () => {
+      generator.cacheMetadata.difficulty = 'medium';
+      generator.setDifficulty('hard');
+
+      const result = generator.needsCacheRegeneration(['/doc1.pdf', '/doc2.md']);
+
+      expect(result).toBe(true);
+    });
+
+    it('should treat caches without difficulty as medium', () => {
+      const result = generator.needsCacheRegeneration(['/doc1.pdf', '/doc2.md']);
+
+      expect(result).toBe(false);
+    });
+
+    it('should return true when question mode has changed', () => {
+      generator.setQuestionMode('text');
+
+      const result = generator.needsCacheRegeneration(['/doc1.pdf', '/doc2.md']);
+
+      expect(result).toBe(true);
+    });
+  });
+
+  describe('content fingerprints', () => {
+    let docDir;
+    let docA;
+    let docB;
+
+    const makeDocument = (filePath, topic) => ({
+      filePath,
+      content: `${topic} networks process information through connected layers. ` +
+        `${topic} networks learn patterns from training examples. ` +
+        `Training examples improve ${topic.toLowerCase()} networks over many iterations. ` +
+        `Connected layers transform information into useful patterns.`,
+      metadata: { title: topic }
+    });
+
+    beforeEach(() => {
+      docDir = fs.mkdtempSync(path.join(os.tmpdir(), 'question-docs-test-'));
+      docA = path.join(docDir, 'a.txt');
+      docB = path.join(docDir, 'b.txt');
+      fs.writeFileSync(docA, 'Neural notes', 'utf8');
+      fs.writeFileSync(docB, 'Quantum notes', 'utf8');
+    });
+
+    afterEach(() => {
+      fs.rmSync(docDir, { recursive: true, force: true });
+    });
+
+    it('should record a content hash for each document when saving', async () => {
+      await generator.saveCache([], [docA]);
+
+      const savedData = JSON.parse(fs.readFileSync(tempCachePath, 'utf8'));
+      const fingerprint = savedData.documentFingerprints[path.resolve(docA)];
+      expect(fingerprint.hash).toMatch(/^[0-9a-f]{64}$/);
+      expect(fingerprint.size).toBe(fs.statSync(docA).size);
+    });
+
+    it('should skip documents that cannot be read', async () => {
+      await generator.saveCache([], ['/does/not/exist.txt']);
+
+      expect(generator.cacheMetadata.documentFingerprints).toEqual({});
+      expect(generator.cacheMetadata.documentHashes).toEqual(['/does/not/exist.txt']);
+    });
+
+    it('should keep document metadata when saving without document paths', async () => {
+      await generator.saveCache([], [docA]);
+      await generator.saveCache();
+
+      expect(generator.cacheMetadata.documentHashes).toEqual([docA]);
+      expect(generator.cacheMetadata.documentFingerprints[path.resolve(docA)]).toBeDefined();
+    });
+
+    it('should report unchanged documents', async () => {
+      await generator.saveCache([], [docA, docB]);
+
+      const changes = await generator.detectDocumentChanges([docA, docB]);
+
+      expect(changes.unchanged).toEqual([path.resolve(docA), path.resolve(docB)]);
+      expect(changes.changed).toEqual([]);
+      expect(changes.fullRegeneration).toBe(false);
+    });
+
+    it('should detect documents edited in place', async () => {
+      await generator.saveCache([], [docA, docB]);
+      fs.writeFileSync(docA, 'Neural notes, revised', 'utf8');
+
+      const changes = await generator.detectDocumentChanges([docA, docB]);
+
+      expect(changes.changed).toEqual([path.resolve(docA)]);
+      expect(changes.unchanged).toEqual([path.resolve(docB)]);
+    });
+
+    it('should treat touched but identical documents as unchanged', async () => {
+      await generator.saveCache([], [docA]);
+      const future = new Date(Date.now() + 60000);
+      fs.utimesSync(docA, future, future);
+
+      const changes = await generator.detectDocumentChanges([docA]);
+
+      expect(changes.unchanged).toEqual([path.resolve(docA)]);
+    });
+
+    it('should detect documents whose selected pages or sections changed', async () => {
+      generator.setDocumentSelections({ [path.resolve(docA)]: { pages: '1-4' } });
+      await generator.saveCache([], [docA, docB]);
+
+      expect((await generator.detectDocumentChanges([docA, docB])).changed).toEqual([]);
+
+      generator.setDocumentSelections({ [path.resolve(docA)]: { pages: '5-8' } });
+      expect((await generator.detectDocumentChanges([docA, docB])).changed).toEqual([path.resolve(docA)]);
+
+      generator.setDocumentSelections({});
+      expect((await generator.detectDocumentChanges([docA, docB])).changed).toEqual([path.resolve(docA)]);
+    });
+
+    it('should report added and removed documents', async () => {
+      await generator.saveCache([], [docA]);
+
+      const changes = await generator.detectDocumentChanges([docB]);
+
+      expect(changes.added).toEqual([path.resolve(docB)]);
+      expect(changes.removed).toEqual([path.resolve(docA)]);
+    });
+
+    it('should require full regeneration when difficulty changed', async () => {
+      await generator.saveCache([], [docA]);
+      generator.setDifficulty('hard');
+
+      const changes = await generator.detectDocumentChanges([docA]);
+
+      expect(changes.fullRegeneration).toBe(true);
+    });
+
+    it('should regenerate only questions from changed documents', async () => {
+      const questionsA = generator.generateQuestions([makeDocument(path.resolve(docA), 'Neural')], 2);
+      const questionsB = generator.generateQuestions([makeDocument(path.resolve(docB), 'Quantum')], 2);
+      await generator.saveCache([...questionsA, ...questionsB], [docA, docB]);
+      generator.markQuestionUsed(questionsB[0].id);
+      generator.markQuestionUsed(questionsA[0].id);
+
+      fs.writeFileSync(docA, 'Neural notes, revised', 'utf8');
+      const changes = await generator.detectDocumentChanges([docA, docB]);
+      const result = await generator.applyDocumentChanges(
+        [makeDocument(path.resolve(docA), 'Neural')],
+        changes,
+        4
+      );
+
+      expect(result.kept).toBe(questionsB.length);
+      expect(result.discarded).toBe(questionsA.length);
+      expect(result.generated).toBeGreaterThan(0);
+
+      const ids = generator.cachedQuestions.map(q => q.id);
+      questionsB.forEach(q => expect(ids).toContain(q.id));
+      questionsA.forEach(q => expect(ids).not.toContain(q.id));
+
+      // Used state survives for unchanged documents only
+      expect(generator.usedQuestionIds.has(questionsB[0].id)).toBe(true);
+      expect(generator.usedQuestionIds.has(questionsA[0].id)).toBe(false);
+
+      const followUp = await generator.detectDocumentChanges([docA, docB]);
+      expect(followUp.changed).toEqual([]);
+    });
+
+    it('should drop questions from removed documents', async () => {
+      const questionsA = generator.generateQuestions([makeDocument(path.resolve(docA), 'Neural')], 2);
+      await generator.saveCache(questionsA, [docA]);
+
+      const changes = await generator.detectDocumentChanges([]);
+      await generator.applyDocumentChanges([], changes);
+
+      expect(generator.cachedQuestions).toEqual([]);
+      expect(generator.cacheMetadata.documentHashes).toEqual([]);
+    });
   });
 
   describe('Integration: Full cache workflow', () => {
@@ -426,11 +948,11 @@ describe('QuestionGenerator - Cache and Session Management', () => {
       expect(generator2.cachedQuestions.length).toBe(questions.length);
 
       // Get and use questions
-      const q1 = generator2.getNextQuestion();
+      const q1 = await generator2.getNextQuestion();
       expect(q1).toBeTruthy();
       generator2.markQuestionUsed(q1.id);
 
-      const q2 = generator2.getNextQuestion();
+      const q2 = await generator2.getNextQuestion();
       expect(q2).toBeTruthy();
       expect(q2.id).not.toBe(q1.id);
       generator2.markQuestionUsed(q2.id);
@@ -445,7 +967,7 @@ describe('QuestionGenerator - Cache and Session Management', () => {
       expect(generator3.usedQuestionIds.has(q1.id)).toBe(true);
       expect(generator3.usedQuestionIds.has(q2.id)).toBe(true);
       
-      const q3 = generator3.getNextQuestion();
+      const q3 = await generator3.getNextQuestion();
       expect(q3).toBeTruthy();
       expect(q3.id).not.toBe(q1.id);
       expect(q3.id).not.toBe(q2.id);
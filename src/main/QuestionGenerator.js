@@ -1,15 +1,24 @@
+const crypto = require('crypto');
+const { DIFFICULTY_LEVELS, QUESTION_MODES } = require('../shared/constants');
+const ReviewScheduler = require('./ReviewScheduler');
+const QuestionSerializer = require('./QuestionSerializer');
+const TextLanguage = require('./TextLanguage');
+
 /**
  * @typedef {Object} DocumentContent
  * @property {string} filePath - Path to the document
  * @property {string} content - Extracted text content
  * @property {Object} metadata - Document metadata
+ * @property {Question[]} [questions] - Hand-authored questions (for question decks)
  */
 
 /**
  * @typedef {Object} Keyword
- * @property {string} word - The keyword
- * @property {number} frequency - Number of occurrences
+ * @property {string} word - The keyword, in its most frequent form
+ * @property {number} frequency - Number of occurrences of all its forms
  * @property {number} score - Relevance score
+ * @property {string} stem - Stem shared by its forms
+ * @property {string[]} forms - Forms found in the text, e.g. "cell" and "cells", most frequent first
  */
 
 /**
@@ -17,18 +26,119 @@
  * @property {string} sentence - The source sentence
  * @property {string[]} keywords - Keywords found in the sentence
  * @property {string} sourceDocument - Path to source document
+ * @property {string} [section] - Section (e.g. chapter) of the document the sentence is in
+ * @property {number} [slide] - Slide number the sentence is on (for presentations)
+ * @property {string} [timestamp] - Time in the recording the sentence was said, e.g. "12:34" (for lecture transcripts)
+ * @property {boolean} [highValue] - Whether the sentence is part of a definition or theorem
+ */
+
+/**
+ * @typedef {Object} ListSource
+ * @property {string} heading - Heading the list is under, e.g. the slide title
+ * @property {string[]} items - List items short enough to be answer options
+ * @property {string} sourceDocument - Path to source document
+ * @property {string} [section] - Section of the document the list is in
+ * @property {number} [slide] - Slide number the list is on (for presentations)
+ */
+
+/**
+ * @typedef {Object} GlossarySource
+ * @property {string} term - Glossary term
+ * @property {string} definition - Definition of the term
+ * @property {string} sourceDocument - Path to source document
  */
 
 /**
  * @typedef {Object} Question
  * @property {string} id - Unique question identifier
  * @property {string} text - The question text
- * @property {string} type - Question type ('multiple-choice')
- * @property {string[]} options - Array of answer options
- * @property {number} correctAnswer - Index of correct answer
+ * @property {'multiple-choice'|'text'} type - Question type
+ * @property {string[]} [options] - Array of answer options (multiple-choice only)
+ * @property {number|string} correctAnswer - Index of correct answer, or the answer text for text questions
  * @property {string} explanation - Explanation of the correct answer
  * @property {string} sourceDocument - Path to source document
+ * @property {'easy'|'medium'|'hard'} [difficulty] - Difficulty the question was generated for
+ * @property {string} [concept] - Key term the question tests
+ * @property {string} [section] - Section (e.g. chapter) of the source document the question came from
+ * @property {number} [slide] - Slide the question came from (for presentations)
+ * @property {string} [timestamp] - Time in the lecture the answer was given, e.g. "12:34" (for lecture transcripts)
+ * @property {string} [originKey] - Review key of the question as first generated, used to re-apply edits after regeneration
+ * @property {boolean} [edited] - Whether the question was edited by hand
+ * @property {boolean} [pinned] - Whether the question is kept across regeneration
+ * @property {boolean} [imported] - Whether the question was imported from a question bank file
+ * @property {boolean} [disabled] - Whether the question is left out of scare sequences
+ * @property {boolean} [fromDeck] - Whether the question came from a hand-authored deck
+ */
+
+/**
+ * @typedef {Object} QuestionOverride
+ * @property {Object} [edits] - Hand-edited fields (text, type, options, correctAnswer, explanation)
+ * @property {boolean} [pinned] - Keep the question across regeneration
+ * @property {boolean} [disabled] - Leave the question out of scare sequences
+ * @property {boolean} [deleted] - Drop the question whenever it is generated again
+ */
+
+/**
+ * @typedef {Object} DocumentFingerprint
+ * @property {string} hash - SHA-256 hash of the file contents
+ * @property {number} size - File size in bytes
+ * @property {number} mtimeMs - Last modification time in milliseconds
+ * @property {string} [selection] - Pages or sections the questions were generated from, as JSON
+ */
+
+/**
+ * @typedef {Object} DocumentChanges
+ * @property {string[]} added - Documents without cached questions
+ * @property {string[]} changed - Documents whose contents or selected pages or sections changed since the cache was saved
+ * @property {string[]} removed - Cached documents that are no longer configured
+ * @property {string[]} unchanged - Documents whose cached questions are still valid
+ * @property {boolean} fullRegeneration - True if the whole cache must be regenerated (no cache, or difficulty or question mode changed)
+ */
+
+/**
+ * @typedef {Object} DifficultyProfile
+ * @property {number} distractorCount - Number of wrong options per question
+ * @property {'dissimilar'|'random'|'similar'} distractorStrategy - How distractors are chosen
+ * @property {'common'|'longest'|'rare'} keywordPreference - Which keyword in a sentence is blanked
+ * @property {number} minSentenceLength - Minimum source sentence length in characters
+ * @property {number|null} maxSentenceLength - Maximum source sentence length (null for no limit)
+ * @property {'shortest'|'longest'|null} sentenceOrder - Preferred source sentence ordering
+ */
+
+/**
+ * Question generation settings for each difficulty level.
+ * Medium matches the original generation behaviour.
+ * @type {Object<string, DifficultyProfile>}
  */
+const DIFFICULTY_PROFILES = {
+  easy: {
+    distractorCount: 2,
+    distractorStrategy: 'dissimilar',
+    keywordPreference: 'common',
+    minSentenceLength: 20,
+    maxSentenceLength: 140,
+    sentenceOrder: 'shortest'
+  },
+  medium: {
+    distractorCount: 3,
+    distractorStrategy: 'random',
+    keywordPreference: 'longest',
+    minSentenceLength: 20,
+    maxSentenceLength: null,
+    sentenceOrder: null
+  },
+  hard: {
+    distractorCount: 3,
+    distractorStrategy: 'similar',
+    keywordPreference: 'rare',
+    minSentenceLength: 80,
+    maxSentenceLength: null,
+    sentenceOrder: 'longest'
+  }
+};
+
+// Longest list item that still reads well as an answer option
+const MAX_LIST_ITEM_LENGTH = 80;
 
 /**
  * Generates educational questions from processed documents
@@ -42,6 +152,9 @@ class QuestionGenerator {
    * @param {string} [options.cachePath] - Path to cache file (default: questions.json in user data)
    * @param {number} [options.maxCachedQuestions] - Maximum questions to keep in memory (default: 100)
    * @param {boolean} [options.lazyLoad] - Enable lazy loading of questions (default: true)
+   * @param {'easy'|'medium'|'hard'} [options.difficulty] - Question difficulty (default: 'medium')
+   * @param {'multiple-choice'|'text'|'mixed'} [options.questionMode] - Question types to generate (default: 'multiple-choice')
+   * @param {number} [options.deckWeight] - Percent chance (0-100) of picking a deck question over a generated one (default: 50)
    */
   constructor(options = {}) {
     this.minKeywordLength = options.minKeywordLength || 4;
@@ -49,6 +162,12 @@ class QuestionGenerator {
     this.minKeywordFrequency = options.minKeywordFrequency || 2;
     this.maxCachedQuestions = options.maxCachedQuestions || 100;
     this.lazyLoad = options.lazyLoad !== false; // Default to true
+    this.difficulty = DIFFICULTY_LEVELS.includes(options.difficulty) ? options.difficulty : 'medium';
+    this.questionMode = QUESTION_MODES.includes(options.questionMode) ? options.questionMode : 'multiple-choice';
+    this.deckWeight = QuestionGenerator.isValidDeckWeight(options.deckWeight) ? options.deckWeight : 50;
+    
+    // Pages or sections each document is limited to, keyed by resolved path
+    this.documentSelections = {};
     
     // Cache and session management
     const fs = require('fs');
@@ -77,58 +196,69 @@ class QuestionGenerator {
     this.usedQuestionIds = new Set();
     this.cacheMetadata = {
       generated: null,
-      documentHashes: []
+      documentHashes: [],
+      documentFingerprints: {},
+      difficulty: null,
+      questionMode: null
     };
     
+    // Spaced repetition schedule, persisted with the question cache
+    this.reviewScheduler = new ReviewScheduler();
+    
+    // Hand edits, pins, disables and deletions keyed by origin key, persisted with the question cache
+    /** @type {Object<string, QuestionOverride>} */
+    this.questionOverrides = {};
+    
     // Lazy loading state
     this.cacheLoaded = false;
     
-    // Common stop words to filter out
-    this.stopWords = new Set([
-      'the', 'be', 'to', 'of', 'and', 'a', 'in', 'that', 'have', 'i',
-      'it', 'for', 'not', 'on', 'with', 'he', 'as', 'you', 'do', 'at',
-      'this', 'but', 'his', 'by', 'from', 'they', 'we', 'say', 'her', 'she',
-      'or', 'an', 'will', 'my', 'one', 'all', 'would', 'there', 'their',
-      'what', 'so', 'up', 'out', 'if', 'about', 'who', 'get', 'which', 'go',
-      'me', 'when', 'make', 'can', 'like', 'time', 'no', 'just', 'him', 'know',
-      'take', 'people', 'into', 'year', 'your', 'good', 'some', 'could', 'them',
-      'see', 'other', 'than', 'then', 'now', 'look', 'only', 'come', 'its', 'over',
-      'think', 'also', 'back', 'after', 'use', 'two', 'how', 'our', 'work',
-      'first', 'well', 'way', 'even', 'new', 'want', 'because', 'any', 'these',
-      'give', 'day', 'most', 'us', 'is', 'was', 'are', 'been', 'has', 'had',
-      'were', 'said', 'did', 'having', 'may', 'should', 'does', 'being'
-    ]);
+    // Stop words of English, the default language; other languages use those of TextLanguage
+    this.stopWords = TextLanguage.getStopWords('en');
   }
 
   /**
    * Extract keywords from document content using frequency analysis
+   * Words are counted by stem, so the forms of a word (e.g. "Zelle" and "Zellen") are one keyword
    * @param {string} content - Document text content
+   * @param {string} [language] - Language of the content (default: detected from the content)
    * @returns {Keyword[]} - Array of keywords sorted by relevance score
    */
-  extractKeywords(content) {
+  extractKeywords(content, language = null) {
     if (!content || typeof content !== 'string' || content.trim().length === 0) {
       return [];
     }
 
+    const contentLanguage = language || TextLanguage.detect(content);
+    const stopWords = contentLanguage === 'en' ? this.stopWords : TextLanguage.getStopWords(contentLanguage);
+    const stemOf = this._stemmer(contentLanguage);
+
     // Tokenize: split into words and normalize
-    const words = content
-      .toLowerCase()
-      .replace(/[^\w\s'-]/g, ' ') // Keep hyphens and apostrophes
-      .split(/\s+/)
+    const words = TextLanguage.tokenize(content, contentLanguage)
       .filter(word => word.length >= this.minKeywordLength)
-      .filter(word => !this.stopWords.has(word))
+      .filter(word => !stopWords.has(word))
       .filter(word => !/^\d+$/.test(word)); // Filter out pure numbers
 
-    // Count word frequencies
-    const frequencyMap = new Map();
+    // Count the frequencies of each stem and of its forms
+    const stemMap = new Map();
     words.forEach(word => {
-      frequencyMap.set(word, (frequencyMap.get(word) || 0) + 1);
+      const stem = stemOf(word);
+      if (!stemMap.has(stem)) {
+        stemMap.set(stem, { frequency: 0, forms: new Map() });
+      }
+      const entry = stemMap.get(stem);
+      entry.frequency++;
+      entry.forms.set(word, (entry.forms.get(word) || 0) + 1);
     });
 
     // Filter by minimum frequency and calculate scores
-    const keywords = Array.from(frequencyMap.entries())
-      .filter(([_, frequency]) => frequency >= this.minKeywordFrequency)
-      .map(([word, frequency]) => {
+    const keywords = Array.from(stemMap.entries())
+      .filter(([_, entry]) => entry.frequency >= this.minKeywordFrequency)
+      .map(([stem, { frequency, forms }]) => {
+        const sortedForms = Array.from(forms.entries())
+          .sort((a, b) => b[1] - a[1])
+          .map(([form]) => form);
+        const word = sortedForms[0];
+
         // Score based on frequency and word length
         // Longer words tend to be more specific/important
         const lengthBonus = Math.min(word.length / 10, 1.5);
@@ -137,7 +267,9 @@ class QuestionGenerator {
         return {
           word,
           frequency,
-          score
+          score,
+          stem,
+          forms: sortedForms
         };
       })
       .sort((a, b) => b.score - a.score)
@@ -148,11 +280,13 @@ class QuestionGenerator {
 
   /**
    * Extract sentences containing specific keywords
+   * A sentence contains a keyword if it has any form of it, e.g. "cells" for "cell"
    * @param {string} content - Document text content
    * @param {string[]} keywords - Keywords to search for
+   * @param {string} [language] - Language of the content (default: detected from the content)
    * @returns {string[]} - Array of sentences containing keywords
    */
-  extractSentencesWithKeywords(content, keywords) {
+  extractSentencesWithKeywords(content, keywords, language = null) {
     if (!content || !keywords || keywords.length === 0) {
       return [];
     }
@@ -165,20 +299,19 @@ class QuestionGenerator {
       .map(s => s.trim())
       .filter(s => s.length > 20); // Filter out very short sentences
 
-    // Create keyword set for efficient lookup (case-insensitive)
-    const keywordSet = new Set(keywords.map(k => k.toLowerCase()));
+    // Create keyword stem set for efficient lookup (case-insensitive)
+    const contentLanguage = language || TextLanguage.detect(content);
+    const stemOf = this._stemmer(contentLanguage);
+    const keywordStems = new Set(keywords.map(k => stemOf(k.toLowerCase())));
 
     // Find sentences containing keywords
     const matchingSentences = [];
     
     sentences.forEach(sentence => {
-      const sentenceWords = sentence
-        .toLowerCase()
-        .replace(/[^\w\s'-]/g, ' ')
-        .split(/\s+/);
+      const sentenceWords = TextLanguage.tokenize(sentence, contentLanguage);
       
       // Check if sentence contains any keywords
-      const foundKeywords = sentenceWords.filter(word => keywordSet.has(word));
+      const foundKeywords = sentenceWords.filter(word => keywordStems.has(stemOf(word)));
       
       if (foundKeywords.length > 0) {
         matchingSentences.push({
@@ -205,37 +338,208 @@ class QuestionGenerator {
       return {
         keywords: [],
         sourceSentences: [],
+        listSources: [],
+        listItems: [],
+        glossarySources: [],
         documentPath: document?.filePath || 'unknown'
       };
     }
 
-    // Extract keywords
-    const keywords = this.extractKeywords(document.content);
+    // Extract keywords in the document's own language
+    const language = TextLanguage.detect(document.content);
+    const keywords = this.extractKeywords(document.content, language);
 
     // Extract sentences containing these keywords
     const keywordStrings = keywords.map(k => k.word);
+    const keywordStems = new Set(keywords.map(k => k.stem));
+    const stemOf = this._stemmer(language);
+    const glossary = Array.isArray(document.metadata?.glossary) ? document.metadata.glossary : [];
+    const glossaryLines = this._glossaryLines(document.content, glossary);
+    // Glossary entries get their own questions, so their lines are left out of cloze sentences
     const sourceSentences = this.extractSentencesWithKeywords(
       document.content,
-      keywordStrings
-    );
+      keywordStrings,
+      language
+    ).filter(sentence => !glossaryLines.some(line => sentence.includes(line) || line.includes(sentence)));
+
+    // Sentences inside definitions and theorems make the best questions, so they go first
+    const keyBlocks = Array.isArray(document.metadata?.keyBlocks) ? document.metadata.keyBlocks : [];
+    const highValue = new Set(keyBlocks.length === 0 ? [] : sourceSentences.filter(sentence => {
+      const position = document.content.indexOf(sentence);
+      return keyBlocks.some(block => position >= block.offset && position < block.offset + block.text.length);
+    }));
+    const orderedSentences = [
+      ...sourceSentences.filter(sentence => highValue.has(sentence)),
+      ...sourceSentences.filter(sentence => !highValue.has(sentence))
+    ];
 
     // Create question sources with metadata
-    const questionSources = sourceSentences.slice(0, 50).map(sentence => ({
-      sentence,
-      keywords: keywordStrings.filter(kw => 
-        sentence.toLowerCase().includes(kw.toLowerCase())
-      ),
-      sourceDocument: document.filePath
-    }));
+    const questionSources = orderedSentences.slice(0, 50).map(sentence => {
+      // The forms of the keywords as they appear in the sentence, so they can be blanked out
+      const sentenceKeywords = TextLanguage.tokenize(sentence, language).filter(word => keywordStems.has(stemOf(word)));
+      const source = {
+        sentence,
+        keywords: Array.from(new Set(sentenceKeywords)),
+        sourceDocument: document.filePath
+      };
+
+      if (highValue.has(sentence)) {
+        source.highValue = true;
+      }
+
+      const timestamp = this.findTimestamp(document, sentence);
+      if (timestamp) {
+        source.timestamp = timestamp.time;
+      }
+
+      return this._tagSection(source, document, sentence);
+    });
+
+    // Bullet lists become "which of these belongs to" sources
+    const lists = Array.isArray(document.metadata?.lists) ? document.metadata.lists : [];
+    const listSources = lists
+      .filter(list => list && list.heading && Array.isArray(list.items))
+      .map(list => ({
+        heading: list.heading,
+        items: list.items.filter(item => typeof item === 'string' && item.trim() && item.length <= MAX_LIST_ITEM_LENGTH),
+        sourceDocument: document.filePath
+      }))
+      .filter(source => source.items.length >= 2)
+      .map(source => this._tagSection(source, document, source.items[0]));
+
+    // Glossary entries become term-to-definition and definition-to-term sources
+    const glossarySources = glossary
+      .filter(entry => entry && typeof entry.term === 'string' && typeof entry.definition === 'string' && entry.term.trim() && entry.definition.trim())
+      .map(entry => ({
+        term: entry.term.trim(),
+        definition: entry.definition.trim(),
+        sourceDocument: document.filePath
+      }));
 
     return {
       keywords,
       sourceSentences: questionSources,
+      listSources,
+      listItems: listSources.flatMap(source => source.items),
+      glossarySources,
       documentPath: document.filePath,
-      documentTitle: document.metadata?.title || 'Unknown'
+      documentTitle: document.metadata?.title || 'Unknown',
+      language
+    };
+  }
+
+  /**
+   * Create a stemming function for a language that remembers the stems it has worked out
+   * @private
+   * @param {string} language - Language of the words
+   * @returns {function(string): string} - Stems a lowercase word
+   */
+  _stemmer(language) {
+    const stems = new Map();
+    return (word) => {
+      if (!stems.has(word)) {
+        stems.set(word, TextLanguage.stem(word, language));
+      }
+      return stems.get(word);
     };
   }
 
+  /**
+   * Find the section of a document that contains a sentence
+   * @param {DocumentContent} document - Processed document with optional `metadata.sections`
+   * @param {string} sentence - Sentence taken from the document content
+   * @returns {{title: string, offset: number, slide?: number}|null} - Section, or null if the document has no sections
+   */
+  findSection(document, sentence) {
+    const sections = document.metadata && document.metadata.sections;
+    if (!Array.isArray(sections) || sections.length === 0) {
+      return null;
+    }
+
+    const position = document.content.indexOf(sentence);
+    if (position === -1) {
+      return null;
+    }
+
+    let found = null;
+    for (const section of sections) {
+      if (section.offset > position) {
+        break;
+      }
+      found = section;
+    }
+
+    return found;
+  }
+
+  /**
+   * Find when a sentence of a lecture transcript was said
+   * @param {DocumentContent} document - Processed document with optional `metadata.timestamps`
+   * @param {string} sentence - Sentence taken from the document content
+   * @returns {{offset: number, seconds: number, time: string}|null} - Timestamp, or null if the document has none
+   */
+  findTimestamp(document, sentence) {
+    const timestamps = document.metadata && document.metadata.timestamps;
+    if (!Array.isArray(timestamps) || timestamps.length === 0) {
+      return null;
+    }
+
+    const position = document.content.indexOf(sentence);
+    if (position === -1) {
+      return null;
+    }
+
+    let found = null;
+    for (const timestamp of timestamps) {
+      if (timestamp.offset > position) {
+        break;
+      }
+      found = timestamp;
+    }
+
+    return found;
+  }
+
+  /**
+   * Find the lines of the content that hold glossary definitions
+   * Matches "term: definition" lines of CSV/TSV glossaries and ": definition" lines of Markdown definition lists
+   * @private
+   * @param {string} content - Document content
+   * @param {{term: string, definition: string}[]} glossary - Glossary entries of the document
+   * @returns {string[]} - Trimmed glossary lines
+   */
+  _glossaryLines(content, glossary) {
+    if (glossary.length === 0) {
+      return [];
+    }
+
+    return content.split('\n')
+      .map(line => line.trim())
+      .filter(line => line.length > 0 && glossary.some(entry =>
+        line === `${entry.term}: ${entry.definition}` ||
+        (line.startsWith(':') && line.slice(1).trim() && String(entry.definition).includes(line.slice(1).trim()))
+      ));
+  }
+
+  /**
+   * Tag a question source with the section (and slide) the given text is in
+   * @private
+   * @param {QuestionSource|ListSource} source - Source to tag
+   * @param {DocumentContent} document - Document the source came from
+   * @param {string} text - Text of the source as it appears in the document content
+   * @returns {QuestionSource|ListSource} - The same source
+   */
+  _tagSection(source, document, text) {
+    const section = this.findSection(document, text);
+    if (section) {
+      source.section = section.title;
+      if (section.slide) {
+        source.slide = section.slide;
+      }
+    }
+    return source;
+  }
+
   /**
    * Process multiple documents and extract key concepts from all
    * @param {DocumentContent[]} documents - Array of processed documents
@@ -295,21 +599,186 @@ class QuestionGenerator {
     };
   }
 
+  /**
+   * Get the active difficulty level
+   * @returns {'easy'|'medium'|'hard'}
+   */
+  getDifficulty() {
+    return this.difficulty;
+  }
+
+  /**
+   * Change the difficulty used for question generation
+   * Cached questions generated for another difficulty are reported as stale by needsCacheRegeneration
+   * @param {'easy'|'medium'|'hard'} difficulty - New difficulty level
+   * @returns {boolean} - True if the difficulty changed
+   * @throws {Error} If the difficulty level is invalid
+   */
+  setDifficulty(difficulty) {
+    if (!DIFFICULTY_LEVELS.includes(difficulty)) {
+      throw new Error(`difficulty must be one of: ${DIFFICULTY_LEVELS.join(', ')}`);
+    }
+
+    if (difficulty === this.difficulty) {
+      return false;
+    }
+
+    this.difficulty = difficulty;
+    return true;
+  }
+
+  /**
+   * Get the active question mode
+   * @returns {'multiple-choice'|'text'|'mixed'}
+   */
+  getQuestionMode() {
+    return this.questionMode;
+  }
+
+  /**
+   * Change which question types are generated
+   * Cached questions generated for another mode are reported as stale by needsCacheRegeneration
+   * @param {'multiple-choice'|'text'|'mixed'} questionMode - New question mode
+   * @returns {boolean} - True if the question mode changed
+   * @throws {Error} If the question mode is invalid
+   */
+  setQuestionMode(questionMode) {
+    if (!QUESTION_MODES.includes(questionMode)) {
+      throw new Error(`questionMode must be one of: ${QUESTION_MODES.join(', ')}`);
+    }
+
+    if (questionMode === this.questionMode) {
+      return false;
+    }
+
+    this.questionMode = questionMode;
+    return true;
+  }
+
+  /**
+   * Get how strongly deck questions are favoured over generated ones
+   * @returns {number} - Percent chance (0-100)
+   */
+  getDeckWeight() {
+    return this.deckWeight;
+  }
+
+  /**
+   * Change how strongly deck questions are favoured over generated ones
+   * Only affects selection, so cached questions stay valid
+   * @param {number} deckWeight - Percent chance (0-100) of picking a deck question when both kinds are available
+   * @returns {boolean} - True if the weight changed
+   * @throws {Error} If the weight is not an integer between 0 and 100
+   */
+  setDeckWeight(deckWeight) {
+    if (!QuestionGenerator.isValidDeckWeight(deckWeight)) {
+      throw new Error('deckWeight must be an integer between 0 and 100');
+    }
+
+    if (deckWeight === this.deckWeight) {
+      return false;
+    }
+
+    this.deckWeight = deckWeight;
+    return true;
+  }
+
+  /**
+   * Set the pages or sections each document is limited to
+   * Documents whose selection differs from the one their questions were generated from count as changed
+   * @param {Object<string, {pages?: string, sections?: string[]}>} selections - Selections keyed by document path
+   */
+  setDocumentSelections(selections) {
+    this.documentSelections = {};
+    Object.entries(selections || {}).forEach(([documentPath, selection]) => {
+      if (selection) {
+        this.documentSelections[this.path.resolve(documentPath)] = selection;
+      }
+    });
+  }
+
+  /**
+   * Check whether a value is a valid deck weight
+   * @param {*} deckWeight - Value to check
+   * @returns {boolean}
+   */
+  static isValidDeckWeight(deckWeight) {
+    return Number.isInteger(deckWeight) && deckWeight >= 0 && deckWeight <= 100;
+  }
+
+  /**
+   * Get the generation settings for the active difficulty
+   * @returns {DifficultyProfile}
+   */
+  getDifficultyProfile() {
+    return DIFFICULTY_PROFILES[this.difficulty] || DIFFICULTY_PROFILES.medium;
+  }
+
+  /**
+   * Filter and order source sentences according to a difficulty profile
+   * Falls back to the unfiltered sentences if none match the length limits. High-value
+   * sources stay ahead of the rest whatever the profile's order
+   * @param {QuestionSource[]} sources - Candidate question sources
+   * @param {DifficultyProfile} profile - Difficulty profile to apply
+   * @returns {QuestionSource[]} - Sources to generate questions from
+   */
+  selectSourceSentences(sources, profile) {
+    if (!Array.isArray(sources) || sources.length === 0) {
+      return [];
+    }
+
+    const withinLimits = sources.filter(source => {
+      const length = source.sentence.length;
+      if (length < profile.minSentenceLength) {
+        return false;
+      }
+      return profile.maxSentenceLength === null || length <= profile.maxSentenceLength;
+    });
+
+    const selected = withinLimits.length > 0 ? [...withinLimits] : [...sources];
+
+    if (profile.sentenceOrder === 'longest') {
+      selected.sort((a, b) => b.sentence.length - a.sentence.length);
+    } else if (profile.sentenceOrder === 'shortest') {
+      selected.sort((a, b) => a.sentence.length - b.sentence.length);
+    }
+
+    return [
+      ...selected.filter(source => source.highValue),
+      ...selected.filter(source => !source.highValue)
+    ];
+  }
+
   /**
    * Generate a question from a sentence by replacing a keyword with a blank
    * @param {string} sentence - Source sentence
    * @param {string[]} keywords - Keywords in the sentence
-   * @returns {Object|null} - Question text and correct answer, or null if generation fails
+   * @param {Object} [options] - Keyword selection options
+   * @param {'common'|'longest'|'rare'} [options.keywordPreference] - Which keyword to blank (default: 'longest')
+   * @param {Map<string, number>} [options.keywordFrequencies] - Document frequency of each keyword
+   * @returns {Object|null} - Question text, cloze text and correct answer, or null if generation fails
    */
-  generateQuestionFromSentence(sentence, keywords) {
+  generateQuestionFromSentence(sentence, keywords, options = {}) {
     if (!sentence || !keywords || keywords.length === 0) {
       return null;
     }
 
-    // Find the most important keyword in the sentence (longest one)
+    const preference = options.keywordPreference || 'longest';
+    const frequencies = options.keywordFrequencies || new Map();
+    const frequencyOf = (kw) => frequencies.get(kw.toLowerCase()) || 0;
+
+    // Find the most important keyword in the sentence (longest one by default)
     const sortedKeywords = keywords
       .filter(kw => sentence.toLowerCase().includes(kw.toLowerCase()))
-      .sort((a, b) => b.length - a.length);
+      .sort((a, b) => {
+        if (preference === 'rare' && frequencyOf(a) !== frequencyOf(b)) {
+          return frequencyOf(a) - frequencyOf(b);
+        }
+        if (preference === 'common' && frequencyOf(a) !== frequencyOf(b)) {
+          return frequencyOf(b) - frequencyOf(a);
+        }
+        return b.length - a.length;
+      });
 
     if (sortedKeywords.length === 0) {
       return null;
@@ -318,7 +787,7 @@ class QuestionGenerator {
     const targetKeyword = sortedKeywords[0];
 
     // Find the keyword in the sentence (case-insensitive)
-    const regex = new RegExp(`\\b${targetKeyword}\\b`, 'i');
+    const regex = TextLanguage.wordPattern(targetKeyword, 'i');
     const match = sentence.match(regex);
 
     if (!match) {
@@ -334,6 +803,7 @@ class QuestionGenerator {
 
     // Replace the keyword with a blank
     const questionText = sentence.replace(regex, '______');
+    const clozeText = questionText.trim();
 
     // Ensure the question ends with a question mark
     let formattedQuestion = questionText.trim();
@@ -358,18 +828,64 @@ class QuestionGenerator {
 
     return {
       questionText: formattedQuestion,
+      clozeText,
       correctAnswer: correctAnswer
     };
   }
 
+  /**
+   * Score how alike two answers look, from 0 (unrelated) to 1 (identical)
+   * Combines character bigram overlap, a shared suffix and similar length, so
+   * terms from the same family (e.g. "glycolysis"/"hydrolysis") score highly
+   * @param {string} a - First answer
+   * @param {string} b - Second answer
+   * @returns {number} - Similarity score
+   */
+  answerSimilarity(a, b) {
+    const first = String(a || '').toLowerCase();
+    const second = String(b || '').toLowerCase();
+
+    if (!first || !second) {
+      return 0;
+    }
+
+    if (first === second) {
+      return 1;
+    }
+
+    const bigrams = (word) => {
+      const grams = new Map();
+      for (let i = 0; i < word.length - 1; i++) {
+        const gram = word.slice(i, i + 2);
+        grams.set(gram, (grams.get(gram) || 0) + 1);
+      }
+      return grams;
+    };
+
+    const firstGrams = bigrams(first);
+    const secondGrams = bigrams(second);
+    let overlap = 0;
+    firstGrams.forEach((count, gram) => {
+      overlap += Math.min(count, secondGrams.get(gram) || 0);
+    });
+    const totalGrams = Math.max(first.length - 1, 0) + Math.max(second.length - 1, 0);
+    const dice = totalGrams > 0 ? (2 * overlap) / totalGrams : 0;
+
+    const sharedSuffix = first.length >= 3 && second.length >= 3 && first.slice(-3) === second.slice(-3) ? 1 : 0;
+    const lengthRatio = Math.min(first.length, second.length) / Math.max(first.length, second.length);
+
+    return dice * 0.6 + sharedSuffix * 0.2 + lengthRatio * 0.2;
+  }
+
   /**
    * Generate distractor options from document content
    * @param {string} correctAnswer - The correct answer
    * @param {string[]} allKeywords - All keywords from the document
    * @param {number} count - Number of distractors to generate (default: 3)
+   * @param {'dissimilar'|'random'|'similar'} [strategy] - How to pick distractors (default: 'random')
    * @returns {string[]} - Array of distractor options
    */
-  generateDistractors(correctAnswer, allKeywords, count = 3) {
+  generateDistractors(correctAnswer, allKeywords, count = 3, strategy = 'random') {
     if (!correctAnswer || !allKeywords || allKeywords.length === 0) {
       return [];
     }
@@ -396,6 +912,18 @@ class QuestionGenerator {
       }
     });
 
+    // Rank by similarity to the correct answer for easy/hard questions
+    if (strategy === 'similar' || strategy === 'dissimilar') {
+      const direction = strategy === 'similar' ? -1 : 1;
+      const ranked = uniqueCandidates
+        .map(candidate => ({
+          candidate,
+          similarity: this.answerSimilarity(correctAnswer, candidate)
+        }))
+        .sort((a, b) => direction * (a.similarity - b.similarity));
+      return ranked.slice(0, count).map(item => item.candidate);
+    }
+
     // Shuffle and take the requested count
     const shuffled = uniqueCandidates.sort(() => Math.random() - 0.5);
     return shuffled.slice(0, count);
@@ -405,17 +933,24 @@ class QuestionGenerator {
    * Generate a multiple-choice question from a question source
    * @param {QuestionSource} source - Question source with sentence and keywords
    * @param {string[]} allKeywords - All keywords from the document for distractors
+   * @param {Map<string, number>} [keywordFrequencies] - Document frequency of each keyword
    * @returns {Question|null} - Generated question or null if generation fails
    */
-  generateMultipleChoiceQuestion(source, allKeywords) {
+  generateMultipleChoiceQuestion(source, allKeywords, keywordFrequencies = null) {
     if (!source || !source.sentence || !source.keywords) {
       return null;
     }
 
+    const profile = this.getDifficultyProfile();
+
     // Generate question text and correct answer
     const questionData = this.generateQuestionFromSentence(
       source.sentence,
-      source.keywords
+      source.keywords,
+      {
+        keywordPreference: profile.keywordPreference,
+        keywordFrequencies
+      }
     );
 
     if (!questionData) {
@@ -426,7 +961,8 @@ class QuestionGenerator {
     const distractors = this.generateDistractors(
       questionData.correctAnswer,
       allKeywords,
-      3
+      profile.distractorCount,
+      profile.distractorStrategy
     );
 
     // Need at least 2 distractors for a reasonable multiple-choice question
@@ -446,90 +982,372 @@ class QuestionGenerator {
     // Generate unique ID
     const id = `q_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
-    return {
+    const question = {
       id,
       text: questionData.questionText,
       type: 'multiple-choice',
       options: shuffledOptions,
       correctAnswer: correctAnswerIndex,
-      explanation: `The correct answer is "${questionData.correctAnswer}" based on the source material.`,
-      sourceDocument: source.sourceDocument
+      explanation: `The correct answer is "${questionData.correctAnswer}" based on ${source.slide ? `Slide ${source.slide}` : source.timestamp ? `the lecture at ${source.timestamp}` : 'the source material'}.`,
+      sourceDocument: source.sourceDocument,
+      difficulty: this.difficulty,
+      concept: questionData.correctAnswer
     };
+
+    if (source.section) {
+      question.section = source.section;
+    }
+    if (source.slide) {
+      question.slide = source.slide;
+    }
+    if (source.timestamp) {
+      question.timestamp = source.timestamp;
+    }
+
+    return question;
   }
 
   /**
-   * Generate multiple questions from processed documents
-   * @param {DocumentContent[]} documents - Array of processed documents
-   * @param {number} maxQuestions - Maximum number of questions to generate (default: 20)
-   * @returns {Question[]} - Array of generated questions
-   * @throws {Error} - Throws error if question generation fails completely
+   * Generate a typed-answer (cloze) question from a question source
+   * The sentence is shown with its key term blanked out and the user types the missing term
+   * @param {QuestionSource} source - Question source with sentence and keywords
+   * @param {Map<string, number>} [keywordFrequencies] - Document frequency of each keyword
+   * @returns {Question|null} - Generated question or null if generation fails
    */
-  generateQuestions(documents, maxQuestions = 20) {
-    if (!Array.isArray(documents) || documents.length === 0) {
-      throw new Error('No documents provided for question generation');
+  generateTextQuestion(source, keywordFrequencies = null) {
+    if (!source || !source.sentence || !source.keywords) {
+      return null;
     }
 
-    try {
-      const questions = [];
-      const conceptsMap = this.processDocuments(documents);
+    const profile = this.getDifficultyProfile();
 
-      if (conceptsMap.size === 0) {
-        throw new Error('Failed to extract concepts from documents');
+    const questionData = this.generateQuestionFromSentence(
+      source.sentence,
+      source.keywords,
+      {
+        keywordPreference: profile.keywordPreference,
+        keywordFrequencies
       }
+    );
 
-      // Process each document
-      conceptsMap.forEach((concepts) => {
-        if (questions.length >= maxQuestions) {
-          return;
-        }
-
-        const allKeywords = concepts.keywords.map(k => k.word);
-        const sourceSentences = concepts.sourceSentences;
-
-        // Try to generate questions from source sentences
-        for (const source of sourceSentences) {
-          if (questions.length >= maxQuestions) {
-            break;
-          }
+    if (!questionData) {
+      return null;
+    }
 
-          try {
-            const question = this.generateMultipleChoiceQuestion(source, allKeywords);
-            
-            if (question) {
-              questions.push(question);
-            }
-          } catch (error) {
-            // Log error but continue with other sentences
-            console.error('Error generating question from sentence:', error);
-          }
-        }
-      });
+    // Generate unique ID
+    const id = `q_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
-      if (questions.length === 0) {
-        throw new Error('Could not generate any valid questions from the provided documents');
-      }
+    const question = {
+      id,
+      text: `Fill in the blank: ${questionData.clozeText}`,
+      type: 'text',
+      correctAnswer: questionData.correctAnswer,
+      explanation: `The missing term is "${questionData.correctAnswer}": ${source.sentence.trim()}${source.slide ? ` (Slide ${source.slide})` : source.timestamp ? ` (at ${source.timestamp})` : ''}`,
+      sourceDocument: source.sourceDocument,
+      difficulty: this.difficulty,
+      concept: questionData.correctAnswer
+    };
 
-      return questions;
-    } catch (error) {
-      console.error('Error in generateQuestions:', error);
-      throw error;
+    if (source.section) {
+      question.section = source.section;
+    }
+    if (source.slide) {
+      question.slide = source.slide;
     }
+    if (source.timestamp) {
+      question.timestamp = source.timestamp;
+    }
+
+    return question;
   }
 
   /**
-   * Load cached questions from disk
-   * @param {boolean} [force] - Force reload even if already loaded
-   * @returns {Promise<Object>} - Cache data with questions and metadata
+   * Generate a "which of these belongs to" question from a bullet list
+   * One item of the list is the answer, items from the document's other lists are the distractors
+   * @param {ListSource} source - Bullet list with its heading
+   * @param {string[]} allItems - Items of every list in the document
+   * @returns {Question|null} - Generated question or null if there are too few distractors
    */
-  async loadCache(force = false) {
-    // Skip if already loaded and not forcing reload
-    if (this.cacheLoaded && !force && this.lazyLoad) {
-      return {
-        questions: this.cachedQuestions,
-        usedInSession: Array.from(this.usedQuestionIds),
-        generated: this.cacheMetadata.generated,
-        documentHashes: this.cacheMetadata.documentHashes
-      };
+  generateListQuestion(source, allItems) {
+    if (!source || !source.heading || !Array.isArray(source.items) || source.items.length === 0) {
+      return null;
+    }
+
+    const profile = this.getDifficultyProfile();
+    const ownItems = new Set(source.items.map(item => item.toLowerCase()));
+    const correctAnswer = source.items[Math.floor(Math.random() * source.items.length)];
+
+    const distractors = this.generateDistractors(
+      correctAnswer,
+      (allItems || []).filter(item => !ownItems.has(item.toLowerCase())),
+      profile.distractorCount,
+      profile.distractorStrategy
+    );
+
+    // Need at least 2 distractors for a reasonable multiple-choice question
+    if (distractors.length < 2) {
+      return null;
+    }
+
+    const shuffledOptions = [correctAnswer, ...distractors].sort(() => Math.random() - 0.5);
+
+    // Generate unique ID
+    const id = `q_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    const question = {
+      id,
+      text: `Which of these belongs to "${source.heading}"?`,
+      type: 'multiple-choice',
+      options: shuffledOptions,
+      correctAnswer: shuffledOptions.indexOf(correctAnswer),
+      explanation: `"${correctAnswer}" is listed under "${source.heading}"${source.slide ? ` on Slide ${source.slide}` : ''}.`,
+      sourceDocument: source.sourceDocument,
+      difficulty: this.difficulty,
+      concept: source.heading
+    };
+
+    if (source.section) {
+      question.section = source.section;
+    }
+    if (source.slide) {
+      question.slide = source.slide;
+    }
+
+    return question;
+  }
+
+  /**
+   * Generate a question from a glossary entry
+   * Multiple-choice questions ask for the definition of the term or the term for the definition, with
+   * the other entries of the same glossary as distractors. Typed-answer questions always ask for the term.
+   * @param {GlossarySource} source - Glossary entry
+   * @param {GlossarySource[]} allEntries - Every entry of the glossary
+   * @param {'term-to-definition'|'definition-to-term'} [direction] - What the question asks for (default: 'term-to-definition')
+   * @param {'multiple-choice'|'text'} [type] - Question type (default: 'multiple-choice')
+   * @returns {Question|null} - Generated question or null if there are too few distractors
+   */
+  generateGlossaryQuestion(source, allEntries, direction = 'term-to-definition', type = 'multiple-choice') {
+    if (!source || !source.term || !source.definition) {
+      return null;
+    }
+
+    const askForTerm = type === 'text' || direction === 'definition-to-term';
+    const correctAnswer = askForTerm ? source.term : source.definition;
+
+    // The term is blanked out of its definition so the question doesn't give it away
+    const maskedDefinition = source.definition.replace(TextLanguage.wordPattern(source.term, 'gi'), '______');
+    const text = askForTerm
+      ? `Which term means "${maskedDefinition}"?`
+      : `What does "${source.term}" mean?`;
+
+    // Generate unique ID
+    const id = `q_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    const question = {
+      id,
+      text,
+      type: type === 'text' ? 'text' : 'multiple-choice',
+      correctAnswer,
+      explanation: `"${source.term}" means: ${source.definition}`,
+      sourceDocument: source.sourceDocument,
+      difficulty: this.difficulty,
+      concept: source.term
+    };
+
+    if (question.type === 'text') {
+      return question;
+    }
+
+    // Distractors are the other entries' terms or definitions
+    const profile = this.getDifficultyProfile();
+    const seen = new Set([correctAnswer.toLowerCase()]);
+    const candidates = [];
+    (allEntries || []).forEach(entry => {
+      const value = entry && (askForTerm ? entry.term : entry.definition);
+      if (value && !seen.has(value.toLowerCase())) {
+        seen.add(value.toLowerCase());
+        candidates.push(value);
+      }
+    });
+
+    let distractors;
+    if (profile.distractorStrategy === 'similar' || profile.distractorStrategy === 'dissimilar') {
+      const order = profile.distractorStrategy === 'similar' ? -1 : 1;
+      distractors = candidates
+        .map(candidate => ({ candidate, similarity: this.answerSimilarity(correctAnswer, candidate) }))
+        .sort((a, b) => order * (a.similarity - b.similarity))
+        .slice(0, profile.distractorCount)
+        .map(item => item.candidate);
+    } else {
+      distractors = candidates.sort(() => Math.random() - 0.5).slice(0, profile.distractorCount);
+    }
+
+    // Need at least 2 distractors for a reasonable multiple-choice question
+    if (distractors.length < 2) {
+      return null;
+    }
+
+    const shuffledOptions = [correctAnswer, ...distractors].sort(() => Math.random() - 0.5);
+    question.options = shuffledOptions;
+    question.correctAnswer = shuffledOptions.indexOf(correctAnswer);
+
+    return question;
+  }
+
+  /**
+   * Pick the question type for the next generated question
+   * Mixed mode alternates between multiple-choice and typed answers
+   * @param {number} index - Number of questions generated so far
+   * @returns {'multiple-choice'|'text'}
+   */
+  questionTypeFor(index) {
+    if (this.questionMode === 'mixed') {
+      return index % 2 === 0 ? 'multiple-choice' : 'text';
+    }
+    return this.questionMode === 'text' ? 'text' : 'multiple-choice';
+  }
+
+  /**
+   * Take the hand-authored questions from question decks
+   * Deck questions keep their IDs unless missing or already taken; their source is always the
+   * deck file, so they go stale with it even if the deck was built from an export of other files
+   * @param {DocumentContent[]} documents - Processed documents, decks carry a `questions` array
+   * @returns {Question[]} - Deck questions marked with `fromDeck`
+   */
+  getDeckQuestions(documents) {
+    const ids = new Set();
+    const questions = [];
+
+    documents
+      .filter(document => document && Array.isArray(document.questions))
+      .forEach(document => {
+        document.questions.forEach(question => {
+          let id = question.id;
+          if (!id || ids.has(id)) {
+            id = `q_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+          }
+          ids.add(id);
+
+          questions.push({ ...question, id, sourceDocument: document.filePath, fromDeck: true });
+        });
+      });
+
+    return questions;
+  }
+
+  /**
+   * Generate multiple questions from processed documents
+   * Questions from decks are included verbatim and don't count towards maxQuestions
+   * @param {DocumentContent[]} documents - Array of processed documents
+   * @param {number} maxQuestions - Maximum number of questions to generate (default: 20)
+   * @returns {Question[]} - Array of generated questions
+   * @throws {Error} - Throws error if question generation fails completely
+   */
+  generateQuestions(documents, maxQuestions = 20) {
+    if (!Array.isArray(documents) || documents.length === 0) {
+      throw new Error('No documents provided for question generation');
+    }
+
+    try {
+      const deckQuestions = this.getDeckQuestions(documents);
+      const sourceDocuments = documents.filter(document => !document || !Array.isArray(document.questions));
+      if (sourceDocuments.length === 0) {
+        return deckQuestions;
+      }
+
+      const questions = [];
+      const conceptsMap = this.processDocuments(sourceDocuments);
+      const profile = this.getDifficultyProfile();
+
+      if (conceptsMap.size === 0) {
+        if (deckQuestions.length > 0) {
+          return deckQuestions;
+        }
+        throw new Error('Failed to extract concepts from documents');
+      }
+
+      // Process each document
+      conceptsMap.forEach((concepts) => {
+        if (questions.length >= maxQuestions) {
+          return;
+        }
+
+        const allKeywords = concepts.keywords.map(k => k.word);
+        const keywordFrequencies = new Map(concepts.keywords.flatMap(k => (k.forms || [k.word]).map(form => [form, k.frequency])));
+        const sourceSentences = this.selectSourceSentences(concepts.sourceSentences, profile);
+
+        // Bullet lists only make multiple-choice questions; mix them in after every second sentence
+        const listSources = this.questionMode === 'text' ? [] : [...(concepts.listSources || [])];
+        // Glossary entries alternate with sentences
+        const glossarySources = [...(concepts.glossarySources || [])];
+        const candidates = [];
+        sourceSentences.forEach((source, index) => {
+          if (glossarySources.length > 0) {
+            candidates.push(glossarySources.shift());
+          }
+          candidates.push(source);
+          if (index % 2 === 1 && listSources.length > 0) {
+            candidates.push(listSources.shift());
+          }
+        });
+        candidates.push(...glossarySources, ...listSources);
+        let glossaryQuestions = 0;
+
+        // Try to generate questions from source sentences and lists
+        for (const source of candidates) {
+          if (questions.length >= maxQuestions) {
+            break;
+          }
+
+          try {
+            let question;
+            if (source.items) {
+              question = this.generateListQuestion(source, concepts.listItems);
+            } else if (source.term) {
+              // Alternate between asking for the definition and asking for the term
+              const direction = glossaryQuestions++ % 2 === 0 ? 'term-to-definition' : 'definition-to-term';
+              question = this.generateGlossaryQuestion(source, concepts.glossarySources, direction, this.questionTypeFor(questions.length));
+            } else if (this.questionTypeFor(questions.length) === 'text') {
+              question = this.generateTextQuestion(source, keywordFrequencies);
+            } else {
+              question = this.generateMultipleChoiceQuestion(source, allKeywords, keywordFrequencies);
+            }
+            
+            if (question) {
+              questions.push(question);
+            }
+          } catch (error) {
+            // Log error but continue with other sentences
+            console.error('Error generating question from sentence:', error);
+          }
+        }
+      });
+
+      if (questions.length === 0 && deckQuestions.length === 0) {
+        throw new Error('Could not generate any valid questions from the provided documents');
+      }
+
+      return [...deckQuestions, ...questions];
+    } catch (error) {
+      console.error('Error in generateQuestions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load cached questions from disk
+   * @param {boolean} [force] - Force reload even if already loaded
+   * @returns {Promise<Object>} - Cache data with questions and metadata
+   */
+  async loadCache(force = false) {
+    // Skip if already loaded and not forcing reload
+    if (this.cacheLoaded && !force && this.lazyLoad) {
+      return {
+        questions: this.cachedQuestions,
+        usedInSession: Array.from(this.usedQuestionIds),
+        generated: this.cacheMetadata.generated,
+        documentHashes: this.cacheMetadata.documentHashes
+      };
     }
 
     try {
@@ -559,15 +1377,22 @@ class QuestionGenerator {
       // Apply memory limit
       if (questions.length > this.maxCachedQuestions) {
         console.log(`Limiting cached questions from ${questions.length} to ${this.maxCachedQuestions}`);
-        questions = questions.slice(0, this.maxCachedQuestions);
+        questions = this._limitQuestions(questions);
       }
 
       this.cachedQuestions = questions;
       this.usedQuestionIds = new Set(Array.isArray(parsed.usedInSession) ? parsed.usedInSession : []);
       this.cacheMetadata = {
         generated: parsed.generated || null,
-        documentHashes: Array.isArray(parsed.documentHashes) ? parsed.documentHashes : []
+        documentHashes: Array.isArray(parsed.documentHashes) ? parsed.documentHashes : [],
+        documentFingerprints: parsed.documentFingerprints && typeof parsed.documentFingerprints === 'object'
+          ? parsed.documentFingerprints
+          : {},
+        difficulty: parsed.difficulty || null,
+        questionMode: parsed.questionMode || null
       };
+      this.reviewScheduler.load(parsed.schedule);
+      this.questionOverrides = parsed.overrides && typeof parsed.overrides === 'object' ? parsed.overrides : {};
 
       this.cacheLoaded = true;
 
@@ -593,11 +1418,14 @@ class QuestionGenerator {
 
   /**
    * Save questions to cache file
+   * Content fingerprints are recorded for each source document so later edits can be detected
+   * Hand edits are re-applied to regenerated questions, and edited, pinned or imported questions
+   * missing from a new question list are carried over unless their document was removed
    * @param {Question[]} questions - Questions to cache
-   * @param {string[]} documentPaths - Paths of source documents
+   * @param {string[]} [documentPaths] - Paths of source documents (default: keep the cached list)
    * @returns {Promise<void>}
    */
-  async saveCache(questions, documentPaths = []) {
+  async saveCache(questions, documentPaths = null) {
     try {
       // Ensure directory exists
       const cacheDir = this.path.dirname(this.cachePath);
@@ -605,19 +1433,47 @@ class QuestionGenerator {
         await this.fs.promises.mkdir(cacheDir, { recursive: true });
       }
 
+      // Overrides and the questions to carry over live in the current cache
+      if (questions && !this.cacheLoaded && this.lazyLoad) {
+        await this.loadCache();
+      }
+
+      let questionsToSave = this._applyOverrides(questions || this.cachedQuestions);
+      if (questions && questions !== this.cachedQuestions) {
+        questionsToSave = [
+          ...this._getCarriedOverQuestions(questionsToSave, documentPaths),
+          ...questionsToSave
+        ];
+      }
+
       // Apply memory limit to questions being saved
-      let questionsToSave = questions || this.cachedQuestions;
       if (questionsToSave.length > this.maxCachedQuestions) {
         console.log(`Limiting saved questions from ${questionsToSave.length} to ${this.maxCachedQuestions}`);
-        questionsToSave = questionsToSave.slice(0, this.maxCachedQuestions);
+        questionsToSave = this._limitQuestions(questionsToSave);
+      }
+
+      // Only keep review history for questions that are still cached
+      this.reviewScheduler.prune(questionsToSave.map(q => this.getReviewKey(q)));
+
+      // Fingerprint source documents (keeps the cached list when none are given)
+      let paths = this.cacheMetadata.documentHashes;
+      let fingerprints = this.cacheMetadata.documentFingerprints;
+      if (Array.isArray(documentPaths)) {
+        paths = documentPaths;
+        fingerprints = await this.fingerprintDocuments(documentPaths);
       }
 
       // Create cache data structure
       const cacheData = {
         generated: new Date().toISOString(),
-        documentHashes: documentPaths,
+        documentHashes: paths,
+        documentFingerprints: fingerprints,
+        difficulty: this.difficulty,
+        questionMode: this.questionMode,
         questions: questionsToSave,
-        usedInSession: Array.from(this.usedQuestionIds)
+        usedInSession: Array.from(this.usedQuestionIds),
+        schedule: this.reviewScheduler.toJSON(),
+        overrides: this.questionOverrides
       };
 
       // Write to file
@@ -631,7 +1487,10 @@ class QuestionGenerator {
       this.cachedQuestions = cacheData.questions;
       this.cacheMetadata = {
         generated: cacheData.generated,
-        documentHashes: cacheData.documentHashes
+        documentHashes: cacheData.documentHashes,
+        documentFingerprints: cacheData.documentFingerprints,
+        difficulty: cacheData.difficulty,
+        questionMode: cacheData.questionMode
       };
       this.cacheLoaded = true;
 
@@ -642,6 +1501,172 @@ class QuestionGenerator {
     }
   }
 
+  /**
+   * Compute the SHA-256 hash of a file's contents
+   * @param {string} filePath - Path to the file
+   * @returns {Promise<string>} - Hex-encoded hash
+   */
+  hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      const stream = this.fs.createReadStream(filePath);
+      stream.on('data', chunk => hash.update(chunk));
+      stream.on('error', reject);
+      stream.on('end', () => resolve(hash.digest('hex')));
+    });
+  }
+
+  /**
+   * Fingerprint a document by size, modification time, content hash and selected parts
+   * The hash is reused from the previous fingerprint when size and mtime are unchanged
+   * @param {string} filePath - Path to the document
+   * @param {DocumentFingerprint} [previous] - Previously recorded fingerprint
+   * @returns {Promise<DocumentFingerprint|null>} - Fingerprint, or null if the file cannot be read
+   */
+  async fingerprintDocument(filePath, previous = null) {
+    try {
+      const stats = await this.fs.promises.stat(filePath);
+
+      const fingerprint = previous && previous.hash && previous.size === stats.size && previous.mtimeMs === stats.mtimeMs
+        ? { hash: previous.hash, size: previous.size, mtimeMs: previous.mtimeMs }
+        : { hash: await this.hashFile(filePath), size: stats.size, mtimeMs: stats.mtimeMs };
+
+      const selection = this.documentSelections[this.path.resolve(filePath)];
+      if (selection) {
+        fingerprint.selection = JSON.stringify(selection);
+      }
+
+      return fingerprint;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Fingerprint several documents, keyed by resolved path
+   * Documents that cannot be read are left out
+   * @param {string[]} documentPaths - Paths of the documents
+   * @returns {Promise<Object<string, DocumentFingerprint>>}
+   */
+  async fingerprintDocuments(documentPaths) {
+    const previous = this.cacheMetadata.documentFingerprints || {};
+    const fingerprints = {};
+
+    for (const documentPath of documentPaths) {
+      const resolvedPath = this.path.resolve(documentPath);
+      const fingerprint = await this.fingerprintDocument(resolvedPath, previous[resolvedPath]);
+      if (fingerprint) {
+        fingerprints[resolvedPath] = fingerprint;
+      }
+    }
+
+    return fingerprints;
+  }
+
+  /**
+   * Compare the configured documents against the cache by content
+   * Size and mtime are checked first; the file is only hashed when they differ
+   * @param {string[]} currentDocumentPaths - Currently configured document paths
+   * @returns {Promise<DocumentChanges>}
+   */
+  async detectDocumentChanges(currentDocumentPaths) {
+    if (!this.cacheLoaded && this.lazyLoad) {
+      await this.loadCache();
+    }
+
+    const currentPaths = [...new Set((currentDocumentPaths || []).map(p => this.path.resolve(p)))];
+    const cachedPaths = new Set(this.cacheMetadata.documentHashes.map(p => this.path.resolve(p)));
+    const fingerprints = this.cacheMetadata.documentFingerprints || {};
+
+    const changes = {
+      added: [],
+      changed: [],
+      removed: [],
+      unchanged: [],
+      fullRegeneration: !this.cacheMetadata.generated || this._generationSettingsChanged()
+    };
+
+    for (const documentPath of currentPaths) {
+      if (!cachedPaths.has(documentPath)) {
+        changes.added.push(documentPath);
+        continue;
+      }
+
+      const cached = fingerprints[documentPath];
+      const current = await this.fingerprintDocument(documentPath, cached);
+
+      if (cached && current && current.hash === cached.hash && current.selection === cached.selection) {
+        // Touched but identical files keep their questions; remember the new mtime
+        fingerprints[documentPath] = current;
+        changes.unchanged.push(documentPath);
+      } else {
+        changes.changed.push(documentPath);
+      }
+    }
+
+    const currentSet = new Set(currentPaths);
+    cachedPaths.forEach(documentPath => {
+      if (!currentSet.has(documentPath)) {
+        changes.removed.push(documentPath);
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Update the cache for changed documents only
+   * Questions from unchanged documents and their used-in-session state are kept;
+   * questions from changed or removed documents are replaced by newly generated ones
+   * @param {DocumentContent[]} documents - Processed added and changed documents
+   * @param {DocumentChanges} changes - Result of detectDocumentChanges
+   * @param {number} [maxQuestions] - Question budget across all configured documents (default: 20)
+   * @returns {Promise<{kept: number, generated: number, discarded: number}>}
+   */
+  async applyDocumentChanges(documents, changes, maxQuestions = 20) {
+    if (!this.cacheLoaded && this.lazyLoad) {
+      await this.loadCache();
+    }
+
+    const staleDocuments = new Set([...changes.changed, ...changes.removed].map(p => this.path.resolve(p)));
+    const keptQuestions = this.cachedQuestions.filter(
+      q => !staleDocuments.has(this.path.resolve(q.sourceDocument || ''))
+    );
+
+    // Share the question budget evenly across all configured documents
+    const documentCount = changes.unchanged.length + changes.added.length + changes.changed.length;
+    const perDocument = Math.max(1, Math.ceil(maxQuestions / Math.max(documentCount, 1)));
+
+    const newQuestions = [];
+    const generatedPaths = [];
+    (documents || []).forEach(document => {
+      try {
+        newQuestions.push(...this.generateQuestions([document], perDocument));
+        generatedPaths.push(document.filePath);
+      } catch (error) {
+        // Leave the document out of the cache so it is retried next time
+        console.error(`Could not regenerate questions for ${document.filePath}:`, error.message);
+      }
+    });
+
+    // Drop used-in-session entries for questions that no longer exist
+    const keptIds = new Set(keptQuestions.map(q => q.id));
+    this.usedQuestionIds = new Set(Array.from(this.usedQuestionIds).filter(id => keptIds.has(id)));
+
+    const discarded = this.cachedQuestions.length - keptQuestions.length;
+
+    await this.saveCache(
+      [...newQuestions, ...keptQuestions],
+      [...changes.unchanged, ...generatedPaths]
+    );
+
+    return {
+      kept: keptQuestions.length,
+      generated: newQuestions.length,
+      discarded
+    };
+  }
+
   /**
    * Clear cached questions from memory to free up resources
    */
@@ -654,8 +1679,12 @@ class QuestionGenerator {
   }
 
   /**
-   * Get the next unused question from the cache
-   * @returns {Promise<Question|null>} - Next unused question or null if none available
+   * Get the next question from the cache
+   * Questions due for review come first (most overdue first), then questions never
+   * answered before, then the remaining unused questions in order of due date
+   * Questions due for review are served again even if already used this session
+   * Among fresh and upcoming questions, deck and generated questions are mixed by deckWeight
+   * @returns {Promise<Question|null>} - Next question or null if none available
    */
   async getNextQuestion() {
     // Ensure cache is loaded (lazy loading)
@@ -663,18 +1692,401 @@ class QuestionGenerator {
       await this.loadCache();
     }
 
-    // Filter out used questions
-    const unusedQuestions = this.cachedQuestions.filter(
-      q => !this.usedQuestionIds.has(q.id)
-    );
+    const now = new Date();
+    const due = [];
+    const fresh = [];
+    const upcoming = [];
+
+    this.cachedQuestions.forEach(question => {
+      if (question.disabled) {
+        return;
+      }
+
+      const key = this.getReviewKey(question);
+      const entry = this.reviewScheduler.getEntry(key);
+
+      if (!entry) {
+        if (!this.usedQuestionIds.has(question.id)) {
+          fresh.push(question);
+        }
+      } else if (this.reviewScheduler.isDue(key, now)) {
+        due.push({ question, due: entry.due });
+      } else if (!this.usedQuestionIds.has(question.id)) {
+        upcoming.push({ question, due: entry.due });
+      }
+    });
+
+    const byDueDate = (a, b) => new Date(a.due).getTime() - new Date(b.due).getTime();
+
+    if (due.length > 0) {
+      return due.sort(byDueDate)[0].question;
+    }
+
+    if (fresh.length > 0) {
+      // Return a random question that has never been answered
+      const pool = this._applyDeckWeight(fresh);
+      const randomIndex = Math.floor(Math.random() * pool.length);
+      return pool[randomIndex];
+    }
+
+    if (upcoming.length > 0) {
+      // Nothing is due yet; mastered questions have the latest due dates and come last
+      return this._applyDeckWeight(upcoming, item => item.question).sort(byDueDate)[0].question;
+    }
+
+    return null;
+  }
+
+  /**
+   * Narrow candidates to deck or generated questions according to deckWeight
+   * Candidates are returned unchanged unless both kinds are present
+   * @param {Array} candidates - Candidate questions, or items wrapping them
+   * @param {Function} [toQuestion] - Gets the question from a candidate
+   * @returns {Array} - Candidates of the chosen kind
+   * @private
+   */
+  _applyDeckWeight(candidates, toQuestion = candidate => candidate) {
+    const deck = candidates.filter(candidate => toQuestion(candidate).fromDeck);
+    const generated = candidates.filter(candidate => !toQuestion(candidate).fromDeck);
+
+    if (deck.length === 0 || generated.length === 0) {
+      return candidates;
+    }
+
+    return Math.random() * 100 < this.deckWeight ? deck : generated;
+  }
+
+  /**
+   * Get the key used to track a question in the review schedule
+   * Based on the question content rather than its ID, so the schedule survives regeneration
+   * and hand edits
+   * @param {Question} question - Question to get the key for
+   * @returns {string} - Review key
+   */
+  getReviewKey(question) {
+    // Edited questions keep the key they were generated with
+    if (question.originKey) {
+      return question.originKey;
+    }
+
+    const answer = Array.isArray(question.options)
+      ? question.options[question.correctAnswer]
+      : question.correctAnswer;
+
+    return crypto
+      .createHash('sha256')
+      .update(`${question.sourceDocument || ''}\n${question.text || ''}\n${answer === undefined ? '' : answer}`)
+      .digest('hex')
+      .slice(0, 16);
+  }
 
-    if (unusedQuestions.length === 0) {
+  /**
+   * Record an answer in the review schedule and persist it
+   * Wrong answers are due again shortly; correct answers are spaced out further each time
+   * @param {string} questionId - ID of the answered question
+   * @param {boolean} correct - Whether the answer was correct
+   * @returns {Promise<ReviewEntry|null>} - Updated schedule entry, or null if the question is not cached
+   */
+  async recordAnswer(questionId, correct) {
+    const question = this.cachedQuestions.find(q => q.id === questionId);
+
+    if (!question) {
       return null;
     }
 
-    // Return a random unused question
-    const randomIndex = Math.floor(Math.random() * unusedQuestions.length);
-    return unusedQuestions[randomIndex];
+    const entry = this.reviewScheduler.record(this.getReviewKey(question), Boolean(correct));
+    await this.saveCache();
+    return entry;
+  }
+
+  /**
+   * Get all cached questions for export
+   * @returns {Promise<Question[]>}
+   */
+  async exportQuestions() {
+    if (!this.cacheLoaded && this.lazyLoad) {
+      await this.loadCache();
+    }
+
+    return this.cachedQuestions.map(q => ({ ...q }));
+  }
+
+  /**
+   * Merge validated questions into the cache and persist it
+   * Questions with the same text and correct answer as a cached question are skipped;
+   * imported IDs that clash with a different cached question are replaced
+   * @param {Question[]} questions - Validated questions to import
+   * @returns {Promise<{imported: number, duplicates: number, dropped: number}>}
+   */
+  async importQuestions(questions) {
+    if (!this.cacheLoaded && this.lazyLoad) {
+      await this.loadCache();
+    }
+
+    const seen = new Set(this.cachedQuestions.map(q => this._duplicateKey(q)));
+    const ids = new Set(this.cachedQuestions.map(q => q.id));
+    const imported = [];
+    let duplicates = 0;
+
+    (questions || []).forEach(question => {
+      const key = this._duplicateKey(question);
+      if (seen.has(key)) {
+        duplicates++;
+        return;
+      }
+      seen.add(key);
+
+      let id = question.id;
+      if (!id || ids.has(id)) {
+        id = `q_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      }
+      ids.add(id);
+
+      // Marked so regeneration carries it over like a pinned question
+      imported.push({ ...question, id, imported: true });
+    });
+
+    const merged = [...this.cachedQuestions, ...imported];
+    const dropped = Math.max(0, merged.length - this.maxCachedQuestions);
+
+    if (imported.length > 0) {
+      await this.saveCache(merged);
+    }
+
+    return {
+      imported: imported.length - dropped,
+      duplicates,
+      dropped
+    };
+  }
+
+  /**
+   * Cut a question list down to the cache limit
+   * Deck and other questions are cut in proportion, so a large deck cannot push every
+   * generated question out of the cache; each kind keeps its first questions in order
+   * @param {Question[]} questions - Questions to limit
+   * @returns {Question[]}
+   * @private
+   */
+  _limitQuestions(questions) {
+    const limit = this.maxCachedQuestions;
+    if (questions.length <= limit) {
+      return questions;
+    }
+
+    const deckCount = questions.filter(q => q.fromDeck).length;
+    const otherCount = questions.length - deckCount;
+    let deckLimit = Math.round(limit * deckCount / questions.length);
+    // Keep at least one question of each kind present
+    if (otherCount > 0 && deckLimit >= limit) {
+      deckLimit = limit - 1;
+    }
+    if (deckCount > 0 && deckLimit === 0) {
+      deckLimit = 1;
+    }
+    let otherLimit = limit - deckLimit;
+
+    return questions.filter(q => (q.fromDeck ? deckLimit-- : otherLimit--) > 0);
+  }
+
+  /**
+   * Get the key used to spot duplicate questions on import
+   * Ignores case, whitespace and the source document, so round-tripped questions match
+   * @param {Question} question - Question to get the key for
+   * @returns {string}
+   * @private
+   */
+  _duplicateKey(question) {
+    const answer = Array.isArray(question.options)
+      ? question.options[question.correctAnswer]
+      : question.correctAnswer;
+    const normalize = value => String(value === undefined || value === null ? '' : value)
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    return `${normalize(question.text)}\n${normalize(answer)}`;
+  }
+
+  /**
+   * Get cached questions grouped by source document for review
+   * @returns {Promise<{sourceDocument: string|null, questions: Question[]}[]>} - Groups sorted by document path
+   */
+  async getQuestionsByDocument() {
+    if (!this.cacheLoaded && this.lazyLoad) {
+      await this.loadCache();
+    }
+
+    const groups = new Map();
+    this.cachedQuestions.forEach(question => {
+      const key = question.sourceDocument || null;
+      if (!groups.has(key)) {
+        groups.set(key, { sourceDocument: key, questions: [] });
+      }
+      groups.get(key).questions.push({ ...question });
+    });
+
+    // Questions without a source document (imported by hand) come last
+    return Array.from(groups.values()).sort((a, b) => {
+      if (!a.sourceDocument) return 1;
+      if (!b.sourceDocument) return -1;
+      return a.sourceDocument.localeCompare(b.sourceDocument);
+    });
+  }
+
+  /**
+   * Edit a cached question and remember the edit for regenerated copies of it
+   * Text, options, correct answer and explanation can be edited; pinned and disabled
+   * toggle the question's flags. The edited question is validated like an import
+   * @param {string} questionId - ID of the question to edit
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Question>} - The updated question
+   * @throws {Error} - If the question does not exist or the edit is invalid
+   */
+  async updateQuestion(questionId, changes = {}) {
+    if (!this.cacheLoaded && this.lazyLoad) {
+      await this.loadCache();
+    }
+
+    const index = this.cachedQuestions.findIndex(q => q.id === questionId);
+    if (index === -1) {
+      throw new Error(`Question not found: ${questionId}`);
+    }
+
+    const current = this.cachedQuestions[index];
+    const originKey = this.getReviewKey(current);
+    const override = { ...(this.questionOverrides[originKey] || {}) };
+    const updated = { ...current, originKey };
+
+    const editableFields = ['text', 'type', 'options', 'correctAnswer', 'explanation'];
+    const edits = {};
+    editableFields.forEach(field => {
+      if (changes[field] !== undefined) {
+        edits[field] = changes[field];
+      }
+    });
+
+    if (Object.keys(edits).length > 0) {
+      if (edits.type === 'text') {
+        edits.options = undefined;
+      }
+
+      const validated = new QuestionSerializer().validateQuestion({ ...current, ...edits, id: current.id });
+      editableFields.forEach(field => {
+        updated[field] = validated[field];
+        if (validated[field] === undefined) {
+          delete updated[field];
+        }
+      });
+      updated.edited = true;
+
+      override.edits = {};
+      editableFields.forEach(field => {
+        if (updated[field] !== undefined) {
+          override.edits[field] = updated[field];
+        }
+      });
+    }
+
+    ['pinned', 'disabled'].forEach(flag => {
+      if (changes[flag] !== undefined) {
+        updated[flag] = Boolean(changes[flag]);
+        override[flag] = Boolean(changes[flag]);
+      }
+    });
+
+    this.questionOverrides[originKey] = override;
+    this.cachedQuestions[index] = updated;
+    await this.saveCache();
+
+    return { ...updated };
+  }
+
+  /**
+   * Delete a cached question so it is not asked again, even after regeneration
+   * @param {string} questionId - ID of the question to delete
+   * @returns {Promise<boolean>} - True if the question was deleted, false if not found
+   */
+  async deleteQuestion(questionId) {
+    if (!this.cacheLoaded && this.lazyLoad) {
+      await this.loadCache();
+    }
+
+    const question = this.cachedQuestions.find(q => q.id === questionId);
+    if (!question) {
+      return false;
+    }
+
+    this.questionOverrides[this.getReviewKey(question)] = { deleted: true };
+    this.cachedQuestions = this.cachedQuestions.filter(q => q.id !== questionId);
+    this.usedQuestionIds.delete(questionId);
+    await this.saveCache();
+
+    return true;
+  }
+
+  /**
+   * Apply hand edits and flags to questions
+   * Stamps each question with its origin key and drops deleted questions
+   * @param {Question[]} questions - Questions to apply overrides to
+   * @returns {Question[]}
+   * @private
+   */
+  _applyOverrides(questions) {
+    return questions.reduce((result, question) => {
+      const originKey = this.getReviewKey(question);
+      const override = this.questionOverrides[originKey];
+
+      if (override && override.deleted) {
+        return result;
+      }
+
+      const applied = { ...question, originKey };
+      if (override) {
+        if (override.edits) {
+          Object.assign(applied, override.edits);
+          if (override.edits.type === 'text') {
+            delete applied.options;
+          }
+          applied.edited = true;
+        }
+        if (override.pinned !== undefined) {
+          applied.pinned = override.pinned;
+        }
+        if (override.disabled !== undefined) {
+          applied.disabled = override.disabled;
+        }
+      }
+
+      result.push(applied);
+      return result;
+    }, []);
+  }
+
+  /**
+   * Get edited, pinned or imported cached questions that a new question list no longer contains
+   * Questions from documents that are no longer configured are left behind
+   * @param {Question[]} questions - New questions, with overrides applied
+   * @param {string[]|null} documentPaths - Paths of the new source documents, if known
+   * @returns {Question[]}
+   * @private
+   */
+  _getCarriedOverQuestions(questions, documentPaths) {
+    const present = new Set(questions.map(q => q.originKey));
+    const removedDocuments = new Set();
+    if (Array.isArray(documentPaths)) {
+      const current = new Set(documentPaths.map(p => this.path.resolve(p)));
+      this.cacheMetadata.documentHashes
+        .map(p => this.path.resolve(p))
+        .filter(p => !current.has(p))
+        .forEach(p => removedDocuments.add(p));
+    }
+
+    return this.cachedQuestions.filter(question =>
+      (question.edited || question.pinned || question.imported) &&
+      !present.has(this.getReviewKey(question)) &&
+      !(question.sourceDocument && removedDocuments.has(this.path.resolve(question.sourceDocument)))
+    );
   }
 
   /**
@@ -690,8 +2102,14 @@ class QuestionGenerator {
    * @returns {boolean} - True if unused questions exist
    */
   hasUnusedQuestions() {
-    const unusedCount = this.cachedQuestions.length - this.usedQuestionIds.size;
-    return unusedCount > 0;
+    const enabled = this.cachedQuestions.filter(q => !q.disabled);
+    if (enabled.some(q => !this.usedQuestionIds.has(q.id))) {
+      return true;
+    }
+
+    // Questions due for review can be asked again
+    const now = new Date();
+    return enabled.some(q => this.reviewScheduler.isDue(this.getReviewKey(q), now));
   }
 
   /**
@@ -782,17 +2200,34 @@ class QuestionGenerator {
    * @returns {Object} - Statistics about current session
    */
   getSessionStats() {
+    const now = new Date();
     return {
       totalQuestions: this.cachedQuestions.length,
       usedQuestions: this.usedQuestionIds.size,
       remainingQuestions: this.cachedQuestions.length - this.usedQuestionIds.size,
       cacheGenerated: this.cacheMetadata.generated,
-      documentCount: this.cacheMetadata.documentHashes.length
+      documentCount: this.cacheMetadata.documentHashes.length,
+      difficulty: this.difficulty,
+      questionMode: this.questionMode,
+      dueQuestions: this.cachedQuestions.filter(q => this.reviewScheduler.isDue(this.getReviewKey(q), now)).length,
+      masteredQuestions: this.cachedQuestions.filter(q => this.reviewScheduler.isMastered(this.getReviewKey(q))).length
     };
   }
 
   /**
-   * Check if cache needs regeneration based on document changes
+   * Check whether the cache was generated with a different difficulty or question mode
+   * @returns {boolean}
+   * @private
+   */
+  _generationSettingsChanged() {
+    // Caches written before these settings were tracked were generated as medium multiple-choice
+    const cachedDifficulty = this.cacheMetadata.difficulty || 'medium';
+    const cachedQuestionMode = this.cacheMetadata.questionMode || 'multiple-choice';
+    return cachedDifficulty !== this.difficulty || cachedQuestionMode !== this.questionMode;
+  }
+
+  /**
+   * Check if cache needs regeneration based on document, difficulty or question mode changes
    * @param {string[]} currentDocumentPaths - Current document paths
    * @returns {boolean} - True if cache should be regenerated
    */
@@ -801,6 +2236,10 @@ class QuestionGenerator {
       return true;
     }
 
+    if (this._generationSettingsChanged()) {
+      return true;
+    }
+
     // Check if document list has changed
     const currentSet = new Set(currentDocumentPaths);
     const cachedSet = new Set(this.cacheMetadata.documentHashes);
@@ -159,6 +159,36 @@ describe('QuestionGenerator', () => {
       expect(biologyKeyword).toBeDefined();
       expect(biologyKeyword.frequency).toBe(4);
     });
+
+    it('should group the forms of a word by stem', () => {
+      const content = 'Cells divide. A cell grows before the cells split. Every cell has a membrane.';
+      const keywords = generator.extractKeywords(content);
+
+      const cellKeyword = keywords.find(k => k.stem === 'cell');
+      expect(cellKeyword.frequency).toBe(4);
+      expect(cellKeyword.forms.sort()).toEqual(['cell', 'cells']);
+    });
+
+    it('should keep accented letters and filter the stop words of the document language', () => {
+      const content = 'Die Zelle ist die kleinste Einheit des Lebens. Jede Zelle hat eine Membran. ' +
+        'Zellen teilen sich durch Mitose, und die Mitose dauert einige Stunden. Über die Membran gelangen Stoffe in die Zelle.';
+      const keywords = generator.extractKeywords(content);
+
+      const zelleKeyword = keywords.find(k => k.word === 'zelle');
+      expect(zelleKeyword.frequency).toBe(4);
+      expect(zelleKeyword.forms).toEqual(['zelle', 'zellen']);
+      expect(keywords.find(k => k.word === 'membran')).toBeDefined();
+      expect(keywords.some(k => ['einige', 'durch', 'über'].includes(k.word))).toBe(false);
+    });
+
+    it('should extract keywords from French and Spanish text', () => {
+      const french = generator.extractKeywords("L'énergie de la cellule vient des mitochondries. Les mitochondries produisent l'énergie dont la cellule a besoin.");
+      const spanish = generator.extractKeywords('La fotosíntesis ocurre en los cloroplastos. Los cloroplastos usan la luz para la fotosíntesis.');
+
+      expect(french.map(k => k.word)).toEqual(expect.arrayContaining(['énergie', 'cellule', 'mitochondries']));
+      expect(spanish.map(k => k.word)).toEqual(expect.arrayContaining(['fotosíntesis', 'cloroplastos']));
+      expect(spanish.some(k => ['para', 'los'].includes(k.word))).toBe(false);
+    });
   });
 
   describe('extractSentencesWithKeywords', () => {
@@ -236,6 +266,21 @@ describe('QuestionGenerator', () => {
   });
 
   describe('identifyKeyConcepts', () => {
+    it('should detect the document language and keep the keyword forms used in each sentence', () => {
+      const document = {
+        filePath: '/test/zellbiologie.md',
+        content: 'Die Zelle ist die kleinste Einheit des Lebens. Zellen teilen sich durch Mitose in zwei Tochterzellen. ' +
+          'Während der Mitose werden die Chromosomen auf die neuen Zellen verteilt. Jede Zelle besitzt eine Membran.',
+        metadata: { title: 'Zellbiologie' }
+      };
+
+      const concepts = generator.identifyKeyConcepts(document);
+
+      expect(concepts.language).toBe('de');
+      const source = concepts.sourceSentences.find(s => s.sentence.startsWith('Zellen teilen'));
+      expect(source.keywords).toEqual(expect.arrayContaining(['zellen', 'mitose']));
+    });
+
     it('should identify key concepts from a document', () => {
       const document = {
         filePath: '/path/to/biology.pdf',
@@ -310,6 +355,217 @@ describe('QuestionGenerator', () => {
 
       expect(concepts.sourceSentences.length).toBeLessThanOrEqual(50);
     });
+
+    it('should tag source sentences with the section they are in', () => {
+      const first = 'Photosynthesis happens inside the chloroplast of plant cells.';
+      const second = 'Respiration happens inside the mitochondria of animal cells.';
+      const document = {
+        filePath: '/path/to/book.epub',
+        content: `${first}\n\n${second}`,
+        metadata: {
+          title: 'Biology',
+          sections: [
+            { title: 'Chapter 1: Plants', offset: 0 },
+            { title: 'Chapter 2: Animals', offset: first.length + 2 }
+          ]
+        }
+      };
+
+      const concepts = generator.identifyKeyConcepts(document);
+      const sectionOf = text => concepts.sourceSentences.find(source => source.sentence === text).section;
+
+      expect(sectionOf(first)).toBe('Chapter 1: Plants');
+      expect(sectionOf(second)).toBe('Chapter 2: Animals');
+    });
+
+    it('should tag sources with their slide and turn bullet lists into list sources', () => {
+      const first = 'Chloroplasts in plant cells capture light, and chloroplasts use light for photosynthesis.';
+      const content = `Organelles.\nChloroplast.\nMitochondrion.\nA very long bullet that goes on and on well past the length that reads as an option.\n\n${first}`;
+      const document = {
+        filePath: '/path/to/lecture.pptx',
+        content,
+        metadata: {
+          title: 'Lecture',
+          sections: [
+            { title: 'Slide 1: Organelles', offset: 0, slide: 1 },
+            { title: 'Slide 2', offset: content.indexOf(first), slide: 2 }
+          ],
+          lists: [
+            { heading: 'Organelles', items: ['Chloroplast', 'Mitochondrion', 'A very long bullet that goes on and on well past the length that reads as an option'], slide: 1 },
+            { heading: 'Too short', items: ['Only one'] }
+          ]
+        }
+      };
+
+      const concepts = generator.identifyKeyConcepts(document);
+      const source = concepts.sourceSentences.find(candidate => candidate.sentence === first);
+
+      expect(source).toMatchObject({ section: 'Slide 2', slide: 2 });
+      expect(concepts.listSources).toEqual([{
+        heading: 'Organelles',
+        items: ['Chloroplast', 'Mitochondrion'],
+        sourceDocument: '/path/to/lecture.pptx',
+        section: 'Slide 1: Organelles',
+        slide: 1
+      }]);
+      expect(concepts.listItems).toEqual(['Chloroplast', 'Mitochondrion']);
+    });
+
+    it('should tag sources from lecture transcripts with when they were said', () => {
+      const first = 'Enzymes lower the activation energy, and enzymes speed up reactions.';
+      const second = 'Substrates bind enzymes at the active site, where substrates react.';
+      const content = `${first}\n${second}`;
+      const document = {
+        filePath: '/path/to/lecture.srt',
+        content,
+        metadata: {
+          title: 'Lecture',
+          timestamps: [
+            { offset: 0, seconds: 65, time: '1:05' },
+            { offset: content.indexOf(second), seconds: 754, time: '12:34' }
+          ]
+        }
+      };
+
+      const concepts = generator.identifyKeyConcepts(document);
+      const timestampOf = text => concepts.sourceSentences.find(source => source.sentence === text).timestamp;
+
+      expect(timestampOf(first)).toBe('1:05');
+      expect(timestampOf(second)).toBe('12:34');
+    });
+
+    it('should turn glossary entries into sources and keep their lines out of cloze sentences', () => {
+      const prose = 'Cells contain organelles, and organelles perform the functions of cells.';
+      const content = `${prose}\n\nRibosome\n: Builds proteins for cells from amino acids\n\nLysosome\n: Breaks down waste inside cells and organelles`;
+      const document = {
+        filePath: '/path/to/notes.md',
+        content,
+        metadata: {
+          title: 'Notes',
+          glossary: [
+            { term: 'Ribosome', definition: 'Builds proteins for cells from amino acids' },
+            { term: 'Lysosome', definition: 'Breaks down waste inside cells and organelles' }
+          ]
+        }
+      };
+
+      const concepts = generator.identifyKeyConcepts(document);
+
+      expect(concepts.glossarySources).toEqual([
+        { term: 'Ribosome', definition: 'Builds proteins for cells from amino acids', sourceDocument: '/path/to/notes.md' },
+        { term: 'Lysosome', definition: 'Breaks down waste inside cells and organelles', sourceDocument: '/path/to/notes.md' }
+      ]);
+      expect(concepts.sourceSentences.map(source => source.sentence)).toEqual([prose]);
+    });
+
+    it('should flag sentences inside definitions and theorems as high value and put them first', () => {
+      const plain = 'Primes appear in many areas and primes are studied by many mathematicians.';
+      const definition = 'Definition (Prime): A prime number has exactly two divisors, so primes are special.';
+      const content = `${plain}\n${definition}`;
+      const document = {
+        filePath: '/path/to/notes.tex',
+        content,
+        metadata: {
+          title: 'Notes',
+          keyBlocks: [{ kind: 'definition', label: 'Definition', name: 'Prime', offset: content.indexOf(definition), text: definition }]
+        }
+      };
+
+      const concepts = generator.identifyKeyConcepts(document);
+
+      expect(concepts.sourceSentences[0]).toMatchObject({ sentence: definition, highValue: true });
+      expect(concepts.sourceSentences.find(source => source.sentence === plain)).not.toHaveProperty('highValue');
+    });
+
+    it('should leave sources untagged for documents without sections', () => {
+      const document = {
+        filePath: '/path/to/doc.pdf',
+        content: 'Photosynthesis occurs in plants. Photosynthesis produces oxygen. Plants need sunlight.',
+        metadata: { title: 'Photosynthesis' }
+      };
+
+      const concepts = generator.identifyKeyConcepts(document);
+
+      concepts.sourceSentences.forEach(source => {
+        expect(source).not.toHaveProperty('section');
+      });
+    });
+  });
+
+  describe('generateListQuestion', () => {
+    const source = {
+      heading: 'Organelles',
+      items: ['Chloroplast', 'Mitochondrion'],
+      sourceDocument: '/path/to/lecture.pptx',
+      section: 'Slide 4: Organelles',
+      slide: 4
+    };
+    const allItems = ['Chloroplast', 'Mitochondrion', 'Glycolysis', 'Krebs cycle', 'Electron transport'];
+
+    it('should ask which item belongs under the heading', () => {
+      const question = generator.generateListQuestion(source, allItems);
+
+      expect(question.text).toBe('Which of these belongs to "Organelles"?');
+      expect(question.type).toBe('multiple-choice');
+      expect(source.items).toContain(question.options[question.correctAnswer]);
+      expect(question.explanation).toBe(`"${question.options[question.correctAnswer]}" is listed under "Organelles" on Slide 4.`);
+      expect(question).toMatchObject({ concept: 'Organelles', section: 'Slide 4: Organelles', slide: 4 });
+    });
+
+    it('should only use items from other lists as distractors', () => {
+      for (let i = 0; i < 10; i++) {
+        const question = generator.generateListQuestion(source, allItems);
+        const wrong = question.options.filter((option, index) => index !== question.correctAnswer);
+
+        wrong.forEach(option => expect(source.items).not.toContain(option));
+      }
+    });
+
+    it('should return null without enough items from other lists', () => {
+      expect(generator.generateListQuestion(source, ['Chloroplast', 'Mitochondrion', 'Glycolysis'])).toBeNull();
+    });
+  });
+
+  describe('generateGlossaryQuestion', () => {
+    const entries = [
+      { term: 'Osmosis', definition: 'Movement of water across a membrane; osmosis needs no energy', sourceDocument: '/path/to/terms.csv' },
+      { term: 'Diffusion', definition: 'Spreading of particles from high to low concentration', sourceDocument: '/path/to/terms.csv' },
+      { term: 'Mitosis', definition: 'Division of a cell into two identical cells', sourceDocument: '/path/to/terms.csv' },
+      { term: 'Meiosis', definition: 'Division that produces four sex cells', sourceDocument: '/path/to/terms.csv' }
+    ];
+
+    it('should ask for the definition of a term with other definitions as distractors', () => {
+      const question = generator.generateGlossaryQuestion(entries[0], entries, 'term-to-definition');
+
+      expect(question.text).toBe('What does "Osmosis" mean?');
+      expect(question.type).toBe('multiple-choice');
+      expect(question.options[question.correctAnswer]).toBe(entries[0].definition);
+      expect(question.options).toHaveLength(4);
+      question.options.forEach(option => expect(entries.map(entry => entry.definition)).toContain(option));
+      expect(question).toMatchObject({ concept: 'Osmosis', sourceDocument: '/path/to/terms.csv' });
+    });
+
+    it('should ask for the term of a definition without giving the term away', () => {
+      const question = generator.generateGlossaryQuestion(entries[0], entries, 'definition-to-term');
+
+      expect(question.text).toBe('Which term means "Movement of water across a membrane; ______ needs no energy"?');
+      expect(question.options[question.correctAnswer]).toBe('Osmosis');
+      question.options.forEach(option => expect(entries.map(entry => entry.term)).toContain(option));
+      expect(question.explanation).toBe('"Osmosis" means: Movement of water across a membrane; osmosis needs no energy');
+    });
+
+    it('should ask for the term as a typed answer', () => {
+      const question = generator.generateGlossaryQuestion(entries[2], entries, 'term-to-definition', 'text');
+
+      expect(question.type).toBe('text');
+      expect(question.text).toBe('Which term means "Division of a cell into two identical cells"?');
+      expect(question.correctAnswer).toBe('Mitosis');
+      expect(question.options).toBeUndefined();
+    });
+
+    it('should return null without enough other entries', () => {
+      expect(generator.generateGlossaryQuestion(entries[0], entries.slice(0, 2))).toBeNull();
+    });
   });
 
   describe('processDocuments', () => {
@@ -432,6 +688,13 @@ describe('QuestionGenerator', () => {
   });
 
   describe('generateQuestionFromSentence', () => {
+    it('should blank keywords that start or end with accented letters', () => {
+      const result = generator.generateQuestionFromSentence('Die Übung stärkt das Gedächtnis.', ['übung']);
+
+      expect(result.correctAnswer).toBe('Übung');
+      expect(result.clozeText).toBe('Die ______ stärkt das Gedächtnis.');
+    });
+
     it('should generate a question by replacing a keyword with a blank', () => {
       const sentence = 'Mitochondria are the powerhouse of the cell.';
       const keywords = ['mitochondria', 'powerhouse', 'cell'];
@@ -652,6 +915,56 @@ describe('QuestionGenerator', () => {
       expect(question.sourceDocument).toBe('/path/to/biology.pdf');
     });
 
+    it('should carry the section of the source sentence', () => {
+      const source = {
+        sentence: 'Mitochondria are the powerhouse of the cell.',
+        keywords: ['mitochondria', 'powerhouse', 'cell'],
+        sourceDocument: '/path/to/biology.epub',
+        section: 'Chapter 3: Energy'
+      };
+      const allKeywords = ['mitochondria', 'chloroplast', 'nucleus', 'ribosome', 'membrane'];
+
+      expect(generator.generateMultipleChoiceQuestion(source, allKeywords).section).toBe('Chapter 3: Energy');
+      expect(generator.generateTextQuestion(source).section).toBe('Chapter 3: Energy');
+    });
+
+    it('should cite the slide of the source sentence in the explanation', () => {
+      const source = {
+        sentence: 'Mitochondria are the powerhouse of the cell.',
+        keywords: ['mitochondria', 'powerhouse', 'cell'],
+        sourceDocument: '/path/to/lecture.pptx',
+        section: 'Slide 14: Energy',
+        slide: 14
+      };
+      const allKeywords = ['mitochondria', 'chloroplast', 'nucleus', 'ribosome', 'membrane'];
+
+      const multipleChoice = generator.generateMultipleChoiceQuestion(source, allKeywords);
+      const text = generator.generateTextQuestion(source);
+
+      expect(multipleChoice.explanation).toMatch(/based on Slide 14\.$/);
+      expect(multipleChoice.slide).toBe(14);
+      expect(text.explanation).toMatch(/\(Slide 14\)$/);
+      expect(text.slide).toBe(14);
+    });
+
+    it('should say where in the lecture the answer was given', () => {
+      const source = {
+        sentence: 'Mitochondria are the powerhouse of the cell.',
+        keywords: ['mitochondria', 'powerhouse', 'cell'],
+        sourceDocument: '/path/to/lecture.vtt',
+        timestamp: '12:34'
+      };
+      const allKeywords = ['mitochondria', 'chloroplast', 'nucleus', 'ribosome', 'membrane'];
+
+      const multipleChoice = generator.generateMultipleChoiceQuestion(source, allKeywords);
+      const text = generator.generateTextQuestion(source);
+
+      expect(multipleChoice.explanation).toMatch(/based on the lecture at 12:34\.$/);
+      expect(multipleChoice.timestamp).toBe('12:34');
+      expect(text.explanation).toMatch(/\(at 12:34\)$/);
+      expect(text.timestamp).toBe('12:34');
+    });
+
     it('should return null for invalid source', () => {
       const allKeywords = ['keyword1', 'keyword2'];
 
@@ -785,6 +1098,51 @@ describe('QuestionGenerator', () => {
       expect(questions.length).toBeLessThanOrEqual(3);
     });
 
+    it('should mix bullet-list questions in for multiple-choice but not typed answers', () => {
+      const documents = [
+        {
+          filePath: '/path/to/lecture.pptx',
+          content: 'Organelles.\nChloroplast.\nMitochondrion.\n\nPathways.\nGlycolysis.\nKrebs cycle.\nElectron transport.',
+          metadata: {
+            title: 'Lecture',
+            lists: [
+              { heading: 'Organelles', items: ['Chloroplast', 'Mitochondrion'], slide: 1 },
+              { heading: 'Pathways', items: ['Glycolysis', 'Krebs cycle', 'Electron transport'], slide: 2 }
+            ]
+          }
+        }
+      ];
+
+      const listQuestions = generator.generateQuestions(documents, 10).filter(question => question.text.startsWith('Which of these belongs to'));
+      expect(listQuestions).toHaveLength(2);
+
+      generator.setQuestionMode('text');
+      expect(() => generator.generateQuestions(documents, 10)).toThrow('Could not generate any valid questions');
+    });
+
+    it('should ask glossary questions in both directions instead of cloze questions', () => {
+      const glossary = [
+        { term: 'Osmosis', definition: 'Movement of water across a membrane' },
+        { term: 'Diffusion', definition: 'Spreading of particles from high to low concentration' },
+        { term: 'Mitosis', definition: 'Division of a cell into two identical cells' },
+        { term: 'Meiosis', definition: 'Division that produces four sex cells' }
+      ];
+      const documents = [
+        {
+          filePath: '/path/to/terms.csv',
+          content: glossary.map(entry => `${entry.term}: ${entry.definition}`).join('\n'),
+          metadata: { title: 'terms', glossary }
+        }
+      ];
+
+      const questions = generator.generateQuestions(documents, 10);
+
+      expect(questions).toHaveLength(4);
+      expect(questions.filter(question => question.text.startsWith('What does'))).toHaveLength(2);
+      expect(questions.filter(question => question.text.startsWith('Which term means'))).toHaveLength(2);
+      questions.forEach(question => expect(glossary.map(entry => entry.term)).toContain(question.concept));
+    });
+
     it('should generate questions with all required properties', () => {
       const documents = [
         {
@@ -1060,4 +1418,290 @@ describe('QuestionGenerator', () => {
       });
     });
   });
+
+  describe('difficulty', () => {
+    const documents = [
+      {
+        filePath: '/path/to/biology.pdf',
+        content: 'Glycolysis breaks glucose into pyruvate in the cytoplasm. Glycolysis produces ATP and NADH for the cell. ' +
+          'Hydrolysis splits molecules by adding water to chemical bonds. Hydrolysis happens during digestion of food. ' +
+          'Mitochondria convert pyruvate into energy through cellular respiration in most eukaryotic cells during aerobic conditions. ' +
+          'Mitochondria contain their own genetic material and ribosomes. Chloroplasts capture sunlight for photosynthesis in plant cells. ' +
+          'Chloroplasts contain chlorophyll pigments.',
+        metadata: { title: 'Biology' }
+      }
+    ];
+
+    it('should default to medium difficulty', () => {
+      expect(generator.getDifficulty()).toBe('medium');
+    });
+
+    it('should accept difficulty in constructor options', () => {
+      const hardGenerator = new QuestionGenerator({ difficulty: 'hard' });
+      expect(hardGenerator.getDifficulty()).toBe('hard');
+    });
+
+    it('should fall back to medium for unknown difficulty', () => {
+      const unknownGenerator = new QuestionGenerator({ difficulty: 'extreme' });
+      expect(unknownGenerator.getDifficulty()).toBe('medium');
+    });
+
+    it('should report whether setDifficulty changed the level', () => {
+      expect(generator.setDifficulty('medium')).toBe(false);
+      expect(generator.setDifficulty('easy')).toBe(true);
+      expect(generator.getDifficulty()).toBe('easy');
+    });
+
+    it('should reject invalid difficulty levels', () => {
+      expect(() => generator.setDifficulty('extreme')).toThrow('difficulty must be one of');
+    });
+
+    it('should generate fewer options on easy', () => {
+      generator.setDifficulty('easy');
+      const questions = generator.generateQuestions(documents, 5);
+
+      expect(questions.length).toBeGreaterThan(0);
+      questions.forEach(question => {
+        expect(question.options).toHaveLength(3);
+        expect(question.difficulty).toBe('easy');
+      });
+    });
+
+    it('should generate four options on hard', () => {
+      generator.setDifficulty('hard');
+      const questions = generator.generateQuestions(documents, 5);
+
+      expect(questions.length).toBeGreaterThan(0);
+      questions.forEach(question => {
+        expect(question.options).toHaveLength(4);
+        expect(question.difficulty).toBe('hard');
+      });
+    });
+
+    it('should keep high-value sources first whatever the sentence order', () => {
+      const sources = [
+        { sentence: 'A long plain sentence that the hard profile would normally pick first of all.', keywords: ['plain'] },
+        { sentence: 'A short theorem sentence here.', keywords: ['theorem'], highValue: true }
+      ];
+
+      const selected = generator.selectSourceSentences(sources, generator.getDifficultyProfile());
+      generator.setDifficulty('hard');
+      const selectedOnHard = generator.selectSourceSentences(sources, { ...generator.getDifficultyProfile(), minSentenceLength: 0 });
+
+      expect(selected[0].highValue).toBe(true);
+      expect(selectedOnHard[0].highValue).toBe(true);
+    });
+
+    it('should prefer long source sentences on hard', () => {
+      generator.setDifficulty('hard');
+      const questions = generator.generateQuestions(documents, 1);
+
+      expect(questions[0].text).toContain('eukaryotic');
+    });
+
+    it('should blank the rarest keyword on hard and the most common on easy', () => {
+      const sentence = 'Mitochondria use pyruvate during respiration.';
+      const keywords = ['mitochondria', 'pyruvate'];
+      const keywordFrequencies = new Map([['mitochondria', 5], ['pyruvate', 2]]);
+
+      const rare = generator.generateQuestionFromSentence(sentence, keywords, {
+        keywordPreference: 'rare',
+        keywordFrequencies
+      });
+      const common = generator.generateQuestionFromSentence(sentence, keywords, {
+        keywordPreference: 'common',
+        keywordFrequencies
+      });
+
+      expect(rare.correctAnswer).toBe('Pyruvate');
+      expect(common.correctAnswer).toBe('Mitochondria');
+    });
+
+    it('should pick similar distractors for the similar strategy', () => {
+      const keywords = ['hydrolysis', 'photosynthesis', 'chlorophyll', 'ribosome', 'electrolysis'];
+      const distractors = generator.generateDistractors('Glycolysis', keywords, 2, 'similar');
+
+      expect(distractors).toEqual(['Hydrolysis', 'Electrolysis']);
+    });
+
+    it('should pick dissimilar distractors for the dissimilar strategy', () => {
+      const keywords = ['hydrolysis', 'photosynthesis', 'chlorophyll', 'ribosome', 'electrolysis'];
+      const distractors = generator.generateDistractors('Glycolysis', keywords, 2, 'dissimilar');
+
+      expect(distractors).not.toContain('Hydrolysis');
+      expect(distractors).not.toContain('Electrolysis');
+    });
+
+    it('should score identical answers higher than unrelated ones', () => {
+      expect(generator.answerSimilarity('glycolysis', 'glycolysis')).toBe(1);
+      expect(generator.answerSimilarity('glycolysis', 'hydrolysis'))
+        .toBeGreaterThan(generator.answerSimilarity('glycolysis', 'ribosome'));
+    });
+  });
+
+  describe('question mode', () => {
+    const documents = [
+      {
+        filePath: '/path/to/biology.pdf',
+        content: 'Mitochondria produce energy for the cell. Mitochondria are found in most cells. ' +
+          'Photosynthesis occurs in chloroplasts. Photosynthesis converts light into energy. ' +
+          'Chloroplasts contain chlorophyll for photosynthesis. Ribosomes build proteins in the cell. ' +
+          'Ribosomes read genetic instructions.',
+        metadata: { title: 'Biology' }
+      }
+    ];
+
+    it('should default to multiple-choice', () => {
+      expect(generator.getQuestionMode()).toBe('multiple-choice');
+
+      const questions = generator.generateQuestions(documents, 5);
+      questions.forEach(q => expect(q.type).toBe('multiple-choice'));
+    });
+
+    it('should accept question mode in constructor options', () => {
+      expect(new QuestionGenerator({ questionMode: 'text' }).getQuestionMode()).toBe('text');
+      expect(new QuestionGenerator({ questionMode: 'essay' }).getQuestionMode()).toBe('multiple-choice');
+    });
+
+    it('should report whether setQuestionMode changed the mode', () => {
+      expect(generator.setQuestionMode('multiple-choice')).toBe(false);
+      expect(generator.setQuestionMode('mixed')).toBe(true);
+      expect(() => generator.setQuestionMode('essay')).toThrow('questionMode must be one of');
+    });
+
+    it('should generate cloze questions in text mode', () => {
+      generator.setQuestionMode('text');
+      const questions = generator.generateQuestions(documents, 5);
+
+      expect(questions.length).toBeGreaterThan(0);
+      questions.forEach(q => {
+        expect(q.type).toBe('text');
+        expect(q.options).toBeUndefined();
+        expect(typeof q.correctAnswer).toBe('string');
+        expect(q.text).toMatch(/^Fill in the blank: /);
+        expect(q.text).toContain('______');
+        expect(q.text.toLowerCase()).not.toContain(q.correctAnswer.toLowerCase());
+      });
+    });
+
+    it('should alternate question types in mixed mode', () => {
+      generator.setQuestionMode('mixed');
+      const questions = generator.generateQuestions(documents, 4);
+      const types = questions.map(q => q.type);
+
+      expect(types).toContain('multiple-choice');
+      expect(types).toContain('text');
+    });
+
+    it('should keep the sentence with a blank for typed answers', () => {
+      const result = generator.generateQuestionFromSentence(
+        'Mitochondria produce energy for the cell.',
+        ['mitochondria']
+      );
+
+      expect(result.clozeText).toBe('______ produce energy for the cell.');
+    });
+  });
+
+  describe('question decks', () => {
+    const textDocument = {
+      filePath: '/path/to/biology.pdf',
+      content: 'Mitochondria produce energy for the cell. Mitochondria are found in most cells. ' +
+        'Photosynthesis occurs in chloroplasts. Photosynthesis converts light into energy. ' +
+        'Chloroplasts contain chlorophyll for photosynthesis. Ribosomes build proteins in the cell. ' +
+        'Ribosomes read genetic instructions.',
+      metadata: { title: 'Biology' }
+    };
+    const deck = {
+      filePath: '/path/to/cells.deck.md',
+      content: 'Which organelle makes ATP?',
+      metadata: { title: 'Cells', format: '.deck.md', questionCount: 2 },
+      questions: [
+        {
+          id: 'atp',
+          text: 'Which organelle makes ATP?',
+          type: 'multiple-choice',
+          options: ['Ribosome', 'Mitochondrion', 'Nucleus'],
+          correctAnswer: 1,
+          explanation: '',
+          sourceDocument: '/path/to/cells.deck.md',
+          concept: 'Mitochondrion'
+        },
+        {
+          id: null,
+          text: 'Name the molecule that carries genetic information.',
+          type: 'text',
+          correctAnswer: 'DNA',
+          explanation: '',
+          sourceDocument: '/path/to/cells.deck.md',
+          concept: 'DNA'
+        }
+      ]
+    };
+
+    it('should pass deck questions through verbatim', () => {
+      const questions = generator.generateQuestions([deck], 1);
+
+      expect(questions).toHaveLength(2);
+      expect(questions[0]).toMatchObject({ ...deck.questions[0], fromDeck: true });
+      expect(questions[1].text).toBe(deck.questions[1].text);
+      expect(questions[1].correctAnswer).toBe('DNA');
+      expect(questions[1].id).toMatch(/^q_/);
+    });
+
+    it('should link deck questions to the deck file', () => {
+      const exported = {
+        ...deck,
+        filePath: '/path/to/exported.json',
+        questions: deck.questions.map(q => ({ ...q, sourceDocument: '/elsewhere/biology.pdf' }))
+      };
+
+      const questions = generator.getDeckQuestions([exported]);
+
+      expect(questions.map(q => q.sourceDocument)).toEqual(['/path/to/exported.json', '/path/to/exported.json']);
+    });
+
+    it('should not count deck questions towards maxQuestions', () => {
+      const questions = generator.generateQuestions([deck, textDocument], 3);
+      const generated = questions.filter(q => !q.fromDeck);
+
+      expect(questions.filter(q => q.fromDeck)).toHaveLength(2);
+      expect(generated.length).toBeGreaterThan(0);
+      expect(generated.length).toBeLessThanOrEqual(3);
+    });
+
+    it('should accept and validate deck weight', () => {
+      expect(generator.getDeckWeight()).toBe(50);
+      expect(new QuestionGenerator({ deckWeight: 80 }).getDeckWeight()).toBe(80);
+      expect(new QuestionGenerator({ deckWeight: 120 }).getDeckWeight()).toBe(50);
+      expect(generator.setDeckWeight(50)).toBe(false);
+      expect(generator.setDeckWeight(0)).toBe(true);
+      expect(() => generator.setDeckWeight(12.5)).toThrow('deckWeight must be an integer between 0 and 100');
+    });
+
+    it('should pick deck or generated questions according to deck weight', async () => {
+      const questions = generator.generateQuestions([deck, textDocument], 3);
+      generator.cachedQuestions = questions;
+      generator.cacheLoaded = true;
+
+      generator.setDeckWeight(100);
+      for (let i = 0; i < 5; i++) {
+        expect((await generator.getNextQuestion()).fromDeck).toBe(true);
+      }
+
+      generator.setDeckWeight(0);
+      for (let i = 0; i < 5; i++) {
+        expect((await generator.getNextQuestion()).fromDeck).toBeUndefined();
+      }
+    });
+
+    it('should fall back to whichever kind is left', async () => {
+      generator.cachedQuestions = generator.generateQuestions([deck, textDocument], 3);
+      generator.cacheLoaded = true;
+      generator.setDeckWeight(100);
+      generator.cachedQuestions.filter(q => q.fromDeck).forEach(q => generator.markQuestionUsed(q.id));
+
+      expect((await generator.getNextQuestion()).fromDeck).toBeUndefined();
+    });
+  });
 });
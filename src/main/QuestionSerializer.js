@@ -0,0 +1,551 @@
+const { DIFFICULTY_LEVELS, QUESTION_BANK_FORMATS } = require('../shared/constants');
+
+/**
+ * @typedef {Object} Question
+ * @property {string} id - Unique question identifier
+ * @property {string} text - The question text
+ * @property {'multiple-choice'|'text'} type - Question type
+ * @property {string[]} [options] - Array of answer options (multiple-choice only)
+ * @property {number|string} correctAnswer - Index of correct answer, or the answer text for text questions
+ * @property {string} explanation - Explanation of the correct answer
+ * @property {string|null} sourceDocument - Path to source document
+ * @property {'easy'|'medium'|'hard'} [difficulty] - Difficulty the question was generated for
+ * @property {string} [concept] - Key term the question tests
+ */
+
+/**
+ * @typedef {Object} ParseResult
+ * @property {Question[]} questions - Questions that passed validation
+ * @property {{entry: number, error: string}[]} invalid - Rejected entries (1-based) and why
+ */
+
+// Columns written to CSV exports, followed by one column per answer option
+const CSV_COLUMNS = ['id', 'type', 'text', 'answer', 'explanation', 'sourceDocument', 'difficulty', 'concept'];
+
+// Minimum number of option columns in CSV exports, so hand-added questions have room
+const MIN_OPTION_COLUMNS = 4;
+
+/**
+ * Converts the question bank to and from JSON, CSV and Anki-compatible TSV
+ * Imported questions are validated against the Question shape
+ */
+class QuestionSerializer {
+  /**
+   * Serialize questions in an export format
+   * @param {Question[]} questions - Questions to export
+   * @param {'json'|'csv'|'tsv'} format - Export format
+   * @returns {string} - File contents
+   */
+  serialize(questions, format) {
+    switch (format) {
+      case 'json':
+        return this.toJSON(questions);
+      case 'csv':
+        return this.toCSV(questions);
+      case 'tsv':
+        return this.toAnkiTSV(questions);
+      default:
+        throw new Error(`Unsupported export format: ${format}. Expected one of: ${QUESTION_BANK_FORMATS.join(', ')}`);
+    }
+  }
+
+  /**
+   * Parse and validate questions from an export file
+   * @param {string} content - File contents
+   * @param {'json'|'csv'|'tsv'} format - Import format
+   * @returns {ParseResult}
+   */
+  parse(content, format) {
+    // Spreadsheet apps often save with a byte order mark
+    const text = String(content || '').replace(/^\uFEFF/, '');
+
+    switch (format) {
+      case 'json':
+        return this.fromJSON(text);
+      case 'csv':
+        return this.fromCSV(text);
+      case 'tsv':
+        return this.fromAnkiTSV(text);
+      default:
+        throw new Error(`Unsupported import format: ${format}. Expected one of: ${QUESTION_BANK_FORMATS.join(', ')}`);
+    }
+  }
+
+  /**
+   * Work out the format of a file from its extension
+   * @param {string} filePath - Path to the file
+   * @returns {'json'|'csv'|'tsv'|null} - Format, or null if unknown
+   */
+  formatForPath(filePath) {
+    const extension = String(filePath).toLowerCase().split('.').pop();
+    if (extension === 'txt') {
+      return 'tsv';
+    }
+    return QUESTION_BANK_FORMATS.includes(extension) ? extension : null;
+  }
+
+  /**
+   * Serialize questions as JSON
+   * @param {Question[]} questions - Questions to export
+   * @returns {string}
+   */
+  toJSON(questions) {
+    return JSON.stringify({
+      version: 1,
+      exported: new Date().toISOString(),
+      questions
+    }, null, 2);
+  }
+
+  /**
+   * Parse questions from JSON
+   * Accepts an export file or a plain array of questions
+   * @param {string} content - JSON text
+   * @returns {ParseResult}
+   */
+  fromJSON(content) {
+    let parsed;
+    try {
+      parsed = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+
+    const entries = Array.isArray(parsed) ? parsed : parsed && parsed.questions;
+    if (!Array.isArray(entries)) {
+      throw new Error('JSON import must be an array of questions or an object with a "questions" array');
+    }
+
+    return this._validateAll(entries);
+  }
+
+  /**
+   * Serialize questions as CSV with one column per answer option
+   * The correct answer is written as text so it stays right when options are reordered
+   * @param {Question[]} questions - Questions to export
+   * @returns {string}
+   */
+  toCSV(questions) {
+    const optionColumns = Math.max(
+      MIN_OPTION_COLUMNS,
+      ...questions.map(q => (Array.isArray(q.options) ? q.options.length : 0))
+    );
+    const header = [...CSV_COLUMNS];
+    for (let i = 1; i <= optionColumns; i++) {
+      header.push(`option${i}`);
+    }
+
+    const rows = questions.map(q => {
+      const options = Array.isArray(q.options) ? q.options : [];
+      const row = [
+        q.id,
+        q.type,
+        q.text,
+        this._answerText(q),
+        q.explanation,
+        q.sourceDocument,
+        q.difficulty,
+        q.concept
+      ];
+      for (let i = 0; i < optionColumns; i++) {
+        row.push(options[i]);
+      }
+      return row.map(value => this._escapeCSV(value)).join(',');
+    });
+
+    // Byte order mark so spreadsheet apps detect UTF-8
+    return '\uFEFF' + [header.join(','), ...rows].join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Parse questions from CSV
+   * Questions with filled option columns are multiple-choice, the rest are typed-answer
+   * @param {string} content - CSV text
+   * @returns {ParseResult}
+   */
+  fromCSV(content) {
+    const rows = this._parseCSVRows(content).filter(row => row.some(cell => cell.trim() !== ''));
+    if (rows.length === 0) {
+      throw new Error('CSV import is empty');
+    }
+
+    const header = rows[0].map(cell => cell.trim());
+    if (!header.includes('text') || !header.includes('answer')) {
+      throw new Error('CSV import must have "text" and "answer" columns');
+    }
+
+    const optionIndexes = header
+      .map((name, index) => ({ name, index }))
+      .filter(column => /^option\d+$/.test(column.name))
+      .sort((a, b) => parseInt(a.name.slice(6)) - parseInt(b.name.slice(6)))
+      .map(column => column.index);
+
+    const entries = rows.slice(1).map(row => {
+      const get = name => {
+        const index = header.indexOf(name);
+        return index === -1 || row[index] === undefined || row[index] === '' ? undefined : row[index];
+      };
+      const options = optionIndexes.map(index => row[index]).filter(option => option && option.trim() !== '');
+
+      return this._fromAnswerText({
+        id: get('id'),
+        type: get('type'),
+        text: get('text'),
+        options,
+        answer: get('answer'),
+        explanation: get('explanation'),
+        sourceDocument: get('sourceDocument'),
+        difficulty: get('difficulty'),
+        concept: get('concept')
+      });
+    });
+
+    return this._validateAll(entries);
+  }
+
+  /**
+   * Serialize questions as tab-separated Front/Back/Tags notes for Anki
+   * Uses Anki's file headers so the import dialog picks the right settings
+   * @param {Question[]} questions - Questions to export
+   * @returns {string}
+   */
+  toAnkiTSV(questions) {
+    const lines = [
+      '#separator:tab',
+      '#html:true',
+      '#columns:Front\tBack\tTags',
+      '#tags column:3'
+    ];
+
+    questions.forEach(q => {
+      let front = this._escapeHTML(q.text);
+      if (Array.isArray(q.options) && q.options.length > 0) {
+        front += `<ol type="A">${q.options.map(option => `<li>${this._escapeHTML(option)}</li>`).join('')}</ol>`;
+      }
+
+      let back = this._escapeHTML(this._answerText(q));
+      if (q.explanation) {
+        back += `<br><br>${this._escapeHTML(q.explanation)}`;
+      }
+
+      const tags = ['spooky-study'];
+      if (q.sourceDocument) {
+        tags.push(`source::${this._encodeTag(String(q.sourceDocument))}`);
+      }
+      if (q.difficulty) {
+        tags.push(`difficulty::${q.difficulty}`);
+      }
+
+      lines.push([front, back, tags.join(' ')].map(field => field.replace(/[\t\r\n]+/g, ' ')).join('\t'));
+    });
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Parse questions from an Anki TSV export
+   * Front fields with an options list become multiple-choice questions
+   * @param {string} content - TSV text
+   * @returns {ParseResult}
+   */
+  fromAnkiTSV(content) {
+    const lines = content.split(/\r?\n/).filter(line => line.trim() !== '' && !line.startsWith('#'));
+    if (lines.length === 0) {
+      throw new Error('TSV import is empty');
+    }
+
+    const entries = lines.map(line => {
+      const [front = '', back = '', tags = ''] = line.split('\t');
+
+      const listMatch = /<ol[^>]*>([\s\S]*?)<\/ol>/i.exec(front);
+      const options = listMatch
+        ? Array.from(listMatch[1].matchAll(/<li>([\s\S]*?)<\/li>/gi), match => this._stripHTML(match[1]))
+        : [];
+      const text = this._stripHTML(listMatch ? front.replace(listMatch[0], '') : front);
+
+      const [answer, ...explanation] = back.split(/<br\s*\/?>\s*<br\s*\/?>/i);
+      const tagList = tags.split(/\s+/);
+      const sourceTag = tagList.find(tag => tag.startsWith('source::'));
+      const difficultyTag = tagList.find(tag => tag.startsWith('difficulty::'));
+
+      return this._fromAnswerText({
+        text,
+        options,
+        answer: this._stripHTML(answer),
+        explanation: this._stripHTML(explanation.join(' ')),
+        sourceDocument: sourceTag ? this._decodeTag(sourceTag.slice('source::'.length)) : undefined,
+        difficulty: difficultyTag ? difficultyTag.slice('difficulty::'.length) : undefined
+      });
+    });
+
+    return this._validateAll(entries);
+  }
+
+  /**
+   * Validate a question against the Question shape and normalize it
+   * @param {Object} entry - Candidate question
+   * @returns {Question} - Normalized question
+   * @throws {Error} - If the entry is not a valid question
+   */
+  validateQuestion(entry) {
+    if (!entry || typeof entry !== 'object') {
+      throw new Error('Question must be an object');
+    }
+
+    const text = typeof entry.text === 'string' ? entry.text.trim() : '';
+    if (!text) {
+      throw new Error('Question text is required');
+    }
+
+    const type = entry.type || (Array.isArray(entry.options) && entry.options.length > 0 ? 'multiple-choice' : 'text');
+    if (type !== 'multiple-choice' && type !== 'text') {
+      throw new Error(`Unknown question type: ${type}`);
+    }
+
+    const question = {
+      id: typeof entry.id === 'string' && entry.id.trim() ? entry.id.trim() : null,
+      text,
+      type
+    };
+
+    if (type === 'multiple-choice') {
+      if (!Array.isArray(entry.options) || entry.options.length < 2) {
+        throw new Error('Multiple-choice questions need at least 2 options');
+      }
+      const options = entry.options.map(option => String(option).trim());
+      if (options.some(option => !option)) {
+        throw new Error('Answer options must not be empty');
+      }
+      if (new Set(options.map(option => option.toLowerCase())).size !== options.length) {
+        throw new Error('Answer options must be unique');
+      }
+      if (!Number.isInteger(entry.correctAnswer) || entry.correctAnswer < 0 || entry.correctAnswer >= options.length) {
+        throw new Error('correctAnswer must be the index of one of the options');
+      }
+      question.options = options;
+      question.correctAnswer = entry.correctAnswer;
+    } else {
+      const answer = typeof entry.correctAnswer === 'string' ? entry.correctAnswer.trim() : '';
+      if (!answer) {
+        throw new Error('Typed-answer questions need a correct answer');
+      }
+      question.correctAnswer = answer;
+    }
+
+    if (entry.difficulty !== undefined && entry.difficulty !== null && !DIFFICULTY_LEVELS.includes(entry.difficulty)) {
+      throw new Error(`difficulty must be one of: ${DIFFICULTY_LEVELS.join(', ')}`);
+    }
+
+    question.explanation = typeof entry.explanation === 'string' ? entry.explanation.trim() : '';
+    question.sourceDocument = typeof entry.sourceDocument === 'string' && entry.sourceDocument.trim()
+      ? entry.sourceDocument.trim()
+      : null;
+    if (entry.difficulty) {
+      question.difficulty = entry.difficulty;
+    }
+    question.concept = typeof entry.concept === 'string' && entry.concept.trim()
+      ? entry.concept.trim()
+      : this._answerText(question);
+    if (typeof entry.section === 'string' && entry.section.trim()) {
+      question.section = entry.section.trim();
+    }
+    if (Number.isInteger(entry.slide) && entry.slide > 0) {
+      question.slide = entry.slide;
+    }
+    if (typeof entry.timestamp === 'string' && /^\d+(?::\d{2}){1,2}$/.test(entry.timestamp.trim())) {
+      question.timestamp = entry.timestamp.trim();
+    }
+
+    return question;
+  }
+
+  /**
+   * Validate entries, collecting the valid questions and the reasons others were rejected
+   * @private
+   * @param {Object[]} entries - Candidate questions
+   * @returns {ParseResult}
+   */
+  _validateAll(entries) {
+    const result = { questions: [], invalid: [] };
+
+    entries.forEach((entry, index) => {
+      try {
+        result.questions.push(this.validateQuestion(entry));
+      } catch (error) {
+        result.invalid.push({ entry: index + 1, error: error.message });
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Build a candidate question from an answer given as text
+   * For multiple-choice the answer is matched against the options case-insensitively
+   * @private
+   * @param {Object} fields - Parsed fields with an `answer` string and `options` array
+   * @returns {Object} - Candidate question
+   */
+  _fromAnswerText(fields) {
+    const { answer, ...entry } = fields;
+    const options = fields.options || [];
+    const type = entry.type || (options.length > 0 ? 'multiple-choice' : 'text');
+
+    if (type === 'multiple-choice') {
+      const wanted = String(answer || '').trim().toLowerCase();
+      entry.correctAnswer = options.findIndex(option => option.trim().toLowerCase() === wanted);
+      if (entry.correctAnswer === -1) {
+        entry.correctAnswer = undefined;
+      }
+    } else {
+      delete entry.options;
+      entry.correctAnswer = answer;
+    }
+
+    entry.type = type;
+    return entry;
+  }
+
+  /**
+   * Get the text of a question's correct answer
+   * @private
+   * @param {Question} question - Question
+   * @returns {string}
+   */
+  _answerText(question) {
+    return Array.isArray(question.options)
+      ? question.options[question.correctAnswer]
+      : question.correctAnswer;
+  }
+
+  /**
+   * Quote a CSV field if needed
+   * @private
+   * @param {*} value - Field value
+   * @returns {string}
+   */
+  _escapeCSV(value) {
+    if (value === undefined || value === null) {
+      return '';
+    }
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Split CSV text into rows of fields
+   * Handles quoted fields containing commas, quotes and line breaks
+   * @private
+   * @param {string} content - CSV text
+   * @returns {string[][]}
+   */
+  _parseCSVRows(content) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+
+      if (inQuotes) {
+        if (char === '"' && content[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && content[i + 1] === '\n') {
+          i++;
+        }
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (inQuotes) {
+      throw new Error('CSV import has an unterminated quoted field');
+    }
+
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Escape text for an HTML field
+   * @private
+   * @param {string} text - Plain text
+   * @returns {string}
+   */
+  _escapeHTML(text) {
+    return String(text === undefined || text === null ? '' : text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Convert an HTML field back to plain text
+   * @private
+   * @param {string} html - HTML text
+   * @returns {string}
+   */
+  _stripHTML(html) {
+    return String(html || '')
+      .replace(/<br\s*\/?>/gi, ' ')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&amp;/g, '&')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Encode text as an Anki tag value
+   * Anki splits tags on whitespace, so whitespace and percent signs are percent-encoded
+   * @private
+   * @param {string} text - Plain text, e.g. a document path
+   * @returns {string}
+   */
+  _encodeTag(text) {
+    return text.replace(/[%\s]/g, character => encodeURIComponent(character));
+  }
+
+  /**
+   * Decode an Anki tag value written by _encodeTag
+   * @private
+   * @param {string} tag - Tag value
+   * @returns {string}
+   */
+  _decodeTag(tag) {
+    try {
+      return decodeURIComponent(tag);
+    } catch (error) {
+      // Hand-written tags may contain a stray percent sign
+      return tag;
+    }
+  }
+}
+
+module.exports = QuestionSerializer;
@@ -0,0 +1,160 @@
+const QuestionSerializer = require('./QuestionSerializer');
+
+describe('QuestionSerializer', () => {
+  let serializer;
+
+  const multipleChoice = {
+    id: 'q1',
+    text: 'The "powerhouse" of the cell, is it?',
+    type: 'multiple-choice',
+    options: ['ribosome', 'mitochondria', 'nucleus'],
+    correctAnswer: 1,
+    explanation: 'Mitochondria produce ATP.\nThey have their own DNA.',
+    sourceDocument: '/docs/cell biology.pdf',
+    difficulty: 'medium',
+    concept: 'mitochondria'
+  };
+
+  const typed = {
+    id: 'q2',
+    text: 'Fill in the blank: Plants make food by _____.',
+    type: 'text',
+    correctAnswer: 'photosynthesis',
+    explanation: 'Light becomes chemical energy.',
+    sourceDocument: '/docs/plants.md',
+    difficulty: 'easy',
+    concept: 'photosynthesis'
+  };
+
+  beforeEach(() => {
+    serializer = new QuestionSerializer();
+  });
+
+  describe('JSON', () => {
+    it('should round-trip questions', () => {
+      const { questions, invalid } = serializer.parse(serializer.serialize([multipleChoice, typed], 'json'), 'json');
+
+      expect(invalid).toEqual([]);
+      expect(questions).toEqual([multipleChoice, typed]);
+    });
+
+    it('should accept a plain array', () => {
+      const { questions } = serializer.parse(JSON.stringify([typed]), 'json');
+      expect(questions).toEqual([typed]);
+    });
+
+    it('should reject malformed JSON', () => {
+      expect(() => serializer.parse('{ nope', 'json')).toThrow('Invalid JSON');
+      expect(() => serializer.parse('{"items": []}', 'json')).toThrow('"questions" array');
+    });
+  });
+
+  describe('CSV', () => {
+    it('should round-trip questions with commas, quotes and line breaks', () => {
+      const csv = serializer.serialize([multipleChoice, typed], 'csv');
+      const { questions, invalid } = serializer.parse(csv, 'csv');
+
+      expect(invalid).toEqual([]);
+      expect(questions).toEqual([multipleChoice, typed]);
+    });
+
+    it('should write the correct answer as text', () => {
+      const csv = serializer.serialize([multipleChoice], 'csv');
+      const header = csv.replace(/^﻿/, '').split('\r\n')[0];
+
+      expect(header).toBe('id,type,text,answer,explanation,sourceDocument,difficulty,concept,option1,option2,option3,option4');
+      expect(csv).toContain(',mitochondria,');
+    });
+
+    it('should import hand-written rows', () => {
+      const csv = [
+        'text,answer,option1,option2,option3',
+        'Largest planet?,Jupiter,Mars,Jupiter,Venus',
+        'Chemical symbol for gold?,Au,,,'
+      ].join('\n');
+
+      const { questions } = serializer.parse(csv, 'csv');
+
+      expect(questions[0]).toMatchObject({ type: 'multiple-choice', options: ['Mars', 'Jupiter', 'Venus'], correctAnswer: 1 });
+      expect(questions[1]).toMatchObject({ type: 'text', correctAnswer: 'Au', concept: 'Au', sourceDocument: null });
+      expect(questions[1].id).toBeNull();
+    });
+
+    it('should report rows that fail validation', () => {
+      const csv = [
+        'text,answer,option1,option2',
+        'No answer in options?,Pluto,Mars,Venus',
+        ',orphan answer,,'
+      ].join('\n');
+
+      const { questions, invalid } = serializer.parse(csv, 'csv');
+
+      expect(questions).toEqual([]);
+      expect(invalid).toEqual([
+        { entry: 1, error: 'correctAnswer must be the index of one of the options' },
+        { entry: 2, error: 'Question text is required' }
+      ]);
+    });
+
+    it('should require text and answer columns', () => {
+      expect(() => serializer.parse('question,solution\nA,B', 'csv')).toThrow('"text" and "answer" columns');
+    });
+  });
+
+  describe('Anki TSV', () => {
+    it('should write Anki headers and one note per line', () => {
+      const lines = serializer.serialize([multipleChoice, typed], 'tsv').trim().split('\n');
+
+      expect(lines[0]).toBe('#separator:tab');
+      expect(lines.filter(line => !line.startsWith('#'))).toHaveLength(2);
+
+      const [front, back, tags] = lines[4].split('\t');
+      expect(front).toContain('<ol type="A"><li>ribosome</li>');
+      expect(front).toContain('&quot;powerhouse&quot;');
+      expect(back.startsWith('mitochondria<br><br>')).toBe(true);
+      expect(tags).toBe('spooky-study source::/docs/cell%20biology.pdf difficulty::medium');
+    });
+
+    it('should import notes back as questions', () => {
+      const { questions, invalid } = serializer.parse(serializer.serialize([multipleChoice, typed], 'tsv'), 'tsv');
+
+      expect(invalid).toEqual([]);
+      expect(questions[0]).toMatchObject({
+        text: multipleChoice.text,
+        type: 'multiple-choice',
+        options: multipleChoice.options,
+        correctAnswer: 1,
+        sourceDocument: '/docs/cell biology.pdf',
+        difficulty: 'medium'
+      });
+      expect(questions[1]).toMatchObject({ text: typed.text, type: 'text', correctAnswer: 'photosynthesis' });
+    });
+
+    it('should keep the full source path on a round trip', () => {
+      const sourceDocument = 'C:\\Users\\me\\My notes\\week_1 100%.md';
+      const { questions } = serializer.parse(serializer.serialize([{ ...typed, sourceDocument }], 'tsv'), 'tsv');
+
+      expect(questions[0].sourceDocument).toBe(sourceDocument);
+    });
+  });
+
+  describe('validateQuestion', () => {
+    it('should reject unknown types and difficulties', () => {
+      expect(() => serializer.validateQuestion({ ...typed, type: 'essay' })).toThrow('Unknown question type');
+      expect(() => serializer.validateQuestion({ ...typed, difficulty: 'brutal' })).toThrow('difficulty must be one of');
+    });
+
+    it('should reject duplicate options', () => {
+      expect(() => serializer.validateQuestion({ ...multipleChoice, options: ['a', 'A', 'b'] })).toThrow('unique');
+    });
+  });
+
+  describe('formatForPath', () => {
+    it('should detect formats from the extension', () => {
+      expect(serializer.formatForPath('/tmp/bank.JSON')).toBe('json');
+      expect(serializer.formatForPath('bank.csv')).toBe('csv');
+      expect(serializer.formatForPath('anki.txt')).toBe('tsv');
+      expect(serializer.formatForPath('bank.xlsx')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * @typedef {Object} ReviewEntry
+ * @property {number} ease - SM-2 ease factor (minimum 1.3)
+ * @property {number} interval - Current interval in days (0 while relearning)
+ * @property {number} repetitions - Consecutive correct answers
+ * @property {number} lapses - Number of times the question was answered incorrectly
+ * @property {string} due - ISO timestamp when the question is next due
+ * @property {string} lastReviewed - ISO timestamp of the last answer
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Schedules question reviews with the SM-2 spaced repetition algorithm
+ * Wrong answers come back after a short relearning delay; correct answers
+ * are pushed further out each time until the question is mastered
+ */
+class ReviewScheduler {
+  /**
+   * @param {Object} [options] - Configuration options
+   * @param {number} [options.initialEase] - Ease factor for new questions (default: 2.5)
+   * @param {number} [options.relearnDelayMs] - Delay before a wrong answer is due again (default: 10 minutes)
+   * @param {number} [options.masteredInterval] - Interval in days after which a question counts as mastered (default: 21)
+   */
+  constructor(options = {}) {
+    this.initialEase = options.initialEase || 2.5;
+    this.relearnDelayMs = options.relearnDelayMs !== undefined ? options.relearnDelayMs : 10 * 60 * 1000;
+    this.masteredInterval = options.masteredInterval || 21;
+
+    /** @type {Map<string, ReviewEntry>} */
+    this.entries = new Map();
+  }
+
+  /**
+   * Record an answer and reschedule the question
+   * @param {string} key - Question review key
+   * @param {boolean} correct - Whether the answer was correct
+   * @param {Date} [now] - Time of the answer (default: now)
+   * @returns {ReviewEntry} - Updated schedule entry
+   */
+  record(key, correct, now = new Date()) {
+    if (!key) {
+      throw new Error('Review key is required');
+    }
+
+    const previous = this.entries.get(key) || {
+      ease: this.initialEase,
+      interval: 0,
+      repetitions: 0,
+      lapses: 0
+    };
+
+    // SM-2 answer quality: 4 for a correct answer, 1 for a wrong one
+    const quality = correct ? 4 : 1;
+    const ease = Math.max(
+      1.3,
+      previous.ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+    );
+
+    let repetitions;
+    let interval;
+    let dueMs;
+
+    if (correct) {
+      repetitions = previous.repetitions + 1;
+      if (repetitions === 1) {
+        interval = 1;
+      } else if (repetitions === 2) {
+        interval = 6;
+      } else {
+        interval = Math.round(Math.max(previous.interval, 1) * ease);
+      }
+      dueMs = now.getTime() + interval * DAY_MS;
+    } else {
+      repetitions = 0;
+      interval = 0;
+      dueMs = now.getTime() + this.relearnDelayMs;
+    }
+
+    const entry = {
+      ease: Math.round(ease * 100) / 100,
+      interval,
+      repetitions,
+      lapses: previous.lapses + (correct ? 0 : 1),
+      due: new Date(dueMs).toISOString(),
+      lastReviewed: now.toISOString()
+    };
+
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Get the schedule entry for a question
+   * @param {string} key - Question review key
+   * @returns {ReviewEntry|null}
+   */
+  getEntry(key) {
+    return this.entries.get(key) || null;
+  }
+
+  /**
+   * Check whether a scheduled question is due
+   * @param {string} key - Question review key
+   * @param {Date} [now] - Reference time (default: now)
+   * @returns {boolean} - True if the question has been answered before and is due again
+   */
+  isDue(key, now = new Date()) {
+    const entry = this.entries.get(key);
+    return Boolean(entry) && new Date(entry.due).getTime() <= now.getTime();
+  }
+
+  /**
+   * Check whether a question has reached the mastered interval
+   * @param {string} key - Question review key
+   * @returns {boolean}
+   */
+  isMastered(key) {
+    const entry = this.entries.get(key);
+    return Boolean(entry) && entry.interval >= this.masteredInterval;
+  }
+
+  /**
+   * Drop entries for questions that no longer exist
+   * @param {string[]} keys - Review keys to keep
+   */
+  prune(keys) {
+    const keep = new Set(keys);
+    for (const key of this.entries.keys()) {
+      if (!keep.has(key)) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Remove all schedule entries
+   */
+  clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * Load schedule entries from their serialized form
+   * Invalid entries are skipped
+   * @param {Object<string, ReviewEntry>} data - Serialized entries keyed by review key
+   */
+  load(data) {
+    this.entries.clear();
+
+    if (!data || typeof data !== 'object') {
+      return;
+    }
+
+    Object.entries(data).forEach(([key, entry]) => {
+      if (entry && typeof entry.ease === 'number' && typeof entry.due === 'string' &&
+          !Number.isNaN(new Date(entry.due).getTime())) {
+        this.entries.set(key, {
+          ease: entry.ease,
+          interval: entry.interval || 0,
+          repetitions: entry.repetitions || 0,
+          lapses: entry.lapses || 0,
+          due: entry.due,
+          lastReviewed: entry.lastReviewed || null
+        });
+      }
+    });
+  }
+
+  /**
+   * Serialize schedule entries for persistence
+   * @returns {Object<string, ReviewEntry>}
+   */
+  toJSON() {
+    return Object.fromEntries(this.entries);
+  }
+}
+
+module.exports = ReviewScheduler;
@@ -0,0 +1,123 @@
+const ReviewScheduler = require('./ReviewScheduler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('ReviewScheduler', () => {
+  let scheduler;
+  const now = new Date('2025-11-18T10:00:00Z');
+
+  beforeEach(() => {
+    scheduler = new ReviewScheduler();
+  });
+
+  describe('record', () => {
+    it('should schedule a first correct answer for the next day', () => {
+      const entry = scheduler.record('k1', true, now);
+
+      expect(entry.repetitions).toBe(1);
+      expect(entry.interval).toBe(1);
+      expect(new Date(entry.due).getTime()).toBe(now.getTime() + DAY_MS);
+      expect(entry.lastReviewed).toBe(now.toISOString());
+    });
+
+    it('should grow the interval with consecutive correct answers', () => {
+      scheduler.record('k1', true, now);
+      const second = scheduler.record('k1', true, now);
+      const third = scheduler.record('k1', true, now);
+
+      expect(second.interval).toBe(6);
+      expect(third.interval).toBeGreaterThan(6);
+    });
+
+    it('should bring wrong answers back after the relearn delay', () => {
+      scheduler.record('k1', true, now);
+      const entry = scheduler.record('k1', false, now);
+
+      expect(entry.repetitions).toBe(0);
+      expect(entry.interval).toBe(0);
+      expect(entry.lapses).toBe(1);
+      expect(new Date(entry.due).getTime()).toBe(now.getTime() + 10 * 60 * 1000);
+    });
+
+    it('should lower ease on wrong answers but not below 1.3', () => {
+      let entry;
+      for (let i = 0; i < 10; i++) {
+        entry = scheduler.record('k1', false, now);
+      }
+
+      expect(entry.ease).toBe(1.3);
+    });
+
+    it('should require a key', () => {
+      expect(() => scheduler.record('', true, now)).toThrow('Review key is required');
+    });
+  });
+
+  describe('isDue', () => {
+    it('should not treat unscheduled questions as due', () => {
+      expect(scheduler.isDue('k1', now)).toBe(false);
+    });
+
+    it('should report questions whose due date has passed', () => {
+      scheduler.record('k1', false, now);
+
+      expect(scheduler.isDue('k1', now)).toBe(false);
+      expect(scheduler.isDue('k1', new Date(now.getTime() + 11 * 60 * 1000))).toBe(true);
+    });
+  });
+
+  describe('isMastered', () => {
+    it('should report questions past the mastered interval', () => {
+      const masteredScheduler = new ReviewScheduler({ masteredInterval: 6 });
+      masteredScheduler.record('k1', true, now);
+      expect(masteredScheduler.isMastered('k1')).toBe(false);
+
+      masteredScheduler.record('k1', true, now);
+      expect(masteredScheduler.isMastered('k1')).toBe(true);
+    });
+  });
+
+  describe('persistence', () => {
+    it('should round-trip through toJSON and load', () => {
+      scheduler.record('k1', true, now);
+      scheduler.record('k2', false, now);
+
+      const restored = new ReviewScheduler();
+      restored.load(JSON.parse(JSON.stringify(scheduler)));
+
+      expect(restored.getEntry('k1')).toEqual(scheduler.getEntry('k1'));
+      expect(restored.getEntry('k2')).toEqual(scheduler.getEntry('k2'));
+    });
+
+    it('should skip invalid entries when loading', () => {
+      scheduler.load({
+        good: { ease: 2.5, interval: 1, repetitions: 1, lapses: 0, due: now.toISOString() },
+        noDue: { ease: 2.5 },
+        badDate: { ease: 2.5, due: 'not a date' }
+      });
+
+      expect(scheduler.getEntry('good')).toBeTruthy();
+      expect(scheduler.getEntry('noDue')).toBeNull();
+      expect(scheduler.getEntry('badDate')).toBeNull();
+    });
+
+    it('should ignore missing data', () => {
+      scheduler.record('k1', true, now);
+      scheduler.load(undefined);
+
+      expect(scheduler.getEntry('k1')).toBeNull();
+    });
+  });
+
+  describe('prune', () => {
+    it('should drop entries that are not kept', () => {
+      scheduler.record('k1', true, now);
+      scheduler.record('k2', true, now);
+
+      scheduler.prune(['k2']);
+
+      expect(scheduler.getEntry('k1')).toBeNull();
+      expect(scheduler.getEntry('k2')).toBeTruthy();
+    });
+  });
+});
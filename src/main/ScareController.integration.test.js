@@ -82,6 +82,7 @@ describe('ScareController Integration Tests', () => {
       scareController.destroy();
     }
     vi.clearAllMocks();
+    vi.useRealTimers();
   });
 
   describe('Full Sequence Flow', () => {
@@ -397,9 +398,12 @@ describe('ScareController Integration Tests', () => {
       scareController._handleStageComplete(SCARE_STAGES.DARKEN);
       scareController._handleStageComplete(SCARE_STAGES.TUNNEL);
       scareController._handleStageComplete(SCARE_STAGES.JUMPSCARE);
+
+      // The next question is fetched asynchronously
+      await new Promise(resolve => setImmediate(resolve));
       
       const question = scareController.getCurrentQuestion();
-      scareController._handleAnswerSubmit(question.correctAnswer);
+      await scareController._handleAnswerSubmit(null, question.id, question.correctAnswer);
 
       expect(eventOrder).toEqual([
         'start',
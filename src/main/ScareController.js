@@ -1,6 +1,7 @@
 const { BrowserWindow } = require('electron');
 const EventEmitter = require('events');
 const { IPC_CHANNELS, SCARE_STAGES } = require('../shared/constants');
+const AnswerValidator = require('./AnswerValidator');
 
 /**
  * ScareController orchestrates the scare sequence stages
@@ -11,6 +12,7 @@ class ScareController extends EventEmitter {
    * @param {QuestionGenerator} questionGenerator - Question generator instance
    * @param {Object} options - Configuration options
    * @param {SessionManager} options.sessionManager - Optional session manager for statistics
+   * @param {AnswerValidator} options.answerValidator - Optional validator for typed answers
    */
   constructor(questionGenerator, options = {}) {
     super();
@@ -21,10 +23,12 @@ class ScareController extends EventEmitter {
     
     this.questionGenerator = questionGenerator;
     this.sessionManager = options.sessionManager || null;
+    this.answerValidator = options.answerValidator || new AnswerValidator();
     this.scareWindow = null;
     this.currentStage = null;
     this.isSequenceActive = false;
     this.currentQuestion = null;
+    this.questionShownAt = null;
     
     // Configuration
     this.options = {
@@ -223,8 +227,11 @@ class ScareController extends EventEmitter {
    */
   async _showQuestion() {
     try {
-      // Get next question from generator
-      const question = this.questionGenerator.getNextQuestion();
+      // Get next question from generator (async, but synchronous generators are tolerated)
+      let question = this.questionGenerator.getNextQuestion();
+      if (question && typeof question.then === 'function') {
+        question = await question;
+      }
 
       if (!question) {
         console.warn('No questions available');
@@ -244,6 +251,7 @@ class ScareController extends EventEmitter {
       }
 
       this.currentQuestion = question;
+      this.questionShownAt = Date.now();
       console.log(`Showing question: ${question.id}`);
 
       // Send question to renderer
@@ -290,6 +298,7 @@ class ScareController extends EventEmitter {
 
     // Validate answer
     const isCorrect = this._validateAnswer(answer);
+    const responseTimeMs = this.questionShownAt ? Date.now() - this.questionShownAt : null;
 
     // Generate feedback
     const feedback = {
@@ -303,6 +312,13 @@ class ScareController extends EventEmitter {
         : this.currentQuestion.correctAnswer
     };
 
+    // Report how close a typed answer was
+    if (this.currentQuestion.type === 'text') {
+      const match = this.answerValidator.matchTextAnswer(answer, this.currentQuestion.correctAnswer);
+      feedback.similarity = match.similarity;
+      feedback.closeness = this.answerValidator.describeCloseness(match);
+    }
+
     console.log(`Answer ${isCorrect ? 'correct' : 'incorrect'}`);
 
     // Mark question as used
@@ -311,7 +327,7 @@ class ScareController extends EventEmitter {
     // Record answer in session statistics
     if (this.sessionManager) {
       try {
-        await this.sessionManager.recordAnswer(isCorrect);
+        await this.sessionManager.recordAnswer(isCorrect, responseTimeMs);
       } catch (error) {
         console.error('Failed to record answer in session:', error);
       }
@@ -327,7 +343,8 @@ class ScareController extends EventEmitter {
       question: this.currentQuestion,
       answer,
       correct: isCorrect,
-      feedback
+      feedback,
+      responseTimeMs
     });
 
     // Note: Renderer will handle the delay and close automatically
@@ -349,10 +366,8 @@ class ScareController extends EventEmitter {
       // For multiple choice, answer is the index
       return parseInt(answer) === this.currentQuestion.correctAnswer;
     } else {
-      // For text answers, do case-insensitive comparison
-      const submittedAnswer = String(answer).trim().toLowerCase();
-      const correctAnswer = String(this.currentQuestion.correctAnswer).trim().toLowerCase();
-      return submittedAnswer === correctAnswer;
+      // For text answers, tolerate typos, plurals, case and articles
+      return this.answerValidator.matchTextAnswer(answer, this.currentQuestion.correctAnswer).isMatch;
     }
   }
 
@@ -347,6 +347,17 @@ describe('ScareController', () => {
       );
     });
 
+    it('should report how long the answer took', () => {
+      const answerSpy = vi.fn();
+      scareController.on('answer-submitted', answerSpy);
+
+      scareController._handleAnswerSubmit(null, 'q1', 2);
+
+      const { responseTimeMs } = answerSpy.mock.calls[0][0];
+      expect(typeof responseTimeMs).toBe('number');
+      expect(responseTimeMs).toBeGreaterThanOrEqual(0);
+    });
+
     it('should provide positive feedback for correct answer', () => {
       scareController._handleAnswerSubmit(null, 'q1', 2);
 
@@ -371,6 +382,41 @@ describe('ScareController', () => {
     });
   });
 
+  describe('Typed Answer Validation', () => {
+    beforeEach(() => {
+      scareController.currentQuestion = {
+        id: 'q-text',
+        text: 'Fill in the blank: The ______ is the powerhouse of the cell.',
+        type: 'text',
+        correctAnswer: 'Mitochondria',
+        explanation: 'Mitochondria produce energy'
+      };
+    });
+
+    it('should accept typed answers with typos, plurals and articles', () => {
+      expect(scareController._validateAnswer('mitochondria')).toBe(true);
+      expect(scareController._validateAnswer('mitocondria')).toBe(true);
+      expect(scareController._validateAnswer('the Mitochondrias')).toBe(true);
+    });
+
+    it('should reject unrelated typed answers', () => {
+      expect(scareController._validateAnswer('chloroplast')).toBe(false);
+    });
+
+    it('should report how close the typed answer was', async () => {
+      await scareController._handleAnswerSubmit(null, 'q-text', 'mitochondrial dna');
+
+      const feedbackCall = mockScareWindow.webContents.send.mock.calls.find(
+        call => call[0] === IPC_CHANNELS.ANSWER_FEEDBACK
+      );
+
+      expect(feedbackCall[1].correct).toBe(false);
+      expect(feedbackCall[1].correctAnswer).toBe('Mitochondria');
+      expect(feedbackCall[1].similarity).toBeGreaterThan(0);
+      expect(feedbackCall[1].closeness).toMatch(/\d+% match/);
+    });
+  });
+
   describe('Click Handling', () => {
     it('should handle click during DARKEN stage', () => {
       scareController.currentStage = SCARE_STAGES.DARKEN;
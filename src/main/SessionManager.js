@@ -1,6 +1,7 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { app } = require('electron');
+const StudyDay = require('./StudyDay');
 
 /**
  * @typedef {Object} SessionStatistics
@@ -12,22 +13,52 @@ const { app } = require('electron');
  * @property {string} lastQuestionAt - ISO timestamp of last question answered
  */
 
+/**
+ * @typedef {Object} DailyRollup
+ * @property {number} questionsAnswered - Questions answered that day
+ * @property {number} correctAnswers - Correct answers that day
+ * @property {number} bestStreak - Best streak of consecutive correct answers that day
+ * @property {number} studyDurationMs - Time studied that day (timer counting down or questions on screen), in milliseconds
+ */
+
+/**
+ * @typedef {Object} HistoryDay
+ * @property {string} date - Study day (YYYY-MM-DD)
+ * @property {number} questionsAnswered - Questions answered that day
+ * @property {number} correctAnswers - Correct answers that day
+ * @property {number} accuracy - Accuracy as percentage (0-100)
+ * @property {number} bestStreak - Best streak that day
+ * @property {number} studyDurationMs - Time studied that day, in milliseconds
+ */
+
 /**
  * @typedef {Object} SessionState
  * @property {SessionStatistics} statistics - Session statistics
+ * @property {Object<string, DailyRollup>} history - Daily rollups keyed by study day
  * @property {Object} timerState - Timer state (managed by TimerManager)
  */
 
+// Study time is saved once this much has built up, so the session file isn't rewritten every second
+const STUDY_TIME_SAVE_MS = 60 * 1000;
+
 /**
- * Manages session statistics and persistence
+ * Manages session statistics, daily study history and persistence
+ * A study day starts at the session boundary hour; when it passes, the
+ * running session is archived into the daily history and a new one starts
  */
 class SessionManager {
   /**
    * @param {string} [sessionPath] - Optional custom session file path
+   * @param {Object} [options] - Configuration options
+   * @param {number} [options.boundaryHour] - Hour (0-23) at which a new study day starts (default: 0, midnight)
    */
-  constructor(sessionPath = null) {
+  constructor(sessionPath = null, options = {}) {
     this.sessionPath = sessionPath || this._getDefaultSessionPath();
+    this.boundaryHour = options.boundaryHour || 0;
     this.statistics = null;
+    /** @type {Object<string, DailyRollup>} */
+    this.history = {};
+    this.unsavedStudyTimeMs = 0;
   }
 
   /**
@@ -73,18 +104,21 @@ class SessionManager {
       
       // Extract statistics, or create default if missing
       this.statistics = sessionState.statistics || this._getDefaultStatistics();
+      this.history = sessionState.history || {};
       
       // Return session state with statistics included
       return {
         ...sessionState,
-        statistics: this.statistics
+        statistics: this.statistics,
+        history: this.history
       };
     } catch (error) {
       if (error.code === 'ENOENT') {
         // File doesn't exist, create default statistics
         this.statistics = this._getDefaultStatistics();
+        this.history = {};
         await this.save();
-        return { statistics: this.statistics };
+        return { statistics: this.statistics, history: this.history };
       }
       throw new Error(`Failed to load session: ${error.message}`);
     }
@@ -110,10 +144,11 @@ class SessionManager {
         // File doesn't exist or is invalid, that's okay
       }
 
-      // Merge statistics with existing session data
+      // Merge statistics and history with existing session data
       const sessionState = {
         ...existingSession,
-        statistics: this.statistics
+        statistics: this.statistics,
+        history: this.history
       };
 
       // Write session with pretty formatting
@@ -122,6 +157,7 @@ class SessionManager {
         JSON.stringify(sessionState, null, 2),
         'utf8'
       );
+      this.unsavedStudyTimeMs = 0;
     } catch (error) {
       throw new Error(`Failed to save session: ${error.message}`);
     }
@@ -129,16 +165,21 @@ class SessionManager {
 
   /**
    * Record a question answer
+   * Starts a new session first if the study day has changed
    * @param {boolean} correct - Whether the answer was correct
+   * @param {number} [responseTimeMs] - Time the question was on screen, added to the day's study duration
    * @returns {Promise<void>}
    */
-  async recordAnswer(correct) {
+  async recordAnswer(correct, responseTimeMs = null) {
     if (!this.statistics) {
       await this.load();
     }
 
+    const now = new Date();
+    await this.rollOverIfNeeded(now);
+
     this.statistics.questionsAnswered++;
-    this.statistics.lastQuestionAt = new Date().toISOString();
+    this.statistics.lastQuestionAt = now.toISOString();
 
     if (correct) {
       this.statistics.correctAnswers++;
@@ -153,7 +194,176 @@ class SessionManager {
       this.statistics.currentStreak = 0;
     }
 
+    // Update today's rollup
+    const dayKey = this.getStudyDayKey(now);
+    const rollup = this.history[dayKey] || this._getEmptyRollup();
+    rollup.questionsAnswered++;
+    if (correct) {
+      rollup.correctAnswers++;
+    }
+    rollup.bestStreak = Math.max(rollup.bestStreak, this.statistics.currentStreak);
+    if (typeof responseTimeMs === 'number' && responseTimeMs > 0) {
+      rollup.studyDurationMs += Math.round(responseTimeMs);
+    }
+    this.history[dayKey] = rollup;
+
+    await this.save();
+  }
+
+  /**
+   * Add time spent studying to the day's study duration
+   * Called while the study timer counts down; saved once a minute has built up
+   * @param {number} durationMs - Time studied, in milliseconds
+   * @param {Date} [now] - When the time was studied (default: now)
+   * @returns {Promise<void>}
+   */
+  async addStudyTime(durationMs, now = new Date()) {
+    if (typeof durationMs !== 'number' || durationMs <= 0) {
+      return;
+    }
+    if (!this.statistics) {
+      await this.load();
+    }
+
+    const dayKey = this.getStudyDayKey(now);
+    const rollup = this.history[dayKey] || this._getEmptyRollup();
+    rollup.studyDurationMs += Math.round(durationMs);
+    this.history[dayKey] = rollup;
+
+    this.unsavedStudyTimeMs += durationMs;
+    if (this.unsavedStudyTimeMs >= STUDY_TIME_SAVE_MS) {
+      await this.save();
+    }
+  }
+
+  /**
+   * Save study time that hasn't been written to disk yet
+   * @returns {Promise<void>}
+   */
+  async flushStudyTime() {
+    if (this.unsavedStudyTimeMs > 0) {
+      await this.save();
+    }
+  }
+
+  /**
+   * Get an empty daily rollup
+   * @private
+   * @returns {DailyRollup}
+   */
+  _getEmptyRollup() {
+    return {
+      questionsAnswered: 0,
+      correctAnswers: 0,
+      bestStreak: 0,
+      studyDurationMs: 0
+    };
+  }
+
+  /**
+   * Set the hour at which a new study day starts
+   * @param {number} hour - Hour of the day (0-23)
+   */
+  setBoundaryHour(hour) {
+    if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+      throw new Error('Session boundary hour must be an integer between 0 and 23');
+    }
+    this.boundaryHour = hour;
+  }
+
+  /**
+   * Get the study day a point in time belongs to
+   * Times before the boundary hour count towards the previous day
+   * @param {Date} [date] - Point in time (default: now)
+   * @returns {string} - Study day in YYYY-MM-DD format
+   */
+  getStudyDayKey(date = new Date()) {
+    return StudyDay.keyFor(date, this.boundaryHour);
+  }
+
+  /**
+   * Get the time until the next study day starts
+   * @param {Date} [now] - Reference time (default: now)
+   * @returns {number} - Milliseconds until the next session boundary
+   */
+  getMsUntilNextBoundary(now = new Date()) {
+    let boundary = new Date(now.getFullYear(), now.getMonth(), now.getDate(), this.boundaryHour);
+    if (boundary <= now) {
+      boundary = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1, this.boundaryHour);
+    }
+    return boundary - now;
+  }
+
+  /**
+   * Start a new session if the current one began on an earlier study day
+   * The finished day stays in the history
+   * @param {Date} [now] - Reference time (default: now)
+   * @returns {Promise<boolean>} - True if a new session was started
+   */
+  async rollOverIfNeeded(now = new Date()) {
+    if (!this.statistics) {
+      await this.load();
+    }
+
+    const sessionDay = this.getStudyDayKey(new Date(this.statistics.sessionStart));
+    if (sessionDay === this.getStudyDayKey(now)) {
+      return false;
+    }
+
+    this.statistics = {
+      ...this._getDefaultStatistics(),
+      sessionStart: now.toISOString()
+    };
     await this.save();
+    return true;
+  }
+
+  /**
+   * Get daily history for a date range, including days without activity
+   * @param {Date|string} from - First study day (Date or YYYY-MM-DD)
+   * @param {Date|string} to - Last study day (Date or YYYY-MM-DD)
+   * @returns {HistoryDay[]} - One entry per day, oldest first
+   */
+  getHistory(from, to) {
+    const start = this._parseDay(from);
+    const end = this._parseDay(to);
+
+    if (start > end) {
+      throw new Error('History range start must not be after its end');
+    }
+
+    const days = [];
+    for (let day = start; day <= end; day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)) {
+      const date = StudyDay.toDateKey(day);
+      const rollup = this.history[date] || this._getEmptyRollup();
+      days.push({
+        date,
+        ...rollup,
+        accuracy: rollup.questionsAnswered > 0
+          ? Math.round((rollup.correctAnswers / rollup.questionsAnswered) * 100)
+          : 0
+      });
+    }
+
+    return days;
+  }
+
+  /**
+   * Parse a day given as a Date or YYYY-MM-DD string into local midnight
+   * @private
+   * @param {Date|string} value - Day to parse
+   * @returns {Date}
+   */
+  _parseDay(value) {
+    if (value instanceof Date && !Number.isNaN(value.getTime())) {
+      return new Date(value.getFullYear(), value.getMonth(), value.getDate());
+    }
+
+    const match = typeof value === 'string' && /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (!match) {
+      throw new Error(`Invalid history date: ${value}`);
+    }
+    return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
   }
 
   /**
@@ -180,7 +390,7 @@ class SessionManager {
 
   /**
    * Reset session statistics
-   * Starts a new session with fresh statistics
+   * Starts a new session with fresh statistics; the daily history is kept
    * @returns {Promise<void>}
    */
   async resetSession() {
@@ -9,6 +9,7 @@ vi.mock('electron', () => ({
 }));
 
 const SessionManager = require('./SessionManager');
+const StudyDay = require('./StudyDay');
 
 describe('SessionManager', () => {
   let sessionManager;
@@ -383,4 +384,132 @@ describe('SessionManager', () => {
       expect(formatted).toMatch(/^2h 1[45]m$/); // Allow for slight timing variations
     });
   });
+
+  describe('daily history', () => {
+    it('should roll answers up per study day', async () => {
+      await sessionManager.load();
+      await sessionManager.recordAnswer(true, 4000);
+      await sessionManager.recordAnswer(true, 2000);
+      await sessionManager.recordAnswer(false, 3000);
+
+      const today = StudyDay.toDateKey(new Date());
+      const [day] = sessionManager.getHistory(today, today);
+
+      expect(day).toEqual({
+        date: today,
+        questionsAnswered: 3,
+        correctAnswers: 2,
+        accuracy: 67,
+        bestStreak: 2,
+        studyDurationMs: 9000
+      });
+    });
+
+    it('should add timer time to the study duration and save it once a minute has built up', async () => {
+      await sessionManager.load();
+      const today = StudyDay.toDateKey(new Date());
+
+      await sessionManager.addStudyTime(30000);
+      expect(sessionManager.getHistory(today, today)[0].studyDurationMs).toBe(30000);
+
+      let saved = JSON.parse(await fs.readFile(testSessionPath, 'utf8'));
+      expect(saved.history[today]).toBeUndefined();
+
+      await sessionManager.addStudyTime(30000);
+      saved = JSON.parse(await fs.readFile(testSessionPath, 'utf8'));
+      expect(saved.history[today].studyDurationMs).toBe(60000);
+    });
+
+    it('should save unsaved study time when flushed', async () => {
+      await sessionManager.load();
+      await sessionManager.addStudyTime(5000);
+      await sessionManager.flushStudyTime();
+
+      const reloaded = new SessionManager(testSessionPath);
+      await reloaded.load();
+      const today = StudyDay.toDateKey(new Date());
+      expect(reloaded.getHistory(today, today)[0].studyDurationMs).toBe(5000);
+    });
+
+    it('should keep history when the session is reset', async () => {
+      await sessionManager.load();
+      await sessionManager.recordAnswer(true);
+      await sessionManager.resetSession();
+
+      const today = StudyDay.toDateKey(new Date());
+      expect(sessionManager.getHistory(today, today)[0].questionsAnswered).toBe(1);
+
+      const reloaded = new SessionManager(testSessionPath);
+      await reloaded.load();
+      expect(reloaded.getHistory(today, today)[0].questionsAnswered).toBe(1);
+    });
+
+    it('should fill days without activity in a range', async () => {
+      await sessionManager.load();
+      sessionManager.history['2025-11-17'] = {
+        questionsAnswered: 4,
+        correctAnswers: 1,
+        bestStreak: 1,
+        studyDurationMs: 12000
+      };
+
+      const days = sessionManager.getHistory('2025-11-16', '2025-11-18');
+
+      expect(days.map(day => day.date)).toEqual(['2025-11-16', '2025-11-17', '2025-11-18']);
+      expect(days[0].questionsAnswered).toBe(0);
+      expect(days[1].accuracy).toBe(25);
+    });
+
+    it('should reject invalid ranges', async () => {
+      await sessionManager.load();
+
+      expect(() => sessionManager.getHistory('2025-11-18', '2025-11-16')).toThrow('must not be after');
+      expect(() => sessionManager.getHistory('yesterday', '2025-11-16')).toThrow('Invalid history date');
+    });
+  });
+
+  describe('session boundary', () => {
+    it('should count time before the boundary hour towards the previous day', () => {
+      const manager = new SessionManager(testSessionPath, { boundaryHour: 4 });
+
+      expect(manager.getStudyDayKey(new Date(2025, 10, 18, 3, 30))).toBe('2025-11-17');
+      expect(manager.getStudyDayKey(new Date(2025, 10, 18, 4, 0))).toBe('2025-11-18');
+    });
+
+    it('should compute the time until the next boundary', () => {
+      const manager = new SessionManager(testSessionPath, { boundaryHour: 4 });
+
+      expect(manager.getMsUntilNextBoundary(new Date(2025, 10, 18, 3, 0))).toBe(60 * 60 * 1000);
+      expect(manager.getMsUntilNextBoundary(new Date(2025, 10, 18, 4, 0))).toBe(24 * 60 * 60 * 1000);
+    });
+
+    it('should reject invalid boundary hours', () => {
+      expect(() => sessionManager.setBoundaryHour(24)).toThrow('between 0 and 23');
+      expect(() => sessionManager.setBoundaryHour(1.5)).toThrow('between 0 and 23');
+    });
+
+    it('should start a new session once the study day has passed', async () => {
+      await sessionManager.load();
+      sessionManager.statistics.sessionStart = new Date(2025, 10, 17, 22, 0).toISOString();
+      sessionManager.statistics.questionsAnswered = 5;
+
+      const rolledOver = await sessionManager.rollOverIfNeeded(new Date(2025, 10, 18, 0, 1));
+
+      expect(rolledOver).toBe(true);
+      expect(sessionManager.statistics.questionsAnswered).toBe(0);
+      expect(sessionManager.statistics.sessionStart).toBe(new Date(2025, 10, 18, 0, 1).toISOString());
+    });
+
+    it('should keep the session within the same study day', async () => {
+      const manager = new SessionManager(testSessionPath, { boundaryHour: 4 });
+      await manager.load();
+      manager.statistics.sessionStart = new Date(2025, 10, 17, 22, 0).toISOString();
+      manager.statistics.questionsAnswered = 5;
+
+      const rolledOver = await manager.rollOverIfNeeded(new Date(2025, 10, 18, 2, 0));
+
+      expect(rolledOver).toBe(false);
+      expect(manager.statistics.questionsAnswered).toBe(5);
+    });
+  });
 });
@@ -0,0 +1,376 @@
+const path = require('path');
+const JSZip = require('jszip');
+
+/**
+ * @typedef {Object} Slide
+ * @property {number} number - 1-based slide number, counting hidden slides
+ * @property {string|null} title - Slide title
+ * @property {{text: string, level: number}[]} bullets - Body paragraphs with their indent level (0 = top level)
+ * @property {string} notes - Speaker notes
+ */
+
+/**
+ * @typedef {Object} SlideList
+ * @property {string} heading - Title of the slide the list is on
+ * @property {string[]} items - Top-level bullet texts
+ * @property {number} slide - Slide number
+ */
+
+/**
+ * @typedef {Object} SlideParseResult
+ * @property {string|null} title - Presentation title from the document properties
+ * @property {Slide[]} slides - Visible slides in order
+ * @property {string} content - Plain text of every slide: title, bullets, then notes
+ * @property {{title: string, offset: number, slide: number}[]} sections - Where each slide starts in the content
+ * @property {SlideList[]} lists - Bullet lists with at least two items
+ */
+
+// PowerPoint placeholders that repeat on every slide and carry no content
+const IGNORED_PLACEHOLDERS = ['dt', 'ftr', 'hdr', 'sldNum', 'sldImg'];
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+/**
+ * Extracts slide titles, bullet text and speaker notes from presentations
+ *
+ * PowerPoint (.pptx) slides are read in the order of ppt/presentation.xml, with speaker notes
+ * from the notes slide each slide links to. Impress (.odp) slides are the draw:page elements
+ * of content.xml, with notes from their presentation:notes element. Hidden slides are skipped
+ * but still counted, so slide numbers match what the presentation program shows.
+ */
+class SlideParser {
+  /**
+   * Parse a presentation
+   * @param {Buffer} data - Contents of the file
+   * @param {'.pptx'|'.odp'} format - Presentation format
+   * @returns {Promise<SlideParseResult>}
+   * @throws {Error} If the file is not a readable presentation
+   */
+  async parse(data, format) {
+    if (format !== '.pptx' && format !== '.odp') {
+      throw new Error(`Unsupported presentation format: ${format}`);
+    }
+
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(data);
+    } catch (error) {
+      throw new Error(`Not a valid presentation archive: ${error.message}`);
+    }
+
+    const { title, slides } = format === '.pptx'
+      ? await this._parsePPTX(zip)
+      : await this._parseODP(zip);
+
+    return { title, slides, ...SlideParser.toContent(slides) };
+  }
+
+  /**
+   * Lay out slides as plain text and record where each slide starts
+   * Lines without closing punctuation get a full stop so each bullet reads as its own sentence
+   * @param {Slide[]} slides - Parsed slides
+   * @returns {{content: string, sections: Object[], lists: SlideList[]}}
+   */
+  static toContent(slides) {
+    const parts = [];
+    const sections = [];
+    const lists = [];
+    let offset = 0;
+
+    slides.forEach(slide => {
+      const lines = [slide.title, ...slide.bullets.map(bullet => bullet.text), slide.notes]
+        .filter(line => line && line.trim())
+        .map(line => (/[.!?]$/.test(line.trim()) ? line.trim() : `${line.trim()}.`));
+
+      if (lines.length === 0) {
+        return;
+      }
+
+      sections.push({
+        title: slide.title ? `Slide ${slide.number}: ${slide.title}` : `Slide ${slide.number}`,
+        offset,
+        slide: slide.number
+      });
+
+      const items = slide.bullets.filter(bullet => bullet.level === 0).map(bullet => bullet.text);
+      if (slide.title && items.length >= 2) {
+        lists.push({ heading: slide.title, items, slide: slide.number });
+      }
+
+      const text = lines.join('\n');
+      parts.push(text);
+      offset += text.length + 2;
+    });
+
+    return { content: parts.join('\n\n'), sections, lists };
+  }
+
+  /**
+   * Read the slides of a PowerPoint presentation
+   * @private
+   * @param {JSZip} zip - Opened archive
+   * @returns {Promise<{title: string|null, slides: Slide[]}>}
+   */
+  async _parsePPTX(zip) {
+    const presentation = await this._readText(zip, 'ppt/presentation.xml');
+    const relationships = await this._readRelationships(zip, 'ppt/presentation.xml');
+
+    const slideIds = presentation.match(/<p:sldId\b[^>]*>/gi) || [];
+    const slides = [];
+
+    for (let index = 0; index < slideIds.length; index++) {
+      const slidePath = relationships.get(SlideParser._attr(slideIds[index], 'r:id'));
+      const slideFile = slidePath && zip.file(slidePath);
+      if (!slideFile) {
+        continue;
+      }
+
+      const xml = await slideFile.async('string');
+      const root = xml.match(/<p:sld\b[^>]*>/i);
+      if (root && SlideParser._attr(root[0], 'show') === '0') {
+        continue;
+      }
+
+      const slide = { number: index + 1, title: null, bullets: [], notes: '' };
+      this._readShapes(xml).forEach(shape => {
+        if (shape.type === 'title' || shape.type === 'ctrTitle') {
+          slide.title = slide.title || shape.paragraphs.map(p => p.text).join(' ') || null;
+        } else {
+          slide.bullets.push(...shape.paragraphs);
+        }
+      });
+
+      const slideRelationships = await this._readRelationships(zip, slidePath);
+      const notesPath = Array.from(slideRelationships.values()).find(target => /notesSlide\d*\.xml$/i.test(target));
+      if (notesPath && zip.file(notesPath)) {
+        const notesXml = await zip.file(notesPath).async('string');
+        slide.notes = this._readShapes(notesXml)
+          .filter(shape => shape.type === 'body')
+          .flatMap(shape => shape.paragraphs.map(p => p.text))
+          .join(' ');
+      }
+
+      slides.push(slide);
+    }
+
+    const core = zip.file('docProps/core.xml');
+    const title = core ? SlideParser._title(await core.async('string')) : null;
+
+    return { title, slides };
+  }
+
+  /**
+   * Read the text shapes of a PowerPoint slide
+   * @private
+   * @param {string} xml - Slide or notes slide XML
+   * @returns {{type: string|null, paragraphs: {text: string, level: number}[]}[]}
+   */
+  _readShapes(xml) {
+    return (xml.match(/<p:sp\b[\s\S]*?<\/p:sp>/gi) || [])
+      .map(shape => {
+        const placeholder = shape.match(/<p:ph\b[^>]*>/i);
+        const type = placeholder ? SlideParser._attr(placeholder[0], 'type') || 'body' : null;
+
+        const paragraphs = (shape.match(/<a:p\b[\s\S]*?<\/a:p>/gi) || [])
+          .map(paragraph => {
+            const properties = paragraph.match(/<a:pPr\b[^>]*>/i);
+            const level = properties ? parseInt(SlideParser._attr(properties[0], 'lvl') || '0', 10) : 0;
+            const text = SlideParser.decodeEntities(
+              paragraph
+                .replace(/<a:br\b[^>]*>/gi, ' ')
+                .replace(/<(?!\/?a:t\b)[^>]*>/gi, '')
+                .replace(/<\/?a:t\b[^>]*>/gi, '')
+            ).replace(/\s+/g, ' ').trim();
+            return { text, level };
+          })
+          .filter(paragraph => paragraph.text.length > 0);
+
+        return { type, paragraphs };
+      })
+      .filter(shape => !IGNORED_PLACEHOLDERS.includes(shape.type) && shape.paragraphs.length > 0);
+  }
+
+  /**
+   * Read the slides of an Impress presentation
+   * @private
+   * @param {JSZip} zip - Opened archive
+   * @returns {Promise<{title: string|null, slides: Slide[]}>}
+   */
+  async _parseODP(zip) {
+    const content = await this._readText(zip, 'content.xml');
+    const pages = content.match(/<draw:page(?=[\s>])[\s\S]*?<\/draw:page>/gi) || [];
+    const hiddenStyles = this._hiddenPageStyles(content);
+
+    const slides = [];
+    pages.forEach((page, index) => {
+      const start = page.match(/<draw:page(?=[\s>])[^>]*>/i)[0];
+      if (hiddenStyles.has(SlideParser._attr(start, 'draw:style-name'))) {
+        return;
+      }
+
+      const notesMatch = page.match(/<presentation:notes\b[\s\S]*?<\/presentation:notes>/i);
+      const body = notesMatch ? page.replace(notesMatch[0], '') : page;
+
+      const slide = { number: index + 1, title: null, bullets: [], notes: '' };
+      const titleFrame = body.match(/<draw:frame\b[^>]*presentation:class="title"[^>]*>[\s\S]*?<\/draw:frame>/i);
+      if (titleFrame) {
+        slide.title = this._readOdpParagraphs(titleFrame[0]).map(p => p.text).join(' ') || null;
+      }
+
+      const rest = titleFrame ? body.replace(titleFrame[0], '') : body;
+      slide.bullets = this._readOdpParagraphs(rest);
+
+      if (notesMatch) {
+        slide.notes = this._readOdpParagraphs(notesMatch[0]).map(p => p.text).join(' ');
+      }
+
+      slides.push(slide);
+    });
+
+    const meta = zip.file('meta.xml');
+    const title = meta ? SlideParser._title(await meta.async('string')) : null;
+
+    return { title, slides };
+  }
+
+  /**
+   * Read paragraphs from ODF markup, using list nesting as the indent level
+   * @private
+   * @param {string} xml - ODF markup
+   * @returns {{text: string, level: number}[]}
+   */
+  _readOdpParagraphs(xml) {
+    const paragraphs = [];
+    let depth = 0;
+    const tokens = /<text:list(?=[\s/>])[^>]*\/>|<text:list(?=[\s/>])[^>]*>|<\/text:list>|<text:([ph])\b(?![^>]*\/>)[^>]*>([\s\S]*?)<\/text:\1>/gi;
+    let match;
+
+    while ((match = tokens.exec(xml)) !== null) {
+      const token = match[0];
+      if (/\/>$/.test(token)) {
+        continue;
+      } else if (/^<text:list/i.test(token)) {
+        depth++;
+      } else if (/^<\/text:list>/i.test(token)) {
+        depth = Math.max(0, depth - 1);
+      } else {
+        const text = SlideParser.decodeEntities(
+          match[2]
+            .replace(/<text:(?:s|tab|line-break)\b[^>]*>/gi, ' ')
+            .replace(/<[^>]*>/g, '')
+        ).replace(/\s+/g, ' ').trim();
+        if (text) {
+          paragraphs.push({ text, level: Math.max(0, depth - 1) });
+        }
+      }
+    }
+
+    return paragraphs;
+  }
+
+  /**
+   * Find the page styles that hide a slide in an Impress presentation
+   * @private
+   * @param {string} content - content.xml
+   * @returns {Set<string>}
+   */
+  _hiddenPageStyles(content) {
+    const hidden = new Set();
+    (content.match(/<style:style\b[^>]*?(?:\/>|>[\s\S]*?<\/style:style>)/gi) || []).forEach(style => {
+      if (/presentation:visibility="hidden"/i.test(style)) {
+        hidden.add(SlideParser._attr(style.match(/<style:style\b[^>]*>/i)[0], 'style:name'));
+      }
+    });
+    return hidden;
+  }
+
+  /**
+   * Map the relationship IDs of a part to archive paths
+   * @private
+   * @param {JSZip} zip - Opened archive
+   * @param {string} partPath - Path of the part the relationships belong to
+   * @returns {Promise<Map<string, string>>}
+   */
+  async _readRelationships(zip, partPath) {
+    const relationships = new Map();
+    const relsPath = path.posix.join(path.posix.dirname(partPath), '_rels', `${path.posix.basename(partPath)}.rels`);
+    const relsFile = zip.file(relsPath);
+    if (!relsFile) {
+      return relationships;
+    }
+
+    const xml = await relsFile.async('string');
+    (xml.match(/<Relationship\b[^>]*>/gi) || []).forEach(tag => {
+      const id = SlideParser._attr(tag, 'Id');
+      const target = SlideParser._attr(tag, 'Target');
+      if (id && target && SlideParser._attr(tag, 'TargetMode') !== 'External') {
+        const resolved = target.startsWith('/')
+          ? target.slice(1)
+          : path.posix.normalize(path.posix.join(path.posix.dirname(partPath), target));
+        relationships.set(id, resolved);
+      }
+    });
+
+    return relationships;
+  }
+
+  /**
+   * Read a text file from the archive
+   * @private
+   * @param {JSZip} zip - Opened archive
+   * @param {string} filePath - Path inside the archive
+   * @returns {Promise<string>}
+   * @throws {Error} If the file is missing
+   */
+  async _readText(zip, filePath) {
+    const file = zip.file(filePath);
+    if (!file) {
+      throw new Error(`Presentation is missing ${filePath}`);
+    }
+    return file.async('string');
+  }
+
+  /**
+   * Decode XML character references
+   * @param {string} text - Text with entities
+   * @returns {string}
+   */
+  static decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (entity, code) => {
+      if (code[0] === '#') {
+        const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return Number.isFinite(point) && point <= 0x10FFFF ? String.fromCodePoint(point) : entity;
+      }
+      return XML_ENTITIES[code.toLowerCase()];
+    });
+  }
+
+  /**
+   * Read the dc:title of a document properties file
+   * @private
+   * @param {string} xml - docProps/core.xml or meta.xml
+   * @returns {string|null}
+   */
+  static _title(xml) {
+    const match = xml.match(/<dc:title\b[^>]*>([\s\S]*?)<\/dc:title>/i);
+    return match ? SlideParser.decodeEntities(match[1]).trim() || null : null;
+  }
+
+  /**
+   * Read an attribute value from a start tag
+   * @private
+   * @param {string} tag - Start tag markup
+   * @param {string} name - Attribute name, including any namespace prefix
+   * @returns {string|null}
+   */
+  static _attr(tag, name) {
+    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const match = tag.match(new RegExp(`\\s${escaped}\\s*=\\s*("([^"]*)"|'([^']*)')`, 'i'));
+    if (!match) {
+      return null;
+    }
+    return SlideParser.decodeEntities(match[2] !== undefined ? match[2] : match[3]);
+  }
+}
+
+module.exports = SlideParser;
@@ -0,0 +1,207 @@
+const JSZip = require('jszip');
+const SlideParser = require('./SlideParser');
+
+/**
+ * Build a PowerPoint presentation in memory
+ * Slides are stored out of order to check that presentation.xml decides the order
+ * @returns {Promise<Buffer>}
+ */
+async function buildPptx() {
+  const zip = new JSZip();
+  const shape = (placeholder, paragraphs) => `<p:sp><p:nvSpPr><p:cNvPr id="2" name="Shape"/><p:cNvSpPr/>
+  <p:nvPr>${placeholder}</p:nvPr></p:nvSpPr><p:spPr/><p:txBody><a:bodyPr/>${paragraphs}</p:txBody></p:sp>`;
+  const paragraph = (text, level) => `<a:p>${level ? `<a:pPr lvl="${level}"/>` : ''}<a:r><a:rPr lang="en-US"/><a:t>${text}</a:t></a:r></a:p>`;
+  const slide = (shapes, attributes = '') => `<?xml version="1.0"?>
+<p:sld xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main"${attributes}>
+  <p:cSld><p:spTree><p:nvGrpSpPr/><p:grpSpPr/>${shapes}</p:spTree></p:cSld>
+</p:sld>`;
+
+  zip.file('ppt/presentation.xml', `<?xml version="1.0"?>
+<p:presentation xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+  <p:sldIdLst><p:sldId id="256" r:id="rId7"/><p:sldId id="257" r:id="rId8"/><p:sldId id="258" r:id="rId9"/></p:sldIdLst>
+</p:presentation>`);
+  zip.file('ppt/_rels/presentation.xml.rels', `<?xml version="1.0"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId7" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/slide" Target="slides/slide2.xml"/>
+  <Relationship Id="rId8" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/slide" Target="slides/slide3.xml"/>
+  <Relationship Id="rId9" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/slide" Target="/ppt/slides/slide1.xml"/>
+</Relationships>`);
+
+  zip.file('ppt/slides/slide2.xml', slide(
+    shape('<p:ph type="ctrTitle"/>', paragraph('Cell Biology')) +
+    shape('<p:ph type="subTitle" idx="1"/>', paragraph('Lecture 3')) +
+    shape('<p:ph type="sldNum" idx="12"/>', paragraph('1'))
+  ));
+  zip.file('ppt/slides/slide3.xml', slide(
+    shape('<p:ph type="title"/>', paragraph('Organelles &amp; Functions')) +
+    shape('<p:ph idx="1"/>',
+      paragraph('Mitochondria') +
+      paragraph('Produce ATP through respiration', 1) +
+      paragraph('Ribosomes') +
+      paragraph('Golgi apparatus')) +
+    shape('<p:ph type="ftr" idx="11"/>', paragraph('Biology 101'))
+  ));
+  zip.file('ppt/slides/_rels/slide3.xml.rels', `<?xml version="1.0"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/slideLayout" Target="../slideLayouts/slideLayout2.xml"/>
+  <Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/notesSlide" Target="../notesSlides/notesSlide3.xml"/>
+</Relationships>`);
+  zip.file('ppt/notesSlides/notesSlide3.xml', slide(
+    shape('<p:ph type="sldImg"/>', '') +
+    shape('<p:ph type="body" idx="1"/>', paragraph('Stress that mitochondria have their own DNA.'))
+  ));
+  zip.file('ppt/slides/slide1.xml', slide(
+    shape('<p:ph type="title"/>', paragraph('Hidden backup slide')),
+    ' show="0"'
+  ));
+  zip.file('docProps/core.xml', `<?xml version="1.0"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <dc:title>Cell Biology Lecture</dc:title>
+</cp:coreProperties>`);
+
+  return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+/**
+ * Build an Impress presentation in memory
+ * @returns {Promise<Buffer>}
+ */
+async function buildOdp() {
+  const zip = new JSZip();
+  zip.file('mimetype', 'application/vnd.oasis.opendocument.presentation');
+  zip.file('content.xml', `<?xml version="1.0"?>
+<office:document-content xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0" xmlns:draw="urn:oasis:names:tc:opendocument:xmlns:drawing:1.0" xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0" xmlns:presentation="urn:oasis:names:tc:opendocument:xmlns:presentation:1.0" xmlns:style="urn:oasis:names:tc:opendocument:xmlns:style:1.0">
+  <office:automatic-styles>
+    <style:style style:name="dp1" style:family="drawing-page"/>
+    <style:style style:name="dp2" style:family="drawing-page"><style:drawing-page-properties presentation:visibility="hidden"/></style:style>
+  </office:automatic-styles>
+  <office:body><office:presentation>
+    <draw:page draw:name="page1" draw:style-name="dp1">
+      <draw:frame presentation:class="title"><draw:text-box><text:p>Photosynthesis</text:p></draw:text-box></draw:frame>
+      <draw:frame presentation:class="outline"><draw:text-box>
+        <text:list><text:list-item><text:p>Light<text:s/>reactions</text:p>
+          <text:list><text:list-item><text:p>Happen in the thylakoid</text:p></text:list-item></text:list>
+        </text:list-item>
+        <text:list-item><text:p><text:span>Calvin cycle</text:span></text:p></text:list-item></text:list>
+      </draw:text-box></draw:frame>
+      <presentation:notes draw:style-name="dp1">
+        <draw:page-thumbnail draw:page-number="1"/>
+        <draw:frame presentation:class="notes"><draw:text-box><text:p>Ask what chlorophyll absorbs.</text:p></draw:text-box></draw:frame>
+      </presentation:notes>
+    </draw:page>
+    <draw:page draw:name="page2" draw:style-name="dp2">
+      <draw:frame presentation:class="title"><draw:text-box><text:p>Hidden</text:p></draw:text-box></draw:frame>
+    </draw:page>
+    <draw:page draw:name="page3" draw:style-name="dp1">
+      <draw:frame presentation:class="title"><draw:text-box><text:p>Summary</text:p></draw:text-box></draw:frame>
+      <draw:frame presentation:class="outline"><draw:text-box><text:list><text:list-item><text:p>Plants make glucose!</text:p></text:list-item></text:list></draw:text-box></draw:frame>
+    </draw:page>
+  </office:presentation></office:body>
+</office:document-content>`);
+  zip.file('meta.xml', `<?xml version="1.0"?>
+<office:document-meta xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <office:meta><dc:title>Plant Biology</dc:title></office:meta>
+</office:document-meta>`);
+
+  return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+describe('SlideParser', () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new SlideParser();
+  });
+
+  describe('PowerPoint', () => {
+    it('should read slides in presentation order with titles, bullets and notes', async () => {
+      const result = await parser.parse(await buildPptx(), '.pptx');
+
+      expect(result.title).toBe('Cell Biology Lecture');
+      expect(result.slides).toEqual([
+        { number: 1, title: 'Cell Biology', bullets: [{ text: 'Lecture 3', level: 0 }], notes: '' },
+        {
+          number: 2,
+          title: 'Organelles & Functions',
+          bullets: [
+            { text: 'Mitochondria', level: 0 },
+            { text: 'Produce ATP through respiration', level: 1 },
+            { text: 'Ribosomes', level: 0 },
+            { text: 'Golgi apparatus', level: 0 }
+          ],
+          notes: 'Stress that mitochondria have their own DNA.'
+        }
+      ]);
+    });
+
+    it('should skip hidden slides without renumbering the others', async () => {
+      const result = await parser.parse(await buildPptx(), '.pptx');
+
+      expect(result.slides.map(slide => slide.number)).toEqual([1, 2]);
+      expect(result.content).not.toContain('Hidden backup slide');
+    });
+
+    it('should lay out the content one line per bullet with slide sections', async () => {
+      const result = await parser.parse(await buildPptx(), '.pptx');
+
+      expect(result.content).toBe([
+        'Cell Biology.',
+        'Lecture 3.',
+        '',
+        'Organelles & Functions.',
+        'Mitochondria.',
+        'Produce ATP through respiration.',
+        'Ribosomes.',
+        'Golgi apparatus.',
+        'Stress that mitochondria have their own DNA.'
+      ].join('\n'));
+      expect(result.sections).toEqual([
+        { title: 'Slide 1: Cell Biology', offset: 0, slide: 1 },
+        { title: 'Slide 2: Organelles & Functions', offset: 26, slide: 2 }
+      ]);
+      expect(result.content.slice(result.sections[1].offset)).toMatch(/^Organelles/);
+    });
+
+    it('should record top-level bullet lists under their slide title', async () => {
+      const result = await parser.parse(await buildPptx(), '.pptx');
+
+      expect(result.lists).toEqual([
+        { heading: 'Organelles & Functions', items: ['Mitochondria', 'Ribosomes', 'Golgi apparatus'], slide: 2 }
+      ]);
+    });
+  });
+
+  describe('Impress', () => {
+    it('should read pages with titles, nested list levels and notes', async () => {
+      const result = await parser.parse(await buildOdp(), '.odp');
+
+      expect(result.title).toBe('Plant Biology');
+      expect(result.slides).toEqual([
+        {
+          number: 1,
+          title: 'Photosynthesis',
+          bullets: [
+            { text: 'Light reactions', level: 0 },
+            { text: 'Happen in the thylakoid', level: 1 },
+            { text: 'Calvin cycle', level: 0 }
+          ],
+          notes: 'Ask what chlorophyll absorbs.'
+        },
+        { number: 3, title: 'Summary', bullets: [{ text: 'Plants make glucose!', level: 0 }], notes: '' }
+      ]);
+      expect(result.sections.map(section => section.title)).toEqual(['Slide 1: Photosynthesis', 'Slide 3: Summary']);
+      expect(result.lists).toEqual([
+        { heading: 'Photosynthesis', items: ['Light reactions', 'Calvin cycle'], slide: 1 }
+      ]);
+    });
+  });
+
+  it('should reject files that are not presentations', async () => {
+    await expect(parser.parse(Buffer.from('not a zip'), '.pptx')).rejects.toThrow('Not a valid presentation archive');
+
+    const zip = new JSZip();
+    zip.file('mimetype', 'application/vnd.oasis.opendocument.presentation');
+    await expect(parser.parse(await zip.generateAsync({ type: 'nodebuffer' }), '.odp'))
+      .rejects.toThrow('Presentation is missing content.xml');
+  });
+});
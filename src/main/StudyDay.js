@@ -0,0 +1,33 @@
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Turns points in time into the calendar days that session history and answer analytics are kept by
+ *
+ * Both use this one helper so their days always line up.
+ */
+class StudyDay {
+  /**
+   * Format a date as a local calendar day key
+   * @param {Date} date - Date to format
+   * @returns {string} - Date in YYYY-MM-DD format
+   */
+  static toDateKey(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+  }
+
+  /**
+   * Get the study day a point in time belongs to
+   * Times before the boundary hour count towards the previous day
+   * @param {Date} date - Point in time
+   * @param {number} [boundaryHour] - Hour (0-23) at which a new study day starts (default: 0, midnight)
+   * @returns {string} - Study day in YYYY-MM-DD format
+   */
+  static keyFor(date, boundaryHour = 0) {
+    return StudyDay.toDateKey(new Date(date.getTime() - boundaryHour * HOUR_MS));
+  }
+}
+
+module.exports = StudyDay;
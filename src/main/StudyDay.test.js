@@ -0,0 +1,21 @@
+const StudyDay = require('./StudyDay');
+
+describe('StudyDay', () => {
+  describe('toDateKey', () => {
+    it('should format the local calendar day', () => {
+      expect(StudyDay.toDateKey(new Date(2025, 0, 5, 23, 59))).toBe('2025-01-05');
+      expect(StudyDay.toDateKey(new Date(2025, 10, 17))).toBe('2025-11-17');
+    });
+  });
+
+  describe('keyFor', () => {
+    it('should count times before the boundary hour towards the previous day', () => {
+      expect(StudyDay.keyFor(new Date(2025, 10, 17, 3, 30), 4)).toBe('2025-11-16');
+      expect(StudyDay.keyFor(new Date(2025, 10, 17, 4, 0), 4)).toBe('2025-11-17');
+    });
+
+    it('should use midnight by default', () => {
+      expect(StudyDay.keyFor(new Date(2025, 10, 17, 0, 1))).toBe('2025-11-17');
+    });
+  });
+});
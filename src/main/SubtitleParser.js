@@ -0,0 +1,189 @@
+/**
+ * @typedef {Object} Cue
+ * @property {number} start - Start time in seconds
+ * @property {string[]} lines - Caption text lines without markup
+ */
+
+/**
+ * @typedef {Object} Timestamp
+ * @property {number} offset - Character offset in the content where the sentence starts
+ * @property {number} seconds - Time in the recording where the sentence starts
+ * @property {string} time - The time formatted as m:ss or h:mm:ss
+ */
+
+/**
+ * @typedef {Object} SubtitleParseResult
+ * @property {string|null} title - Title from a WebVTT header, if any
+ * @property {string} content - Transcript, one sentence per line
+ * @property {Timestamp[]} timestamps - Start time of each sentence
+ */
+
+const TIMING_LINE = /^\s*((?:\d+:)?\d{1,2}:\d{2}(?:[.,]\d{1,3})?)\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}(?:[.,]\d{1,3})?)/;
+
+// Sentences of unpunctuated captions (e.g. automatic ones) are cut at a cue boundary past this length
+const MAX_SENTENCE_LENGTH = 250;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ', lrm: '', rlm: '' };
+
+/**
+ * Turns SubRip (.srt) and WebVTT (.vtt) captions into a transcript
+ *
+ * Cue numbers, timings, styling and sound annotations such as [Music] are dropped, and the
+ * fragments of consecutive cues are joined back into full sentences. Each sentence keeps the
+ * start time of the cue it began in, so questions can point back into the recording.
+ */
+class SubtitleParser {
+  /**
+   * Parse a caption file
+   * @param {string} source - Contents of the file
+   * @param {'.srt'|'.vtt'} format - Caption format
+   * @returns {SubtitleParseResult}
+   * @throws {Error} If a WebVTT file lacks its header or the file has no cues
+   */
+  parse(source, format) {
+    const text = source.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    let title = null;
+
+    if (format === '.vtt') {
+      const header = /^WEBVTT(?:[ \t]+(.*))?/.exec(text);
+      if (!header) {
+        throw new Error('WebVTT file must start with WEBVTT');
+      }
+      title = header[1] ? header[1].trim() || null : null;
+    }
+
+    const cues = SubtitleParser.readCues(text);
+    if (cues.length === 0) {
+      throw new Error('No captions found');
+    }
+
+    return { title, ...SubtitleParser.toTranscript(cues) };
+  }
+
+  /**
+   * Read the cues of an SRT or WebVTT file in order
+   * Lines repeated from the previous cue, as in rolling automatic captions, are dropped
+   * @param {string} text - Caption file with \n line endings
+   * @returns {Cue[]}
+   */
+  static readCues(text) {
+    const cues = [];
+    let previousLines = [];
+
+    text.split(/\n\s*\n/).forEach(block => {
+      const lines = block.split('\n');
+      const timingIndex = lines.findIndex(line => TIMING_LINE.test(line));
+      // Blocks without a timing line are headers, NOTE, STYLE or REGION blocks
+      if (timingIndex === -1) {
+        return;
+      }
+
+      const start = SubtitleParser.parseTime(TIMING_LINE.exec(lines[timingIndex])[1]);
+      const captionLines = lines.slice(timingIndex + 1)
+        .map(line => SubtitleParser.cleanLine(line))
+        .filter(line => line.length > 0);
+
+      const newLines = captionLines.filter(line => !previousLines.includes(line));
+      if (captionLines.length > 0) {
+        previousLines = captionLines;
+      }
+      if (newLines.length > 0) {
+        cues.push({ start, lines: newLines });
+      }
+    });
+
+    return cues;
+  }
+
+  /**
+   * Join cue fragments into sentences, one per line, each with its start time
+   * @param {Cue[]} cues - Cues in order
+   * @returns {{content: string, timestamps: Timestamp[]}}
+   */
+  static toTranscript(cues) {
+    const sentences = [];
+    let buffer = '';
+    let bufferStart = 0;
+
+    const emit = (text, seconds) => {
+      const sentence = text.trim();
+      if (sentence) {
+        sentences.push({ text: sentence, seconds });
+      }
+    };
+
+    cues.forEach(cue => {
+      if (!buffer) {
+        bufferStart = cue.start;
+      }
+      buffer = buffer ? `${buffer} ${cue.lines.join(' ')}` : cue.lines.join(' ');
+
+      // Emit every complete sentence; the remainder started in this cue
+      let end;
+      while ((end = /[.!?]["'”’)\]]*(?:\s+|$)/.exec(buffer)) !== null) {
+        emit(buffer.slice(0, end.index + end[0].length), bufferStart);
+        buffer = buffer.slice(end.index + end[0].length);
+        bufferStart = cue.start;
+      }
+
+      if (buffer.length > MAX_SENTENCE_LENGTH) {
+        emit(`${buffer.trim()}.`, bufferStart);
+        buffer = '';
+      }
+    });
+    if (buffer.trim()) {
+      emit(`${buffer.trim()}.`, bufferStart);
+    }
+
+    const timestamps = [];
+    let offset = 0;
+    sentences.forEach(sentence => {
+      timestamps.push({ offset, seconds: sentence.seconds, time: SubtitleParser.formatTime(sentence.seconds) });
+      offset += sentence.text.length + 1;
+    });
+
+    return { content: sentences.map(sentence => sentence.text).join('\n'), timestamps };
+  }
+
+  /**
+   * Strip markup, speaker dashes and sound annotations from a caption line
+   * @param {string} line - Caption text line
+   * @returns {string}
+   */
+  static cleanLine(line) {
+    return line
+      .replace(/<[^>]*>/g, '')
+      .replace(/\{\\[^}]*\}/g, '')
+      .replace(/&(amp|lt|gt|quot|apos|nbsp|lrm|rlm);/g, (entity, name) => ENTITIES[name])
+      .replace(/\[[^\]]*\]|\([A-Z\s]+\)|♪+/g, '')
+      .replace(/^\s*-\s+/, '')
+      .replace(/^\s*>>\s*/, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Convert a caption time (hh:mm:ss,mmm, hh:mm:ss.mmm or mm:ss.mmm) to seconds
+   * @param {string} time - Caption time
+   * @returns {number}
+   */
+  static parseTime(time) {
+    const parts = time.replace(',', '.').split(':').map(Number);
+    return parts.reduce((total, part) => total * 60 + part, 0);
+  }
+
+  /**
+   * Format seconds as m:ss, or h:mm:ss past the first hour
+   * @param {number} seconds - Time in seconds
+   * @returns {string}
+   */
+  static formatTime(seconds) {
+    const whole = Math.floor(seconds);
+    const hours = Math.floor(whole / 3600);
+    const minutes = Math.floor((whole % 3600) / 60);
+    const secs = String(whole % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+  }
+}
+
+module.exports = SubtitleParser;
@@ -0,0 +1,107 @@
+const SubtitleParser = require('./SubtitleParser');
+
+const SRT = [
+  '1',
+  '00:00:01,000 --> 00:00:03,500',
+  'Welcome to the lecture on photosynthesis.',
+  '',
+  '2',
+  '00:00:04,000 --> 00:00:06,000',
+  '[Music]',
+  '',
+  '3',
+  '00:12:34,200 --> 00:12:37,000',
+  '- Chlorophyll absorbs light',
+  '<i>mostly in the red and blue</i>',
+  '',
+  '4',
+  '00:12:37,500 --> 00:12:40,000',
+  '{\\an8}wavelengths. Green light is reflected,',
+  '',
+  '5',
+  '01:02:03,000 --> 01:02:05,000',
+  'which is why leaves look green.',
+  ''
+].join('\r\n');
+
+const VTT = `WEBVTT Lecture 4 - Cells
+
+NOTE recorded in the main hall
+
+STYLE
+::cue { color: yellow }
+
+intro
+00:05.000 --> 00:07.000 align:start
+<v Professor>Cells are the basic unit &amp; building block
+
+00:07.000 --> 00:09.000
+Cells are the basic unit &amp; building block
+of life.
+`;
+
+describe('SubtitleParser', () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new SubtitleParser();
+  });
+
+  it('should strip cue numbers, timings and markup from SRT captions', () => {
+    const result = parser.parse(SRT, '.srt');
+
+    expect(result.content).not.toMatch(/-->|\[Music\]|<i>|\\an8/);
+    expect(result.content).not.toMatch(/^\d+$/m);
+    expect(result.title).toBeNull();
+  });
+
+  it('should merge cue fragments into full sentences', () => {
+    const result = parser.parse(SRT, '.srt');
+
+    expect(result.content.split('\n')).toEqual([
+      'Welcome to the lecture on photosynthesis.',
+      'Chlorophyll absorbs light mostly in the red and blue wavelengths.',
+      'Green light is reflected, which is why leaves look green.'
+    ]);
+  });
+
+  it('should keep the time each sentence started', () => {
+    const result = parser.parse(SRT, '.srt');
+
+    expect(result.timestamps.map(timestamp => timestamp.time)).toEqual(['0:01', '12:34', '12:37']);
+    expect(result.timestamps[1].seconds).toBeCloseTo(754.2);
+    result.timestamps.forEach((timestamp, index) => {
+      expect(result.content.slice(timestamp.offset)).toMatch(new RegExp(`^${result.content.split('\n')[index].slice(0, 10)}`));
+    });
+  });
+
+  it('should read WebVTT captions and drop repeated rolling lines', () => {
+    const result = parser.parse(VTT, '.vtt');
+
+    expect(result.title).toBe('Lecture 4 - Cells');
+    expect(result.content).toBe('Cells are the basic unit & building block of life.');
+    expect(result.timestamps).toEqual([{ offset: 0, seconds: 5, time: '0:05' }]);
+  });
+
+  it('should break long unpunctuated captions into sentences', () => {
+    const cues = Array.from({ length: 20 }, (_, index) =>
+      `${index + 1}\n00:00:${String(index * 2).padStart(2, '0')},000 --> 00:00:${String(index * 2 + 1).padStart(2, '0')},000\nso the enzyme binds to substrate number ${index + 1}`
+    ).join('\n\n');
+
+    const result = parser.parse(cues, '.srt');
+    const sentences = result.content.split('\n');
+
+    expect(sentences.length).toBeGreaterThan(1);
+    sentences.forEach(sentence => expect(sentence).toMatch(/\.$/));
+  });
+
+  it('should reject files without captions', () => {
+    expect(() => parser.parse('Just some text', '.vtt')).toThrow('WebVTT file must start with WEBVTT');
+    expect(() => parser.parse('WEBVTT\n\nNOTE nothing here\n', '.vtt')).toThrow('No captions found');
+  });
+
+  it('should format times past the first hour with hours', () => {
+    expect(SubtitleParser.formatTime(3723)).toBe('1:02:03');
+    expect(SubtitleParser.parseTime('01:02:03,500')).toBe(3723.5);
+  });
+});
@@ -0,0 +1,146 @@
+const chardet = require('chardet');
+
+/**
+ * @typedef {Object} DetectedEncoding
+ * @property {string} name - Encoding the text was decoded from, e.g. 'UTF-8' or 'windows-1252'
+ * @property {number} confidence - How sure the detection is, from 0 to 100
+ * @property {boolean} bom - Whether the encoding was given by a byte-order mark
+ */
+
+/**
+ * @typedef {Object} DecodedText
+ * @property {string} text - Decoded text, without the byte-order mark
+ * @property {DetectedEncoding} encoding - How the text was decoded
+ */
+
+// Byte-order marks, longest first so UTF-32LE is not taken for UTF-16LE
+const BYTE_ORDER_MARKS = [
+  { name: 'UTF-32LE', bytes: [0xFF, 0xFE, 0x00, 0x00] },
+  { name: 'UTF-32BE', bytes: [0x00, 0x00, 0xFE, 0xFF] },
+  { name: 'UTF-8', bytes: [0xEF, 0xBB, 0xBF] },
+  { name: 'UTF-16LE', bytes: [0xFF, 0xFE] },
+  { name: 'UTF-16BE', bytes: [0xFE, 0xFF] }
+];
+
+// Guesses below this confidence are decoded but reported as uncertain; clean single-byte text
+// usually scores 40-70
+const LOW_CONFIDENCE = 30;
+
+// Used when no detected encoding decodes the text; windows-1252 decodes any byte
+const FALLBACK_ENCODING = 'windows-1252';
+
+// Characters of windows-1252 bytes 0x80-0x9F, where it differs from Latin-1; unassigned bytes keep their C1 control
+const WINDOWS_1252_HIGH = [
+  0x20AC, 0x81, 0x201A, 0x0192, 0x201E, 0x2026, 0x2020, 0x2021, 0x02C6, 0x2030, 0x0160, 0x2039, 0x0152, 0x8D, 0x017D, 0x8F,
+  0x90, 0x2018, 0x2019, 0x201C, 0x201D, 0x2022, 0x2013, 0x2014, 0x02DC, 0x2122, 0x0161, 0x203A, 0x0153, 0x9D, 0x017E, 0x0178
+];
+
+/**
+ * Decodes text files whose encoding is not known
+ *
+ * A byte-order mark decides the encoding outright. Without one, text that is valid UTF-8 is
+ * taken as UTF-8, since other encodings rarely produce valid UTF-8 by accident. Anything else,
+ * such as notes saved as Windows-1252 or Shift-JIS, is decoded with the most likely encoding
+ * found by statistical detection that decodes every byte; the detection's confidence is kept so
+ * callers can warn when the guess is uncertain.
+ */
+class TextEncoding {
+  /**
+   * Decode a file's bytes to Unicode text
+   * @param {Buffer} buffer - Raw file contents
+   * @returns {DecodedText}
+   */
+  static decode(buffer) {
+    const mark = BYTE_ORDER_MARKS.find(({ bytes }) => bytes.every((byte, index) => buffer[index] === byte));
+    if (mark) {
+      return {
+        text: TextEncoding._decodeAs(mark.name, buffer.subarray(mark.bytes.length)),
+        encoding: { name: mark.name, confidence: 100, bom: true }
+      };
+    }
+
+    try {
+      return {
+        text: new TextDecoder('utf-8', { fatal: true }).decode(buffer),
+        encoding: { name: 'UTF-8', confidence: 100, bom: false }
+      };
+    } catch (error) {
+      // Not UTF-8, so detect the encoding
+    }
+
+    // Take the likeliest encoding that decodes every byte
+    for (const candidate of chardet.analyse(buffer)) {
+      // Bytes that are not UTF-8 are not ASCII either
+      if (candidate.name === 'UTF-8' || candidate.name === 'ASCII') {
+        continue;
+      }
+      const text = TextEncoding._tryDecodeAs(candidate.name, buffer);
+      if (text !== null && !text.includes('\uFFFD')) {
+        return { text, encoding: { name: candidate.name, confidence: candidate.confidence, bom: false } };
+      }
+    }
+
+    return {
+      text: TextEncoding._decodeAs(FALLBACK_ENCODING, buffer),
+      encoding: { name: FALLBACK_ENCODING, confidence: 0, bom: false }
+    };
+  }
+
+  /**
+   * Check whether an encoding was only a weak guess
+   * @param {DetectedEncoding} encoding - Encoding from decode
+   * @returns {boolean}
+   */
+  static isUncertain(encoding) {
+    return encoding.confidence < LOW_CONFIDENCE;
+  }
+
+  /**
+   * Decode bytes with an encoding that may not be supported
+   * @private
+   * @param {string} name - Encoding name
+   * @param {Buffer} buffer - Bytes to decode
+   * @returns {string|null} - Decoded text, or null if the encoding is not supported
+   */
+  static _tryDecodeAs(name, buffer) {
+    try {
+      return TextEncoding._decodeAs(name, buffer);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Decode bytes with an encoding
+   * TextDecoder has no UTF-32, and Node's decodes windows-1252 as Latin-1, so both are decoded here
+   * @private
+   * @param {string} name - Encoding name
+   * @param {Buffer} buffer - Bytes to decode
+   * @returns {string}
+   * @throws {RangeError} If the encoding is not supported
+   */
+  static _decodeAs(name, buffer) {
+    if (name === 'UTF-32LE' || name === 'UTF-32BE') {
+      const codePoints = [];
+      for (let offset = 0; offset + 4 <= buffer.length; offset += 4) {
+        const codePoint = name === 'UTF-32LE' ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+        codePoints.push(codePoint <= 0x10FFFF ? codePoint : 0xFFFD);
+      }
+      return codePoints.map(codePoint => String.fromCodePoint(codePoint)).join('');
+    }
+
+    if (name === 'windows-1252') {
+      return buffer.toString('latin1')
+        .replace(/[\x80-\x9F]/g, char => String.fromCharCode(WINDOWS_1252_HIGH[char.charCodeAt(0) - 0x80]));
+    }
+
+    const decoder = new TextDecoder(name);
+    // WHATWG maps some legacy labels to the replacement decoder, which would lose the text
+    if (decoder.encoding === 'replacement') {
+      throw new RangeError(`Unsupported encoding: ${name}`);
+    }
+    return decoder.decode(buffer);
+  }
+}
+
+module.exports = TextEncoding;
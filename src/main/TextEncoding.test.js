@@ -0,0 +1,49 @@
+const TextEncoding = require('./TextEncoding');
+
+describe('TextEncoding', () => {
+  it('should decode UTF-8 with and without a byte-order mark', () => {
+    expect(TextEncoding.decode(Buffer.from('Hello 世界 🌍'))).toEqual({
+      text: 'Hello 世界 🌍',
+      encoding: { name: 'UTF-8', confidence: 100, bom: false }
+    });
+    expect(TextEncoding.decode(Buffer.from('﻿Notes'))).toEqual({
+      text: 'Notes',
+      encoding: { name: 'UTF-8', confidence: 100, bom: true }
+    });
+  });
+
+  it('should decode UTF-16 and UTF-32 by their byte-order marks', () => {
+    const utf16le = Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from('Café 🌍', 'utf16le')]);
+    const utf16be = Buffer.concat([Buffer.from([0xFE, 0xFF]), Buffer.from('Café 🌍', 'utf16le').swap16()]);
+    const utf32le = Buffer.alloc(16);
+    [0xFEFF, 0x48, 0x1F30D, 0x69].forEach((codePoint, index) => utf32le.writeUInt32LE(codePoint, index * 4));
+
+    expect(TextEncoding.decode(utf16le)).toEqual({ text: 'Café 🌍', encoding: { name: 'UTF-16LE', confidence: 100, bom: true } });
+    expect(TextEncoding.decode(utf16be).text).toBe('Café 🌍');
+    expect(TextEncoding.decode(utf32le)).toEqual({ text: 'H🌍i', encoding: { name: 'UTF-32LE', confidence: 100, bom: true } });
+  });
+
+  it('should detect legacy encodings', () => {
+    const windows1252 = Buffer.from('\x93Caf\xe9 na\xefve r\xe9sum\xe9\x94 notes about the French R\xe9volution and its d\xe9cisions.', 'latin1');
+    // "日本語のテキストです。" in Shift-JIS
+    const shiftJis = Buffer.from([
+      0x93, 0xfa, 0x96, 0x7b, 0x8c, 0xea, 0x82, 0xcc, 0x83, 0x65, 0x83, 0x4c, 0x83, 0x58, 0x83, 0x67, 0x82, 0xc5, 0x82, 0xb7, 0x81, 0x42
+    ]);
+
+    const western = TextEncoding.decode(windows1252);
+    expect(western.text).toBe('“Café naïve résumé” notes about the French Révolution and its décisions.');
+    expect(western.encoding.name).toBe('windows-1252');
+    expect(TextEncoding.isUncertain(western.encoding)).toBe(false);
+
+    const japanese = TextEncoding.decode(shiftJis);
+    expect(japanese.text).toBe('日本語のテキストです。');
+    expect(japanese.encoding).toMatchObject({ name: 'Shift_JIS', bom: false });
+  });
+
+  it('should fall back to Windows-1252 when no detected encoding decodes every byte', () => {
+    const decoded = TextEncoding.decode(Buffer.from([0xE9, 0xE8, 0xE0]));
+
+    expect(decoded).toEqual({ text: 'éèà', encoding: { name: 'windows-1252', confidence: 0, bom: false } });
+    expect(TextEncoding.isUncertain(decoded.encoding)).toBe(true);
+  });
+});
@@ -0,0 +1,192 @@
+const snowball = require('snowball-stemmers');
+
+/**
+ * @typedef {'en'|'de'|'fr'|'es'} Language
+ */
+
+// Words too common to make good keywords, by language
+const STOP_WORDS = {
+  en: [
+    'the', 'be', 'to', 'of', 'and', 'a', 'in', 'that', 'have', 'i',
+    'it', 'for', 'not', 'on', 'with', 'he', 'as', 'you', 'do', 'at',
+    'this', 'but', 'his', 'by', 'from', 'they', 'we', 'say', 'her', 'she',
+    'or', 'an', 'will', 'my', 'one', 'all', 'would', 'there', 'their',
+    'what', 'so', 'up', 'out', 'if', 'about', 'who', 'get', 'which', 'go',
+    'me', 'when', 'make', 'can', 'like', 'time', 'no', 'just', 'him', 'know',
+    'take', 'people', 'into', 'year', 'your', 'good', 'some', 'could', 'them',
+    'see', 'other', 'than', 'then', 'now', 'look', 'only', 'come', 'its', 'over',
+    'think', 'also', 'back', 'after', 'use', 'two', 'how', 'our', 'work',
+    'first', 'well', 'way', 'even', 'new', 'want', 'because', 'any', 'these',
+    'give', 'day', 'most', 'us', 'is', 'was', 'are', 'been', 'has', 'had',
+    'were', 'said', 'did', 'having', 'may', 'should', 'does', 'being'
+  ],
+  de: [
+    'der', 'die', 'das', 'den', 'dem', 'des', 'ein', 'eine', 'einen', 'einem',
+    'einer', 'eines', 'und', 'oder', 'aber', 'sondern', 'denn', 'dass', 'weil', 'wenn',
+    'als', 'wie', 'ob', 'ist', 'sind', 'war', 'waren', 'sein', 'seine', 'seinen',
+    'seinem', 'seiner', 'ihr', 'ihre', 'ihren', 'ihrem', 'ihrer', 'hat', 'haben', 'hatte',
+    'hatten', 'wird', 'werden', 'wurde', 'wurden', 'worden', 'kann', 'können', 'konnte', 'muss',
+    'müssen', 'soll', 'sollen', 'will', 'wollen', 'nicht', 'kein', 'keine', 'keinen', 'auch',
+    'noch', 'schon', 'nur', 'sehr', 'mehr', 'viel', 'viele', 'immer', 'wieder', 'hier',
+    'dort', 'dann', 'jetzt', 'mit', 'von', 'vom', 'zu', 'zum', 'zur', 'bei',
+    'beim', 'nach', 'aus', 'auf', 'für', 'über', 'unter', 'durch', 'gegen', 'ohne',
+    'um', 'an', 'am', 'im', 'in', 'ins', 'vor', 'zwischen', 'sich', 'ich',
+    'du', 'er', 'sie', 'es', 'wir', 'man', 'dies', 'diese', 'dieser', 'dieses',
+    'diesen', 'diesem', 'jede', 'jeder', 'jedes', 'alle', 'allem', 'allen', 'aller', 'alles',
+    'einige', 'andere', 'anderen', 'welche', 'welcher', 'welches', 'was', 'wer', 'wo', 'wann',
+    'warum', 'so', 'da', 'dabei', 'dadurch', 'dafür', 'damit', 'darauf', 'daher', 'also',
+    'etwa', 'bzw', 'sowie', 'sowohl', 'gibt', 'geben', 'zwei', 'ersten', 'erste'
+  ],
+  fr: [
+    'le', 'la', 'les', 'un', 'une', 'des', 'du', 'de', 'au', 'aux',
+    'et', 'ou', 'mais', 'donc', 'car', 'ni', 'que', 'qui', 'quoi', 'dont',
+    'où', 'quand', 'comme', 'si', 'est', 'sont', 'être', 'était', 'étaient', 'été',
+    'sera', 'seront', 'avoir', 'a', 'ont', 'avait', 'avaient', 'aura', 'fait', 'faire',
+    'peut', 'peuvent', 'pouvoir', 'doit', 'doivent', 'ne', 'pas', 'plus', 'moins', 'très',
+    'aussi', 'encore', 'déjà', 'toujours', 'jamais', 'ici', 'alors', 'ainsi', 'dans', 'en',
+    'sur', 'sous', 'par', 'pour', 'avec', 'sans', 'entre', 'chez', 'vers', 'avant',
+    'après', 'depuis', 'pendant', 'contre', 'je', 'tu', 'il', 'elle', 'nous', 'vous',
+    'ils', 'elles', 'on', 'se', 'sa', 'son', 'ses', 'leur', 'leurs', 'ce',
+    'cet', 'cette', 'ces', 'cela', 'celle', 'celui', 'ceux', 'celles', 'ça', 'lui',
+    'eux', 'y', 'tout', 'tous', 'toute', 'toutes', 'autre', 'autres', 'même', 'mêmes',
+    'chaque', 'quel', 'quelle', 'quels', 'quelles', 'lequel', 'laquelle', 'lesquels', 'comment', 'pourquoi',
+    'notre', 'nos', 'votre', 'vos', 'mon', 'ma', 'mes', 'ton', 'ta', 'tes',
+    'deux', 'premier', 'première', 'selon', 'lors', 'certains', 'plusieurs', 'bien', 'non'
+  ],
+  es: [
+    'el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas', 'lo', 'al',
+    'del', 'de', 'y', 'e', 'o', 'u', 'pero', 'sino', 'que', 'quien',
+    'quienes', 'cual', 'cuales', 'cuyo', 'cuya', 'donde', 'cuando', 'como', 'si', 'porque',
+    'es', 'son', 'ser', 'era', 'eran', 'fue', 'fueron', 'sido', 'será', 'serán',
+    'está', 'están', 'estar', 'estaba', 'estaban', 'ha', 'han', 'haber', 'había', 'habían',
+    'hay', 'tiene', 'tienen', 'tener', 'puede', 'pueden', 'poder', 'debe', 'deben', 'hace',
+    'hacen', 'hacer', 'no', 'ni', 'más', 'menos', 'muy', 'también', 'tampoco', 'ya',
+    'aún', 'todavía', 'siempre', 'nunca', 'aquí', 'allí', 'así', 'entonces', 'en', 'con',
+    'sin', 'por', 'para', 'sobre', 'bajo', 'entre', 'hasta', 'desde', 'hacia', 'contra',
+    'según', 'durante', 'tras', 'ante', 'yo', 'tú', 'él', 'ella', 'ellos', 'ellas',
+    'nosotros', 'vosotros', 'usted', 'ustedes', 'se', 'le', 'les', 'me', 'te', 'nos',
+    'su', 'sus', 'mi', 'mis', 'tu', 'tus', 'nuestro', 'nuestra', 'este', 'esta',
+    'estos', 'estas', 'ese', 'esa', 'esos', 'esas', 'esto', 'eso', 'aquel', 'aquella',
+    'todo', 'toda', 'todos', 'todas', 'otro', 'otra', 'otros', 'otras', 'mismo', 'misma',
+    'cada', 'qué', 'cómo', 'dónde', 'cuándo', 'dos', 'primer', 'primero', 'primera', 'varios'
+  ]
+};
+
+// Used when no language stands out, and for languages without a stemmer
+const DEFAULT_LANGUAGE = 'en';
+
+// Snowball algorithm of each language
+const STEMMER_ALGORITHMS = {
+  en: 'english',
+  de: 'german',
+  fr: 'french',
+  es: 'spanish'
+};
+
+// Characters read to tell a document's language; the start of a document is enough
+const DETECTION_SAMPLE_LENGTH = 20000;
+
+// French articles and pronouns elided onto the next word, as in "l'énergie"
+const FRENCH_ELISION = /^(?:l|d|j|m|n|s|t|c|qu|jusqu|lorsqu|puisqu)['’](?=\p{L})/u;
+
+// Letters, combining marks, digits and underscores make up words
+const WORD_CHARACTER = '[\\p{L}\\p{M}\\p{N}_]';
+
+const stopWordSets = new Map(Object.entries(STOP_WORDS).map(([language, words]) => [language, new Set(words)]));
+const stemmers = new Map();
+
+/**
+ * Tells which language a document is written in, and splits, filters and stems its words
+ *
+ * English, German, French and Spanish are supported. A document's language is the one whose
+ * stop words make up most of its words; keywords are then counted by stem so that "Zelle" and
+ * "Zellen", or "cell" and "cells", are one keyword.
+ */
+class TextLanguage {
+  /**
+   * Get the supported languages
+   * @returns {Language[]}
+   */
+  static getSupportedLanguages() {
+    return Object.keys(STOP_WORDS);
+  }
+
+  /**
+   * Detect the language of a text
+   * @param {string} text - Text to detect the language of
+   * @returns {Language} - The detected language, or English if none stands out
+   */
+  static detect(text) {
+    const words = TextLanguage.tokenize(typeof text === 'string' ? text.slice(0, DETECTION_SAMPLE_LENGTH) : text);
+    let detected = DEFAULT_LANGUAGE;
+    let bestCount = 0;
+
+    stopWordSets.forEach((stopWords, language) => {
+      const count = words.filter(word => stopWords.has(word)).length;
+      if (count > bestCount) {
+        detected = language;
+        bestCount = count;
+      }
+    });
+
+    return detected;
+  }
+
+  /**
+   * Split text into lowercase words
+   * Words keep their accents, inner hyphens and apostrophes; French elided articles are dropped
+   * @param {string} text - Text to split
+   * @param {Language} [language] - Language of the text
+   * @returns {string[]}
+   */
+  static tokenize(text, language = null) {
+    if (!text || typeof text !== 'string') {
+      return [];
+    }
+
+    return text
+      .normalize('NFC')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{M}\p{N}_\s'’-]/gu, ' ') // Keep hyphens and apostrophes
+      .split(/\s+/)
+      .map(word => word.replace(/^['’-]+|['’-]+$/g, ''))
+      .map(word => language === 'fr' ? word.replace(FRENCH_ELISION, '') : word)
+      .filter(word => word.length > 0);
+  }
+
+  /**
+   * Get the stop words of a language
+   * @param {Language} language - Language of the stop words
+   * @returns {Set<string>} - Lowercase stop words
+   */
+  static getStopWords(language) {
+    return stopWordSets.get(language) || stopWordSets.get(DEFAULT_LANGUAGE);
+  }
+
+  /**
+   * Reduce a word to its stem, e.g. "cells" to "cell" or "Übungen" to "ubung"
+   * @param {string} word - Lowercase word
+   * @param {Language} language - Language of the word
+   * @returns {string}
+   */
+  static stem(word, language) {
+    const algorithm = STEMMER_ALGORITHMS[language] || STEMMER_ALGORITHMS[DEFAULT_LANGUAGE];
+    if (!stemmers.has(algorithm)) {
+      stemmers.set(algorithm, snowball.newStemmer(algorithm));
+    }
+    return stemmers.get(algorithm).stem(word);
+  }
+
+  /**
+   * Create a regular expression that matches a word on its own, not inside a longer word
+   * @param {string} word - Word to match
+   * @param {string} [flags] - Extra flags, e.g. 'gi'
+   * @returns {RegExp}
+   */
+  static wordPattern(word, flags = '') {
+    const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(?<!${WORD_CHARACTER})${escaped}(?!${WORD_CHARACTER})`, `${flags}u`);
+  }
+}
+
+module.exports = TextLanguage;
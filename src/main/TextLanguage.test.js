@@ -0,0 +1,34 @@
+const TextLanguage = require('./TextLanguage');
+
+describe('TextLanguage', () => {
+  it('should detect English, German, French and Spanish', () => {
+    expect(TextLanguage.detect('The cell is the basic unit of life, and it is made of many parts.')).toBe('en');
+    expect(TextLanguage.detect('Die Zelle ist die kleinste Einheit des Lebens und besteht aus vielen Teilen.')).toBe('de');
+    expect(TextLanguage.detect("La cellule est l'unité de base de la vie et elle contient plusieurs parties.")).toBe('fr');
+    expect(TextLanguage.detect('La célula es la unidad básica de la vida y está formada por muchas partes.')).toBe('es');
+  });
+
+  it('should fall back to English when no language stands out', () => {
+    expect(TextLanguage.detect('')).toBe('en');
+    expect(TextLanguage.detect('Mitochondria 42')).toBe('en');
+    expect(TextLanguage.getSupportedLanguages()).toEqual(['en', 'de', 'fr', 'es']);
+  });
+
+  it('should split text into words without losing accented letters', () => {
+    expect(TextLanguage.tokenize('Übung macht den Meister — «jeden» Tag!')).toEqual(['übung', 'macht', 'den', 'meister', 'jeden', 'tag']);
+    expect(TextLanguage.tokenize('Cell-to-cell signalling isn\'t "simple".')).toEqual(['cell-to-cell', 'signalling', "isn't", 'simple']);
+    expect(TextLanguage.tokenize("L'énergie qu'elle produit", 'fr')).toEqual(['énergie', 'elle', 'produit']);
+  });
+
+  it('should stem the forms of a word alike', () => {
+    expect(TextLanguage.stem('cells', 'en')).toBe(TextLanguage.stem('cell', 'en'));
+    expect(TextLanguage.stem('zellen', 'de')).toBe(TextLanguage.stem('zelle', 'de'));
+    expect(TextLanguage.stem('cellules', 'fr')).toBe(TextLanguage.stem('cellule', 'fr'));
+    expect(TextLanguage.stem('células', 'es')).toBe(TextLanguage.stem('célula', 'es'));
+  });
+
+  it('should match whole words only', () => {
+    expect('Die Übung hilft, Übungen helfen.'.replace(TextLanguage.wordPattern('übung', 'gi'), '___')).toBe('Die ___ hilft, Übungen helfen.');
+    expect('Glycolysis (anaerobic) and c++'.replace(TextLanguage.wordPattern('c++', 'g'), '___')).toBe('Glycolysis (anaerobic) and ___');
+  });
+});
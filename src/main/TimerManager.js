@@ -7,6 +7,8 @@ const { app } = require('electron');
  * @typedef {Object} TimerState
  * @property {number} remainingTime - Remaining time in milliseconds
  * @property {boolean} isRunning - Whether timer is currently running
+ * @property {boolean} isPaused - Whether the countdown is paused (e.g. the system is locked or asleep)
+ * @property {string[]} pauseReasons - Why the countdown is paused
  * @property {string} startedAt - ISO timestamp when timer started
  * @property {number} interval - Current interval in minutes
  */
@@ -14,6 +16,8 @@ const { app } = require('electron');
 /**
  * Manages countdown timer for scare sequence triggering
  * Emits 'expired' event when timer reaches zero
+ * Emits 'paused' and 'resumed' events when the countdown is paused or resumed
+ * Emits 'tick' with the elapsed milliseconds each second the countdown runs
  */
 class TimerManager extends EventEmitter {
   /**
@@ -32,6 +36,10 @@ class TimerManager extends EventEmitter {
     this.isRunning = false;
     this.startedAt = null;
     this.currentInterval = 0; // in minutes
+    this.ticksSinceSave = 0;
+    
+    // A running timer only counts down while nothing is pausing it
+    this.pauseReasons = new Set();
     
     // Set up config change listener
     this._setupConfigListener();
@@ -61,8 +69,9 @@ class TimerManager extends EventEmitter {
       const savedState = await this._loadTimerState();
       
       if (savedState && savedState.isRunning) {
-        // Calculate elapsed time since last save
-        const elapsed = Date.now() - new Date(savedState.startedAt).getTime();
+        // Calculate elapsed time since last save; a paused countdown didn't advance
+        const savedAt = savedState.savedAt || savedState.startedAt;
+        const elapsed = savedState.isPaused ? 0 : Date.now() - new Date(savedAt).getTime();
         const remaining = savedState.remainingTime - elapsed;
         
         if (remaining > 0) {
@@ -105,26 +114,91 @@ class TimerManager extends EventEmitter {
 
   /**
    * Start the countdown interval
+   * Stays idle while the timer is paused; resume() starts it then
    * @private
    */
   _startCountdown() {
     this.isRunning = true;
     
+    if (this.isPaused() || this.intervalId) {
+      return;
+    }
+    
     // Update every second
     this.intervalId = setInterval(() => {
       this.remainingTime -= 1000;
+      this.emit('tick', 1000);
       
       if (this.remainingTime <= 0) {
         this._onTimerExpired();
+        return;
       }
       
       // Save state periodically (every 10 seconds)
-      if (this.remainingTime % 10000 === 0) {
+      this.ticksSinceSave++;
+      if (this.ticksSinceSave >= 10) {
         this._saveTimerState();
       }
     }, 1000);
   }
 
+  /**
+   * Stop the countdown interval without changing whether the timer is running
+   * @private
+   */
+  _clearCountdown() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+  }
+
+  /**
+   * Pause the countdown, keeping the remaining time
+   * Pauses for several reasons stack; the countdown only resumes once all are lifted
+   * @param {string} reason - Why the countdown is paused (e.g. 'sleep', 'lock', 'idle')
+   * @returns {boolean} - True if the countdown was not already paused
+   */
+  pause(reason) {
+    const wasPaused = this.isPaused();
+    this.pauseReasons.add(reason);
+    
+    if (wasPaused) {
+      return false;
+    }
+    
+    this._clearCountdown();
+    this._saveTimerState();
+    this.emit('paused', reason);
+    return true;
+  }
+
+  /**
+   * Lift a pause reason and resume the countdown if nothing else is pausing it
+   * @param {string} reason - Pause reason to lift
+   * @returns {boolean} - True if the countdown was resumed
+   */
+  resume(reason) {
+    if (!this.pauseReasons.delete(reason) || this.isPaused()) {
+      return false;
+    }
+    
+    if (this.isRunning) {
+      this._startCountdown();
+    }
+    this._saveTimerState();
+    this.emit('resumed', reason);
+    return true;
+  }
+
+  /**
+   * Check whether the countdown is paused
+   * @returns {boolean}
+   */
+  isPaused() {
+    return this.pauseReasons.size > 0;
+  }
+
   /**
    * Stop the timer
    */
@@ -133,10 +207,7 @@ class TimerManager extends EventEmitter {
       return;
     }
     
-    if (this.intervalId) {
-      clearInterval(this.intervalId);
-      this.intervalId = null;
-    }
+    this._clearCountdown();
     
     this.isRunning = false;
     this._saveTimerState();
@@ -195,6 +266,8 @@ class TimerManager extends EventEmitter {
     return {
       remainingTime: this.getRemainingTime(),
       isRunning: this.isRunning,
+      isPaused: this.isPaused(),
+      pauseReasons: Array.from(this.pauseReasons),
       startedAt: this.startedAt,
       interval: this.currentInterval
     };
@@ -233,6 +306,8 @@ class TimerManager extends EventEmitter {
    * @returns {Promise<void>}
    */
   async _saveTimerState() {
+    this.ticksSinceSave = 0;
+    
     try {
       const sessionPath = this._getSessionPath();
       
@@ -249,6 +324,7 @@ class TimerManager extends EventEmitter {
       sessionData.timerState = {
         remainingTime: this.remainingTime,
         isRunning: this.isRunning,
+        isPaused: this.isPaused(),
         startedAt: this.startedAt,
         interval: this.currentInterval,
         savedAt: new Date().toISOString()
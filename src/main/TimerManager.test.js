@@ -323,6 +323,81 @@ describe('TimerManager', () => {
     });
   });
 
+  describe('pause and resume', () => {
+    beforeEach(() => {
+      // Keep these tests off the shared session file
+      vi.spyOn(timerManager, '_saveTimerState').mockResolvedValue();
+    });
+
+    it('should stop counting down while paused', () => {
+      vi.useFakeTimers();
+
+      timerManager.start();
+      vi.advanceTimersByTime(5000);
+      expect(timerManager.pause('lock')).toBe(true);
+      vi.advanceTimersByTime(60000);
+
+      expect(timerManager.getRemainingTime()).toBe(30 * 60 * 1000 - 5000);
+      expect(timerManager.getStatus()).toMatchObject({ isRunning: true, isPaused: true, pauseReasons: ['lock'] });
+
+      expect(timerManager.resume('lock')).toBe(true);
+      vi.advanceTimersByTime(5000);
+      expect(timerManager.getRemainingTime()).toBe(30 * 60 * 1000 - 10000);
+    });
+
+    it('should only tick while counting down', () => {
+      vi.useFakeTimers();
+      const ticks = [];
+      timerManager.on('tick', elapsedMs => ticks.push(elapsedMs));
+
+      timerManager.start();
+      vi.advanceTimersByTime(3000);
+      timerManager.pause('idle');
+      vi.advanceTimersByTime(60000);
+
+      expect(ticks).toEqual([1000, 1000, 1000]);
+
+      vi.useRealTimers();
+    });
+
+    it('should stay paused until every reason is lifted', () => {
+      vi.useFakeTimers();
+      const paused = vi.fn();
+      const resumed = vi.fn();
+      timerManager.on('paused', paused);
+      timerManager.on('resumed', resumed);
+
+      timerManager.start();
+      timerManager.pause('lock');
+      expect(timerManager.pause('idle')).toBe(false);
+      expect(timerManager.resume('lock')).toBe(false);
+      expect(timerManager.isPaused()).toBe(true);
+      expect(timerManager.resume('idle')).toBe(true);
+
+      expect(paused).toHaveBeenCalledTimes(1);
+      expect(resumed).toHaveBeenCalledTimes(1);
+    });
+
+    it('should ignore resuming a reason that was not paused', () => {
+      expect(timerManager.resume('sleep')).toBe(false);
+    });
+
+    it('should not count down when started while paused', () => {
+      vi.useFakeTimers();
+
+      timerManager.pause('sleep');
+      timerManager.start();
+      vi.advanceTimersByTime(60000);
+
+      expect(timerManager.isRunning).toBe(true);
+      expect(timerManager.getRemainingTime()).toBe(30 * 60 * 1000);
+
+      timerManager.resume('sleep');
+      vi.advanceTimersByTime(1000);
+      expect(timerManager.getRemainingTime()).toBe(30 * 60 * 1000 - 1000);
+    });
+  });
+
   describe.sequential('session persistence', () => {
     it('should save and load timer state', async () => {
       // Create a fresh timer manager for this test
@@ -375,6 +450,49 @@ describe('TimerManager', () => {
     });
   });
 
+  describe.sequential('restoring saved state', () => {
+    beforeEach(() => {
+      vi.spyOn(timerManager, '_getSessionPath').mockReturnValue(testSessionPath);
+    });
+
+    const writeTimerState = async (timerState) => {
+      await fs.mkdir(path.dirname(testSessionPath), { recursive: true });
+      await fs.writeFile(testSessionPath, JSON.stringify({ timerState }), 'utf8');
+    };
+
+    it('should subtract the time elapsed since the state was saved', async () => {
+      await writeTimerState({
+        remainingTime: 10 * 60 * 1000,
+        isRunning: true,
+        isPaused: false,
+        startedAt: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+        interval: 30,
+        savedAt: new Date(Date.now() - 60 * 1000).toISOString()
+      });
+
+      await timerManager.initialize();
+
+      expect(timerManager.isRunning).toBe(true);
+      expect(timerManager.getRemainingTime()).toBeGreaterThan(8.9 * 60 * 1000);
+      expect(timerManager.getRemainingTime()).toBeLessThanOrEqual(9 * 60 * 1000);
+    });
+
+    it('should keep the remaining time of a paused timer', async () => {
+      await writeTimerState({
+        remainingTime: 10 * 60 * 1000,
+        isRunning: true,
+        isPaused: true,
+        startedAt: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+        interval: 30,
+        savedAt: new Date(Date.now() - 30 * 60 * 1000).toISOString()
+      });
+
+      await timerManager.initialize();
+
+      expect(timerManager.getRemainingTime()).toBe(10 * 60 * 1000);
+    });
+  });
+
   describe('destroy', () => {
     it('should stop timer and remove listeners', () => {
       vi.useFakeTimers();
@@ -0,0 +1,329 @@
+const { Worker } = require('worker_threads');
+
+/**
+ * @typedef {Object} PoolTask
+ * @property {number} id - Task id, echoed back in the worker's result message
+ * @property {Object} data - Data posted to the worker
+ * @property {string|null} batch - Batch the task belongs to, for cancellation
+ * @property {function(Object): void|null} onMessage - Called with messages the worker posts before its result
+ * @property {function(*): void} resolve - Settles the task with the worker's result
+ * @property {function(Error): void} reject - Settles the task with an error
+ * @property {NodeJS.Timeout|null} timer - Timeout of the running task
+ */
+
+/**
+ * @typedef {Object} PoolWorker
+ * @property {Worker} worker - Worker thread
+ * @property {PoolTask|null} task - Task the worker is running
+ * @property {NodeJS.Timeout|null} idleTimer - Stops the worker once it has been idle for a while
+ */
+
+/**
+ * @typedef {Object} PoolStatus
+ * @property {number} workers - Worker threads running
+ * @property {number} busy - Workers running a task
+ * @property {number} queued - Tasks waiting for a worker
+ */
+
+/**
+ * Runs tasks on a fixed number of reusable worker threads
+ *
+ * Tasks beyond the pool size wait in a queue. The worker script receives each task as a message
+ * with an `id` and answers with `{type: 'result', id, success, data | error}`, where error carries
+ * the message, stack and optional code of the failure; any other message is passed to the task's
+ * onMessage callback and counts as progress. A task that makes no progress for the task timeout,
+ * or whose worker runs out of memory or crashes, fails and its worker is replaced. Idle workers
+ * do not keep the process alive and are stopped after the idle timeout.
+ */
+class WorkerPool {
+  /**
+   * @param {string} workerPath - Path of the worker script
+   * @param {Object} [options] - Configuration options
+   * @param {number} [options.size] - Maximum number of worker threads (default: 2)
+   * @param {number} [options.taskTimeout] - Milliseconds a task may go without progress before it is stopped, 0 for none (default: 120000)
+   * @param {number} [options.idleTimeout] - Milliseconds an idle worker is kept for the next task (default: 30000)
+   * @param {Object} [options.resourceLimits] - Worker resourceLimits, e.g. maxOldGenerationSizeMb
+   * @param {Object} [options.workerData] - workerData shared by every worker
+   */
+  constructor(workerPath, options = {}) {
+    this.workerPath = workerPath;
+    this.size = Math.max(1, options.size || 2);
+    this.taskTimeout = options.taskTimeout !== undefined ? options.taskTimeout : 120000;
+    this.idleTimeout = options.idleTimeout !== undefined ? options.idleTimeout : 30000;
+    this.resourceLimits = options.resourceLimits || null;
+    this.workerData = options.workerData || {};
+
+    /** @type {PoolWorker[]} */
+    this.workers = [];
+    /** @type {PoolTask[]} */
+    this.queue = [];
+    this.nextTaskId = 1;
+    this.closed = false;
+  }
+
+  /**
+   * Run a task on the next free worker
+   * @param {Object} data - Data posted to the worker
+   * @param {Object} [options] - Task options
+   * @param {string} [options.batch] - Batch the task belongs to, so it can be cancelled with others
+   * @param {function(Object): void} [options.onMessage] - Called with progress messages from the worker
+   * @returns {Promise<*>} - The data of the worker's result
+   * @throws {Error} With code WORKER_TIMEOUT, WORKER_OUT_OF_MEMORY, CANCELLED or POOL_CLOSED, or the worker's error
+   */
+  run(data, options = {}) {
+    if (this.closed) {
+      return Promise.reject(WorkerPool._error('Worker pool has been shut down', 'POOL_CLOSED'));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({
+        id: this.nextTaskId++,
+        data,
+        batch: options.batch || null,
+        onMessage: options.onMessage || null,
+        resolve,
+        reject,
+        timer: null
+      });
+      this._dispatch();
+    });
+  }
+
+  /**
+   * Cancel the queued and running tasks of a batch
+   * Workers running a cancelled task are stopped
+   * @param {string} batch - Batch to cancel
+   * @returns {number} - Number of tasks cancelled
+   */
+  cancel(batch) {
+    const queued = this.queue.filter(task => task.batch === batch);
+    this.queue = this.queue.filter(task => task.batch !== batch);
+    queued.forEach(task => task.reject(WorkerPool._error('Processing was cancelled', 'CANCELLED')));
+
+    const running = this.workers.filter(entry => entry.task && entry.task.batch === batch);
+    running.forEach(entry => this._stopTask(entry, WorkerPool._error('Processing was cancelled', 'CANCELLED')));
+
+    this._dispatch();
+    return queued.length + running.length;
+  }
+
+  /**
+   * Get how busy the pool is
+   * @returns {PoolStatus}
+   */
+  getStatus() {
+    return {
+      workers: this.workers.length,
+      busy: this.workers.filter(entry => entry.task).length,
+      queued: this.queue.length
+    };
+  }
+
+  /**
+   * Stop every worker and fail the remaining tasks
+   * @returns {Promise<void>}
+   */
+  async destroy() {
+    this.closed = true;
+    const queued = this.queue;
+    this.queue = [];
+    queued.forEach(task => task.reject(WorkerPool._error('Worker pool has been shut down', 'POOL_CLOSED')));
+
+    const entries = this.workers;
+    this.workers = [];
+    await Promise.all(entries.map(entry => {
+      clearTimeout(entry.idleTimer);
+      if (entry.task) {
+        clearTimeout(entry.task.timer);
+        entry.task.reject(WorkerPool._error('Worker pool has been shut down', 'POOL_CLOSED'));
+      }
+      return entry.worker.terminate();
+    }));
+  }
+
+  /**
+   * Hand queued tasks to idle workers, starting workers up to the pool size
+   * @private
+   */
+  _dispatch() {
+    while (this.queue.length > 0) {
+      let entry = this.workers.find(candidate => !candidate.task);
+      if (!entry) {
+        if (this.workers.length >= this.size) {
+          return;
+        }
+        entry = this._spawn();
+      }
+      this._start(entry, this.queue.shift());
+    }
+  }
+
+  /**
+   * Start a worker thread
+   * @private
+   * @returns {PoolWorker}
+   */
+  _spawn() {
+    const workerOptions = { workerData: this.workerData };
+    if (this.resourceLimits) {
+      workerOptions.resourceLimits = this.resourceLimits;
+    }
+
+    const entry = { worker: new Worker(this.workerPath, workerOptions), task: null, idleTimer: null };
+
+    entry.worker.on('message', message => {
+      const task = entry.task;
+      if (!task) {
+        return;
+      }
+
+      if (message && message.type === 'result' && message.id === task.id) {
+        this._finishTask(entry);
+        if (message.success) {
+          task.resolve(message.data);
+        } else {
+          const error = new Error(message.error.message);
+          error.stack = message.error.stack;
+          if (message.error.code) {
+            error.code = message.error.code;
+          }
+          task.reject(error);
+        }
+        this._dispatch();
+        return;
+      }
+
+      // Anything else is progress
+      this._armTimeout(entry);
+      if (task.onMessage) {
+        task.onMessage(message);
+      }
+    });
+
+    entry.worker.on('error', error => {
+      if (error.code === 'ERR_WORKER_OUT_OF_MEMORY') {
+        this._failWorker(entry, WorkerPool._error(`Worker ran out of memory: ${error.message}`, 'WORKER_OUT_OF_MEMORY'));
+      } else {
+        this._failWorker(entry, error);
+      }
+    });
+
+    entry.worker.on('exit', code => {
+      this._failWorker(entry, new Error(`Worker stopped with exit code ${code}`));
+    });
+
+    this.workers.push(entry);
+    return entry;
+  }
+
+  /**
+   * Post a task to a worker
+   * @private
+   * @param {PoolWorker} entry - Idle worker
+   * @param {PoolTask} task - Task to run
+   */
+  _start(entry, task) {
+    clearTimeout(entry.idleTimer);
+    entry.idleTimer = null;
+    entry.task = task;
+    entry.worker.ref();
+    this._armTimeout(entry);
+    entry.worker.postMessage({ ...task.data, id: task.id });
+  }
+
+  /**
+   * (Re)start the timeout of a worker's task
+   * @private
+   * @param {PoolWorker} entry - Busy worker
+   */
+  _armTimeout(entry) {
+    clearTimeout(entry.task.timer);
+    if (this.taskTimeout > 0) {
+      entry.task.timer = setTimeout(() => {
+        this._stopTask(entry, WorkerPool._error(`Task made no progress for ${this.taskTimeout}ms`, 'WORKER_TIMEOUT'));
+        this._dispatch();
+      }, this.taskTimeout);
+    }
+  }
+
+  /**
+   * Mark a worker's task as done and let the worker idle
+   * @private
+   * @param {PoolWorker} entry - Busy worker
+   */
+  _finishTask(entry) {
+    clearTimeout(entry.task.timer);
+    entry.task = null;
+    entry.worker.unref();
+
+    if (this.idleTimeout > 0) {
+      entry.idleTimer = setTimeout(() => this._removeWorker(entry), this.idleTimeout);
+      entry.idleTimer.unref();
+    }
+  }
+
+  /**
+   * Stop a worker in the middle of its task and fail the task
+   * @private
+   * @param {PoolWorker} entry - Busy worker
+   * @param {Error} error - Why the task failed
+   */
+  _stopTask(entry, error) {
+    const task = entry.task;
+    clearTimeout(task.timer);
+    entry.task = null;
+    this._removeWorker(entry);
+    task.reject(error);
+  }
+
+  /**
+   * Handle a worker that crashed or exited, failing its task
+   * @private
+   * @param {PoolWorker} entry - Worker
+   * @param {Error} error - What went wrong
+   */
+  _failWorker(entry, error) {
+    if (!this.workers.includes(entry)) {
+      return;
+    }
+
+    const task = entry.task;
+    if (task) {
+      clearTimeout(task.timer);
+      entry.task = null;
+    }
+    this._removeWorker(entry);
+    if (task) {
+      task.reject(error);
+    }
+    this._dispatch();
+  }
+
+  /**
+   * Take a worker out of the pool and stop it
+   * @private
+   * @param {PoolWorker} entry - Worker
+   */
+  _removeWorker(entry) {
+    clearTimeout(entry.idleTimer);
+    this.workers = this.workers.filter(candidate => candidate !== entry);
+    entry.worker.terminate().catch(() => {
+      // The worker has already stopped
+    });
+  }
+
+  /**
+   * Create an error with a code
+   * @private
+   * @param {string} message - Error message
+   * @param {string} code - Error code
+   * @returns {Error}
+   */
+  static _error(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = WorkerPool;
@@ -0,0 +1,134 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const WorkerPool = require('./WorkerPool');
+
+const WORKER_SCRIPT = `
+const { parentPort, threadId } = require('worker_threads');
+parentPort.on('message', async task => {
+  const reply = (success, payload) => parentPort.postMessage({ type: 'result', id: task.id, success, ...payload });
+  if (task.action === 'hang') {
+    return;
+  }
+  if (task.action === 'progress') {
+    for (let step = 1; step <= 3; step++) {
+      await new Promise(resolve => setTimeout(resolve, 40));
+      parentPort.postMessage({ type: 'progress', step });
+    }
+  }
+  if (task.action === 'fail') {
+    reply(false, { error: { message: 'Could not read ' + task.value, stack: '', code: 'PASSWORD_REQUIRED' } });
+    return;
+  }
+  if (task.action === 'grow') {
+    const hoard = [];
+    for (;;) {
+      hoard.push(new Array(100000).fill(hoard.length));
+    }
+  }
+  if (task.action === 'crash') {
+    process.exit(3);
+  }
+  await new Promise(resolve => setTimeout(resolve, task.delay || 0));
+  reply(true, { data: { value: task.value, threadId } });
+});
+`;
+
+describe('WorkerPool', () => {
+  let tempDir;
+  let workerPath;
+  let pool;
+
+  beforeAll(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'worker-pool-'));
+    workerPath = path.join(tempDir, 'worker.js');
+    await fs.writeFile(workerPath, WORKER_SCRIPT);
+  });
+
+  afterAll(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  afterEach(async () => {
+    if (pool) {
+      await pool.destroy();
+      pool = null;
+    }
+  });
+
+  it('should queue tasks beyond the pool size and reuse workers', async () => {
+    pool = new WorkerPool(workerPath, { size: 2 });
+
+    const tasks = [1, 2, 3, 4, 5].map(value => pool.run({ value, delay: 30 }));
+    expect(pool.getStatus()).toEqual({ workers: 2, busy: 2, queued: 3 });
+
+    const results = await Promise.all(tasks);
+
+    expect(results.map(result => result.value)).toEqual([1, 2, 3, 4, 5]);
+    expect(new Set(results.map(result => result.threadId)).size).toBe(2);
+    expect(pool.getStatus()).toEqual({ workers: 2, busy: 0, queued: 0 });
+  });
+
+  it('should pass worker errors to the task', async () => {
+    pool = new WorkerPool(workerPath, { size: 1 });
+
+    await expect(pool.run({ action: 'fail', value: 'notes.pdf' })).rejects.toThrow('Could not read notes.pdf');
+    await expect(pool.run({ action: 'fail', value: 'notes.pdf' })).rejects.toMatchObject({ code: 'PASSWORD_REQUIRED' });
+    expect((await pool.run({ value: 'next' })).value).toBe('next');
+  });
+
+  it('should stop tasks that make no progress and replace their worker', async () => {
+    pool = new WorkerPool(workerPath, { size: 1, taskTimeout: 100 });
+
+    const hung = pool.run({ action: 'hang' });
+    const queued = pool.run({ value: 'after' });
+
+    await expect(hung).rejects.toMatchObject({ code: 'WORKER_TIMEOUT' });
+    expect((await queued).value).toBe('after');
+  });
+
+  it('should restart the timeout when the worker reports progress', async () => {
+    pool = new WorkerPool(workerPath, { size: 1, taskTimeout: 100 });
+    const progress = [];
+
+    const result = await pool.run({ action: 'progress', value: 'slow' }, { onMessage: message => progress.push(message.step) });
+
+    expect(result.value).toBe('slow');
+    expect(progress).toEqual([1, 2, 3]);
+  });
+
+  it('should cancel the queued and running tasks of a batch only', async () => {
+    pool = new WorkerPool(workerPath, { size: 1 });
+
+    const running = pool.run({ action: 'hang' }, { batch: 'batch-1' });
+    const queued = pool.run({ value: 'queued' }, { batch: 'batch-1' });
+    const other = pool.run({ value: 'other' }, { batch: 'batch-2' });
+
+    expect(pool.cancel('batch-1')).toBe(2);
+    await expect(running).rejects.toMatchObject({ code: 'CANCELLED' });
+    await expect(queued).rejects.toMatchObject({ code: 'CANCELLED' });
+    expect((await other).value).toBe('other');
+  });
+
+  it('should fail tasks whose worker runs out of memory or crashes', async () => {
+    pool = new WorkerPool(workerPath, { size: 1, resourceLimits: { maxOldGenerationSizeMb: 16 } });
+
+    await expect(pool.run({ action: 'grow' })).rejects.toMatchObject({ code: 'WORKER_OUT_OF_MEMORY' });
+    await expect(pool.run({ action: 'crash' })).rejects.toThrow('Worker stopped with exit code 3');
+    expect((await pool.run({ value: 'recovered' })).value).toBe('recovered');
+  }, 20000);
+
+  it('should stop idle workers and reject tasks after shutdown', async () => {
+    pool = new WorkerPool(workerPath, { size: 2, idleTimeout: 50 });
+
+    await pool.run({ value: 1 });
+    expect(pool.getStatus().workers).toBe(1);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expect(pool.getStatus().workers).toBe(0);
+
+    const pending = expect(pool.run({ action: 'hang' })).rejects.toMatchObject({ code: 'POOL_CLOSED' });
+    await pool.destroy();
+    await pending;
+    await expect(pool.run({ value: 2 })).rejects.toMatchObject({ code: 'POOL_CLOSED' });
+  });
+});
@@ -1,11 +1,20 @@
-const { app, BrowserWindow, Tray, Menu, ipcMain } = require('electron');
+const { app, BrowserWindow, Tray, Menu, ipcMain, clipboard } = require('electron');
 const path = require('path');
 const ConfigManager = require('./ConfigManager');
 const SessionManager = require('./SessionManager');
+const AnswerHistory = require('./AnswerHistory');
 const TimerManager = require('./TimerManager');
+const PowerStateMonitor = require('./PowerStateMonitor');
+const FolderWatcher = require('./FolderWatcher');
 const ScareController = require('./ScareController');
 const DocumentProcessor = require('./DocumentProcessor');
+const DocumentSelection = require('./DocumentSelection');
+const ExtractedTextStore = require('./ExtractedTextStore');
+const DocumentPasswordStore = require('./DocumentPasswordStore');
+const PasswordProtection = require('./PasswordProtection');
+const NoteStore = require('./NoteStore');
 const QuestionGenerator = require('./QuestionGenerator');
+const QuestionSerializer = require('./QuestionSerializer');
 const ResourceMonitor = require('./ResourceMonitor');
 const AutoUpdater = require('./AutoUpdater');
 const { IPC_CHANNELS } = require('../shared/constants');
@@ -16,14 +25,34 @@ let configWindow = null;
 let scareWindow = null;
 let configManager = null;
 let sessionManager = null;
+let answerHistory = null;
 let timerManager = null;
+let powerStateMonitor = null;
+let folderWatcher = null;
+let questionUpdateQueue = Promise.resolve();
 let scareController = null;
 let documentProcessor = null;
+let extractedTextStore = null;
+let documentPasswordStore = null;
+let noteStore = null;
+// Documents that could not be opened without a (different) password, by configured path
+const lockedDocuments = new Map();
 let questionGenerator = null;
 let resourceMonitor = null;
 let autoUpdater = null;
+let sessionRolloverTimer = null;
 let isQuitting = false;
 
+// Save/open dialog filter names for question bank formats
+const QUESTION_BANK_FILTER_NAMES = {
+  json: 'JSON Question Bank',
+  csv: 'CSV Spreadsheet',
+  tsv: 'Anki Notes (TSV)'
+};
+
+// Config keys that control when the timer pauses itself
+const PAUSE_POLICY_KEYS = ['pauseOnSleep', 'pauseOnLock', 'pauseOnIdle', 'idleThresholdMinutes'];
+
 // Single instance lock
 const gotTheLock = app.requestSingleInstanceLock();
 
@@ -65,10 +94,32 @@ async function initializeApp() {
   await configManager.set('lastRun', new Date().toISOString());
 
   // Initialize SessionManager
-  sessionManager = new SessionManager();
+  sessionManager = new SessionManager(null, {
+    boundaryHour: configManager.get('sessionBoundaryHour')
+  });
   await sessionManager.load();
+  await sessionManager.rollOverIfNeeded();
+  scheduleSessionRollover();
   console.log('Session loaded successfully');
 
+  // Initialize AnswerHistory
+  answerHistory = new AnswerHistory();
+  try {
+    await answerHistory.load();
+    console.log('Answer history loaded successfully');
+  } catch (error) {
+    // A damaged history file should not keep the app from starting
+    console.warn('Answer history could not be loaded, starting a new one:', error.message);
+    try {
+      const backupPath = await answerHistory.resetCorrupted();
+      if (backupPath) {
+        console.warn(`Unreadable answer history moved to ${backupPath}`);
+      }
+    } catch (resetError) {
+      console.error('Failed to move unreadable answer history aside:', resetError);
+    }
+  }
+
   // Initialize ResourceMonitor
   resourceMonitor = new ResourceMonitor({
     sampleInterval: 10000, // 10 seconds
@@ -83,16 +134,29 @@ async function initializeApp() {
   console.log('AutoUpdater initialized and started');
 
   // Initialize DocumentProcessor with optimization settings
+  // Text extracted from unchanged documents is reused instead of parsing them on every start
+  // Passwords of protected PDFs and DOCX files are encrypted with the OS keychain
+  extractedTextStore = new ExtractedTextStore();
+  documentPasswordStore = new DocumentPasswordStore();
   documentProcessor = new DocumentProcessor({
     useWorkerThreads: true,
-    maxConcurrentWorkers: 2
+    maxConcurrentWorkers: 2,
+    onOcrProgress: notifyOcrProgress,
+    textStore: extractedTextStore,
+    passwordStore: documentPasswordStore
   });
   console.log('DocumentProcessor initialized successfully');
 
+  // Quick-capture notes are text documents kept in the user data directory
+  noteStore = new NoteStore();
+
   // Initialize QuestionGenerator with optimization settings
   questionGenerator = new QuestionGenerator({
     maxCachedQuestions: 100,
-    lazyLoad: true
+    lazyLoad: true,
+    difficulty: configManager.get('difficulty'),
+    questionMode: configManager.get('questionMode'),
+    deckWeight: configManager.get('deckWeight')
   });
   console.log('QuestionGenerator initialized successfully');
 
@@ -105,6 +169,28 @@ async function initializeApp() {
   await timerManager.initialize();
   console.log('Timer initialized successfully');
 
+  // Pause the countdown while the system sleeps, locks or sits idle
+  powerStateMonitor = new PowerStateMonitor(timerManager, {
+    policies: {
+      pauseOnSleep: configManager.get('pauseOnSleep'),
+      pauseOnLock: configManager.get('pauseOnLock'),
+      pauseOnIdle: configManager.get('pauseOnIdle'),
+      idleThresholdMinutes: configManager.get('idleThresholdMinutes')
+    }
+  });
+  powerStateMonitor.start();
+  console.log('PowerStateMonitor started successfully');
+
+  // Pick up documents from watched study folders and follow changes to them
+  folderWatcher = new FolderWatcher();
+  await folderWatcher.setFolders(configManager.get('watchedFolders') || []);
+  folderWatcher.on('change', (change) => {
+    console.log(`Watched folder ${change.folder} changed: ${change.added.length} added, ${change.modified.length} changed, ${change.removed.length} removed files`);
+    notifyFoldersUpdate();
+    queueQuestionUpdate();
+  });
+  console.log(`FolderWatcher started with ${folderWatcher.getFiles().length} files`);
+
   // Validate that we have questions before starting timer
   await validateQuestionsAvailable();
 
@@ -155,6 +241,26 @@ async function initializeApp() {
     }
   });
 
+  // Show in the tray when the countdown is paused
+  timerManager.on('paused', () => {
+    if (tray) {
+      tray.setToolTip('Spooky Study App (timer paused)');
+    }
+  });
+
+  timerManager.on('resumed', () => {
+    if (tray) {
+      tray.setToolTip('Spooky Study App');
+    }
+  });
+
+  // Time the countdown runs counts as study time; it stops while the timer is paused
+  timerManager.on('tick', (elapsedMs) => {
+    sessionManager.addStudyTime(elapsedMs).catch(error => {
+      console.error('Failed to record study time:', error);
+    });
+  });
+
   // Set up ScareController event handlers
   scareController.on('sequence-end', () => {
     console.log('Scare sequence ended normally');
@@ -174,6 +280,17 @@ async function initializeApp() {
     timerManager.start();
   });
 
+  // Feed answers into the spaced repetition schedule and the answer log
+  scareController.on('answer-submitted', (submission) => {
+    questionGenerator.recordAnswer(submission.question.id, submission.correct).catch(error => {
+      console.error('Failed to record answer in review schedule:', error);
+    });
+
+    recordAnswerHistory(submission).catch(error => {
+      console.error('Failed to record answer in answer history:', error);
+    });
+  });
+
   scareController.on('error', (error) => {
     console.error('ScareController error:', error);
     hideScareWindow();
@@ -250,6 +367,21 @@ function setupIPCHandlers() {
           if (k === 'interval' && timerManager) {
             timerManager.onConfigChange(k, v);
           }
+
+          // Regenerate questions when difficulty or question mode changes
+          if (k === 'difficulty') {
+            applyDifficultyChange(v);
+          } else if (k === 'questionMode') {
+            applyQuestionModeChange(v);
+          } else if (k === 'sessionBoundaryHour') {
+            applySessionBoundaryChange(v);
+          } else if (k === 'deckWeight') {
+            applyDeckWeightChange(v);
+          } else if (PAUSE_POLICY_KEYS.includes(k)) {
+            applyPausePolicyChange(k, v);
+          } else if (k === 'watchedFolders') {
+            await applyWatchedFoldersChange(v);
+          }
         }
 
         // Notify all windows of config update
@@ -265,6 +397,21 @@ function setupIPCHandlers() {
           timerManager.onConfigChange(key, value);
         }
 
+        // Regenerate questions when difficulty or question mode changes
+        if (key === 'difficulty') {
+          applyDifficultyChange(value);
+        } else if (key === 'questionMode') {
+          applyQuestionModeChange(value);
+        } else if (key === 'sessionBoundaryHour') {
+          applySessionBoundaryChange(value);
+        } else if (key === 'deckWeight') {
+          applyDeckWeightChange(value);
+        } else if (PAUSE_POLICY_KEYS.includes(key)) {
+          applyPausePolicyChange(key, value);
+        } else if (key === 'watchedFolders') {
+          await applyWatchedFoldersChange(value);
+        }
+
         // Notify all windows of config update
         notifyConfigUpdate();
 
@@ -284,11 +431,18 @@ function setupIPCHandlers() {
       const result = await dialog.showOpenDialog(configWindow, {
         properties: ['openFile', 'multiSelections'],
         filters: [
-          { name: 'Documents', extensions: ['pdf', 'docx', 'md', 'txt'] },
+          { name: 'Documents', extensions: ['pdf', 'docx', 'epub', 'pptx', 'odp', 'html', 'htm', 'mhtml', 'mht', 'ipynb', 'tex', 'srt', 'vtt', 'csv', 'tsv', 'md', 'txt', 'json'] },
           { name: 'PDF Files', extensions: ['pdf'] },
           { name: 'Word Documents', extensions: ['docx'] },
+          { name: 'E-books', extensions: ['epub'] },
+          { name: 'Presentations', extensions: ['pptx', 'odp'] },
+          { name: 'Web Pages', extensions: ['html', 'htm', 'mhtml', 'mht'] },
+          { name: 'Notebooks and LaTeX', extensions: ['ipynb', 'tex'] },
+          { name: 'Lecture Captions', extensions: ['srt', 'vtt'] },
+          { name: 'Glossaries', extensions: ['csv', 'tsv'] },
           { name: 'Markdown Files', extensions: ['md'] },
           { name: 'Text Files', extensions: ['txt'] },
+          { name: 'Question Decks', extensions: ['json', 'md'] },
           { name: 'All Files', extensions: ['*'] }
         ]
       });
@@ -300,6 +454,19 @@ function setupIPCHandlers() {
     }
   });
 
+  // Dialog handler for selecting a study folder
+  ipcMain.handle('dialog:selectFolder', async () => {
+    const { dialog } = require('electron');
+    try {
+      return await dialog.showOpenDialog(configWindow, {
+        properties: ['openDirectory']
+      });
+    } catch (error) {
+      console.error('Error showing folder dialog:', error);
+      throw error;
+    }
+  });
+
   // Document handlers
   ipcMain.handle(IPC_CHANNELS.DOCUMENT_ADD, async (event, filePath) => {
     try {
@@ -334,7 +501,7 @@ function setupIPCHandlers() {
       const documents = configManager.get('documents') || [];
 
       // Check if document already exists
-      if (documents.includes(filePath)) {
+      if (documents.some(entry => DocumentSelection.getPath(entry) === filePath)) {
         throw new Error('Document already added');
       }
 
@@ -367,7 +534,7 @@ function setupIPCHandlers() {
       const documents = configManager.get('documents') || [];
 
       // Remove document from list
-      const index = documents.indexOf(filePath);
+      const index = documents.findIndex(entry => DocumentSelection.getPath(entry) === filePath);
       if (index === -1) {
         throw new Error('Document not found in list');
       }
@@ -375,6 +542,19 @@ function setupIPCHandlers() {
       documents.splice(index, 1);
       await configManager.set('documents', documents);
 
+      // Removing a note deletes it, as the app manages its file
+      if (noteStore && noteStore.isNote(filePath)) {
+        await noteStore.remove(filePath);
+      }
+
+      // Forget the password of a removed document
+      if (documentPasswordStore) {
+        await documentPasswordStore.remove(filePath);
+      }
+      if (lockedDocuments.delete(filePath)) {
+        notifyPasswordRequired();
+      }
+
       // Notify all windows of config update
       notifyConfigUpdate();
 
@@ -423,13 +603,14 @@ function setupIPCHandlers() {
         }
 
         // Check file extension
-        const { SUPPORTED_FORMATS } = require('../shared/constants');
+        const { SUPPORTED_FORMATS, DECK_FORMATS, SUPPORTED_FORMATS_HINT } = require('../shared/constants');
         const ext = path.extname(filePath).toLowerCase();
-        if (!SUPPORTED_FORMATS.includes(ext)) {
+        const isDeck = DECK_FORMATS.some(format => filePath.toLowerCase().endsWith(format));
+        if (!SUPPORTED_FORMATS.includes(ext) && !isDeck) {
           return {
             valid: false,
             error: 'Unsupported file format',
-            userFriendlyError: 'Unsupported file type. Please use PDF, DOCX, MD, or TXT files.'
+            userFriendlyError: `Unsupported file type. ${SUPPORTED_FORMATS_HINT}`
           };
         }
 
@@ -469,7 +650,7 @@ function setupIPCHandlers() {
       }
 
       // Validate all documents
-      const validationResults = await documentProcessor.validateDocuments(documents);
+      const validationResults = await documentProcessor.validateDocuments(documents.map(DocumentSelection.getPath));
 
       const validDocs = [];
       const invalidDocs = [];
@@ -490,9 +671,9 @@ function setupIPCHandlers() {
         }
       }
 
-      // Remove invalid documents from config
+      // Remove invalid documents from config, keeping the selections of the rest
       if (removedDocs.length > 0) {
-        await configManager.set('documents', validDocs);
+        await configManager.set('documents', documents.filter(entry => !removedDocs.includes(DocumentSelection.getPath(entry))));
         console.log(`Removed ${removedDocs.length} invalid documents from configuration`);
 
         // Notify all windows of config update
@@ -510,6 +691,265 @@ function setupIPCHandlers() {
     }
   });
 
+  // Document selection handlers
+  ipcMain.handle(IPC_CHANNELS.DOCUMENT_GET_OUTLINE, async (event, filePath) => {
+    try {
+      if (!documentProcessor) {
+        throw new Error('DocumentProcessor not initialized');
+      }
+
+      if (!filePath || typeof filePath !== 'string') {
+        throw new Error('Invalid file path');
+      }
+
+      return await documentProcessor.getOutline(filePath);
+    } catch (error) {
+      console.error('Error reading document outline:', error);
+      throw error;
+    }
+  });
+
+  ipcMain.handle(IPC_CHANNELS.DOCUMENT_SET_SELECTION, async (event, filePath, selection) => {
+    try {
+      if (!configManager) {
+        throw new Error('ConfigManager not initialized');
+      }
+
+      if (!filePath || typeof filePath !== 'string') {
+        throw new Error('Invalid file path');
+      }
+
+      const documents = configManager.get('documents') || [];
+      const index = documents.findIndex(entry => DocumentSelection.getPath(entry) === filePath);
+      if (index === -1) {
+        throw new Error('Document not found in list');
+      }
+
+      // Stored with the document entry; documents without a selection stay plain paths
+      const entry = DocumentSelection.normalizeEntry({ path: filePath, selection });
+      documents[index] = entry;
+      await configManager.set('documents', documents);
+
+      notifyConfigUpdate();
+
+      // Regenerate the document's questions from its new selection
+      if (questionGenerator && documentProcessor) {
+        queueQuestionUpdate();
+      }
+
+      return { success: true, filePath, selection: DocumentSelection.getSelection(entry) };
+    } catch (error) {
+      console.error('Error setting document selection:', error);
+      throw error;
+    }
+  });
+
+  ipcMain.handle(IPC_CHANNELS.DOCUMENT_SET_PASSWORD, async (event, filePath, password) => {
+    try {
+      if (!documentProcessor || !documentPasswordStore) {
+        throw new Error('DocumentProcessor not initialized');
+      }
+
+      if (!filePath || typeof filePath !== 'string') {
+        throw new Error('Invalid file path');
+      }
+
+      if (!password || typeof password !== 'string') {
+        return { success: false, error: 'Enter the password of the document.' };
+      }
+
+      // Only passwords that open the document are kept
+      if (!(await documentProcessor.checkPassword(filePath, password))) {
+        return { success: false, error: 'That password does not open this document.' };
+      }
+
+      const saved = await documentPasswordStore.set(filePath, password);
+      lockedDocuments.delete(filePath);
+      notifyPasswordRequired();
+
+      // Process the document now that it can be opened
+      if (questionGenerator) {
+        queueQuestionUpdate();
+      }
+
+      return { success: true, filePath, saved };
+    } catch (error) {
+      console.error('Error setting document password:', error);
+      return { success: false, error: error.userFriendly || error.message };
+    }
+  });
+
+  ipcMain.handle(IPC_CHANNELS.DOCUMENT_GET_LOCKED, async () => {
+    return Array.from(lockedDocuments.values());
+  });
+
+  // Note handlers
+  ipcMain.handle(IPC_CHANNELS.NOTE_CREATE, async (event, text) => {
+    try {
+      if (!configManager || !noteStore) {
+        throw new Error('NoteStore not initialized');
+      }
+
+      if (!text || typeof text !== 'string' || !text.trim()) {
+        return { success: false, error: 'Type or paste the text of the note.' };
+      }
+
+      // Notes are studied like any other added document
+      const filePath = await noteStore.create(text);
+      const documents = configManager.get('documents') || [];
+      documents.push(filePath);
+      await configManager.set('documents', documents);
+
+      notifyConfigUpdate();
+
+      if (questionGenerator && documentProcessor) {
+        queueQuestionUpdate();
+      }
+
+      return { success: true, filePath };
+    } catch (error) {
+      console.error('Error creating note:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle(IPC_CHANNELS.NOTE_GET, async (event, filePath) => {
+    try {
+      if (!noteStore) {
+        throw new Error('NoteStore not initialized');
+      }
+
+      return await noteStore.read(filePath);
+    } catch (error) {
+      console.error('Error reading note:', error);
+      throw error;
+    }
+  });
+
+  ipcMain.handle(IPC_CHANNELS.NOTE_UPDATE, async (event, filePath, text) => {
+    try {
+      if (!noteStore) {
+        throw new Error('NoteStore not initialized');
+      }
+
+      if (!text || typeof text !== 'string' || !text.trim()) {
+        return { success: false, error: 'A note needs some text. Remove it from the list to delete it.' };
+      }
+
+      await noteStore.update(filePath, text);
+
+      // Regenerate the note's questions from its new text
+      if (questionGenerator && documentProcessor) {
+        queueQuestionUpdate();
+      }
+
+      return { success: true, filePath };
+    } catch (error) {
+      console.error('Error updating note:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle(IPC_CHANNELS.NOTES_LIST, async () => {
+    try {
+      if (!noteStore) {
+        return [];
+      }
+
+      return await noteStore.list();
+    } catch (error) {
+      console.error('Error listing notes:', error);
+      throw error;
+    }
+  });
+
+  ipcMain.handle(IPC_CHANNELS.NOTE_READ_CLIPBOARD, async () => {
+    return clipboard.readText();
+  });
+
+  ipcMain.handle(IPC_CHANNELS.DOCUMENT_CANCEL_PROCESSING, async () => {
+    if (!documentProcessor) {
+      return { success: false, cancelled: 0 };
+    }
+
+    const cancelled = documentProcessor.cancelProcessing();
+    console.log(`Cancelled ${cancelled} document processing ${cancelled === 1 ? 'batch' : 'batches'}`);
+    return { success: true, cancelled };
+  });
+
+  // Watched folder handlers
+  ipcMain.handle(IPC_CHANNELS.FOLDER_ADD, async (event, folder) => {
+    try {
+      if (!configManager || !folderWatcher) {
+        throw new Error('Required managers not initialized');
+      }
+
+      const watchedFolder = FolderWatcher.normalizeFolder(folder);
+
+      const fs = require('fs').promises;
+      let stats;
+      try {
+        stats = await fs.stat(watchedFolder.path);
+      } catch (error) {
+        throw new Error(`Folder not found: ${watchedFolder.path}`);
+      }
+      if (!stats.isDirectory()) {
+        throw new Error(`Not a folder: ${watchedFolder.path}`);
+      }
+
+      const folders = configManager.get('watchedFolders') || [];
+      if (folders.some(existing => path.resolve(existing.path) === watchedFolder.path)) {
+        throw new Error('Folder already added');
+      }
+
+      await configManager.set('watchedFolders', [...folders, watchedFolder]);
+      await applyWatchedFoldersChange([...folders, watchedFolder]);
+      notifyConfigUpdate();
+
+      const summary = folderWatcher.getFolderSummaries().find(entry => entry.path === watchedFolder.path);
+      return { success: true, folder: summary };
+    } catch (error) {
+      console.error('Error adding watched folder:', error);
+      throw error;
+    }
+  });
+
+  ipcMain.handle(IPC_CHANNELS.FOLDER_REMOVE, async (event, folderPath) => {
+    try {
+      if (!configManager || !folderWatcher) {
+        throw new Error('Required managers not initialized');
+      }
+
+      if (!folderPath || typeof folderPath !== 'string') {
+        throw new Error('Invalid folder path');
+      }
+
+      const folders = configManager.get('watchedFolders') || [];
+      const remaining = folders.filter(folder => path.resolve(folder.path) !== path.resolve(folderPath));
+      if (remaining.length === folders.length) {
+        throw new Error('Folder not found in list');
+      }
+
+      await configManager.set('watchedFolders', remaining);
+      await applyWatchedFoldersChange(remaining);
+      notifyConfigUpdate();
+
+      return { success: true, folderPath };
+    } catch (error) {
+      console.error('Error removing watched folder:', error);
+      throw error;
+    }
+  });
+
+  ipcMain.handle(IPC_CHANNELS.FOLDERS_LIST, async () => {
+    try {
+      return folderWatcher ? folderWatcher.getFolderSummaries() : [];
+    } catch (error) {
+      console.error('Error listing watched folders:', error);
+      throw error;
+    }
+  });
+
   // Timer handlers
   ipcMain.handle(IPC_CHANNELS.TIMER_START, async () => {
     try {
@@ -597,6 +1037,165 @@ function setupIPCHandlers() {
     }
   });
 
+  // Extracted text store handlers
+  ipcMain.handle(IPC_CHANNELS.EXTRACTED_TEXT_STATUS, async () => {
+    try {
+      if (!extractedTextStore) {
+        return { success: false, error: 'ExtractedTextStore not initialized' };
+      }
+
+      return { success: true, ...(await extractedTextStore.getStats()) };
+    } catch (error) {
+      console.error('Error getting extracted text status:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle(IPC_CHANNELS.EXTRACTED_TEXT_CLEAR, async () => {
+    try {
+      if (!extractedTextStore) {
+        return { success: false, error: 'ExtractedTextStore not initialized' };
+      }
+
+      // Questions are kept; documents are parsed again the next time they are processed
+      const removed = await extractedTextStore.clear();
+      console.log(`Cleared extracted text of ${removed} documents`);
+      return { success: true, removed };
+    } catch (error) {
+      console.error('Error clearing extracted text:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Question bank export/import handlers
+  ipcMain.handle(IPC_CHANNELS.QUESTIONS_EXPORT, async (event, format) => {
+    const { dialog } = require('electron');
+    const fs = require('fs').promises;
+    try {
+      if (!questionGenerator) {
+        return { success: false, error: 'QuestionGenerator not initialized' };
+      }
+
+      const serializer = new QuestionSerializer();
+      const questions = await questionGenerator.exportQuestions();
+      if (questions.length === 0) {
+        return { success: false, error: 'There are no questions to export yet.' };
+      }
+
+      const contents = serializer.serialize(questions, format);
+
+      const result = await dialog.showSaveDialog(configWindow, {
+        defaultPath: `spooky-study-questions.${format}`,
+        filters: [
+          { name: QUESTION_BANK_FILTER_NAMES[format], extensions: [format] },
+          { name: 'All Files', extensions: ['*'] }
+        ]
+      });
+
+      if (result.canceled || !result.filePath) {
+        return { success: false, canceled: true, error: null };
+      }
+
+      await fs.writeFile(result.filePath, contents, 'utf8');
+      console.log(`Exported ${questions.length} questions to ${result.filePath}`);
+
+      return { success: true, filePath: result.filePath, exported: questions.length, error: null };
+    } catch (error) {
+      console.error('Error exporting questions:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle(IPC_CHANNELS.QUESTIONS_IMPORT, async () => {
+    const { dialog } = require('electron');
+    const fs = require('fs').promises;
+    try {
+      if (!questionGenerator) {
+        return { success: false, error: 'QuestionGenerator not initialized' };
+      }
+
+      const result = await dialog.showOpenDialog(configWindow, {
+        properties: ['openFile'],
+        filters: [
+          { name: 'Question Banks', extensions: ['json', 'csv', 'tsv', 'txt'] },
+          { name: QUESTION_BANK_FILTER_NAMES.json, extensions: ['json'] },
+          { name: QUESTION_BANK_FILTER_NAMES.csv, extensions: ['csv'] },
+          { name: QUESTION_BANK_FILTER_NAMES.tsv, extensions: ['tsv', 'txt'] }
+        ]
+      });
+
+      if (result.canceled || result.filePaths.length === 0) {
+        return { success: false, canceled: true, error: null };
+      }
+
+      const filePath = result.filePaths[0];
+      const serializer = new QuestionSerializer();
+      const format = serializer.formatForPath(filePath);
+      if (!format) {
+        return { success: false, error: 'Unsupported file type. Choose a .json, .csv or .tsv file.' };
+      }
+
+      const contents = await fs.readFile(filePath, 'utf8');
+      const { questions, invalid } = serializer.parse(contents, format);
+      const merged = await questionGenerator.importQuestions(questions);
+      console.log(`Imported ${merged.imported} questions from ${filePath} (${merged.duplicates} duplicates, ${invalid.length} invalid)`);
+
+      return {
+        success: true,
+        ...merged,
+        invalid,
+        error: null
+      };
+    } catch (error) {
+      console.error('Error importing questions:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Question review handlers
+  ipcMain.handle(IPC_CHANNELS.QUESTIONS_LIST, async () => {
+    try {
+      if (!questionGenerator) {
+        return { groups: [], error: 'QuestionGenerator not initialized' };
+      }
+
+      return { groups: await questionGenerator.getQuestionsByDocument(), error: null };
+    } catch (error) {
+      console.error('Error listing questions:', error);
+      return { groups: [], error: error.message };
+    }
+  });
+
+  ipcMain.handle(IPC_CHANNELS.QUESTIONS_UPDATE, async (event, questionId, changes) => {
+    try {
+      if (!questionGenerator) {
+        return { success: false, error: 'QuestionGenerator not initialized' };
+      }
+
+      const question = await questionGenerator.updateQuestion(questionId, changes);
+      return { success: true, question, error: null };
+    } catch (error) {
+      console.error('Error updating question:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle(IPC_CHANNELS.QUESTIONS_DELETE, async (event, questionId) => {
+    try {
+      if (!questionGenerator) {
+        return { success: false, error: 'QuestionGenerator not initialized' };
+      }
+
+      const deleted = await questionGenerator.deleteQuestion(questionId);
+      return deleted
+        ? { success: true, error: null }
+        : { success: false, error: 'Question not found' };
+    } catch (error) {
+      console.error('Error deleting question:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
   ipcMain.handle(IPC_CHANNELS.QUESTIONS_REGENERATE, async () => {
     try {
       const success = await regenerateQuestions();
@@ -640,6 +1239,9 @@ function setupIPCHandlers() {
         return { error: 'Session manager not initialized' };
       }
 
+      // Catch up on a day boundary missed while the machine was asleep
+      await sessionManager.rollOverIfNeeded();
+
       const stats = sessionManager.getStatistics();
       const accuracy = sessionManager.getAccuracy();
       const duration = sessionManager.getFormattedDuration();
@@ -672,6 +1274,59 @@ function setupIPCHandlers() {
     }
   });
 
+  ipcMain.handle(IPC_CHANNELS.SESSION_GET_HISTORY, async (event, from, to) => {
+    try {
+      if (!sessionManager) {
+        return { error: 'Session manager not initialized' };
+      }
+
+      return { days: sessionManager.getHistory(from, to), error: null };
+    } catch (error) {
+      console.error('Error getting study history:', error);
+      return { error: error.message };
+    }
+  });
+
+  // Answer analytics handlers
+  ipcMain.handle(IPC_CHANNELS.STATS_DOCUMENT_ACCURACY, async () => {
+    try {
+      if (!answerHistory) {
+        return { error: 'Answer history not initialized' };
+      }
+
+      return { documents: answerHistory.getAccuracyByDocument(), error: null };
+    } catch (error) {
+      console.error('Error getting document accuracy:', error);
+      return { error: error.message };
+    }
+  });
+
+  ipcMain.handle(IPC_CHANNELS.STATS_MISSED_CONCEPTS, async (event, limit) => {
+    try {
+      if (!answerHistory) {
+        return { error: 'Answer history not initialized' };
+      }
+
+      return { concepts: answerHistory.getMostMissedConcepts(limit || 5), error: null };
+    } catch (error) {
+      console.error('Error getting missed concepts:', error);
+      return { error: error.message };
+    }
+  });
+
+  ipcMain.handle(IPC_CHANNELS.STATS_TREND, async (event, days) => {
+    try {
+      if (!answerHistory) {
+        return { error: 'Answer history not initialized' };
+      }
+
+      return { trend: answerHistory.getDailyTrend(days || 14), error: null };
+    } catch (error) {
+      console.error('Error getting answer trend:', error);
+      return { error: error.message };
+    }
+  });
+
   // Resource monitoring handlers
   ipcMain.handle('resource-get-summary', async () => {
     try {
@@ -709,7 +1364,7 @@ function setupIPCHandlers() {
  * Validate configuration object
  */
 function validateConfig(config) {
-  const { DIFFICULTY_LEVELS, THEMES } = require('../shared/constants');
+  const { DIFFICULTY_LEVELS, QUESTION_MODES, THEMES } = require('../shared/constants');
 
   // Validate interval
   if (config.interval !== undefined) {
@@ -732,6 +1387,40 @@ function validateConfig(config) {
     }
   }
 
+  // Validate question mode
+  if (config.questionMode !== undefined) {
+    if (!QUESTION_MODES.includes(config.questionMode)) {
+      throw new Error(`questionMode must be one of: ${QUESTION_MODES.join(', ')}`);
+    }
+  }
+
+  // Validate session boundary
+  if (config.sessionBoundaryHour !== undefined) {
+    if (!Number.isInteger(config.sessionBoundaryHour) || config.sessionBoundaryHour < 0 || config.sessionBoundaryHour > 23) {
+      throw new Error('sessionBoundaryHour must be an integer between 0 and 23');
+    }
+  }
+
+  // Validate deck weight
+  if (config.deckWeight !== undefined) {
+    if (!Number.isInteger(config.deckWeight) || config.deckWeight < 0 || config.deckWeight > 100) {
+      throw new Error('deckWeight must be an integer between 0 and 100');
+    }
+  }
+
+  // Validate pause policies
+  ['pauseOnSleep', 'pauseOnLock', 'pauseOnIdle'].forEach(key => {
+    if (config[key] !== undefined && typeof config[key] !== 'boolean') {
+      throw new Error(`${key} must be a boolean`);
+    }
+  });
+
+  if (config.idleThresholdMinutes !== undefined) {
+    if (!Number.isInteger(config.idleThresholdMinutes) || config.idleThresholdMinutes < 1 || config.idleThresholdMinutes > 60) {
+      throw new Error('idleThresholdMinutes must be an integer between 1 and 60');
+    }
+  }
+
   // Validate theme
   if (config.theme !== undefined) {
     if (!THEMES.includes(config.theme)) {
@@ -744,7 +1433,196 @@ function validateConfig(config) {
     if (!Array.isArray(config.documents)) {
       throw new Error('documents must be an array');
     }
+    config.documents.forEach(entry => DocumentSelection.normalizeEntry(entry));
+  }
+
+  // Validate watched folders
+  if (config.watchedFolders !== undefined) {
+    if (!Array.isArray(config.watchedFolders)) {
+      throw new Error('watchedFolders must be an array');
+    }
+    config.watchedFolders.forEach(folder => FolderWatcher.normalizeFolder(folder));
+  }
+}
+
+/**
+ * Add a submitted answer to the answer log
+ * @param {Object} submission - Payload of ScareController's answer-submitted event
+ * @returns {Promise<void>}
+ */
+async function recordAnswerHistory({ question, answer, correct, responseTimeMs }) {
+  if (!answerHistory) {
+    return;
   }
+
+  const isMultipleChoice = Array.isArray(question.options);
+  const correctAnswerText = isMultipleChoice ? question.options[question.correctAnswer] : question.correctAnswer;
+
+  await answerHistory.recordAnswer({
+    questionId: question.id,
+    sourceDocument: question.sourceDocument,
+    concept: question.concept || correctAnswerText,
+    chosenAnswer: isMultipleChoice ? question.options[parseInt(answer)] : answer,
+    correct,
+    responseTimeMs
+  });
+}
+
+/**
+ * Apply a difficulty change to the QuestionGenerator
+ * Queues a regeneration of the question cache if the difficulty actually changed
+ * @param {string} difficulty - New difficulty level
+ */
+function applyDifficultyChange(difficulty) {
+  if (!questionGenerator || !questionGenerator.setDifficulty(difficulty)) {
+    return;
+  }
+
+  console.log(`Question difficulty changed to ${difficulty}, regenerating questions...`);
+  queueQuestionUpdate(regenerateQuestions).then(success => {
+    if (!success) {
+      console.warn(`Could not regenerate questions for difficulty ${difficulty}`);
+    }
+  });
+}
+
+/**
+ * Apply a question mode change to the QuestionGenerator
+ * Queues a regeneration of the question cache if the mode actually changed
+ * @param {string} questionMode - New question mode
+ */
+function applyQuestionModeChange(questionMode) {
+  if (!questionGenerator || !questionGenerator.setQuestionMode(questionMode)) {
+    return;
+  }
+
+  console.log(`Question mode changed to ${questionMode}, regenerating questions...`);
+  queueQuestionUpdate(regenerateQuestions).then(success => {
+    if (!success) {
+      console.warn(`Could not regenerate questions for question mode ${questionMode}`);
+    }
+  });
+}
+
+/**
+ * Apply a deck weight change to the QuestionGenerator
+ * Only affects which question is picked next, so no regeneration is needed
+ * @param {number} deckWeight - Percent chance (0-100) of asking a deck question over a generated one
+ */
+function applyDeckWeightChange(deckWeight) {
+  if (!questionGenerator || !questionGenerator.setDeckWeight(deckWeight)) {
+    return;
+  }
+
+  console.log(`Deck weight changed to ${deckWeight}%`);
+}
+
+/**
+ * Apply a pause policy change to the PowerStateMonitor
+ * Turning a policy off resumes the timer if that policy had paused it
+ * @param {string} key - One of PAUSE_POLICY_KEYS
+ * @param {boolean|number} value - New policy value
+ */
+function applyPausePolicyChange(key, value) {
+  if (!powerStateMonitor) {
+    return;
+  }
+
+  powerStateMonitor.setPolicies({ [key]: value });
+  console.log(`Pause policy ${key} changed to ${value}`);
+}
+
+/**
+ * Apply a watched folder change to the FolderWatcher
+ * Rescans the folders and updates questions for the files that appeared or disappeared
+ * @param {WatchedFolder[]} folders - Folders to watch
+ * @returns {Promise<void>}
+ */
+async function applyWatchedFoldersChange(folders) {
+  if (!folderWatcher) {
+    return;
+  }
+
+  await folderWatcher.setFolders(folders);
+  console.log(`Watching ${folders.length} study folders with ${folderWatcher.getFiles().length} files`);
+
+  notifyFoldersUpdate();
+  queueQuestionUpdate();
+}
+
+/**
+ * Update questions after watched folder contents, document selections or question settings changed
+ * Updates run one after another so overlapping changes don't process documents twice
+ * @param {function(): Promise<boolean>} [update] - Update to run (default: only regenerate for changed documents)
+ * @returns {Promise<boolean>} - True if questions are available afterwards
+ */
+function queueQuestionUpdate(update = validateQuestionsAvailable) {
+  questionUpdateQueue = questionUpdateQueue.then(() => update());
+  return questionUpdateQueue;
+}
+
+/**
+ * Get every document to study: individually added files plus files found in watched folders
+ * @returns {string[]}
+ */
+function getStudyDocumentPaths() {
+  const documents = (configManager.get('documents') || []).map(DocumentSelection.getPath);
+  const folderFiles = folderWatcher ? folderWatcher.getFiles() : [];
+  return Array.from(new Set([...documents, ...folderFiles]));
+}
+
+/**
+ * Get the pages or sections that individually added documents are limited to
+ * @returns {Object<string, {pages?: string, sections?: string[]}>} - Selections keyed by resolved document path
+ */
+function getDocumentSelections() {
+  const selections = {};
+  (configManager.get('documents') || []).forEach(entry => {
+    const selection = DocumentSelection.getSelection(entry);
+    if (selection) {
+      selections[path.resolve(DocumentSelection.getPath(entry))] = selection;
+    }
+  });
+  return selections;
+}
+
+/**
+ * Apply a session boundary change to the SessionManager
+ * Reschedules the next automatic rollover
+ * @param {number} hour - Hour (0-23) at which a new study day starts
+ */
+function applySessionBoundaryChange(hour) {
+  if (!sessionManager) {
+    return;
+  }
+
+  sessionManager.setBoundaryHour(hour);
+  scheduleSessionRollover();
+  console.log(`Session boundary changed to ${hour}:00`);
+}
+
+/**
+ * Schedule the session rollover for the next study day boundary
+ * Archives the finished day and starts a fresh session, then reschedules itself
+ */
+function scheduleSessionRollover() {
+  if (sessionRolloverTimer) {
+    clearTimeout(sessionRolloverTimer);
+  }
+
+  // Fire slightly after the boundary so the new study day has definitely begun
+  const delay = sessionManager.getMsUntilNextBoundary() + 1000;
+  sessionRolloverTimer = setTimeout(async () => {
+    sessionRolloverTimer = null;
+    try {
+      if (await sessionManager.rollOverIfNeeded()) {
+        console.log('Study day ended, started a new session');
+      }
+    } catch (error) {
+      console.error('Failed to roll over session:', error);
+    }
+    scheduleSessionRollover();
+  }, delay);
 }
 
 /**
@@ -757,6 +1635,98 @@ function notifyConfigUpdate() {
   });
 }
 
+/**
+ * Send the watched folders and their file counts to all renderer windows
+ */
+function notifyFoldersUpdate() {
+  if (!folderWatcher) {
+    return;
+  }
+
+  const folders = folderWatcher.getFolderSummaries();
+  BrowserWindow.getAllWindows().forEach(window => {
+    window.webContents.send(IPC_CHANNELS.FOLDERS_UPDATED, folders);
+  });
+}
+
+/**
+ * Send progress of a batch of documents being processed to all renderer windows
+ * @param {{processed: number, total: number, filePath: string|null, finished: boolean, cancelled: boolean}} progress - Batch progress
+ */
+function notifyProcessingProgress(progress) {
+  BrowserWindow.getAllWindows().forEach(window => {
+    window.webContents.send(IPC_CHANNELS.DOCUMENT_PROCESSING_PROGRESS, progress);
+  });
+}
+
+/**
+ * Process documents, reporting progress to the renderer windows so the batch can be followed and cancelled
+ * @param {string[]} filePaths - Documents to process
+ * @param {Object} selections - Selected pages or sections, by resolved document path
+ * @returns {Promise<Object>} - Result of DocumentProcessor.processAllDocuments
+ */
+async function processDocumentsWithProgress(filePaths, selections) {
+  if (filePaths.length === 0) {
+    return await documentProcessor.processAllDocuments(filePaths);
+  }
+
+  notifyProcessingProgress({ processed: 0, total: filePaths.length, filePath: null, finished: false, cancelled: false });
+  const result = await documentProcessor.processAllDocuments(filePaths, (processed, total, filePath) => {
+    notifyProcessingProgress({ processed, total, filePath, finished: false, cancelled: false });
+  }, selections);
+  notifyProcessingProgress({
+    processed: result.summary.successful + result.summary.failed,
+    total: filePaths.length,
+    filePath: null,
+    finished: true,
+    cancelled: result.summary.cancelled
+  });
+  updateLockedDocuments(filePaths, result.errors);
+  return result;
+}
+
+/**
+ * Record which of the processed documents need a password, and ask the renderer windows for it
+ * @param {string[]} filePaths - Documents that were processed
+ * @param {Object[]} errors - Errors from DocumentProcessor.processAllDocuments
+ */
+function updateLockedDocuments(filePaths, errors) {
+  const wasLocked = lockedDocuments.size > 0;
+  filePaths.forEach(filePath => lockedDocuments.delete(filePath));
+  errors.filter(PasswordProtection.isPasswordError).forEach(error => {
+    lockedDocuments.set(error.filePath, {
+      filePath: error.filePath,
+      fileName: error.fileName,
+      code: error.code,
+      userFriendlyError: error.userFriendlyError
+    });
+  });
+
+  if (wasLocked || lockedDocuments.size > 0) {
+    notifyPasswordRequired();
+  }
+}
+
+/**
+ * Send the documents that need a password to all renderer windows
+ */
+function notifyPasswordRequired() {
+  const locked = Array.from(lockedDocuments.values());
+  BrowserWindow.getAllWindows().forEach(window => {
+    window.webContents.send(IPC_CHANNELS.DOCUMENT_PASSWORD_REQUIRED, locked);
+  });
+}
+
+/**
+ * Send progress of text recognition in scanned PDFs to all renderer windows
+ * @param {{filePath: string, page: number|null, done: number, total: number}} progress - OCR progress
+ */
+function notifyOcrProgress(progress) {
+  BrowserWindow.getAllWindows().forEach(window => {
+    window.webContents.send(IPC_CHANNELS.DOCUMENT_OCR_PROGRESS, progress);
+  });
+}
+
 function createTray() {
   // Create system tray icon from build folder
   const iconPath = path.join(__dirname, '../../build/icon.ico');
@@ -775,6 +1745,12 @@ function createTray() {
         }
       }
     },
+    {
+      label: 'New Note from Clipboard',
+      click: () => {
+        openNoteEditor(clipboard.readText());
+      }
+    },
     {
       label: 'Test Scare Sequence',
       click: () => {
@@ -801,6 +1777,26 @@ function createTray() {
   tray.setContextMenu(contextMenu);
 }
 
+/**
+ * Show the configuration window with a new note open for review
+ * @param {string} text - Text to start the note with
+ */
+function openNoteEditor(text) {
+  if (!configWindow) {
+    createConfigWindow();
+  } else {
+    configWindow.show();
+  }
+
+  // A new window can only receive the note once its page has loaded
+  const noteWindow = configWindow;
+  if (noteWindow.webContents.isLoading()) {
+    noteWindow.webContents.once('did-finish-load', () => noteWindow.webContents.send(IPC_CHANNELS.NOTE_NEW, text));
+  } else {
+    noteWindow.webContents.send(IPC_CHANNELS.NOTE_NEW, text);
+  }
+}
+
 function createConfigWindow() {
   console.log('Creating config window...');
 
@@ -964,6 +1960,18 @@ app.on('before-quit', async (event) => {
         scareController = null;
       }
 
+      // Stop watching power state before the timer goes away
+      if (powerStateMonitor) {
+        powerStateMonitor.stop();
+        powerStateMonitor = null;
+      }
+
+      // Stop watching study folders
+      if (folderWatcher) {
+        folderWatcher.close();
+        folderWatcher = null;
+      }
+
       // Stop and save timer state
       if (timerManager) {
         timerManager.stop();
@@ -972,11 +1980,28 @@ app.on('before-quit', async (event) => {
         timerManager = null;
       }
 
+      // Save study time counted since the last save
+      if (sessionManager) {
+        await sessionManager.flushStudyTime();
+      }
+
+      // Stop the document worker threads
+      if (documentProcessor) {
+        documentProcessor.cancelProcessing();
+        await documentProcessor.destroy();
+      }
+
       // Clear question cache from memory
       if (questionGenerator) {
         questionGenerator.clearMemoryCache();
       }
 
+      // Stop the study day rollover
+      if (sessionRolloverTimer) {
+        clearTimeout(sessionRolloverTimer);
+        sessionRolloverTimer = null;
+      }
+
       // Save session state
       await saveSessionState();
 
@@ -1016,7 +2041,7 @@ app.on('before-quit', async (event) => {
  */
 async function validateQuestionsAvailable() {
   try {
-    const documents = configManager.get('documents') || [];
+    const documents = getStudyDocumentPaths();
 
     if (documents.length === 0) {
       console.warn('No documents configured. Timer will not start until documents are added.');
@@ -1025,14 +2050,23 @@ async function validateQuestionsAvailable() {
 
     // Try to load cached questions first
     await questionGenerator.loadCache();
+    questionGenerator.setDocumentSelections(getDocumentSelections());
 
     if (questionGenerator.hasQuestions()) {
-      console.log('Using cached questions from previous session');
-      return true;
+      const changes = await questionGenerator.detectDocumentChanges(documents);
+
+      if (!changes.fullRegeneration) {
+        if (changes.added.length > 0 || changes.changed.length > 0 || changes.removed.length > 0) {
+          return await updateQuestionsForChangedDocuments(changes);
+        }
+
+        console.log('Using cached questions from previous session');
+        return true;
+      }
     }
 
-    // No cached questions, try to generate new ones
-    console.log('No cached questions found, generating new questions...');
+    // No usable cached questions, try to generate new ones
+    console.log('No up-to-date cached questions found, generating new questions...');
     return await regenerateQuestions();
   } catch (error) {
     console.error('Error validating questions:', error);
@@ -1040,22 +2074,54 @@ async function validateQuestionsAvailable() {
   }
 }
 
+/**
+ * Regenerate questions only for documents that were added, edited or removed
+ * @param {Object} changes - Result of QuestionGenerator.detectDocumentChanges
+ * @returns {Promise<boolean>} - True if questions are available afterwards
+ */
+async function updateQuestionsForChangedDocuments(changes) {
+  try {
+    const changedPaths = [...changes.added, ...changes.changed];
+    console.log(`Updating questions: ${changes.added.length} added, ${changes.changed.length} changed, ${changes.removed.length} removed documents`);
+
+    const { documents: processedDocs, summary } = await processDocumentsWithProgress(changedPaths, getDocumentSelections());
+    if (summary.cancelled) {
+      console.log('Document processing was cancelled, keeping the current questions');
+      return questionGenerator.hasQuestions();
+    }
+    const result = await questionGenerator.applyDocumentChanges(processedDocs, changes, 20);
+
+    console.log(`Kept ${result.kept} cached questions, generated ${result.generated} new questions`);
+    return questionGenerator.hasQuestions();
+  } catch (error) {
+    console.error('Error updating questions for changed documents:', error);
+    return questionGenerator.hasQuestions();
+  }
+}
+
 /**
  * Regenerate questions from configured documents
  * @returns {Promise<boolean>} - True if questions were generated successfully
  */
 async function regenerateQuestions() {
   try {
-    const documents = configManager.get('documents') || [];
+    const documents = getStudyDocumentPaths();
 
     if (documents.length === 0) {
       console.warn('Cannot generate questions: no documents configured');
       return false;
     }
 
-    // Process documents
+    // Process documents, limited to their selected pages or sections
     console.log(`Processing ${documents.length} documents...`);
-    const processedDocs = await documentProcessor.processAllDocuments();
+    const selections = getDocumentSelections();
+    questionGenerator.setDocumentSelections(selections);
+    const { documents: processedDocs, summary } = await processDocumentsWithProgress(documents, selections);
+
+    if (summary.cancelled) {
+      console.log('Document processing was cancelled, keeping the current questions');
+      return questionGenerator.hasQuestions();
+    }
 
     if (processedDocs.length === 0) {
       console.error('No documents could be processed successfully');
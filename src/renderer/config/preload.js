@@ -16,10 +16,39 @@ try {
     DOCUMENT_REMOVE: 'document:remove',
     DOCUMENT_VALIDATE: 'document:validate',
     DOCUMENTS_VALIDATE_ALL: 'documents:validate-all',
+    DOCUMENT_OCR_PROGRESS: 'document:ocr-progress',
+    DOCUMENT_GET_OUTLINE: 'document:get-outline',
+    DOCUMENT_SET_SELECTION: 'document:set-selection',
+    DOCUMENT_PROCESSING_PROGRESS: 'document:processing-progress',
+    DOCUMENT_CANCEL_PROCESSING: 'document:cancel-processing',
+    DOCUMENT_PASSWORD_REQUIRED: 'document:password-required',
+    DOCUMENT_SET_PASSWORD: 'document:set-password',
+    DOCUMENT_GET_LOCKED: 'document:get-locked',
+    NOTE_CREATE: 'note:create',
+    NOTE_GET: 'note:get',
+    NOTE_UPDATE: 'note:update',
+    NOTES_LIST: 'notes:list',
+    NOTE_READ_CLIPBOARD: 'note:read-clipboard',
+    NOTE_NEW: 'note:new',
+    EXTRACTED_TEXT_STATUS: 'extracted-text:status',
+    EXTRACTED_TEXT_CLEAR: 'extracted-text:clear',
+    FOLDER_ADD: 'folder:add',
+    FOLDER_REMOVE: 'folder:remove',
+    FOLDERS_LIST: 'folders:list',
+    FOLDERS_UPDATED: 'folders:updated',
     QUESTIONS_STATUS: 'questions:status',
     QUESTIONS_REGENERATE: 'questions:regenerate',
+    QUESTIONS_EXPORT: 'questions:export',
+    QUESTIONS_IMPORT: 'questions:import',
+    QUESTIONS_LIST: 'questions:list',
+    QUESTIONS_UPDATE: 'questions:update',
+    QUESTIONS_DELETE: 'questions:delete',
     SESSION_GET_STATS: 'session:get-stats',
-    SESSION_RESET: 'session:reset'
+    SESSION_RESET: 'session:reset',
+    SESSION_GET_HISTORY: 'session:get-history',
+    STATS_DOCUMENT_ACCURACY: 'stats:document-accuracy',
+    STATS_MISSED_CONCEPTS: 'stats:missed-concepts',
+    STATS_TREND: 'stats:trend'
   };
   console.log('Constants defined');
 
@@ -42,14 +71,70 @@ try {
   removeDocument: (filePath) => ipcRenderer.invoke(IPC_CHANNELS.DOCUMENT_REMOVE, filePath),
   validateDocument: (filePath) => ipcRenderer.invoke(IPC_CHANNELS.DOCUMENT_VALIDATE, filePath),
   validateAllDocuments: () => ipcRenderer.invoke(IPC_CHANNELS.DOCUMENTS_VALIDATE_ALL),
+  getDocumentOutline: (filePath) => ipcRenderer.invoke(IPC_CHANNELS.DOCUMENT_GET_OUTLINE, filePath),
+  setDocumentSelection: (filePath, selection) => ipcRenderer.invoke(IPC_CHANNELS.DOCUMENT_SET_SELECTION, filePath, selection),
+  onOcrProgress: (callback) => {
+    const subscription = (event, progress) => callback(progress);
+    ipcRenderer.on(IPC_CHANNELS.DOCUMENT_OCR_PROGRESS, subscription);
+    return () => ipcRenderer.removeListener(IPC_CHANNELS.DOCUMENT_OCR_PROGRESS, subscription);
+  },
+  onProcessingProgress: (callback) => {
+    const subscription = (event, progress) => callback(progress);
+    ipcRenderer.on(IPC_CHANNELS.DOCUMENT_PROCESSING_PROGRESS, subscription);
+    return () => ipcRenderer.removeListener(IPC_CHANNELS.DOCUMENT_PROCESSING_PROGRESS, subscription);
+  },
+  cancelProcessing: () => ipcRenderer.invoke(IPC_CHANNELS.DOCUMENT_CANCEL_PROCESSING),
+  onPasswordRequired: (callback) => {
+    const subscription = (event, lockedDocuments) => callback(lockedDocuments);
+    ipcRenderer.on(IPC_CHANNELS.DOCUMENT_PASSWORD_REQUIRED, subscription);
+    return () => ipcRenderer.removeListener(IPC_CHANNELS.DOCUMENT_PASSWORD_REQUIRED, subscription);
+  },
+  setDocumentPassword: (filePath, password) => ipcRenderer.invoke(IPC_CHANNELS.DOCUMENT_SET_PASSWORD, filePath, password),
+  getLockedDocuments: () => ipcRenderer.invoke(IPC_CHANNELS.DOCUMENT_GET_LOCKED),
+  
+  // Note methods
+  createNote: (text) => ipcRenderer.invoke(IPC_CHANNELS.NOTE_CREATE, text),
+  getNote: (filePath) => ipcRenderer.invoke(IPC_CHANNELS.NOTE_GET, filePath),
+  updateNote: (filePath, text) => ipcRenderer.invoke(IPC_CHANNELS.NOTE_UPDATE, filePath, text),
+  listNotes: () => ipcRenderer.invoke(IPC_CHANNELS.NOTES_LIST),
+  readClipboard: () => ipcRenderer.invoke(IPC_CHANNELS.NOTE_READ_CLIPBOARD),
+  onNewNote: (callback) => {
+    const subscription = (event, text) => callback(text);
+    ipcRenderer.on(IPC_CHANNELS.NOTE_NEW, subscription);
+    return () => ipcRenderer.removeListener(IPC_CHANNELS.NOTE_NEW, subscription);
+  },
+  getExtractedTextStatus: () => ipcRenderer.invoke(IPC_CHANNELS.EXTRACTED_TEXT_STATUS),
+  clearExtractedText: () => ipcRenderer.invoke(IPC_CHANNELS.EXTRACTED_TEXT_CLEAR),
+  
+  // Watched folder methods
+  selectFolder: () => ipcRenderer.invoke('dialog:selectFolder'),
+  addFolder: (folder) => ipcRenderer.invoke(IPC_CHANNELS.FOLDER_ADD, folder),
+  removeFolder: (folderPath) => ipcRenderer.invoke(IPC_CHANNELS.FOLDER_REMOVE, folderPath),
+  listFolders: () => ipcRenderer.invoke(IPC_CHANNELS.FOLDERS_LIST),
+  onFoldersUpdate: (callback) => {
+    const subscription = (event, folders) => callback(folders);
+    ipcRenderer.on(IPC_CHANNELS.FOLDERS_UPDATED, subscription);
+    return () => ipcRenderer.removeListener(IPC_CHANNELS.FOLDERS_UPDATED, subscription);
+  },
   
   // Question methods
   getQuestionStatus: () => ipcRenderer.invoke(IPC_CHANNELS.QUESTIONS_STATUS),
   regenerateQuestions: () => ipcRenderer.invoke(IPC_CHANNELS.QUESTIONS_REGENERATE),
+  exportQuestions: (format) => ipcRenderer.invoke(IPC_CHANNELS.QUESTIONS_EXPORT, format),
+  importQuestions: () => ipcRenderer.invoke(IPC_CHANNELS.QUESTIONS_IMPORT),
+  listQuestions: () => ipcRenderer.invoke(IPC_CHANNELS.QUESTIONS_LIST),
+  updateQuestion: (questionId, changes) => ipcRenderer.invoke(IPC_CHANNELS.QUESTIONS_UPDATE, questionId, changes),
+  deleteQuestion: (questionId) => ipcRenderer.invoke(IPC_CHANNELS.QUESTIONS_DELETE, questionId),
   
   // Session statistics methods
   getSessionStats: () => ipcRenderer.invoke(IPC_CHANNELS.SESSION_GET_STATS),
   resetSession: () => ipcRenderer.invoke(IPC_CHANNELS.SESSION_RESET),
+  getStudyHistory: (from, to) => ipcRenderer.invoke(IPC_CHANNELS.SESSION_GET_HISTORY, from, to),
+  
+  // Answer analytics methods
+  getDocumentAccuracy: () => ipcRenderer.invoke(IPC_CHANNELS.STATS_DOCUMENT_ACCURACY),
+  getMissedConcepts: (limit) => ipcRenderer.invoke(IPC_CHANNELS.STATS_MISSED_CONCEPTS, limit),
+  getAnswerTrend: (days) => ipcRenderer.invoke(IPC_CHANNELS.STATS_TREND, days),
   
   // Platform info
   platform: process.platform
@@ -7,12 +7,43 @@ const intervalValue = document.getElementById('interval-value');
 const audioToggle = document.getElementById('audio-toggle');
 const audioLabel = document.getElementById('audio-label');
 const difficultyDropdown = document.getElementById('difficulty-dropdown');
+const pauseOnSleepToggle = document.getElementById('pause-on-sleep-toggle');
+const pauseOnLockToggle = document.getElementById('pause-on-lock-toggle');
+const pauseOnIdleToggle = document.getElementById('pause-on-idle-toggle');
+const idleThresholdDropdown = document.getElementById('idle-threshold-dropdown');
+const questionModeDropdown = document.getElementById('question-mode-dropdown');
+const sessionBoundaryDropdown = document.getElementById('session-boundary-dropdown');
+const deckWeightSlider = document.getElementById('deck-weight-slider');
+const deckWeightValue = document.getElementById('deck-weight-value');
 const saveButton = document.getElementById('save-button');
 const statusMessage = document.getElementById('status-message');
 const addDocumentBtn = document.getElementById('add-document-btn');
+const newNoteBtn = document.getElementById('new-note-btn');
+const noteEditor = document.getElementById('note-editor');
+const noteText = document.getElementById('note-text');
+const saveNoteBtn = document.getElementById('save-note-btn');
+const pasteClipboardBtn = document.getElementById('paste-clipboard-btn');
+const cancelNoteBtn = document.getElementById('cancel-note-btn');
 const dropZone = document.getElementById('drop-zone');
 const documentList = document.getElementById('document-list');
 const emptyState = document.getElementById('empty-state');
+const processingProgress = document.getElementById('processing-progress');
+const processingText = document.getElementById('processing-text');
+const processingBar = document.getElementById('processing-bar');
+const cancelProcessingBtn = document.getElementById('cancel-processing-btn');
+const passwordPrompts = document.getElementById('password-prompts');
+const extractedTextSummary = document.getElementById('extracted-text-summary');
+const clearExtractedTextBtn = document.getElementById('clear-extracted-text-btn');
+const folderRecursiveToggle = document.getElementById('folder-recursive-toggle');
+const folderIncludeInput = document.getElementById('folder-include-input');
+const folderExcludeInput = document.getElementById('folder-exclude-input');
+const addFolderBtn = document.getElementById('add-folder-btn');
+const folderList = document.getElementById('folder-list');
+const exportFormatDropdown = document.getElementById('export-format-dropdown');
+const exportQuestionsBtn = document.getElementById('export-questions-btn');
+const importQuestionsBtn = document.getElementById('import-questions-btn');
+const reviewQuestionsBtn = document.getElementById('review-questions-btn');
+const questionBrowser = document.getElementById('question-browser');
 
 // Session statistics elements
 const statQuestions = document.getElementById('stat-questions');
@@ -23,14 +54,39 @@ const statBestStreak = document.getElementById('stat-best-streak');
 const statDuration = document.getElementById('stat-duration');
 const resetSessionBtn = document.getElementById('reset-session-btn');
 
+// Study history elements
+const studyHeatmap = document.getElementById('study-heatmap');
+const studyHistorySummary = document.getElementById('study-history-summary');
+
+// Number of weeks shown in the study history heatmap
+const HEATMAP_WEEKS = 12;
+
+// Learning analytics elements
+const documentAccuracyList = document.getElementById('document-accuracy-list');
+const missedConceptsList = document.getElementById('missed-concepts-list');
+const answerTrendChart = document.getElementById('answer-trend-chart');
+
 // Current configuration state
 let currentConfig = {
   interval: 30,
   audioEnabled: true,
   difficulty: 'medium',
+  questionMode: 'multiple-choice',
+  sessionBoundaryHour: 0,
+  deckWeight: 50,
+  pauseOnSleep: true,
+  pauseOnLock: true,
+  pauseOnIdle: true,
+  idleThresholdMinutes: 5,
   documents: []
 };
 
+// Documents that need a password before they can be studied, by path
+let lockedDocuments = new Map();
+
+// Paths of the documents that are quick-capture notes, which can be edited here
+let notePaths = new Set();
+
 /**
  * Initialize the configuration UI
  */
@@ -41,9 +97,25 @@ function initializeUI() {
   // Set up audio toggle
   audioToggle.addEventListener('change', handleAudioToggle);
   
+  // Set up auto-pause settings
+  pauseOnSleepToggle.addEventListener('change', handlePausePolicyChange);
+  pauseOnLockToggle.addEventListener('change', handlePausePolicyChange);
+  pauseOnIdleToggle.addEventListener('change', handlePausePolicyChange);
+  idleThresholdDropdown.addEventListener('change', handlePausePolicyChange);
+  
   // Set up difficulty dropdown
   difficultyDropdown.addEventListener('change', handleDifficultyChange);
   
+  // Set up question mode dropdown
+  questionModeDropdown.addEventListener('change', handleQuestionModeChange);
+  
+  // Set up deck weight slider
+  deckWeightSlider.addEventListener('input', handleDeckWeightChange);
+  
+  // Set up session boundary dropdown
+  populateSessionBoundaryOptions();
+  sessionBoundaryDropdown.addEventListener('change', handleSessionBoundaryChange);
+  
   // Set up save button
   saveButton.addEventListener('click', handleSave);
   
@@ -51,9 +123,33 @@ function initializeUI() {
   addDocumentBtn.addEventListener('click', handleAddDocument);
   setupDragAndDrop();
   
+  // Set up quick-capture notes
+  newNoteBtn.addEventListener('click', () => openNoteEditor(''));
+  pasteClipboardBtn.addEventListener('click', handlePasteClipboard);
+  saveNoteBtn.addEventListener('click', handleSaveNote);
+  cancelNoteBtn.addEventListener('click', closeNoteEditor);
+  window.electronAPI.onNewNote(openNoteEditor);
+  
+  // Set up watched folders
+  addFolderBtn.addEventListener('click', handleAddFolder);
+  window.electronAPI.onFoldersUpdate(renderFolderList);
+  window.electronAPI.onOcrProgress(handleOcrProgress);
+  window.electronAPI.onProcessingProgress(handleProcessingProgress);
+  cancelProcessingBtn.addEventListener('click', handleCancelProcessing);
+  window.electronAPI.onPasswordRequired(handlePasswordRequired);
+  loadLockedDocuments();
+  clearExtractedTextBtn.addEventListener('click', handleClearExtractedText);
+  loadExtractedTextStatus();
+  loadWatchedFolders();
+  
   // Set up session statistics
   resetSessionBtn.addEventListener('click', handleResetSession);
   
+  // Set up question bank export/import
+  exportQuestionsBtn.addEventListener('click', handleExportQuestions);
+  importQuestionsBtn.addEventListener('click', handleImportQuestions);
+  reviewQuestionsBtn.addEventListener('click', toggleQuestionBrowser);
+  
   // Listen for config updates from main process
   window.electronAPI.onConfigUpdate((config) => {
     console.log('Config updated from main process:', config);
@@ -63,11 +159,17 @@ function initializeUI() {
   // Load initial configuration
   loadConfiguration();
   
-  // Load session statistics
+  // Load session statistics and learning analytics
   loadSessionStatistics();
+  loadStudyHistory();
+  loadLearningAnalytics();
   
   // Refresh statistics every 30 seconds
-  setInterval(loadSessionStatistics, 30000);
+  setInterval(() => {
+    loadSessionStatistics();
+    loadStudyHistory();
+    loadLearningAnalytics();
+  }, 30000);
   
   console.log('Configuration UI initialized');
 }
@@ -106,6 +208,64 @@ function handleDifficultyChange(event) {
   validateConfigurationRealTime();
 }
 
+/**
+ * Handle question mode dropdown changes
+ */
+function handleQuestionModeChange(event) {
+  currentConfig.questionMode = event.target.value;
+  
+  // Validate in real-time
+  validateConfigurationRealTime();
+}
+
+/**
+ * Handle auto-pause toggle and idle threshold changes
+ */
+function handlePausePolicyChange() {
+  currentConfig.pauseOnSleep = pauseOnSleepToggle.checked;
+  currentConfig.pauseOnLock = pauseOnLockToggle.checked;
+  currentConfig.pauseOnIdle = pauseOnIdleToggle.checked;
+  currentConfig.idleThresholdMinutes = parseInt(idleThresholdDropdown.value);
+  idleThresholdDropdown.disabled = !currentConfig.pauseOnIdle;
+  
+  // Validate in real-time
+  validateConfigurationRealTime();
+}
+
+/**
+ * Handle deck weight slider changes
+ */
+function handleDeckWeightChange(event) {
+  const value = parseInt(event.target.value);
+  deckWeightValue.textContent = value;
+  currentConfig.deckWeight = value;
+  
+  // Validate in real-time
+  validateConfigurationRealTime();
+}
+
+/**
+ * Handle session boundary dropdown changes
+ */
+function handleSessionBoundaryChange(event) {
+  currentConfig.sessionBoundaryHour = parseInt(event.target.value);
+  
+  // Validate in real-time
+  validateConfigurationRealTime();
+}
+
+/**
+ * Fill the session boundary dropdown with the hours of the day
+ */
+function populateSessionBoundaryOptions() {
+  for (let hour = 0; hour < 24; hour++) {
+    const option = document.createElement('option');
+    option.value = hour;
+    option.textContent = hour === 0 ? 'Midnight' : `${String(hour).padStart(2, '0')}:00`;
+    sessionBoundaryDropdown.appendChild(option);
+  }
+}
+
 /**
  * Handle save button click
  */
@@ -126,7 +286,14 @@ async function handleSave() {
       interval: currentConfig.interval,
       audioEnabled: currentConfig.audioEnabled,
       difficulty: currentConfig.difficulty,
-      documents: currentConfig.documents.map(doc => doc.path || doc)
+      questionMode: currentConfig.questionMode,
+      sessionBoundaryHour: currentConfig.sessionBoundaryHour,
+      deckWeight: currentConfig.deckWeight,
+      pauseOnSleep: currentConfig.pauseOnSleep,
+      pauseOnLock: currentConfig.pauseOnLock,
+      pauseOnIdle: currentConfig.pauseOnIdle,
+      idleThresholdMinutes: currentConfig.idleThresholdMinutes,
+      documents: currentConfig.documents.map(doc => (doc.selection ? { path: doc.path, selection: doc.selection } : doc.path || doc))
     };
     
     await window.electronAPI.setConfig(configToSave);
@@ -152,28 +319,35 @@ async function loadConfiguration() {
     
     if (config) {
       // Transform documents array to include metadata
-      const documents = (config.documents || []).map(docPath => {
-        if (typeof docPath === 'string') {
-          return {
-            path: docPath,
-            name: docPath.split(/[\\/]/).pop(),
-            status: 'valid',
-            size: 0
-          };
-        }
-        return docPath;
+      const documents = (config.documents || []).map(entry => {
+        const docPath = typeof entry === 'string' ? entry : entry.path;
+        return {
+          path: docPath,
+          name: docPath.split(/[\\/]/).pop(),
+          status: 'valid',
+          size: 0,
+          selection: typeof entry === 'string' ? null : entry.selection || null
+        };
       });
       
       currentConfig = {
         interval: config.interval || 30,
         audioEnabled: config.audioEnabled !== undefined ? config.audioEnabled : true,
         difficulty: config.difficulty || 'medium',
+        questionMode: config.questionMode || 'multiple-choice',
+        sessionBoundaryHour: config.sessionBoundaryHour || 0,
+        deckWeight: config.deckWeight !== undefined ? config.deckWeight : 50,
+        pauseOnSleep: config.pauseOnSleep !== undefined ? config.pauseOnSleep : true,
+        pauseOnLock: config.pauseOnLock !== undefined ? config.pauseOnLock : true,
+        pauseOnIdle: config.pauseOnIdle !== undefined ? config.pauseOnIdle : true,
+        idleThresholdMinutes: config.idleThresholdMinutes || 5,
         documents: documents
       };
     }
     
     // Update UI with loaded configuration
     updateUIFromConfig(currentConfig);
+    loadNotes();
     
     // Validate all documents in background
     validateAllDocuments();
@@ -288,6 +462,373 @@ async function checkQuestionStatus() {
   }
 }
 
+/**
+ * Export the question bank in the selected format
+ */
+async function handleExportQuestions() {
+  try {
+    exportQuestionsBtn.disabled = true;
+    const result = await window.electronAPI.exportQuestions(exportFormatDropdown.value);
+    
+    if (result.canceled) {
+      return;
+    }
+    
+    if (result.success) {
+      showStatusMessage(`Exported ${result.exported} questions`, 'success');
+    } else {
+      showStatusMessage(`Export failed: ${result.error}`, 'error');
+    }
+  } catch (error) {
+    console.error('Error exporting questions:', error);
+    showStatusMessage('Failed to export questions', 'error');
+  } finally {
+    exportQuestionsBtn.disabled = false;
+  }
+}
+
+/**
+ * Import questions from a JSON, CSV or Anki TSV file
+ */
+async function handleImportQuestions() {
+  try {
+    importQuestionsBtn.disabled = true;
+    const result = await window.electronAPI.importQuestions();
+    
+    if (result.canceled) {
+      return;
+    }
+    
+    if (!result.success) {
+      showStatusMessage(`Import failed: ${result.error}`, 'error');
+      return;
+    }
+    
+    const details = [];
+    if (result.duplicates > 0) {
+      details.push(`${result.duplicates} duplicates skipped`);
+    }
+    if (result.invalid.length > 0) {
+      details.push(`${result.invalid.length} invalid (first: entry ${result.invalid[0].entry}, ${result.invalid[0].error})`);
+    }
+    if (result.dropped > 0) {
+      details.push(`${result.dropped} over the question limit`);
+    }
+    
+    const summary = `Imported ${result.imported} questions${details.length > 0 ? ` - ${details.join('; ')}` : ''}`;
+    showStatusMessage(summary, result.invalid.length > 0 ? 'warning' : 'success');
+    
+    // Show the imported questions if the browser is open
+    if (!questionBrowser.classList.contains('hidden')) {
+      await loadQuestionBrowser();
+    }
+    
+    if (result.invalid.length > 0) {
+      console.warn('Invalid questions in import:', result.invalid);
+    }
+  } catch (error) {
+    console.error('Error importing questions:', error);
+    showStatusMessage('Failed to import questions', 'error');
+  } finally {
+    importQuestionsBtn.disabled = false;
+  }
+}
+
+/**
+ * Show or hide the question browser
+ */
+async function toggleQuestionBrowser() {
+  const opening = questionBrowser.classList.contains('hidden');
+  questionBrowser.classList.toggle('hidden', !opening);
+  reviewQuestionsBtn.querySelector('.btn-text').textContent = opening ? 'Hide Questions' : 'Review Questions';
+  
+  if (opening) {
+    await loadQuestionBrowser();
+  }
+}
+
+/**
+ * Load cached questions and render them grouped by source document
+ */
+async function loadQuestionBrowser() {
+  try {
+    const result = await window.electronAPI.listQuestions();
+    
+    if (result.error) {
+      showStatusMessage(`Failed to load questions: ${result.error}`, 'error');
+      return;
+    }
+    
+    // Keep open groups open across refreshes
+    const openGroups = new Set(
+      Array.from(questionBrowser.querySelectorAll('details[open]')).map(group => group.dataset.source)
+    );
+    
+    questionBrowser.innerHTML = '';
+    
+    if (result.groups.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'analytics-empty';
+      empty.textContent = 'No questions generated yet';
+      questionBrowser.appendChild(empty);
+      return;
+    }
+    
+    result.groups.forEach(group => {
+      const source = group.sourceDocument || '';
+      const details = document.createElement('details');
+      details.className = 'question-group';
+      details.dataset.source = source;
+      details.open = openGroups.has(source);
+      
+      const summary = document.createElement('summary');
+      summary.textContent = `${source ? source.split(/[\\/]/).pop() : 'Imported questions'} (${group.questions.length})`;
+      summary.title = source;
+      details.appendChild(summary);
+      
+      group.questions.forEach(question => {
+        details.appendChild(createQuestionCard(question));
+      });
+      
+      questionBrowser.appendChild(details);
+    });
+  } catch (error) {
+    console.error('Failed to load question browser:', error);
+    showStatusMessage('Failed to load questions', 'error');
+  }
+}
+
+/**
+ * Create a read-only card for a question with its actions
+ * Uses textContent because questions come from document text
+ */
+function createQuestionCard(question) {
+  const card = document.createElement('div');
+  card.className = `question-card${question.disabled ? ' disabled' : ''}`;
+  
+  const badges = document.createElement('div');
+  badges.className = 'question-badges';
+  const labels = [question.type === 'text' ? 'Typed answer' : 'Multiple choice'];
+  if (question.pinned) labels.push('📌 Pinned');
+  if (question.disabled) labels.push('Disabled');
+  if (question.edited) labels.push('Edited');
+  if (question.section) labels.push(`📖 ${question.section}`);
+  if (question.timestamp) labels.push(`⏱ ${question.timestamp}`);
+  labels.forEach(label => {
+    const badge = document.createElement('span');
+    badge.className = 'question-badge';
+    badge.textContent = label;
+    badges.appendChild(badge);
+  });
+  card.appendChild(badges);
+  
+  const text = document.createElement('div');
+  text.className = 'question-text';
+  text.textContent = question.text;
+  card.appendChild(text);
+  
+  if (Array.isArray(question.options)) {
+    const list = document.createElement('ol');
+    list.className = 'question-options';
+    list.type = 'A';
+    question.options.forEach((option, index) => {
+      const item = document.createElement('li');
+      item.textContent = option;
+      if (index === question.correctAnswer) {
+        item.className = 'correct';
+      }
+      list.appendChild(item);
+    });
+    card.appendChild(list);
+  } else {
+    const answer = document.createElement('div');
+    answer.className = 'question-answer';
+    answer.textContent = `Answer: ${question.correctAnswer}`;
+    card.appendChild(answer);
+  }
+  
+  if (question.explanation) {
+    const explanation = document.createElement('div');
+    explanation.className = 'question-explanation';
+    explanation.textContent = question.explanation;
+    card.appendChild(explanation);
+  }
+  
+  const actions = document.createElement('div');
+  actions.className = 'question-actions';
+  actions.appendChild(createQuestionAction('Edit', () => {
+    card.replaceWith(createQuestionEditor(question));
+  }));
+  actions.appendChild(createQuestionAction(question.pinned ? 'Unpin' : 'Pin', () => {
+    saveQuestionChanges(question.id, { pinned: !question.pinned });
+  }));
+  actions.appendChild(createQuestionAction(question.disabled ? 'Enable' : 'Disable', () => {
+    saveQuestionChanges(question.id, { disabled: !question.disabled });
+  }));
+  actions.appendChild(createQuestionAction('Delete', () => handleDeleteQuestion(question), 'danger'));
+  card.appendChild(actions);
+  
+  return card;
+}
+
+/**
+ * Create a small action button for a question card
+ */
+function createQuestionAction(label, onClick, variant = '') {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = `question-action ${variant}`.trim();
+  button.textContent = label;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Create an inline editor for a question's text, options, correct answer and explanation
+ */
+function createQuestionEditor(question) {
+  const form = document.createElement('form');
+  form.className = 'question-card question-editor';
+  const isMultipleChoice = Array.isArray(question.options);
+  
+  const textInput = document.createElement('textarea');
+  textInput.className = 'question-input';
+  textInput.rows = 2;
+  textInput.value = question.text;
+  form.appendChild(createEditorField('Question', textInput));
+  
+  const optionInputs = [];
+  const correctRadios = [];
+  let answerInput = null;
+  
+  if (isMultipleChoice) {
+    question.options.forEach((option, index) => {
+      const row = document.createElement('label');
+      row.className = 'question-option-row';
+      
+      const radio = document.createElement('input');
+      radio.type = 'radio';
+      radio.name = `correct-${question.id}`;
+      radio.checked = index === question.correctAnswer;
+      radio.title = 'Correct answer';
+      
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.className = 'question-input';
+      input.value = option;
+      
+      row.appendChild(radio);
+      row.appendChild(input);
+      form.appendChild(row);
+      
+      optionInputs.push(input);
+      correctRadios.push(radio);
+    });
+  } else {
+    answerInput = document.createElement('input');
+    answerInput.type = 'text';
+    answerInput.className = 'question-input';
+    answerInput.value = question.correctAnswer;
+    form.appendChild(createEditorField('Answer', answerInput));
+  }
+  
+  const explanationInput = document.createElement('textarea');
+  explanationInput.className = 'question-input';
+  explanationInput.rows = 2;
+  explanationInput.value = question.explanation || '';
+  form.appendChild(createEditorField('Explanation', explanationInput));
+  
+  const actions = document.createElement('div');
+  actions.className = 'question-actions';
+  const saveButton = createQuestionAction('Save', () => {});
+  saveButton.type = 'submit';
+  actions.appendChild(saveButton);
+  actions.appendChild(createQuestionAction('Cancel', () => {
+    form.replaceWith(createQuestionCard(question));
+  }));
+  form.appendChild(actions);
+  
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
+    
+    const changes = {
+      text: textInput.value,
+      explanation: explanationInput.value
+    };
+    if (isMultipleChoice) {
+      changes.options = optionInputs.map(input => input.value);
+      changes.correctAnswer = correctRadios.findIndex(radio => radio.checked);
+    } else {
+      changes.correctAnswer = answerInput.value;
+    }
+    
+    saveQuestionChanges(question.id, changes);
+  });
+  
+  return form;
+}
+
+/**
+ * Wrap an editor input with a label
+ */
+function createEditorField(labelText, input) {
+  const label = document.createElement('label');
+  label.className = 'question-field';
+  
+  const caption = document.createElement('span');
+  caption.textContent = labelText;
+  
+  label.appendChild(caption);
+  label.appendChild(input);
+  return label;
+}
+
+/**
+ * Save edits or flag changes to a question and refresh the browser
+ */
+async function saveQuestionChanges(questionId, changes) {
+  try {
+    const result = await window.electronAPI.updateQuestion(questionId, changes);
+    
+    if (!result.success) {
+      showStatusMessage(`Could not save question: ${result.error}`, 'error');
+      return;
+    }
+    
+    showStatusMessage('Question saved', 'success');
+    await loadQuestionBrowser();
+  } catch (error) {
+    console.error('Error saving question:', error);
+    showStatusMessage('Failed to save question', 'error');
+  }
+}
+
+/**
+ * Delete a question after confirmation and refresh the browser
+ */
+async function handleDeleteQuestion(question) {
+  try {
+    const confirmed = confirm(`Delete this question? It will not come back when questions are regenerated.\n\n${question.text}`);
+    
+    if (!confirmed) {
+      return;
+    }
+    
+    const result = await window.electronAPI.deleteQuestion(question.id);
+    
+    if (!result.success) {
+      showStatusMessage(`Could not delete question: ${result.error}`, 'error');
+      return;
+    }
+    
+    showStatusMessage('Question deleted', 'success');
+    await loadQuestionBrowser();
+  } catch (error) {
+    console.error('Error deleting question:', error);
+    showStatusMessage('Failed to delete question', 'error');
+  }
+}
+
 /**
  * Show status message to user
  */
@@ -301,6 +842,184 @@ function showStatusMessage(message, type = 'success') {
   }
 }
 
+/**
+ * Show progress of text recognition in a scanned PDF
+ * @param {{filePath: string, page: number|null, done: number, total: number}} progress - OCR progress
+ */
+function handleOcrProgress(progress) {
+  const name = progress.filePath.split(/[\\/]/).pop();
+  if (progress.done >= progress.total) {
+    showStatusMessage(`Read ${progress.total} scanned ${progress.total === 1 ? 'page' : 'pages'} of ${name}`, 'success');
+  } else {
+    showStatusMessage(`Reading scanned pages of ${name}: page ${progress.done + 1} of ${progress.total}...`, 'info');
+  }
+}
+
+/**
+ * Show how far a batch of documents has been processed
+ * @param {{processed: number, total: number, filePath: string|null, finished: boolean, cancelled: boolean}} progress - Batch progress
+ */
+function handleProcessingProgress(progress) {
+  if (progress.finished) {
+    processingProgress.classList.add('hidden');
+    loadExtractedTextStatus();
+    if (progress.cancelled) {
+      showStatusMessage(`Processing cancelled after ${progress.processed} of ${progress.total} documents`, 'info');
+    }
+    return;
+  }
+
+  const name = progress.filePath ? progress.filePath.split(/[\\/]/).pop() : null;
+  processingText.textContent = name
+    ? `Processed ${progress.processed} of ${progress.total} documents (${name})`
+    : `Processing ${progress.total} ${progress.total === 1 ? 'document' : 'documents'}...`;
+  processingBar.max = progress.total;
+  processingBar.value = progress.processed;
+  cancelProcessingBtn.disabled = false;
+  processingProgress.classList.remove('hidden');
+}
+
+/**
+ * Cancel the documents being processed
+ */
+async function handleCancelProcessing() {
+  cancelProcessingBtn.disabled = true;
+  try {
+    const result = await window.electronAPI.cancelProcessing();
+    if (!result.success || result.cancelled === 0) {
+      processingProgress.classList.add('hidden');
+    }
+  } catch (error) {
+    console.error('Error cancelling processing:', error);
+    cancelProcessingBtn.disabled = false;
+    showStatusMessage('Failed to cancel processing', 'error');
+  }
+}
+
+/**
+ * Show how many documents have their extracted text stored
+ */
+async function loadExtractedTextStatus() {
+  try {
+    const status = await window.electronAPI.getExtractedTextStatus();
+    if (!status.success) {
+      extractedTextSummary.textContent = '';
+      return;
+    }
+
+    const megabytes = (status.size / (1024 * 1024)).toFixed(1);
+    extractedTextSummary.textContent = status.entries === 0
+      ? 'No extracted text stored'
+      : `Extracted text of ${status.entries} ${status.entries === 1 ? 'document' : 'documents'} stored (${megabytes} MB)`;
+    clearExtractedTextBtn.disabled = status.entries === 0;
+  } catch (error) {
+    console.error('Error loading extracted text status:', error);
+  }
+}
+
+/**
+ * Clear the stored extracted text so documents are parsed again
+ */
+async function handleClearExtractedText() {
+  clearExtractedTextBtn.disabled = true;
+  try {
+    const result = await window.electronAPI.clearExtractedText();
+    if (result.success) {
+      showStatusMessage(`Cleared extracted text of ${result.removed} ${result.removed === 1 ? 'document' : 'documents'}`, 'success');
+    } else {
+      showStatusMessage(`Failed to clear extracted text: ${result.error}`, 'error');
+    }
+  } catch (error) {
+    console.error('Error clearing extracted text:', error);
+    showStatusMessage('Failed to clear extracted text', 'error');
+  }
+  await loadExtractedTextStatus();
+}
+
+/**
+ * Load the documents that need a password
+ */
+async function loadLockedDocuments() {
+  try {
+    handlePasswordRequired(await window.electronAPI.getLockedDocuments());
+  } catch (error) {
+    console.error('Error loading locked documents:', error);
+  }
+}
+
+/**
+ * Ask for the passwords of documents that could not be opened
+ * @param {{filePath: string, fileName: string, code: string, userFriendlyError: string}[]} locked - Documents that need a password
+ */
+function handlePasswordRequired(locked) {
+  lockedDocuments = new Map(locked.map(entry => [entry.filePath, entry]));
+  passwordPrompts.textContent = '';
+  lockedDocuments.forEach(entry => passwordPrompts.appendChild(createPasswordPrompt(entry)));
+}
+
+/**
+ * Create the password prompt of a locked document
+ */
+function createPasswordPrompt(entry) {
+  const prompt = document.createElement('form');
+  prompt.className = 'password-prompt';
+  
+  const field = document.createElement('label');
+  field.className = 'question-field';
+  field.textContent = `🔒 ${entry.fileName}: ${entry.userFriendlyError}`;
+  
+  const input = document.createElement('input');
+  input.type = 'password';
+  input.className = 'folder-pattern-input';
+  input.placeholder = 'Document password';
+  input.autocomplete = 'off';
+  field.appendChild(input);
+  
+  const errorText = document.createElement('div');
+  errorText.className = 'password-error';
+  
+  const unlockBtn = document.createElement('button');
+  unlockBtn.type = 'submit';
+  unlockBtn.className = 'question-action';
+  unlockBtn.textContent = 'Unlock';
+  
+  prompt.appendChild(field);
+  prompt.appendChild(errorText);
+  prompt.appendChild(unlockBtn);
+  prompt.addEventListener('submit', (event) => {
+    event.preventDefault();
+    submitDocumentPassword(entry, input, unlockBtn, errorText);
+  });
+  
+  return prompt;
+}
+
+/**
+ * Check and store the password of a locked document
+ * The prompt is removed once the main process reports the document as unlocked
+ */
+async function submitDocumentPassword(entry, input, unlockBtn, errorText) {
+  unlockBtn.disabled = true;
+  errorText.textContent = '';
+  try {
+    const result = await window.electronAPI.setDocumentPassword(entry.filePath, input.value);
+    if (!result.success) {
+      errorText.textContent = result.error;
+      input.select();
+      return;
+    }
+    
+    showStatusMessage(result.saved
+      ? `${entry.fileName}: password saved`
+      : `${entry.fileName}: unlocked until the app quits, as passwords cannot be stored securely on this computer`, 'success');
+  } catch (error) {
+    console.error('Error setting document password:', error);
+    errorText.textContent = 'Failed to check the password';
+  } finally {
+    unlockBtn.disabled = false;
+  }
+}
+
 /**
  * Clear status message
  */
@@ -346,6 +1065,199 @@ async function handleAddDocument() {
   }
 }
 
+/**
+ * Open the new note editor
+ * @param {string} text - Text to start the note with, e.g. from the clipboard
+ */
+function openNoteEditor(text) {
+  noteText.value = text || '';
+  noteEditor.classList.remove('hidden');
+  noteText.focus();
+}
+
+/**
+ * Close the new note editor
+ */
+function closeNoteEditor() {
+  noteText.value = '';
+  noteEditor.classList.add('hidden');
+}
+
+/**
+ * Add the clipboard text to the new note
+ */
+async function handlePasteClipboard() {
+  try {
+    const text = await window.electronAPI.readClipboard();
+    if (!text || !text.trim()) {
+      showStatusMessage('The clipboard has no text to paste', 'error');
+      return;
+    }
+    noteText.value = noteText.value ? `${noteText.value}\n\n${text}` : text;
+  } catch (error) {
+    console.error('Error reading clipboard:', error);
+    showStatusMessage('Failed to read the clipboard', 'error');
+  }
+}
+
+/**
+ * Save the new note as a study document
+ */
+async function handleSaveNote() {
+  saveNoteBtn.disabled = true;
+  try {
+    const result = await window.electronAPI.createNote(noteText.value);
+    if (!result.success) {
+      showStatusMessage(result.error, 'error');
+      return;
+    }
+    
+    closeNoteEditor();
+    showStatusMessage(`Note saved as ${result.filePath.split(/[\\/]/).pop()}`, 'success');
+  } catch (error) {
+    console.error('Error saving note:', error);
+    showStatusMessage('Failed to save note: ' + error.message, 'error');
+  } finally {
+    saveNoteBtn.disabled = false;
+  }
+}
+
+/**
+ * Load which documents are notes
+ */
+async function loadNotes() {
+  try {
+    notePaths = new Set(await window.electronAPI.listNotes());
+    renderDocumentList();
+  } catch (error) {
+    console.error('Error loading notes:', error);
+  }
+}
+
+/**
+ * Split a comma-separated list of glob patterns
+ */
+function parsePatternList(value) {
+  return value.split(',').map(pattern => pattern.trim()).filter(pattern => pattern.length > 0);
+}
+
+/**
+ * Handle add folder button click
+ */
+async function handleAddFolder() {
+  try {
+    const result = await window.electronAPI.selectFolder();
+    if (!result || result.canceled || !result.filePaths || result.filePaths.length === 0) {
+      return;
+    }
+    
+    const response = await window.electronAPI.addFolder({
+      path: result.filePaths[0],
+      recursive: folderRecursiveToggle.checked,
+      include: parsePatternList(folderIncludeInput.value),
+      exclude: parsePatternList(folderExcludeInput.value)
+    });
+    
+    folderIncludeInput.value = '';
+    folderExcludeInput.value = '';
+    await loadWatchedFolders();
+    
+    const count = response.folder ? response.folder.fileCount : 0;
+    showStatusMessage(`Watching folder with ${count} ${count === 1 ? 'file' : 'files'}`, 'success');
+  } catch (error) {
+    console.error('Error adding folder:', error);
+    showStatusMessage(`Error adding folder: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Load and display the watched folders
+ */
+async function loadWatchedFolders() {
+  try {
+    renderFolderList(await window.electronAPI.listFolders());
+  } catch (error) {
+    console.error('Failed to load watched folders:', error);
+  }
+}
+
+/**
+ * Remove a watched folder
+ */
+async function removeFolder(folder) {
+  if (!confirm(`Stop watching "${folder.path}"?`)) {
+    return;
+  }
+  
+  try {
+    await window.electronAPI.removeFolder(folder.path);
+    await loadWatchedFolders();
+  } catch (error) {
+    console.error('Error removing folder:', error);
+    showStatusMessage(`Error removing folder: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Render the watched folder list
+ * Uses textContent because folder paths and patterns come from the user
+ */
+function renderFolderList(folders) {
+  folderList.innerHTML = '';
+  
+  (folders || []).forEach(folder => {
+    const item = document.createElement('li');
+    item.className = 'document-item';
+    
+    const info = document.createElement('div');
+    info.className = 'document-info';
+    
+    const icon = document.createElement('span');
+    icon.className = 'document-icon';
+    icon.textContent = '📁';
+    
+    const details = document.createElement('div');
+    details.className = 'document-details';
+    
+    const name = document.createElement('div');
+    name.className = 'document-name';
+    name.textContent = folder.path.split(/[\\/]/).filter(Boolean).pop() || folder.path;
+    name.title = folder.path;
+    
+    const filters = [folder.recursive ? 'Including subfolders' : 'Top level only'];
+    if (folder.include.length > 0) {
+      filters.push(`only ${folder.include.join(', ')}`);
+    }
+    if (folder.exclude.length > 0) {
+      filters.push(`except ${folder.exclude.join(', ')}`);
+    }
+    
+    const pathLine = document.createElement('div');
+    pathLine.className = 'document-path';
+    pathLine.textContent = `${folder.path} · ${filters.join(', ')}`;
+    pathLine.title = folder.path;
+    
+    details.appendChild(name);
+    details.appendChild(pathLine);
+    info.appendChild(icon);
+    info.appendChild(details);
+    
+    const status = document.createElement('span');
+    status.className = folder.error ? 'document-status invalid' : 'document-status';
+    status.textContent = folder.error || `${folder.fileCount} ${folder.fileCount === 1 ? 'file' : 'files'}`;
+    
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'remove-btn';
+    removeBtn.textContent = 'Remove';
+    removeBtn.addEventListener('click', () => removeFolder(folder));
+    
+    item.appendChild(info);
+    item.appendChild(status);
+    item.appendChild(removeBtn);
+    folderList.appendChild(item);
+  });
+}
+
 /**
  * Set up drag and drop functionality
  */
@@ -400,12 +1312,12 @@ async function addDocuments(files) {
   for (const file of files) {
     try {
       // Validate file type
-      const validExtensions = ['.pdf', '.docx', '.md', '.txt'];
+      const validExtensions = ['.pdf', '.docx', '.epub', '.pptx', '.odp', '.html', '.htm', '.mhtml', '.mht', '.ipynb', '.tex', '.srt', '.vtt', '.csv', '.tsv', '.md', '.txt', '.deck.json'];
       const fileName = file.name.toLowerCase();
       const isValid = validExtensions.some(ext => fileName.endsWith(ext));
       
       if (!isValid) {
-        showStatusMessage(`Invalid file type: ${file.name}. Supported: PDF, DOCX, MD, TXT`, 'error');
+        showStatusMessage(`Invalid file type: ${file.name}. Supported: PDF, DOCX, EPUB, PPTX, ODP, HTML, MHTML, IPYNB, TEX, SRT, VTT, CSV, TSV, MD, TXT and question decks (.deck.json, .deck.md)`, 'error');
         continue;
       }
       
@@ -477,8 +1389,11 @@ async function addDocuments(files) {
  */
 async function removeDocument(index) {
   const document = currentConfig.documents[index];
+  const message = notePaths.has(document.path)
+    ? `Delete the note "${document.name}"? This cannot be undone.`
+    : `Remove "${document.name}" from the list?`;
   
-  if (confirm(`Remove "${document.name}" from the list?`)) {
+  if (confirm(message)) {
     try {
       // Remove from main process config
       await window.electronAPI.removeDocument(document.path);
@@ -550,9 +1465,217 @@ function createDocumentItem(doc, index) {
   const removeBtn = item.querySelector('.remove-btn');
   removeBtn.addEventListener('click', () => removeDocument(index));
   
+  // PDFs can be limited to pages, Markdown and Word documents to sections
+  if (canSelectParts(doc.name)) {
+    const summary = document.createElement('div');
+    summary.className = 'document-selection';
+    summary.textContent = describeSelection(doc.selection);
+    item.querySelector('.document-details').appendChild(summary);
+    
+    const partsBtn = document.createElement('button');
+    partsBtn.className = 'question-action';
+    partsBtn.textContent = 'Parts';
+    partsBtn.title = 'Study only some pages or sections';
+    partsBtn.addEventListener('click', () => toggleSelectionEditor(item, doc));
+    item.insertBefore(partsBtn, removeBtn);
+  }
+  
+  // Notes are kept by the app, so their text can be edited here
+  if (notePaths.has(doc.path)) {
+    removeBtn.textContent = 'Delete';
+    
+    const editBtn = document.createElement('button');
+    editBtn.className = 'question-action';
+    editBtn.textContent = 'Edit';
+    editBtn.title = 'Edit the text of this note';
+    editBtn.addEventListener('click', () => toggleNoteTextEditor(item, doc));
+    item.insertBefore(editBtn, removeBtn);
+  }
+  
   return item;
 }
 
+/**
+ * Open or close the text editor of a note below its document item
+ */
+async function toggleNoteTextEditor(item, doc) {
+  const next = item.nextElementSibling;
+  if (next && next.classList.contains('selection-editor')) {
+    next.remove();
+    return;
+  }
+  
+  const editor = document.createElement('div');
+  editor.className = 'selection-editor';
+  editor.textContent = 'Reading note...';
+  item.after(editor);
+  
+  let text;
+  try {
+    text = await window.electronAPI.getNote(doc.path);
+  } catch (error) {
+    editor.remove();
+    showStatusMessage(`${doc.name}: ${error.message}`, 'error');
+    return;
+  }
+  editor.textContent = '';
+  
+  const input = document.createElement('textarea');
+  input.className = 'question-input';
+  input.rows = 8;
+  input.value = text;
+  editor.appendChild(input);
+  
+  const actions = document.createElement('div');
+  actions.className = 'question-actions';
+  
+  const saveBtn = document.createElement('button');
+  saveBtn.className = 'question-action';
+  saveBtn.textContent = 'Save';
+  saveBtn.addEventListener('click', async () => {
+    saveBtn.disabled = true;
+    try {
+      const result = await window.electronAPI.updateNote(doc.path, input.value);
+      if (!result.success) {
+        showStatusMessage(`${doc.name}: ${result.error}`, 'error');
+        return;
+      }
+      editor.remove();
+      showStatusMessage(`${doc.name}: note saved`, 'success');
+    } catch (error) {
+      console.error('Error saving note:', error);
+      showStatusMessage(`${doc.name}: ${error.message}`, 'error');
+    } finally {
+      saveBtn.disabled = false;
+    }
+  });
+  
+  actions.appendChild(saveBtn);
+  editor.appendChild(actions);
+}
+
+/**
+ * Check whether a document can be limited to pages or sections
+ */
+function canSelectParts(fileName) {
+  return /\.(pdf|md|docx)$/i.test(fileName) && !/\.deck\.md$/i.test(fileName);
+}
+
+/**
+ * Describe the pages or sections a document is limited to
+ */
+function describeSelection(selection) {
+  if (selection && selection.pages) {
+    return `Pages ${selection.pages}`;
+  }
+  if (selection && selection.sections) {
+    return `Sections: ${selection.sections.join(', ')}`;
+  }
+  return 'Whole document';
+}
+
+/**
+ * Open or close the page and section picker below a document
+ */
+async function toggleSelectionEditor(item, doc) {
+  const next = item.nextElementSibling;
+  if (next && next.classList.contains('selection-editor')) {
+    next.remove();
+    return;
+  }
+  
+  const editor = document.createElement('div');
+  editor.className = 'selection-editor';
+  editor.textContent = 'Reading document...';
+  item.after(editor);
+  
+  let outline;
+  try {
+    outline = await window.electronAPI.getDocumentOutline(doc.path);
+  } catch (error) {
+    editor.remove();
+    showStatusMessage(`${doc.name}: ${error.userFriendly || error.message}`, 'error');
+    return;
+  }
+  editor.textContent = '';
+  
+  let readSelection;
+  if (outline.format === '.pdf') {
+    const field = document.createElement('label');
+    field.className = 'question-field';
+    field.textContent = `Pages to study (this PDF has ${outline.pageCount} pages)`;
+    
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'folder-pattern-input';
+    input.placeholder = 'All pages, or ranges like 1-40, 55';
+    input.value = doc.selection && doc.selection.pages ? doc.selection.pages : '';
+    field.appendChild(input);
+    editor.appendChild(field);
+    
+    readSelection = () => ({ pages: input.value });
+  } else if (outline.sections.length === 0) {
+    editor.textContent = 'This document has no headings to choose sections from.';
+    return;
+  } else {
+    const intro = document.createElement('div');
+    intro.className = 'question-field';
+    intro.textContent = 'Sections to study (subsections are included)';
+    editor.appendChild(intro);
+    
+    const selected = new Set(doc.selection && doc.selection.sections ? doc.selection.sections : []);
+    const checkboxes = outline.sections.map(section => {
+      const label = document.createElement('label');
+      label.className = 'selection-section';
+      label.style.paddingLeft = `${(section.level - 1) * 16}px`;
+      
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = section.title;
+      checkbox.checked = selected.has(section.title);
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(` ${section.title}`));
+      editor.appendChild(label);
+      
+      return checkbox;
+    });
+    
+    readSelection = () => ({ sections: checkboxes.filter(checkbox => checkbox.checked).map(checkbox => checkbox.value) });
+  }
+  
+  const actions = document.createElement('div');
+  actions.className = 'question-actions';
+  
+  const saveBtn = document.createElement('button');
+  saveBtn.className = 'question-action';
+  saveBtn.textContent = 'Save';
+  saveBtn.addEventListener('click', () => saveDocumentSelection(doc, readSelection()));
+  
+  const wholeBtn = document.createElement('button');
+  wholeBtn.className = 'question-action';
+  wholeBtn.textContent = 'Study whole document';
+  wholeBtn.addEventListener('click', () => saveDocumentSelection(doc, null));
+  
+  actions.appendChild(saveBtn);
+  actions.appendChild(wholeBtn);
+  editor.appendChild(actions);
+}
+
+/**
+ * Store the pages or sections a document is limited to
+ */
+async function saveDocumentSelection(doc, selection) {
+  try {
+    const result = await window.electronAPI.setDocumentSelection(doc.path, selection);
+    doc.selection = result.selection;
+    renderDocumentList();
+    showStatusMessage(`${doc.name}: ${describeSelection(result.selection)}`, 'success');
+  } catch (error) {
+    console.error('Error saving document selection:', error);
+    showStatusMessage(`${doc.name}: ${error.userFriendly || error.message}`, 'error');
+  }
+}
+
 /**
  * Get file icon based on extension
  */
@@ -562,10 +1685,27 @@ function getFileIcon(fileName) {
   const icons = {
     'pdf': '📕',
     'docx': '📘',
+    'epub': '📙',
+    'pptx': '📊',
+    'odp': '📊',
+    'html': '🌐',
+    'htm': '🌐',
+    'mhtml': '🌐',
+    'mht': '🌐',
+    'ipynb': '📓',
+    'tex': '📐',
+    'srt': '🎞',
+    'vtt': '🎞',
+    'csv': '📇',
+    'tsv': '📇',
     'md': '📗',
     'txt': '📄'
   };
   
+  if (/\.deck\.(json|md)$/i.test(fileName)) {
+    return '🃏';
+  }
+  
   return icons[ext] || '📄';
 }
 
@@ -594,9 +1734,26 @@ function updateUIFromConfig(config) {
   audioToggle.checked = config.audioEnabled;
   audioLabel.textContent = config.audioEnabled ? 'Audio Enabled' : 'Audio Disabled';
   
+  // Update auto-pause settings
+  pauseOnSleepToggle.checked = config.pauseOnSleep;
+  pauseOnLockToggle.checked = config.pauseOnLock;
+  pauseOnIdleToggle.checked = config.pauseOnIdle;
+  idleThresholdDropdown.value = config.idleThresholdMinutes;
+  idleThresholdDropdown.disabled = !config.pauseOnIdle;
+  
   // Update difficulty dropdown
   difficultyDropdown.value = config.difficulty;
   
+  // Update question mode dropdown
+  questionModeDropdown.value = config.questionMode;
+  
+  // Update deck weight slider
+  deckWeightSlider.value = config.deckWeight;
+  deckWeightValue.textContent = config.deckWeight;
+  
+  // Update session boundary dropdown
+  sessionBoundaryDropdown.value = config.sessionBoundaryHour;
+  
   // Update document list
   if (config.documents && config.documents.length > 0) {
     renderDocumentList();
@@ -608,32 +1765,36 @@ function updateUIFromConfig(config) {
  */
 function handleConfigUpdate(config) {
   // Transform documents array to include metadata
-  const documents = (config.documents || []).map(docPath => {
-    if (typeof docPath === 'string') {
-      // Check if we already have this document with metadata
-      const existing = currentConfig.documents.find(doc => doc.path === docPath);
-      if (existing) {
-        return existing;
-      }
-      return {
-        path: docPath,
-        name: docPath.split(/[\\/]/).pop(),
-        status: 'valid',
-        size: 0
-      };
-    }
-    return docPath;
+  const documents = (config.documents || []).map(entry => {
+    const docPath = typeof entry === 'string' ? entry : entry.path;
+    // Check if we already have this document with metadata
+    const doc = currentConfig.documents.find(existing => existing.path === docPath) || {
+      path: docPath,
+      name: docPath.split(/[\\/]/).pop(),
+      status: 'valid',
+      size: 0
+    };
+    doc.selection = typeof entry === 'string' ? null : entry.selection || null;
+    return doc;
   });
   
   currentConfig = {
     interval: config.interval || 30,
     audioEnabled: config.audioEnabled !== undefined ? config.audioEnabled : true,
     difficulty: config.difficulty || 'medium',
+    questionMode: config.questionMode || 'multiple-choice',
+    sessionBoundaryHour: config.sessionBoundaryHour || 0,
+    deckWeight: config.deckWeight !== undefined ? config.deckWeight : 50,
+    pauseOnSleep: config.pauseOnSleep !== undefined ? config.pauseOnSleep : true,
+    pauseOnLock: config.pauseOnLock !== undefined ? config.pauseOnLock : true,
+    pauseOnIdle: config.pauseOnIdle !== undefined ? config.pauseOnIdle : true,
+    idleThresholdMinutes: config.idleThresholdMinutes || 5,
     documents: documents
   };
   
   // Update UI
   updateUIFromConfig(currentConfig);
+  loadNotes();
 }
 
 /**
@@ -681,6 +1842,39 @@ function validateConfiguration(config) {
     throw new Error('Invalid difficulty level');
   }
   
+  // Validate question mode
+  const validQuestionModes = ['multiple-choice', 'text', 'mixed'];
+  if (!validQuestionModes.includes(config.questionMode)) {
+    throw new Error('Invalid question mode');
+  }
+  
+  // Validate session boundary
+  if (!Number.isInteger(config.sessionBoundaryHour) ||
+      config.sessionBoundaryHour < 0 ||
+      config.sessionBoundaryHour > 23) {
+    throw new Error('Invalid session boundary hour');
+  }
+  
+  // Validate deck weight
+  if (!Number.isInteger(config.deckWeight) ||
+      config.deckWeight < 0 ||
+      config.deckWeight > 100) {
+    throw new Error('Invalid deck weight');
+  }
+  
+  // Validate auto-pause settings
+  if (typeof config.pauseOnSleep !== 'boolean' ||
+      typeof config.pauseOnLock !== 'boolean' ||
+      typeof config.pauseOnIdle !== 'boolean') {
+    throw new Error('Auto-pause settings must be booleans');
+  }
+  
+  if (!Number.isInteger(config.idleThresholdMinutes) ||
+      config.idleThresholdMinutes < 1 ||
+      config.idleThresholdMinutes > 60) {
+    throw new Error('Idle threshold must be between 1 and 60 minutes');
+  }
+  
   // Validate documents array
   if (!Array.isArray(config.documents)) {
     throw new Error('Documents must be an array');
@@ -722,6 +1916,172 @@ async function loadSessionStatistics() {
   }
 }
 
+/**
+ * Load and display the study history heatmap
+ * Columns are weeks (oldest first), rows are days of the week starting on Sunday
+ */
+async function loadStudyHistory() {
+  try {
+    const today = new Date();
+    const firstDay = new Date(today.getFullYear(), today.getMonth(), today.getDate() - today.getDay() - (HEATMAP_WEEKS - 1) * 7);
+    
+    const result = await window.electronAPI.getStudyHistory(toDateKey(firstDay), toDateKey(today));
+    
+    if (result.error) {
+      console.error('Error loading study history:', result.error);
+      return;
+    }
+    
+    studyHeatmap.innerHTML = '';
+    result.days.forEach(day => {
+      const cell = document.createElement('div');
+      cell.className = `heatmap-cell level-${getHeatmapLevel(day.questionsAnswered)}`;
+      cell.title = day.questionsAnswered > 0
+        ? `${day.date}: ${day.questionsAnswered} answered, ${day.accuracy}% correct, best streak ${day.bestStreak}, ${formatStudyDuration(day.studyDurationMs)} studied`
+        : `${day.date}: no questions answered`;
+      studyHeatmap.appendChild(cell);
+    });
+    
+    const activeDays = result.days.filter(day => day.questionsAnswered > 0);
+    const totalAnswered = activeDays.reduce((sum, day) => sum + day.questionsAnswered, 0);
+    studyHistorySummary.textContent = `${totalAnswered} questions on ${activeDays.length} days`;
+  } catch (error) {
+    console.error('Failed to load study history:', error);
+  }
+}
+
+/**
+ * Map the number of questions answered on a day to a heatmap shade (0-4)
+ */
+function getHeatmapLevel(questionsAnswered) {
+  if (questionsAnswered === 0) return 0;
+  if (questionsAnswered < 5) return 1;
+  if (questionsAnswered < 10) return 2;
+  if (questionsAnswered < 20) return 3;
+  return 4;
+}
+
+/**
+ * Format a study duration as "Xm Ys"
+ */
+function formatStudyDuration(ms) {
+  const totalSeconds = Math.round(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  
+  if (minutes > 0) {
+    return `${minutes}m ${seconds}s`;
+  }
+  return `${seconds}s`;
+}
+
+/**
+ * Format a date as a local YYYY-MM-DD key
+ */
+function toDateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Load and display accuracy by document, most missed concepts and the daily trend
+ */
+async function loadLearningAnalytics() {
+  try {
+    const [accuracy, missed, trend] = await Promise.all([
+      window.electronAPI.getDocumentAccuracy(),
+      window.electronAPI.getMissedConcepts(5),
+      window.electronAPI.getAnswerTrend(14)
+    ]);
+    
+    if (accuracy.error || missed.error || trend.error) {
+      console.error('Error loading learning analytics:', accuracy.error || missed.error || trend.error);
+      return;
+    }
+    
+    renderAnalyticsList(
+      documentAccuracyList,
+      accuracy.documents.map(doc => ({
+        label: doc.sourceDocument.split(/[\\/]/).pop(),
+        title: doc.sourceDocument,
+        value: `${doc.accuracy}% of ${doc.answered}`
+      })),
+      'No answers recorded yet'
+    );
+    
+    renderAnalyticsList(
+      missedConceptsList,
+      missed.concepts.map(concept => ({
+        label: concept.concept,
+        title: concept.sourceDocument || '',
+        value: `missed ${concept.missed} of ${concept.answered}`
+      })),
+      'Nothing missed yet'
+    );
+    
+    renderTrendChart(trend.trend);
+  } catch (error) {
+    console.error('Failed to load learning analytics:', error);
+  }
+}
+
+/**
+ * Render label/value rows into an analytics list
+ * Uses textContent because labels come from document text
+ */
+function renderAnalyticsList(listElement, rows, emptyText) {
+  listElement.innerHTML = '';
+  
+  if (rows.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'analytics-empty';
+    empty.textContent = emptyText;
+    listElement.appendChild(empty);
+    return;
+  }
+  
+  rows.forEach(row => {
+    const item = document.createElement('li');
+    item.className = 'analytics-row';
+    
+    const label = document.createElement('span');
+    label.className = 'analytics-label';
+    label.textContent = row.label;
+    label.title = row.title;
+    
+    const value = document.createElement('span');
+    value.className = 'analytics-value';
+    value.textContent = row.value;
+    
+    item.appendChild(label);
+    item.appendChild(value);
+    listElement.appendChild(item);
+  });
+}
+
+/**
+ * Render the daily accuracy trend as a bar chart
+ */
+function renderTrendChart(points) {
+  answerTrendChart.innerHTML = '';
+  
+  points.forEach(point => {
+    const bar = document.createElement('div');
+    bar.className = 'trend-bar';
+    bar.title = point.answered > 0
+      ? `${point.date}: ${point.accuracy}% of ${point.answered} answers`
+      : `${point.date}: no answers`;
+    
+    const fill = document.createElement('div');
+    fill.className = point.answered > 0 ? 'trend-fill' : 'trend-fill empty';
+    fill.style.height = `${point.accuracy || 0}%`;
+    
+    bar.appendChild(fill);
+    answerTrendChart.appendChild(bar);
+  });
+}
+
 /**
  * Handle reset session button click
  */
@@ -113,8 +113,10 @@ class JumpScare {
     // Clear previous answer options
     this.answerOptions.innerHTML = '';
 
-    // Create answer option buttons
-    if (question.options && Array.isArray(question.options)) {
+    // Typed-answer questions get a text input instead of option buttons
+    if (question.type === 'text') {
+      this.renderTextAnswerInput(question);
+    } else if (question.options && Array.isArray(question.options)) {
       question.options.forEach((option, index) => {
         const button = document.createElement('button');
         button.className = 'answer-option';
@@ -141,6 +143,75 @@ class JumpScare {
     });
   }
 
+  /**
+   * Render a text input and submit button for a typed-answer question
+   * @param {Object} question - Question object
+   */
+  renderTextAnswerInput(question) {
+    const form = document.createElement('form');
+    form.className = 'text-answer-form';
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'answer-input';
+    input.placeholder = 'Type your answer...';
+    input.autocomplete = 'off';
+    input.spellcheck = false;
+
+    const submitButton = document.createElement('button');
+    submitButton.type = 'submit';
+    submitButton.className = 'answer-submit';
+    submitButton.textContent = 'Submit';
+
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.handleTextAnswerSubmit(input.value, question);
+    });
+
+    form.appendChild(input);
+    form.appendChild(submitButton);
+    this.answerOptions.appendChild(form);
+
+    // Let the user start typing straight away
+    setTimeout(() => input.focus(), 0);
+  }
+
+  /**
+   * Handle submission of a typed answer
+   * @param {string} answerText - The typed answer
+   * @param {Object} question - Question object
+   */
+  handleTextAnswerSubmit(answerText, question) {
+    const answer = String(answerText || '').trim();
+
+    // Ignore empty submissions
+    if (answer.length === 0) {
+      return;
+    }
+
+    console.log(`Answer typed: ${answer}`);
+
+    // Disable the input and submit button
+    const input = this.answerOptions.querySelector('.answer-input');
+    const submitButton = this.answerOptions.querySelector('.answer-submit');
+    if (input) {
+      input.disabled = true;
+    }
+    if (submitButton) {
+      submitButton.disabled = true;
+    }
+
+    // Send answer to main process for validation
+    if (window.electronAPI && window.electronAPI.submitAnswer) {
+      window.electronAPI.submitAnswer(question.id, answer);
+      console.log('Answer submitted to main process');
+    } else {
+      // Fallback for testing - exact match only, fuzzy matching happens in the main process
+      const isCorrect = answer.toLowerCase() === String(question.correctAnswer).trim().toLowerCase();
+      this.showFeedback(isCorrect, question.explanation);
+    }
+  }
+
   /**
    * Handle answer button click
    * @param {number} answerIndex - Index of selected answer
@@ -289,6 +360,7 @@ class JumpScare {
    * @param {string} feedback.message - Feedback message
    * @param {string} feedback.explanation - Explanation (optional)
    * @param {string} feedback.correctAnswer - The correct answer
+   * @param {string} feedback.closeness - How close a typed answer was (optional)
    */
   showFeedbackFromMain(feedback) {
     if (!feedback) {
@@ -317,6 +389,14 @@ class JumpScare {
     mainMessage.textContent = `${icon} ${feedback.message}`;
     messageDiv.appendChild(mainMessage);
     
+    // Add closeness of typed answers
+    if (feedback.closeness) {
+      const closenessDiv = document.createElement('div');
+      closenessDiv.className = 'feedback-closeness';
+      closenessDiv.textContent = feedback.closeness;
+      messageDiv.appendChild(closenessDiv);
+    }
+    
     // Add correct answer for incorrect responses only
     if (!feedback.correct && feedback.correctAnswer) {
       const correctAnswerDiv = document.createElement('div');
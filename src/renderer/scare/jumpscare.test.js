@@ -226,6 +226,68 @@ describe('JumpScare', () => {
     });
   });
 
+  describe('Typed Answer Questions', () => {
+    const textQuestion = {
+      id: 'q-text',
+      text: 'Fill in the blank: The ______ is the powerhouse of the cell.',
+      type: 'text',
+      correctAnswer: 'Mitochondria'
+    };
+
+    it('should render a text input instead of option buttons', () => {
+      const jumpScare = new JumpScare();
+      jumpScare.init();
+
+      jumpScare.showQuestion(textQuestion);
+
+      expect(jumpScare.answerOptions.querySelectorAll('.answer-option').length).toBe(0);
+      expect(jumpScare.answerOptions.querySelector('.answer-input')).toBeTruthy();
+      expect(jumpScare.answerOptions.querySelector('.answer-submit')).toBeTruthy();
+    });
+
+    it('should submit the typed answer to the main process', () => {
+      const jumpScare = new JumpScare();
+      jumpScare.init();
+      window.electronAPI = { submitAnswer: vi.fn() };
+
+      jumpScare.showQuestion(textQuestion);
+      jumpScare.handleTextAnswerSubmit('  mitochondrion ', textQuestion);
+
+      expect(window.electronAPI.submitAnswer).toHaveBeenCalledWith('q-text', 'mitochondrion');
+      expect(jumpScare.answerOptions.querySelector('.answer-input').disabled).toBe(true);
+      expect(jumpScare.answerOptions.querySelector('.answer-submit').disabled).toBe(true);
+      delete window.electronAPI;
+    });
+
+    it('should ignore empty submissions', () => {
+      const jumpScare = new JumpScare();
+      jumpScare.init();
+      window.electronAPI = { submitAnswer: vi.fn() };
+
+      jumpScare.showQuestion(textQuestion);
+      jumpScare.handleTextAnswerSubmit('   ', textQuestion);
+
+      expect(window.electronAPI.submitAnswer).not.toHaveBeenCalled();
+      expect(jumpScare.answerOptions.querySelector('.answer-input').disabled).toBe(false);
+      delete window.electronAPI;
+    });
+
+    it('should show how close a typed answer was', () => {
+      const jumpScare = new JumpScare();
+      jumpScare.init();
+
+      jumpScare.showFeedbackFromMain({
+        correct: false,
+        message: 'Not quite!',
+        correctAnswer: 'Mitochondria',
+        closeness: 'So close! Your answer was a 75% match.'
+      });
+
+      const closeness = jumpScare.feedback.querySelector('.feedback-closeness');
+      expect(closeness.textContent).toBe('So close! Your answer was a 75% match.');
+    });
+  });
+
   describe('Answer Handling', () => {
     it('should disable buttons after answer selection', () => {
       const jumpScare = new JumpScare();
@@ -10,6 +10,28 @@ const IPC_CHANNELS = {
   DOCUMENT_REMOVE: 'document:remove',
   DOCUMENT_VALIDATE: 'document:validate',
   DOCUMENTS_VALIDATE_ALL: 'documents:validate-all',
+  DOCUMENT_OCR_PROGRESS: 'document:ocr-progress',
+  DOCUMENT_GET_OUTLINE: 'document:get-outline',
+  DOCUMENT_SET_SELECTION: 'document:set-selection',
+  DOCUMENT_PROCESSING_PROGRESS: 'document:processing-progress',
+  DOCUMENT_CANCEL_PROCESSING: 'document:cancel-processing',
+  DOCUMENT_PASSWORD_REQUIRED: 'document:password-required',
+  DOCUMENT_SET_PASSWORD: 'document:set-password',
+  DOCUMENT_GET_LOCKED: 'document:get-locked',
+  NOTE_CREATE: 'note:create',
+  NOTE_GET: 'note:get',
+  NOTE_UPDATE: 'note:update',
+  NOTES_LIST: 'notes:list',
+  NOTE_READ_CLIPBOARD: 'note:read-clipboard',
+  NOTE_NEW: 'note:new',
+  EXTRACTED_TEXT_STATUS: 'extracted-text:status',
+  EXTRACTED_TEXT_CLEAR: 'extracted-text:clear',
+  
+  // Watched folder channels
+  FOLDER_ADD: 'folder:add',
+  FOLDER_REMOVE: 'folder:remove',
+  FOLDERS_LIST: 'folders:list',
+  FOLDERS_UPDATED: 'folders:updated',
   
   // Scare sequence channels
   SCARE_START: 'scare:start',
@@ -22,6 +44,11 @@ const IPC_CHANNELS = {
   ANSWER_FEEDBACK: 'answer:feedback',
   QUESTIONS_STATUS: 'questions:status',
   QUESTIONS_REGENERATE: 'questions:regenerate',
+  QUESTIONS_EXPORT: 'questions:export',
+  QUESTIONS_IMPORT: 'questions:import',
+  QUESTIONS_LIST: 'questions:list',
+  QUESTIONS_UPDATE: 'questions:update',
+  QUESTIONS_DELETE: 'questions:delete',
   
   // Timer channels
   TIMER_START: 'timer:start',
@@ -31,15 +58,29 @@ const IPC_CHANNELS = {
   
   // Session statistics channels
   SESSION_GET_STATS: 'session:get-stats',
-  SESSION_RESET: 'session:reset'
+  SESSION_RESET: 'session:reset',
+  SESSION_GET_HISTORY: 'session:get-history',
+  
+  // Answer analytics channels
+  STATS_DOCUMENT_ACCURACY: 'stats:document-accuracy',
+  STATS_MISSED_CONCEPTS: 'stats:missed-concepts',
+  STATS_TREND: 'stats:trend'
 };
 
 // Configuration Keys
 const CONFIG_KEYS = {
   INTERVAL: 'interval',
   DOCUMENTS: 'documents',
+  WATCHED_FOLDERS: 'watchedFolders',
   AUDIO_ENABLED: 'audioEnabled',
   DIFFICULTY: 'difficulty',
+  QUESTION_MODE: 'questionMode',
+  SESSION_BOUNDARY_HOUR: 'sessionBoundaryHour',
+  DECK_WEIGHT: 'deckWeight',
+  PAUSE_ON_SLEEP: 'pauseOnSleep',
+  PAUSE_ON_LOCK: 'pauseOnLock',
+  PAUSE_ON_IDLE: 'pauseOnIdle',
+  IDLE_THRESHOLD_MINUTES: 'idleThresholdMinutes',
   THEME: 'theme',
   LAST_RUN: 'lastRun'
 };
@@ -49,8 +90,16 @@ const DEFAULT_CONFIG = {
   version: '1.0.0',
   interval: 30,
   documents: [],
+  watchedFolders: [],
   audioEnabled: true,
   difficulty: 'medium',
+  questionMode: 'multiple-choice',
+  sessionBoundaryHour: 0,
+  deckWeight: 50,
+  pauseOnSleep: true,
+  pauseOnLock: true,
+  pauseOnIdle: true,
+  idleThresholdMinutes: 5,
   theme: 'halloween',
   lastRun: null
 };
@@ -65,11 +114,23 @@ const SCARE_STAGES = {
 };
 
 // Supported Document Formats
-const SUPPORTED_FORMATS = ['.pdf', '.docx', '.md', '.txt'];
+const SUPPORTED_FORMATS = ['.pdf', '.docx', '.md', '.txt', '.epub', '.pptx', '.odp', '.html', '.htm', '.mhtml', '.mht', '.ipynb', '.tex', '.srt', '.vtt', '.csv', '.tsv'];
+
+// Hand-authored question deck formats (matched on the full suffix, checked before SUPPORTED_FORMATS)
+const DECK_FORMATS = ['.deck.json', '.deck.md'];
+
+// Shown to the user when a file is not one of the formats above
+const SUPPORTED_FORMATS_HINT = 'Please use PDF, DOCX, MD, or TXT files, EPUB e-books, PPTX or ODP slides, saved web pages (HTML, MHTML), Jupyter notebooks, LaTeX sources, lecture captions (SRT, VTT), glossaries (CSV, TSV), or a question deck (.deck.json, .deck.md).';
 
 // Difficulty Levels
 const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard'];
 
+// Question Modes (which question types are generated)
+const QUESTION_MODES = ['multiple-choice', 'text', 'mixed'];
+
+// Question bank export/import formats (tsv is Anki-compatible)
+const QUESTION_BANK_FORMATS = ['json', 'csv', 'tsv'];
+
 // Themes
 const THEMES = ['halloween', 'dark'];
 
@@ -79,6 +140,10 @@ module.exports = {
   DEFAULT_CONFIG,
   SCARE_STAGES,
   SUPPORTED_FORMATS,
+  DECK_FORMATS,
+  SUPPORTED_FORMATS_HINT,
   DIFFICULTY_LEVELS,
+  QUESTION_MODES,
+  QUESTION_BANK_FORMATS,
   THEMES
 };
@@ -7,13 +7,41 @@
  * @typedef {Object} Config
  * @property {string} version - Application version
  * @property {number} interval - Timer interval in minutes (5-120)
- * @property {string[]} documents - Array of document file paths
+ * @property {Array<string|DocumentEntry>} documents - Document file paths, or paths with the pages or sections to study
+ * @property {WatchedFolder[]} watchedFolders - Folders whose supported files are studied
  * @property {boolean} audioEnabled - Whether audio is enabled
  * @property {'easy'|'medium'|'hard'} difficulty - Question difficulty level
+ * @property {'multiple-choice'|'text'|'mixed'} questionMode - Which question types are generated
+ * @property {number} sessionBoundaryHour - Hour (0-23) at which a new study day starts
+ * @property {number} deckWeight - Percent chance (0-100) of asking a deck question over a generated one
+ * @property {boolean} pauseOnSleep - Pause the timer while the system is asleep
+ * @property {boolean} pauseOnLock - Pause the timer while the screen is locked
+ * @property {boolean} pauseOnIdle - Pause the timer while the user is idle
+ * @property {number} idleThresholdMinutes - Minutes without input (1-60) before the user counts as idle
  * @property {'halloween'|'dark'} theme - UI theme
  * @property {string|null} lastRun - ISO timestamp of last run
  */
 
+/**
+ * @typedef {Object} DocumentEntry
+ * @property {string} path - Path to the document
+ * @property {DocumentPartSelection} selection - Parts of the document to study
+ */
+
+/**
+ * @typedef {Object} DocumentPartSelection
+ * @property {string} [pages] - Page ranges such as "1-40, 55" (PDFs)
+ * @property {string[]} [sections] - Headings whose sections are studied, subsections included (Markdown and DOCX)
+ */
+
+/**
+ * @typedef {Object} WatchedFolder
+ * @property {string} path - Absolute path of the folder
+ * @property {boolean} recursive - Whether subfolders are included
+ * @property {string[]} include - Glob patterns a file must match (empty: every supported file)
+ * @property {string[]} exclude - Glob patterns that leave a file out
+ */
+
 /**
  * @typedef {Object} DocumentContent
  * @property {string} filePath - Path to the document
@@ -34,7 +62,7 @@
  * @property {string} text - Question text
  * @property {'multiple-choice'|'text'} type - Question type
  * @property {string[]} [options] - Answer options (for multiple-choice)
- * @property {string|number} correctAnswer - Correct answer
+ * @property {string|number} correctAnswer - Correct answer (option index, or answer text for text questions)
  * @property {string} [explanation] - Explanation for the answer
  * @property {string} sourceDocument - Path to source document
  */